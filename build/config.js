@@ -26,7 +26,7 @@ const buildConfig = {
         description: '提供对网页滚动条显示的精细控制，支持三种显示模式和自动滚动',
         author: 'karminski-牙医',
         match: '*://*/*',
-        grant: 'none',
+        grant: ['GM_getValue', 'GM_setValue', 'GM_registerMenuCommand', 'GM_unregisterMenuCommand'],
         runAt: 'document-end',
         noframes: true
     },
@@ -309,14 +309,14 @@ export class Application {
         const defaultConfig = {
             debug: false,
             scrollbar: {
-                modes: ['default', 'always', 'semi'],
+                modes: ['default', 'always', 'semi', 'styled'],
                 defaultMode: 'default'
             },
             autoScroll: {
                 minSpeed: 1,
                 maxSpeed: 10,
                 defaultSpeed: 3,
-                frameRate: 60
+                frameRate: 0
             },
             ui: {
                 dotSize: 20,
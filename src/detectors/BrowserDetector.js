@@ -92,8 +92,10 @@ export class BrowserDetector {
         const features = {
             webkitScrollbar: false,
             scrollbarWidth: false,
+            scrollbarColor: false,
             msOverflowStyle: false,
             cssCustomProperties: false,
+            scrollbarFade: false,
             requestAnimationFrame: false,
             addEventListener: false
         };
@@ -109,6 +111,10 @@ export class BrowserDetector {
             features.scrollbarWidth =
                 'scrollbarWidth' in document.documentElement.style || this.browserInfo.isGecko;
 
+            // 检测Firefox scrollbar-color支持
+            features.scrollbarColor =
+                'scrollbarColor' in document.documentElement.style || this.browserInfo.isGecko;
+
             // 检测IE/Edge -ms-overflow-style支持
             features.msOverflowStyle =
                 'msOverflowStyle' in document.documentElement.style || this.browserInfo.isTrident;
@@ -117,6 +123,13 @@ export class BrowserDetector {
             features.cssCustomProperties =
                 window.CSS && window.CSS.supports && window.CSS.supports('--test', '0');
 
+            // 检测滚动条淡入淡出支持：滑块颜色来自已注册（@property）的自定义属性，
+            // 只有注册过的自定义属性才能过渡，且只有WebKit滚动条伪元素能读取该属性
+            features.scrollbarFade =
+                features.webkitScrollbar &&
+                !!features.cssCustomProperties &&
+                typeof window.CSS.registerProperty === 'function';
+
             // 检测requestAnimationFrame支持
             features.requestAnimationFrame = typeof window.requestAnimationFrame === 'function';
 
@@ -0,0 +1,332 @@
+import { DataAttributes, OWN_UI_SELECTOR } from '../utils/constants.js';
+import { Utils } from '../utils/helpers.js';
+
+// 可产生滚动条的overflow取值
+const SCROLLABLE_OVERFLOW_VALUES = ['auto', 'scroll', 'overlay'];
+
+// 脚本自身的UI元素不参与容器检测
+const IGNORED_SELECTOR = OWN_UI_SELECTOR;
+
+/**
+ * ContainerDetector - 检测页面内的可滚动容器
+ *
+ * 很多应用（聊天工具、代码查看器等）在div内部滚动而不是滚动整个页面。
+ * 该检测器扫描overflow可滚动且内容溢出的元素，为其添加
+ * data-scrollbar-container 标记，供StyleManager的CSS选择器和ScrollDetector使用，
+ * 并通过MutationObserver发现后续动态插入的容器。
+ *
+ * 首次启动时扫描整个页面，之后只检查DOM变化涉及的元素：
+ * 新插入的子树、子节点发生变化的元素（内容增加后可能开始溢出）和class/style变化的元素。
+ */
+export class ContainerDetector {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        this.containers = new Set();
+        this.observer = null;
+        this.isDetectionActive = false;
+
+        // 等待重新扫描的元素：pendingSubtrees检查元素及其全部后代，pendingElements只检查元素本身
+        this.pendingSubtrees = new Set();
+        this.pendingElements = new Set();
+
+        // 配置参数
+        this.rescanDelay = 500; // DOM变化后重新扫描的防抖延迟（毫秒）
+
+        this.scheduleRescan = Utils.debounce(() => {
+            if (this.isDetectionActive) {
+                this.rescanPending();
+            }
+        }, this.rescanDelay);
+
+        console.log('[ContainerDetector] 容器检测器已创建');
+    }
+
+    /**
+     * 开始容器检测：首次扫描并监听DOM变化
+     */
+    startDetection() {
+        if (this.isDetectionActive) {
+            return; // 避免重复启动
+        }
+
+        try {
+            this.scan();
+
+            if (typeof MutationObserver === 'function' && document.body) {
+                this.observer = new MutationObserver(mutations => this.handleMutations(mutations));
+                this.observer.observe(document.body, {
+                    childList: true,
+                    subtree: true,
+                    attributes: true,
+                    attributeFilter: ['class', 'style']
+                });
+            } else {
+                console.warn('[ContainerDetector] MutationObserver不可用，仅检测现有容器');
+            }
+
+            this.isDetectionActive = true;
+            console.log('[ContainerDetector] 容器检测已启动，已发现容器:', this.containers.size);
+
+            this.eventBus.emit('container-detector:started', {
+                count: this.containers.size,
+                timestamp: Date.now()
+            });
+        } catch (error) {
+            console.error('[ContainerDetector] 启动容器检测失败:', error);
+            this.eventBus.emit('container-detector:error', { error, phase: 'start-detection' });
+        }
+    }
+
+    /**
+     * 停止容器检测并移除所有标记
+     */
+    stopDetection() {
+        if (!this.isDetectionActive) {
+            return;
+        }
+
+        try {
+            if (this.observer) {
+                this.observer.disconnect();
+                this.observer = null;
+            }
+
+            this.containers.forEach(element => {
+                element.removeAttribute(DataAttributes.SCROLL_CONTAINER);
+            });
+            this.containers.clear();
+            this.pendingSubtrees.clear();
+            this.pendingElements.clear();
+            this.isDetectionActive = false;
+
+            console.log('[ContainerDetector] 容器检测已停止');
+
+            this.eventBus.emit('container-detector:stopped', {
+                timestamp: Date.now()
+            });
+        } catch (error) {
+            console.error('[ContainerDetector] 停止容器检测失败:', error);
+            this.eventBus.emit('container-detector:error', { error, phase: 'stop-detection' });
+        }
+    }
+
+    /**
+     * 处理DOM变化，记录需要重新检查的元素，忽略只涉及脚本自身UI的变化
+     * @param {MutationRecord[]} mutations - 变化记录
+     */
+    handleMutations(mutations) {
+        let isRelevant = false;
+
+        mutations.forEach(mutation => {
+            const target = mutation.target;
+            if (!(target instanceof Element) || target.closest(IGNORED_SELECTOR)) {
+                return;
+            }
+
+            isRelevant = true;
+            this.pendingElements.add(target);
+
+            if (mutation.type === 'childList') {
+                mutation.addedNodes.forEach(node => {
+                    if (node instanceof Element) {
+                        this.pendingSubtrees.add(node);
+                    }
+                });
+            }
+        });
+
+        if (isRelevant) {
+            this.scheduleRescan();
+        }
+    }
+
+    /**
+     * 检查元素，登记新出现的容器
+     * @param {Element} element - 要检查的元素
+     */
+    checkElement(element) {
+        if (!this.containers.has(element) && this.isScrollContainer(element)) {
+            this.addContainer(element);
+        }
+    }
+
+    /**
+     * 移除已脱离文档或不再可滚动的容器
+     */
+    pruneContainers() {
+        Array.from(this.containers).forEach(element => {
+            if (!element.isConnected || !this.isScrollContainer(element)) {
+                this.removeContainer(element);
+            }
+        });
+    }
+
+    /**
+     * 只重新检查DOM变化涉及的元素，不再扫描整个页面
+     * @returns {Element[]} 当前的容器列表
+     */
+    rescanPending() {
+        const subtrees = Array.from(this.pendingSubtrees);
+        const elements = Array.from(this.pendingElements);
+        this.pendingSubtrees.clear();
+        this.pendingElements.clear();
+
+        try {
+            this.pruneContainers();
+
+            elements.forEach(element => {
+                if (element.isConnected) {
+                    this.checkElement(element);
+                }
+            });
+
+            subtrees.forEach(root => {
+                if (!root.isConnected) {
+                    return;
+                }
+                this.checkElement(root);
+                root.querySelectorAll('*').forEach(element => this.checkElement(element));
+            });
+        } catch (error) {
+            console.error('[ContainerDetector] 重新扫描容器失败:', error);
+            this.eventBus.emit('container-detector:error', { error, phase: 'rescan' });
+        }
+
+        return this.getContainers();
+    }
+
+    /**
+     * 扫描页面，登记新出现的容器并移除已失效的容器
+     * @returns {Element[]} 当前的容器列表
+     */
+    scan() {
+        try {
+            this.pruneContainers();
+
+            if (document.body) {
+                document.body.querySelectorAll('*').forEach(element => this.checkElement(element));
+            }
+        } catch (error) {
+            console.error('[ContainerDetector] 扫描容器失败:', error);
+            this.eventBus.emit('container-detector:error', { error, phase: 'scan' });
+        }
+
+        return this.getContainers();
+    }
+
+    /**
+     * 检查元素是否为可滚动容器
+     * @param {Element} element - 要检查的元素
+     * @returns {boolean} 是否为可滚动容器
+     */
+    isScrollContainer(element) {
+        if (
+            !(element instanceof Element) ||
+            element === document.documentElement ||
+            element === document.body ||
+            element.closest(IGNORED_SELECTOR)
+        ) {
+            return false;
+        }
+
+        // 先用尺寸过滤，避免对每个元素都读取计算样式
+        const overflowsY = element.scrollHeight > element.clientHeight;
+        const overflowsX = element.scrollWidth > element.clientWidth;
+        if (!overflowsY && !overflowsX) {
+            return false;
+        }
+
+        const style = window.getComputedStyle(element);
+        return (
+            (overflowsY && SCROLLABLE_OVERFLOW_VALUES.includes(style.overflowY)) ||
+            (overflowsX && SCROLLABLE_OVERFLOW_VALUES.includes(style.overflowX))
+        );
+    }
+
+    /**
+     * 登记容器
+     * @param {Element} element - 容器元素
+     * @returns {boolean} 是否为新登记的容器
+     */
+    addContainer(element) {
+        if (this.containers.has(element)) {
+            return false;
+        }
+
+        this.containers.add(element);
+        element.setAttribute(DataAttributes.SCROLL_CONTAINER, '');
+
+        this.eventBus.emit('container-detector:added', {
+            container: element,
+            count: this.containers.size,
+            timestamp: Date.now()
+        });
+
+        return true;
+    }
+
+    /**
+     * 移除容器
+     * @param {Element} element - 容器元素
+     * @returns {boolean} 是否移除成功
+     */
+    removeContainer(element) {
+        if (!this.containers.has(element)) {
+            return false;
+        }
+
+        this.containers.delete(element);
+        element.removeAttribute(DataAttributes.SCROLL_CONTAINER);
+
+        this.eventBus.emit('container-detector:removed', {
+            container: element,
+            count: this.containers.size,
+            timestamp: Date.now()
+        });
+
+        return true;
+    }
+
+    /**
+     * 检查元素是否为已登记的容器
+     * @param {Element} element - 要检查的元素
+     * @returns {boolean} 是否已登记
+     */
+    isContainer(element) {
+        return this.containers.has(element);
+    }
+
+    /**
+     * 获取已登记的容器列表
+     * @returns {Element[]} 容器列表
+     */
+    getContainers() {
+        return Array.from(this.containers);
+    }
+
+    /**
+     * 检查检测是否激活
+     * @returns {boolean} 检测状态
+     */
+    isActive() {
+        return this.isDetectionActive;
+    }
+
+    /**
+     * 清理资源
+     */
+    cleanup() {
+        try {
+            this.stopDetection();
+
+            this.eventBus.emit('container-detector:cleanup', {
+                timestamp: Date.now()
+            });
+
+            console.log('[ContainerDetector] 资源清理完成');
+        } catch (error) {
+            console.error('[ContainerDetector] 清理过程中发生错误:', error);
+            this.eventBus.emit('container-detector:error', { error, phase: 'cleanup' });
+        }
+    }
+}
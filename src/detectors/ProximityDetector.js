@@ -0,0 +1,291 @@
+import { Config, DataAttributes, SemiRevealReasons } from '../utils/constants.js';
+
+/**
+ * ProximityDetector - 检测指针是否靠近滚动条边缘
+ *
+ * semi模式下滚动条只在滚动时显示，无法直接拖动。该检测器在指针靠近
+ * 页面或容器的右边缘（垂直滚动条）或下边缘（水平滚动条）时显示滚动条，
+ * 指针停留在边缘区域或正在拖动时保持显示。
+ */
+export class ProximityDetector {
+    constructor(eventBus, styleManager = null) {
+        this.eventBus = eventBus;
+        this.styleManager = styleManager;
+        this.isDetectionActive = false;
+
+        // 配置参数
+        this.enabled = Config.scrollbar.proximityReveal.enabled;
+        this.distance = Config.scrollbar.proximityReveal.distance; // 触发显示的边缘距离（像素）
+
+        // 当前状态
+        this.revealedTarget = null; // 因指针靠近而显示滚动条的页面或容器
+        this.dragTarget = null; // 正在拖动滚动条的页面或容器
+
+        // 事件处理器引用
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handlePointerLeave = this.handlePointerLeave.bind(this);
+
+        console.log('[ProximityDetector] 边缘靠近检测器已创建');
+    }
+
+    /**
+     * 开始边缘靠近检测
+     */
+    startDetection() {
+        if (this.isDetectionActive || !this.enabled) {
+            return; // 避免重复启动，或功能已关闭
+        }
+
+        try {
+            document.addEventListener('pointermove', this.handlePointerMove, { passive: true });
+            document.addEventListener('pointerdown', this.handlePointerDown, {
+                capture: true,
+                passive: true
+            });
+            window.addEventListener('pointerup', this.handlePointerUp, { passive: true });
+            window.addEventListener('pointercancel', this.handlePointerUp, { passive: true });
+            document.documentElement.addEventListener('pointerleave', this.handlePointerLeave);
+
+            this.isDetectionActive = true;
+            console.log('[ProximityDetector] 边缘靠近检测已启动，距离:', this.distance);
+
+            this.eventBus.emit('proximity-detector:started', {
+                distance: this.distance,
+                timestamp: Date.now()
+            });
+        } catch (error) {
+            console.error('[ProximityDetector] 启动边缘靠近检测失败:', error);
+            this.eventBus.emit('proximity-detector:error', { error, phase: 'start-detection' });
+        }
+    }
+
+    /**
+     * 停止边缘靠近检测，并隐藏因靠近或拖动而显示的滚动条
+     */
+    stopDetection() {
+        if (!this.isDetectionActive) {
+            return;
+        }
+
+        try {
+            document.removeEventListener('pointermove', this.handlePointerMove);
+            document.removeEventListener('pointerdown', this.handlePointerDown, { capture: true });
+            window.removeEventListener('pointerup', this.handlePointerUp);
+            window.removeEventListener('pointercancel', this.handlePointerUp);
+            document.documentElement.removeEventListener('pointerleave', this.handlePointerLeave);
+
+            this.setRevealedTarget(null);
+            this.endDrag();
+            this.isDetectionActive = false;
+
+            console.log('[ProximityDetector] 边缘靠近检测已停止');
+
+            this.eventBus.emit('proximity-detector:stopped', {
+                timestamp: Date.now()
+            });
+        } catch (error) {
+            console.error('[ProximityDetector] 停止边缘靠近检测失败:', error);
+            this.eventBus.emit('proximity-detector:error', { error, phase: 'stop-detection' });
+        }
+    }
+
+    /**
+     * 查找指针附近的滚动条所属的容器或页面
+     * 从指针下方最内层的容器开始向外查找，最后检查页面边缘
+     * @param {PointerEvent} event - 指针事件
+     * @returns {Element|null} 容器元素、document.documentElement或null
+     */
+    findTarget(event) {
+        const { clientX, clientY } = event;
+        const selector = `[${DataAttributes.SCROLL_CONTAINER}]`;
+        let container = event.target instanceof Element ? event.target.closest(selector) : null;
+
+        while (container) {
+            const rect = container.getBoundingClientRect();
+            const insideX = clientX >= rect.left && clientX <= rect.right;
+            const insideY = clientY >= rect.top && clientY <= rect.bottom;
+
+            if (
+                (insideY && clientX <= rect.right && rect.right - clientX <= this.distance) ||
+                (insideX && clientY <= rect.bottom && rect.bottom - clientY <= this.distance)
+            ) {
+                return container;
+            }
+
+            container = container.parentElement ? container.parentElement.closest(selector) : null;
+        }
+
+        if (
+            window.innerWidth - clientX <= this.distance ||
+            window.innerHeight - clientY <= this.distance
+        ) {
+            return document.documentElement;
+        }
+
+        return null;
+    }
+
+    /**
+     * 处理指针移动
+     * @param {PointerEvent} event - 指针事件
+     */
+    handlePointerMove(event) {
+        try {
+            this.setRevealedTarget(this.findTarget(event));
+        } catch (error) {
+            console.error('[ProximityDetector] 指针移动处理失败:', error);
+            this.eventBus.emit('proximity-detector:error', { error, phase: 'pointer-move' });
+        }
+    }
+
+    /**
+     * 处理指针按下，在边缘区域按下时视为开始拖动滚动条
+     * @param {PointerEvent} event - 指针事件
+     */
+    handlePointerDown(event) {
+        const target = this.findTarget(event);
+        if (!target) {
+            return;
+        }
+
+        this.endDrag();
+        this.dragTarget = target;
+        this.reveal(target, SemiRevealReasons.DRAG);
+    }
+
+    /**
+     * 处理指针抬起，结束拖动
+     */
+    handlePointerUp() {
+        this.endDrag();
+    }
+
+    /**
+     * 处理指针离开页面
+     */
+    handlePointerLeave() {
+        this.setRevealedTarget(null);
+    }
+
+    /**
+     * 结束拖动并释放拖动期间的显示
+     */
+    endDrag() {
+        if (this.dragTarget) {
+            this.conceal(this.dragTarget, SemiRevealReasons.DRAG);
+            this.dragTarget = null;
+        }
+    }
+
+    /**
+     * 切换因指针靠近而显示滚动条的目标
+     * @param {Element|null} target - 新的目标
+     */
+    setRevealedTarget(target) {
+        if (target === this.revealedTarget) {
+            return;
+        }
+
+        if (this.revealedTarget) {
+            this.conceal(this.revealedTarget, SemiRevealReasons.PROXIMITY);
+        }
+
+        this.revealedTarget = target;
+
+        if (target) {
+            this.reveal(target, SemiRevealReasons.PROXIMITY);
+        }
+    }
+
+    /**
+     * 通知StyleManager显示滚动条
+     * @param {Element} target - 页面或容器
+     * @param {string} reason - 显示原因
+     */
+    reveal(target, reason) {
+        if (this.styleManager && typeof this.styleManager.showScrollbarForSemi === 'function') {
+            this.styleManager.showScrollbarForSemi(target, reason);
+        }
+    }
+
+    /**
+     * 通知StyleManager撤销显示
+     * @param {Element} target - 页面或容器
+     * @param {string} reason - 显示原因
+     */
+    conceal(target, reason) {
+        if (this.styleManager && typeof this.styleManager.hideScrollbarForSemi === 'function') {
+            this.styleManager.hideScrollbarForSemi(target, reason);
+        }
+    }
+
+    /**
+     * 启用或关闭边缘靠近显示，关闭时立即停止检测
+     * @param {boolean} enabled - 是否启用
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+
+        if (!this.enabled) {
+            this.stopDetection();
+        }
+    }
+
+    /**
+     * 设置触发显示的边缘距离
+     * @param {number} distance - 距离（像素）
+     */
+    setDistance(distance) {
+        if (typeof distance === 'number' && isFinite(distance) && distance >= 0) {
+            this.distance = distance;
+            console.log('[ProximityDetector] 边缘距离已设置为:', distance, 'px');
+        } else {
+            console.warn('[ProximityDetector] 无效的边缘距离:', distance);
+        }
+    }
+
+    /**
+     * 获取触发显示的边缘距离
+     * @returns {number} 距离（像素）
+     */
+    getDistance() {
+        return this.distance;
+    }
+
+    /**
+     * 设置StyleManager引用
+     * @param {StyleManager} styleManager - StyleManager实例
+     */
+    setStyleManager(styleManager) {
+        this.styleManager = styleManager;
+    }
+
+    /**
+     * 检查检测是否激活
+     * @returns {boolean} 检测状态
+     */
+    isActive() {
+        return this.isDetectionActive;
+    }
+
+    /**
+     * 清理资源
+     */
+    cleanup() {
+        try {
+            this.stopDetection();
+            this.styleManager = null;
+
+            this.eventBus.emit('proximity-detector:cleanup', {
+                timestamp: Date.now()
+            });
+
+            console.log('[ProximityDetector] 资源清理完成');
+        } catch (error) {
+            console.error('[ProximityDetector] 清理过程中发生错误:', error);
+            this.eventBus.emit('proximity-detector:error', { error, phase: 'cleanup' });
+        }
+    }
+}
@@ -4,7 +4,8 @@ import { ScrollbarModes } from '../utils/constants.js';
  * ScrollDetector - 检测滚动事件并触发相应的样式变化
  *
  * 专门用于semi模式，检测用户滚动行为并通过事件系统
- * 与StyleManager通信，实现滚动时显示、停止后隐藏的效果
+ * 与StyleManager通信，实现滚动时显示、停止后隐藏的效果。
+ * 页面滚动和页面内各个容器的滚动分别计时，互不影响
  */
 export class ScrollDetector {
     constructor(eventBus, styleManager = null) {
@@ -15,6 +16,11 @@ export class ScrollDetector {
         this.scrollHandler = null;
         this.isDetectionActive = false;
 
+        // 容器滚动状态
+        this.containerDetector = null; // ContainerDetector引用
+        this.containerScrollHandler = null;
+        this.containerTimeouts = new Map(); // 正在滚动的容器 -> 滚动结束计时器
+
         // 配置参数
         this.scrollEndDelay = 1000; // 滚动结束后延迟隐藏的时间（毫秒）
 
@@ -36,6 +42,13 @@ export class ScrollDetector {
             // 添加滚动事件监听器
             window.addEventListener('scroll', this.scrollHandler, { passive: true });
 
+            // 元素的scroll事件不冒泡，在捕获阶段统一监听所有容器
+            this.containerScrollHandler = this.createContainerScrollHandler();
+            document.addEventListener('scroll', this.containerScrollHandler, {
+                capture: true,
+                passive: true
+            });
+
             this.isDetectionActive = true;
             console.log('[ScrollDetector] 滚动检测已启动');
 
@@ -65,6 +78,18 @@ export class ScrollDetector {
                 this.scrollHandler = null;
             }
 
+            if (this.containerScrollHandler) {
+                document.removeEventListener('scroll', this.containerScrollHandler, {
+                    capture: true
+                });
+                this.containerScrollHandler = null;
+            }
+
+            // 清除容器的滚动计时器，并隐藏仍在显示的容器滚动条
+            Array.from(this.containerTimeouts.keys()).forEach(container => {
+                this.onContainerScrollEnd(container);
+            });
+
             // 清除滚动超时
             if (this.scrollTimeout) {
                 clearTimeout(this.scrollTimeout);
@@ -115,6 +140,95 @@ export class ScrollDetector {
         };
     }
 
+    /**
+     * 创建容器滚动事件处理函数
+     * @returns {Function} 容器滚动事件处理函数
+     */
+    createContainerScrollHandler() {
+        return event => {
+            const container = event.target;
+
+            // 页面滚动的target为document，由window监听器处理
+            if (!(container instanceof Element) || container === document.documentElement) {
+                return;
+            }
+
+            try {
+                if (this.containerTimeouts.has(container)) {
+                    clearTimeout(this.containerTimeouts.get(container));
+                } else {
+                    this.onContainerScrollStart(container);
+                }
+
+                this.containerTimeouts.set(
+                    container,
+                    setTimeout(() => {
+                        this.onContainerScrollEnd(container);
+                    }, this.scrollEndDelay)
+                );
+            } catch (error) {
+                console.error('[ScrollDetector] 容器滚动事件处理失败:', error);
+                this.eventBus.emit('scroll-detector:error', {
+                    error,
+                    phase: 'container-scroll-handling'
+                });
+            }
+        };
+    }
+
+    /**
+     * 容器滚动开始事件处理
+     * @param {Element} container - 滚动的容器
+     */
+    onContainerScrollStart(container) {
+        // 尚未被扫描到的容器在首次滚动时登记
+        if (this.containerDetector && !this.containerDetector.isContainer(container)) {
+            this.containerDetector.addContainer(container);
+        }
+
+        this.eventBus.emit('scroll:container-start', {
+            container,
+            timestamp: Date.now(),
+            scrollPosition: container.scrollTop
+        });
+
+        if (
+            this.styleManager &&
+            this.styleManager.hasMode(ScrollbarModes.SEMI) &&
+            typeof this.styleManager.showScrollbarForSemi === 'function'
+        ) {
+            this.styleManager.showScrollbarForSemi(container);
+        }
+    }
+
+    /**
+     * 容器滚动结束事件处理
+     * @param {Element} container - 滚动的容器
+     */
+    onContainerScrollEnd(container) {
+        if (!this.containerTimeouts.has(container)) {
+            return;
+        }
+
+        clearTimeout(this.containerTimeouts.get(container));
+        this.containerTimeouts.delete(container);
+
+        this.eventBus.emit('scroll:container-end', {
+            container,
+            timestamp: Date.now(),
+            scrollPosition: container.scrollTop,
+            delay: this.scrollEndDelay
+        });
+
+        if (
+            this.styleManager &&
+            this.styleManager.hasMode(ScrollbarModes.SEMI) &&
+            typeof this.styleManager.hideScrollbarForSemi === 'function'
+        ) {
+            this.styleManager.hideScrollbarForSemi(container);
+        }
+    }
+
     /**
      * 滚动开始事件处理
      */
@@ -132,10 +246,10 @@ export class ScrollDetector {
                 scrollPosition: window.pageYOffset || document.documentElement.scrollTop
             });
 
-            // 通知StyleManager显示滚动条（仅在semi模式下）
+            // 通知StyleManager显示滚动条（仅在任一方向为semi模式时）
             if (
                 this.styleManager &&
-                this.styleManager.getCurrentMode() === ScrollbarModes.SEMI &&
+                this.styleManager.hasMode(ScrollbarModes.SEMI) &&
                 typeof this.styleManager.showScrollbarForSemi === 'function'
             ) {
                 const success = this.styleManager.showScrollbarForSemi();
@@ -179,10 +293,10 @@ export class ScrollDetector {
                 delay: this.scrollEndDelay
             });
 
-            // 通知StyleManager隐藏滚动条（仅在semi模式下）
+            // 通知StyleManager隐藏滚动条（仅在任一方向为semi模式时）
             if (
                 this.styleManager &&
-                this.styleManager.getCurrentMode() === ScrollbarModes.SEMI &&
+                this.styleManager.hasMode(ScrollbarModes.SEMI) &&
                 typeof this.styleManager.hideScrollbarForSemi === 'function'
             ) {
                 const success = this.styleManager.hideScrollbarForSemi();
@@ -257,6 +371,15 @@ export class ScrollDetector {
         console.log('[ScrollDetector] StyleManager引用已设置');
     }
 
+    /**
+     * 设置ContainerDetector引用
+     * @param {ContainerDetector} containerDetector - ContainerDetector实例
+     */
+    setContainerDetector(containerDetector) {
+        this.containerDetector = containerDetector;
+        console.log('[ScrollDetector] ContainerDetector引用已设置');
+    }
+
     /**
      * 获取当前状态
      * @returns {Object} 当前状态信息
@@ -264,6 +387,7 @@ export class ScrollDetector {
     getStatus() {
         return {
             isScrolling: this.isScrolling,
+            scrollingContainers: this.containerTimeouts.size,
             isDetectionActive: this.isDetectionActive,
             scrollEndDelay: this.scrollEndDelay,
             hasStyleManager: !!this.styleManager,
@@ -319,6 +443,7 @@ export class ScrollDetector {
 
             // 清理引用
             this.styleManager = null;
+            this.containerDetector = null;
 
             // 发送清理完成事件
             this.eventBus.emit('scroll-detector:cleanup', {
@@ -8,13 +8,25 @@ import { Application } from './core/Application.js';
 import { BrowserDetector } from './detectors/BrowserDetector.js';
 import { StyleManager } from './managers/StyleManager.js';
 import { ScrollDetector } from './detectors/ScrollDetector.js';
+import { ContainerDetector } from './detectors/ContainerDetector.js';
+import { ProximityDetector } from './detectors/ProximityDetector.js';
 import { AutoScrollManager } from './managers/AutoScrollManager.js';
 import { KeyboardHandler } from './managers/KeyboardHandler.js';
+import { SettingsManager } from './managers/SettingsManager.js';
+import { SiteProfileManager } from './managers/SiteProfileManager.js';
+import { TabSyncManager, SyncMessageTypes } from './managers/TabSyncManager.js';
 import { UIController } from './ui/UIController.js';
 
 // 导入工具模块
-import { Config, EventTypes } from './utils/constants.js';
+import {
+    Config,
+    EventTypes,
+    KeyBindingScopes,
+    ScrollbarAxes,
+    ScrollbarModes
+} from './utils/constants.js';
 import { Logger } from './utils/logger.js';
+import { SettingsSchema } from './utils/settingsSchema.js';
 
 /**
  * 应用程序主类
@@ -23,6 +35,11 @@ import { Logger } from './utils/logger.js';
 class ScrollbarControllerApp {
     constructor() {
         this.app = null;
+        this.settingsManager = null;
+        this.siteProfileManager = null;
+        this.disabledForSite = false;
+        this.enableMenuCommandId = null;
+        this.userConfig = {};
         this.initialized = false;
         this.logger = new Logger('ScrollbarControllerApp');
     }
@@ -43,6 +60,25 @@ class ScrollbarControllerApp {
 
             // 创建主应用实例
             this.app = new Application();
+            this.userConfig = config;
+
+            // 加载持久化设置
+            this.settingsManager = new SettingsManager(this.app.getEventBus());
+            this.settingsManager.load();
+
+            // 加载并匹配站点配置
+            this.siteProfileManager = new SiteProfileManager(this.app.getEventBus());
+            this.siteProfileManager.load();
+            this.siteProfileManager.matchLocation(window.location);
+            this.settingsManager.setSiteProfileManager(this.siteProfileManager);
+
+            // 当前站点被站点配置停用时不启动任何模块
+            if (this.siteProfileManager.isDisabledForActiveSite()) {
+                this.disabledForSite = true;
+                this._registerEnableMenuCommand();
+                this.logger.info('Scrollbar Controller is disabled for this site by site profile');
+                return;
+            }
 
             // 合并配置
             const appConfig = this._mergeConfig(config);
@@ -56,6 +92,10 @@ class ScrollbarControllerApp {
             // 验证所有模块的功能完整性
             await this._validateModuleIntegration();
 
+            // 恢复保存的设置（需在模块启动前完成）
+            this._restoreSettings(appConfig);
+            this.settingsManager.startPersisting();
+
             // 启动所有功能模块
             await this._startAllModules();
 
@@ -103,6 +143,7 @@ class ScrollbarControllerApp {
 
             // 清理引用
             this.app = null;
+            this.settingsManager = null;
             this.initialized = false;
 
             this.logger.info('Scrollbar Controller application destroyed successfully');
@@ -128,6 +169,224 @@ class ScrollbarControllerApp {
         return this.initialized;
     }
 
+    /**
+     * 检查脚本是否被站点配置停用
+     * @returns {boolean}
+     */
+    isDisabledForSite() {
+        return this.disabledForSite;
+    }
+
+    /**
+     * 获取站点配置管理器（站点被停用时也可用，便于恢复）
+     * @returns {SiteProfileManager|null}
+     */
+    getSiteProfileManager() {
+        return this.siteProfileManager;
+    }
+
+    /**
+     * 将当前模式和速度保存为本站点的配置
+     * @returns {object|null} 保存后的站点配置
+     */
+    saveCurrentSiteProfile() {
+        if (!this.app || !this.siteProfileManager) {
+            return null;
+        }
+
+        const styleManager = this.app.getManager('style');
+        const autoScrollManager = this.app.getManager('autoScroll');
+
+        return this.siteProfileManager.saveProfileForHostname(window.location.hostname, {
+            scrollbar: {
+                defaultMode: styleManager.getCurrentMode(),
+                defaultHorizontalMode: styleManager.getAxisModes().horizontal
+            },
+            autoScroll: {
+                defaultSpeed: autoScrollManager.getSpeed(),
+                direction: autoScrollManager.getDirection(),
+                mode: autoScrollManager.getScrollMode(),
+                step: { interval: autoScrollManager.getStepInterval() },
+                infinite: { enabled: autoScrollManager.isInfiniteMode() },
+                speedMode: autoScrollManager.getSpeedMode(),
+                defaultWpm: autoScrollManager.getWpm()
+            }
+        });
+    }
+
+    /**
+     * 将改变的快捷键保存为本站点的配置
+     * @param {object} previousBindings - 改变前的绑定
+     * @param {object} bindings - 改变后的绑定
+     * @returns {object|null} 保存后的站点配置
+     */
+    saveSiteKeyBindings(previousBindings, bindings) {
+        if (!this.siteProfileManager) {
+            return null;
+        }
+
+        const changed = {};
+        Object.keys(bindings).forEach(action => {
+            if (bindings[action] !== previousBindings[action]) {
+                changed[action] = bindings[action];
+            }
+        });
+
+        return this.siteProfileManager.saveProfileForHostname(window.location.hostname, {
+            keyboard: { bindings: changed }
+        });
+    }
+
+    /**
+     * 获取诊断信息：当前站点、站点配置和各模块的状态，以及本站检测到的快捷键冲突
+     * @returns {object} 诊断信息
+     */
+    getDiagnostics() {
+        const activeProfile = this.siteProfileManager
+            ? this.siteProfileManager.getActiveProfile()
+            : null;
+        const keyboardHandler = this.app ? this.app.getManager('keyboard') : null;
+        const autoScrollManager = this.app ? this.app.getManager('autoScroll') : null;
+
+        return {
+            hostname: window.location.hostname,
+            initialized: this.initialized,
+            disabledForSite: this.disabledForSite,
+            siteProfile: activeProfile,
+            autoScroll: autoScrollManager ? autoScrollManager.getStatus() : null,
+            keyboard: keyboardHandler ? keyboardHandler.getStatus() : null,
+            shortcutConflicts: keyboardHandler ? keyboardHandler.loadConflicts() : []
+        };
+    }
+
+    /**
+     * 导出全部设置和站点配置为版本化的JSON文档
+     * @returns {string} JSON字符串
+     */
+    exportSettings() {
+        const settings = this.settingsManager ? this.settingsManager.getSettings() : {};
+        const siteProfiles = this.siteProfileManager ? this.siteProfileManager.getProfiles() : [];
+        const settingsDoc = SettingsSchema.createDocument(settings, siteProfiles);
+
+        this.logger.info('Settings exported');
+        return JSON.stringify(settingsDoc, null, 2);
+    }
+
+    /**
+     * 导入设置文档，校验并迁移旧版本后替换当前的设置和站点配置
+     * @param {string|object} input - JSON字符串或已解析的对象
+     * @returns {{success: boolean, errors: string[]}} 导入结果
+     */
+    importSettings(input) {
+        const { settingsDoc, errors } = SettingsSchema.parse(input);
+
+        if (errors.length > 0) {
+            this.logger.warn('Settings import rejected:', errors);
+            return { success: false, errors };
+        }
+
+        try {
+            if (this.settingsManager) {
+                this.settingsManager.replaceSettings(settingsDoc.settings || {});
+            }
+
+            if (this.siteProfileManager) {
+                this.siteProfileManager.replaceProfiles(settingsDoc.siteProfiles || []);
+                this.siteProfileManager.matchLocation(window.location);
+            }
+
+            // 立即应用到正在运行的模块
+            // 合并后的配置包含站点配置的覆盖值，应用期间暂停持久化，避免其被写回全局设置
+            if (this.app && this.initialized) {
+                this.settingsManager.stopPersisting();
+                try {
+                    this._restoreSettings(this._mergeConfig(this.userConfig));
+                } finally {
+                    this.settingsManager.startPersisting();
+                }
+            }
+
+            this.logger.info('Settings imported');
+            return { success: true, errors: [] };
+        } catch (error) {
+            this.logger.error('Failed to import settings:', error);
+            return { success: false, errors: [`导入失败: ${error.message}`] };
+        }
+    }
+
+    /**
+     * 在本站点停用脚本并销毁应用程序
+     * @returns {Promise<void>}
+     */
+    async disableForCurrentSite() {
+        if (!this.siteProfileManager) {
+            return;
+        }
+
+        this.siteProfileManager.saveProfileForHostname(
+            window.location.hostname,
+            {},
+            { disabled: true }
+        );
+        this.disabledForSite = true;
+
+        if (this.initialized) {
+            await this.destroy();
+        }
+
+        this._registerEnableMenuCommand();
+    }
+
+    /**
+     * 在本站点重新启用脚本并初始化应用程序
+     * @returns {Promise<void>}
+     */
+    async enableForCurrentSite() {
+        if (!this.siteProfileManager || this.initialized) {
+            return;
+        }
+
+        if (!this.siteProfileManager.enableForLocation(window.location)) {
+            this.logger.warn('Failed to enable Scrollbar Controller for this site');
+            return;
+        }
+
+        this._unregisterEnableMenuCommand();
+        this.disabledForSite = false;
+        await this.initialize(this.userConfig);
+    }
+
+    /**
+     * 注册"在本站启用"菜单命令，站点被停用时页面上没有脚本界面，只能从脚本管理器菜单恢复
+     * @private
+     */
+    _registerEnableMenuCommand() {
+        if (typeof GM_registerMenuCommand !== 'function' || this.enableMenuCommandId !== null) {
+            return;
+        }
+
+        this.enableMenuCommandId = GM_registerMenuCommand('在本站启用', () => {
+            this.enableForCurrentSite().catch(error => {
+                this.logger.error('Failed to enable for current site:', error);
+            });
+        });
+    }
+
+    /**
+     * 移除"在本站启用"菜单命令
+     * @private
+     */
+    _unregisterEnableMenuCommand() {
+        if (this.enableMenuCommandId === null) {
+            return;
+        }
+
+        if (typeof GM_unregisterMenuCommand === 'function') {
+            GM_unregisterMenuCommand(this.enableMenuCommandId);
+        }
+        this.enableMenuCommandId = null;
+    }
+
     /**
      * 注册所有管理器
      * @private
@@ -145,6 +404,13 @@ class ScrollbarControllerApp {
             // 创建滚动检测器（需要样式管理器引用）
             const scrollDetector = new ScrollDetector(this.app.getEventBus(), styleManager);
 
+            // 创建容器检测器（用于页面内的可滚动容器）
+            const containerDetector = new ContainerDetector(this.app.getEventBus());
+            scrollDetector.setContainerDetector(containerDetector);
+
+            // 创建边缘靠近检测器（semi模式下指针靠近边缘时显示滚动条）
+            const proximityDetector = new ProximityDetector(this.app.getEventBus(), styleManager);
+
             // 创建并注册自动滚动管理器
             const autoScrollManager = new AutoScrollManager(this.app.getEventBus());
             this.app.registerManager('autoScroll', autoScrollManager);
@@ -153,10 +419,18 @@ class ScrollbarControllerApp {
             const keyboardHandler = new KeyboardHandler(this.app.getEventBus(), autoScrollManager);
             this.app.registerManager('keyboard', keyboardHandler);
 
+            // 创建并注册跨标签页同步管理器
+            const tabSyncManager = new TabSyncManager(this.app.getEventBus());
+            this.app.registerManager('tabSync', tabSyncManager);
+
             // 创建并注册UI控制器
             const uiController = new UIController(this.app.getEventBus(), styleManager);
             this.app.registerManager('ui', uiController);
 
+            // 注册设置管理器和站点配置管理器（已在initialize中创建并加载）
+            this.app.registerManager('settings', this.settingsManager);
+            this.app.registerManager('siteProfiles', this.siteProfileManager);
+
             // 建立模块间的依赖关系
             this._establishModuleDependencies(
                 styleManager,
@@ -169,6 +443,8 @@ class ScrollbarControllerApp {
             // 注册检测器作为依赖项（不作为管理器，但可以通过应用访问）
             this.app.browserDetector = browserDetector;
             this.app.scrollDetector = scrollDetector;
+            this.app.containerDetector = containerDetector;
+            this.app.proximityDetector = proximityDetector;
 
             this.logger.info('All managers registered successfully');
         } catch (error) {
@@ -241,7 +517,7 @@ class ScrollbarControllerApp {
         // UI控制器与样式管理器的通信
         eventBus.on('ui:mode-select', data => {
             if (styleManager && typeof styleManager.setMode === 'function') {
-                styleManager.setMode(data.mode);
+                styleManager.setMode(data.mode, data.axis);
             }
         });
 
@@ -252,6 +528,72 @@ class ScrollbarControllerApp {
             }
         });
 
+        eventBus.on('ui:speed-mode-change', data => {
+            if (autoScrollManager && typeof autoScrollManager.setSpeedMode === 'function') {
+                autoScrollManager.setSpeedMode(data.mode);
+            }
+        });
+
+        eventBus.on('ui:auto-scroll-mode-change', data => {
+            if (autoScrollManager && typeof autoScrollManager.setScrollMode === 'function') {
+                autoScrollManager.setScrollMode(data.mode);
+            }
+        });
+
+        eventBus.on('ui:step-interval-change', data => {
+            if (autoScrollManager && typeof autoScrollManager.setStepInterval === 'function') {
+                autoScrollManager.setStepInterval(data.interval);
+            }
+        });
+
+        eventBus.on('ui:infinite-mode-change', data => {
+            if (autoScrollManager && typeof autoScrollManager.setInfiniteMode === 'function') {
+                autoScrollManager.setInfiniteMode(data.enabled);
+            }
+        });
+
+        eventBus.on('ui:loop-mode-change', data => {
+            if (autoScrollManager && typeof autoScrollManager.setLoopMode === 'function') {
+                autoScrollManager.setLoopMode(data.mode);
+            }
+        });
+
+        eventBus.on('ui:stop-time-change', data => {
+            if (autoScrollManager && typeof autoScrollManager.setConfig === 'function') {
+                autoScrollManager.setConfig({ stopTime: data.time });
+            }
+        });
+
+        eventBus.on('ui:pause-rules-change', data => {
+            if (autoScrollManager && typeof autoScrollManager.setPauseRules === 'function') {
+                autoScrollManager.setPauseRules(data.rules);
+            }
+        });
+
+        eventBus.on('ui:teleprompter-change', data => {
+            if (autoScrollManager && typeof autoScrollManager.setTeleprompter === 'function') {
+                autoScrollManager.setTeleprompter(data.settings);
+            }
+        });
+
+        eventBus.on('ui:scroll-target-picked', data => {
+            if (autoScrollManager && typeof autoScrollManager.setScrollTarget === 'function') {
+                autoScrollManager.setScrollTarget(data.element);
+            }
+        });
+
+        eventBus.on('ui:scroll-target-clear', () => {
+            if (autoScrollManager && typeof autoScrollManager.setScrollTarget === 'function') {
+                autoScrollManager.setScrollTarget(null);
+            }
+        });
+
+        eventBus.on('ui:wpm-change', data => {
+            if (autoScrollManager && typeof autoScrollManager.setWpm === 'function') {
+                autoScrollManager.setWpm(data.wpm);
+            }
+        });
+
         // UI自动滚动控制事件
         eventBus.on('ui:auto-scroll-start', () => {
             if (autoScrollManager && typeof autoScrollManager.startAutoScroll === 'function') {
@@ -265,10 +607,45 @@ class ScrollbarControllerApp {
             }
         });
 
+        // UI站点配置操作
+        eventBus.on('ui:save-site-profile', () => {
+            this.saveCurrentSiteProfile();
+        });
+
+        // UI设置导入导出
+        eventBus.on('ui:export-settings', () => {
+            eventBus.emit('settings:exported', { json: this.exportSettings() });
+        });
+
+        eventBus.on('ui:import-settings', data => {
+            const result = this.importSettings(data && data.text);
+            eventBus.emit('settings:imported', result);
+        });
+
+        // UI跨标签页同步选项
+        eventBus.on('ui:sync-local-auto-scroll', data => {
+            const tabSyncManager = this.app.getManager('tabSync');
+            if (tabSyncManager && data) {
+                tabSyncManager.setLocalAutoScroll(data.localAutoScroll);
+            }
+        });
+
+        // 应用其他标签页同步过来的状态
+        eventBus.on('tab-sync:received', data => {
+            this._applySyncMessage(data, styleManager, autoScrollManager);
+        });
+
+        eventBus.on('ui:disable-site', () => {
+            this.disableForCurrentSite().catch(error => {
+                this.logger.error('Failed to disable for current site:', error);
+            });
+        });
+
         // 键盘处理器与自动滚动管理器的通信
         eventBus.on('keyboard:toggle', () => {
             if (autoScrollManager) {
-                if (autoScrollManager.isScrolling) {
+                // 减速滑行中再次切换视为重新开始
+                if (autoScrollManager.isScrolling && !autoScrollManager.isStopping()) {
                     autoScrollManager.stopAutoScroll();
                 } else {
                     autoScrollManager.startAutoScroll();
@@ -276,6 +653,45 @@ class ScrollbarControllerApp {
             }
         });
 
+        eventBus.on('keyboard:cycle-mode', () => {
+            if (styleManager && typeof styleManager.cycleMode === 'function') {
+                styleManager.cycleMode();
+            }
+        });
+
+        eventBus.on('keyboard:toggle-panel', () => {
+            if (uiController && typeof uiController.togglePanel === 'function') {
+                uiController.togglePanel();
+            }
+        });
+
+        // 在控制面板中重新绑定快捷键
+        eventBus.on('ui:key-binding-capture', data => {
+            if (keyboardHandler && typeof keyboardHandler.startCapture === 'function') {
+                keyboardHandler.startCapture(data.action, { scope: data.scope });
+            }
+        });
+
+        // 在本站停用与网页冲突的快捷键
+        eventBus.on('ui:site-key-binding-disable', data => {
+            if (keyboardHandler && typeof keyboardHandler.setBinding === 'function') {
+                keyboardHandler.setBinding(data.action, '', { scope: KeyBindingScopes.SITE });
+            }
+        });
+
+        // 站点范围的快捷键保存到本站的站点配置
+        eventBus.on('keyboard-handler:bindings-changed', data => {
+            if (data && data.scope === KeyBindingScopes.SITE) {
+                this.saveSiteKeyBindings(data.previousBindings, data.bindings);
+            }
+        });
+
+        eventBus.on('ui:key-bindings-reset', () => {
+            if (keyboardHandler && typeof keyboardHandler.setBindings === 'function') {
+                keyboardHandler.setBindings(Config.keyboard.bindings);
+            }
+        });
+
         // 样式管理器状态变化通知UI
         eventBus.on('style:mode-change', data => {
             if (uiController && typeof uiController.updateMode === 'function') {
@@ -298,14 +714,34 @@ class ScrollbarControllerApp {
 
         // 滚动检测器与样式管理器的通信（用于semi模式）
         eventBus.on('scroll:start', () => {
-            if (styleManager && styleManager.currentMode === 'semi') {
-                styleManager.showScrollbar();
+            if (styleManager && styleManager.hasMode('semi')) {
+                styleManager.showScrollbarForSemi();
             }
         });
 
         eventBus.on('scroll:end', () => {
-            if (styleManager && styleManager.currentMode === 'semi') {
-                styleManager.hideScrollbar();
+            if (styleManager && styleManager.hasMode('semi')) {
+                styleManager.hideScrollbarForSemi();
+            }
+        });
+
+        // 边缘靠近检测与滚动检测同步启停（两者都只在semi模式下需要）
+        eventBus.on('scroll-detector:started', () => {
+            if (this.app.proximityDetector) {
+                this.app.proximityDetector.startDetection();
+            }
+        });
+
+        eventBus.on('scroll-detector:stopped', () => {
+            if (this.app.proximityDetector) {
+                this.app.proximityDetector.stopDetection();
+            }
+        });
+
+        // 容器检测随滚动条模式启停（启动阶段由_startAllModules统一处理）
+        eventBus.on('style-manager:mode-changed', () => {
+            if (this.initialized) {
+                this._updateContainerDetection(styleManager);
             }
         });
 
@@ -423,6 +859,167 @@ class ScrollbarControllerApp {
         this.logger.info('Manager functionality validation completed');
     }
 
+    /**
+     * 将合并后的配置应用到各管理器，恢复上次保存的模式和速度
+     * @private
+     * @param {object} appConfig - 合并后的配置
+     */
+    _restoreSettings(appConfig) {
+        try {
+            const styleManager = this.app.getManager('style');
+            const autoScrollManager = this.app.getManager('autoScroll');
+            const mode = appConfig.scrollbar && appConfig.scrollbar.defaultMode;
+            const horizontalMode = appConfig.scrollbar && appConfig.scrollbar.defaultHorizontalMode;
+            const theme = appConfig.scrollbar && appConfig.scrollbar.theme;
+            const proximityReveal = appConfig.scrollbar && appConfig.scrollbar.proximityReveal;
+            const fade = appConfig.scrollbar && appConfig.scrollbar.fade;
+            const speed = appConfig.autoScroll && appConfig.autoScroll.defaultSpeed;
+
+            // 先应用主题和淡入淡出配置，切换模式时直接使用保存的值
+            if (theme && styleManager && typeof styleManager.setTheme === 'function') {
+                styleManager.setTheme(theme);
+            }
+
+            if (fade && styleManager && typeof styleManager.setFade === 'function') {
+                styleManager.setFade(fade);
+            }
+
+            // 在切换到semi模式前配置边缘靠近检测
+            if (proximityReveal && this.app.proximityDetector) {
+                this.app.proximityDetector.setEnabled(proximityReveal.enabled !== false);
+                this.app.proximityDetector.setDistance(proximityReveal.distance);
+            }
+
+            if (mode && styleManager && typeof styleManager.setMode === 'function') {
+                styleManager.setMode(mode);
+
+                // 水平方向未单独设置时与垂直方向相同
+                if (horizontalMode) {
+                    styleManager.setMode(horizontalMode, ScrollbarAxes.HORIZONTAL);
+                }
+            }
+
+            if (
+                typeof speed === 'number' &&
+                autoScrollManager &&
+                typeof autoScrollManager.setSpeed === 'function'
+            ) {
+                autoScrollManager.setSpeed(speed);
+            }
+
+            if (
+                appConfig.autoScroll &&
+                autoScrollManager &&
+                typeof autoScrollManager.setConfig === 'function'
+            ) {
+                const easing = appConfig.autoScroll.easing || {};
+                const stopConditions = appConfig.autoScroll.stopConditions || {};
+                const loop = appConfig.autoScroll.loop || {};
+                const watchdog = appConfig.autoScroll.watchdog || {};
+                autoScrollManager.setConfig({
+                    pixelsPerSpeedLevel: appConfig.autoScroll.pixelsPerSpeedLevel,
+                    frameRate: appConfig.autoScroll.frameRate,
+                    autoDetectTarget: appConfig.autoScroll.autoDetectTarget,
+                    stepOverlap: appConfig.autoScroll.step && appConfig.autoScroll.step.overlap,
+                    stepAlign: appConfig.autoScroll.step && appConfig.autoScroll.step.align,
+                    contentWaitTimeout:
+                        appConfig.autoScroll.infinite && appConfig.autoScroll.infinite.timeout,
+                    easing: easing.curve,
+                    easingStartDuration: easing.startDuration,
+                    easingStopDuration: easing.stopDuration,
+                    easingChangeDuration: easing.changeDuration,
+                    stopTime: stopConditions.time,
+                    stopDistance: stopConditions.distance,
+                    stopSelector: stopConditions.selector,
+                    loopDwellAtEnd: loop.dwellAtEnd,
+                    loopDwellAtStart: loop.dwellAtStart,
+                    watchdog: watchdog.enabled,
+                    watchdogInterval: watchdog.interval
+                });
+            }
+
+            if (appConfig.autoScroll && autoScrollManager) {
+                if (typeof appConfig.autoScroll.defaultWpm === 'number') {
+                    autoScrollManager.setWpm(appConfig.autoScroll.defaultWpm);
+                }
+                if (appConfig.autoScroll.speedMode) {
+                    autoScrollManager.setSpeedMode(appConfig.autoScroll.speedMode);
+                }
+                if (appConfig.autoScroll.direction) {
+                    autoScrollManager.setDirection(appConfig.autoScroll.direction);
+                }
+                if (appConfig.autoScroll.infinite) {
+                    autoScrollManager.setInfiniteMode(appConfig.autoScroll.infinite.enabled);
+                }
+                if (appConfig.autoScroll.step) {
+                    autoScrollManager.setStepInterval(appConfig.autoScroll.step.interval);
+                }
+                if (appConfig.autoScroll.loop) {
+                    autoScrollManager.setLoopMode(appConfig.autoScroll.loop.mode);
+                }
+                if (appConfig.autoScroll.pauseRules) {
+                    autoScrollManager.setPauseRules(appConfig.autoScroll.pauseRules);
+                }
+                if (appConfig.autoScroll.teleprompter) {
+                    autoScrollManager.setTeleprompter(appConfig.autoScroll.teleprompter);
+                }
+                if (appConfig.autoScroll.mode) {
+                    autoScrollManager.setScrollMode(appConfig.autoScroll.mode);
+                }
+            }
+
+            const keyboardHandler = this.app.getManager('keyboard');
+            if (keyboardHandler && appConfig.keyboard) {
+                if (appConfig.keyboard.bindings) {
+                    keyboardHandler.setBindings(appConfig.keyboard.bindings);
+                }
+                if (appConfig.keyboard.sequenceTimeout) {
+                    keyboardHandler.setSequenceTimeout(appConfig.keyboard.sequenceTimeout);
+                }
+                if (typeof appConfig.keyboard.conflictDetection === 'boolean') {
+                    keyboardHandler.setConflictDetection(appConfig.keyboard.conflictDetection);
+                }
+            }
+
+            const tabSyncManager = this.app.getManager('tabSync');
+            if (tabSyncManager && appConfig.sync) {
+                tabSyncManager.setLocalAutoScroll(appConfig.sync.localAutoScroll);
+            }
+
+            this.logger.info('Settings restored', { mode, horizontalMode, speed });
+        } catch (error) {
+            // 恢复失败不应阻止应用启动
+            this.logger.error('Failed to restore settings:', error);
+        }
+    }
+
+    /**
+     * 将其他标签页的同步消息应用到本地模块
+     * @private
+     * @param {object} data - 同步消息 { type, value }
+     * @param {StyleManager} styleManager - 样式管理器
+     * @param {AutoScrollManager} autoScrollManager - 自动滚动管理器
+     */
+    _applySyncMessage(data, styleManager, autoScrollManager) {
+        switch (data.type) {
+            case SyncMessageTypes.MODE:
+                styleManager.setMode(data.value.vertical, ScrollbarAxes.VERTICAL);
+                styleManager.setMode(data.value.horizontal, ScrollbarAxes.HORIZONTAL);
+                break;
+            case SyncMessageTypes.SPEED:
+                autoScrollManager.setSpeed(data.value);
+                break;
+            case SyncMessageTypes.AUTO_SCROLL_START:
+                autoScrollManager.startAutoScroll(undefined, { reason: 'sync' });
+                break;
+            case SyncMessageTypes.AUTO_SCROLL_STOP:
+                autoScrollManager.stopAutoScroll();
+                break;
+            default:
+                this.logger.warn('Unknown sync message type:', data.type);
+        }
+    }
+
     /**
      * 启动所有功能模块
      * @private
@@ -454,15 +1051,45 @@ class ScrollbarControllerApp {
             const uiController = this.app.getManager('ui');
             if (uiController && typeof uiController.initialize === 'function') {
                 uiController.initialize();
+
+                // 面板创建时设置已恢复，需要主动同步自动滚动状态
+                if (autoScrollManager && typeof uiController.syncAutoScrollState === 'function') {
+                    uiController.syncAutoScrollState({
+                        speedMode: autoScrollManager.getSpeedMode(),
+                        speed: autoScrollManager.getSpeed(),
+                        wpm: autoScrollManager.getWpm(),
+                        scrollMode: autoScrollManager.getScrollMode(),
+                        stepInterval: autoScrollManager.getStepInterval(),
+                        infiniteMode: autoScrollManager.isInfiniteMode(),
+                        pauseRules: autoScrollManager.getPauseRules(),
+                        stopTime: autoScrollManager.getStopConditions().time,
+                        loopMode: autoScrollManager.getLoopMode(),
+                        teleprompter: autoScrollManager.getTeleprompter()
+                    });
+                }
+
+                if (keyboardHandler && typeof uiController.syncKeyBindings === 'function') {
+                    uiController.syncKeyBindings(keyboardHandler.getBindings());
+                }
             }
 
+            // 启动跨标签页同步
+            const tabSyncManager = this.app.getManager('tabSync');
+            const syncConfig = this.app.getConfig().sync;
+            if (tabSyncManager && (!syncConfig || syncConfig.enabled !== false)) {
+                tabSyncManager.start();
+            }
+
+            // 启动容器检测器，使滚动条模式同时作用于页面内的可滚动容器
+            this._updateContainerDetection(styleManager);
+
             // 启动滚动检测器（如果需要）
             if (
                 this.app.scrollDetector &&
                 typeof this.app.scrollDetector.startDetection === 'function'
             ) {
-                // 只在semi模式下启动滚动检测
-                if (styleManager && styleManager.currentMode === 'semi') {
+                // 只在任一方向为semi模式时启动滚动检测
+                if (styleManager && styleManager.hasMode('semi')) {
                     this.app.scrollDetector.startDetection();
                 }
             }
@@ -474,6 +1101,31 @@ class ScrollbarControllerApp {
         }
     }
 
+    /**
+     * 按当前滚动条模式启停容器检测
+     * 容器标记只供滚动条样式使用，两个方向都为default模式时无需扫描和监听页面
+     * @private
+     * @param {StyleManager} styleManager - 样式管理器
+     */
+    _updateContainerDetection(styleManager) {
+        const containerDetector = this.app.containerDetector;
+        if (!containerDetector || !styleManager) {
+            return;
+        }
+
+        const containersConfig = this.app.getConfig().containers;
+        const isEnabled = !containersConfig || containersConfig.enabled !== false;
+        const hasStyledAxis = Object.values(styleManager.getAxisModes()).some(
+            mode => mode && mode !== ScrollbarModes.DEFAULT
+        );
+
+        if (isEnabled && hasStyledAxis) {
+            containerDetector.startDetection();
+        } else {
+            containerDetector.stopDetection();
+        }
+    }
+
     /**
      * 停止所有功能模块
      * @private
@@ -491,6 +1143,22 @@ class ScrollbarControllerApp {
                 this.app.scrollDetector.stopDetection();
             }
 
+            // 停止边缘靠近检测器
+            if (this.app.proximityDetector) {
+                this.app.proximityDetector.cleanup();
+            }
+
+            // 停止容器检测器
+            if (this.app.containerDetector) {
+                this.app.containerDetector.cleanup();
+            }
+
+            // 停止跨标签页同步
+            const tabSyncManager = this.app.getManager('tabSync');
+            if (tabSyncManager) {
+                tabSyncManager.cleanup();
+            }
+
             // 停止键盘处理器
             const keyboardHandler = this.app.getManager('keyboard');
             if (keyboardHandler && typeof keyboardHandler.disable === 'function') {
@@ -520,6 +1188,15 @@ class ScrollbarControllerApp {
                 styleManager.cleanup();
             }
 
+            // 停止设置自动保存
+            if (this.settingsManager) {
+                this.settingsManager.cleanup();
+            }
+
+            if (this.siteProfileManager) {
+                this.siteProfileManager.cleanup();
+            }
+
             this.logger.info('All modules stopped successfully');
         } catch (error) {
             this.logger.error('Error stopping modules:', error);
@@ -534,8 +1211,13 @@ class ScrollbarControllerApp {
      * @returns {object} 合并后的配置
      */
     _mergeConfig(userConfig) {
-        // 使用深度合并来组合默认配置和用户配置
-        return this._deepMerge(Config, userConfig);
+        // 合并顺序：默认配置 < 已保存的设置 < 站点配置 < 用户配置
+        const savedSettings = this.settingsManager ? this.settingsManager.getSettings() : {};
+        const siteConfig = this.siteProfileManager ? this.siteProfileManager.getActiveConfig() : {};
+
+        let merged = this._deepMerge(Config, savedSettings);
+        merged = this._deepMerge(merged, siteConfig);
+        return this._deepMerge(merged, userConfig);
     }
 
     /**
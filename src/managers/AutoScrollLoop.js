@@ -0,0 +1,201 @@
+import { AutoScrollDirections, AutoScrollLoopModes, Config } from '../utils/constants.js';
+
+// 往返模式下的反方向
+const OPPOSITE_DIRECTIONS = {
+    [AutoScrollDirections.DOWN]: AutoScrollDirections.UP,
+    [AutoScrollDirections.UP]: AutoScrollDirections.DOWN,
+    [AutoScrollDirections.LEFT]: AutoScrollDirections.RIGHT,
+    [AutoScrollDirections.RIGHT]: AutoScrollDirections.LEFT
+};
+
+/**
+ * AutoScrollLoop - 负责自动滚动的循环
+ *
+ * 到达末尾后在该端停留一段时间，然后回到开头（restart）或反向继续滚动（ping-pong）；
+ * 往返时AutoScrollManager的方向随之反转，停止滚动后恢复为用户设置的方向
+ */
+export class AutoScrollLoop {
+    constructor(eventBus, autoScrollManager) {
+        this.eventBus = eventBus;
+        this.autoScrollManager = autoScrollManager;
+
+        // 循环配置
+        this.mode = Config.autoScroll.loop.mode;
+        this.dwellAtEnd = Config.autoScroll.loop.dwellAtEnd; // 毫秒
+        this.dwellAtStart = Config.autoScroll.loop.dwellAtStart; // 毫秒
+
+        // 循环状态
+        this.timer = null; // 两端停留的计时器
+        this.count = 0; // 本次滚动已循环的次数
+        this.baseDirection = autoScrollManager.direction; // 用户设置的方向，往返模式下反向时保持不变
+    }
+
+    /**
+     * 检查是否开启了循环
+     * @returns {boolean} 是否开启
+     */
+    isEnabled() {
+        return this.mode !== AutoScrollLoopModes.OFF;
+    }
+
+    /**
+     * 检查是否正在一端停留
+     * @returns {boolean} 是否正在停留
+     */
+    isDwelling() {
+        return this.timer !== null;
+    }
+
+    /**
+     * 在当前一端停留，结束后回到开头或反向
+     * 往返模式下回到起点一端时停留dwellAtStart，其余情况停留dwellAtEnd
+     */
+    beginDwell() {
+        const manager = this.autoScrollManager;
+        manager.stopMotion();
+        this.cancelDwell();
+
+        const atStart = manager.direction !== this.baseDirection;
+        const duration = atStart ? this.dwellAtStart : this.dwellAtEnd;
+
+        console.log('[AutoScrollLoop] 已到达一端，停留', duration, 'ms 后循环:', this.mode);
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.performLoop();
+        }, duration);
+
+        this.eventBus.emit('auto-scroll:loop-dwell', {
+            timestamp: Date.now(),
+            mode: this.mode,
+            edge: atStart ? 'start' : 'end',
+            duration,
+            direction: manager.direction,
+            target: manager.activeTarget
+        });
+    }
+
+    /**
+     * 执行一次循环：回到开头并停留后继续，或反向继续滚动
+     */
+    performLoop() {
+        const manager = this.autoScrollManager;
+
+        if (!manager.isScrolling) {
+            return;
+        }
+
+        try {
+            this.count++;
+
+            if (this.mode === AutoScrollLoopModes.PING_PONG) {
+                manager.direction = OPPOSITE_DIRECTIONS[manager.direction];
+            } else {
+                this.jumpToStart();
+            }
+
+            console.log('[AutoScrollLoop] 开始第', this.count, '次循环，方向:', manager.direction);
+
+            this.eventBus.emit('auto-scroll:loop', {
+                timestamp: Date.now(),
+                mode: this.mode,
+                loopCount: this.count,
+                direction: manager.direction,
+                target: manager.activeTarget
+            });
+
+            // 回到开头后先停留，让观看者看清页面顶部
+            if (this.mode === AutoScrollLoopModes.RESTART && this.dwellAtStart > 0) {
+                this.timer = setTimeout(() => {
+                    this.timer = null;
+                    manager.restartMotion();
+                }, this.dwellAtStart);
+                return;
+            }
+
+            manager.restartMotion();
+        } catch (error) {
+            console.error('[AutoScrollLoop] 循环滚动失败:', error);
+            this.eventBus.emit('auto-scroll:error', { error, phase: 'loop' });
+            manager.stopAutoScrollWithReason('error');
+        }
+    }
+
+    /**
+     * 立即跳回用户设置方向的起点（向下滚动时为顶部）
+     */
+    jumpToStart() {
+        const manager = this.autoScrollManager;
+        const distance = manager.getMaxScrollPosition();
+        const [dx, dy] = manager.getDirectionVector(this.baseDirection);
+        manager.scrollTargetBy(-dx * distance, -dy * distance);
+    }
+
+    /**
+     * 取消两端的停留
+     */
+    cancelDwell() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * 开始滚动时重置循环次数
+     */
+    begin() {
+        this.count = 0;
+    }
+
+    /**
+     * 停止滚动时结束循环，往返模式下恢复用户设置的方向
+     */
+    end() {
+        this.cancelDwell();
+        this.autoScrollManager.direction = this.baseDirection;
+    }
+
+    /**
+     * 设置循环方式
+     * @param {string} mode - 循环方式 ('off' | 'restart' | 'ping-pong')
+     * @returns {boolean} 是否设置成功
+     */
+    setMode(mode) {
+        if (!Object.values(AutoScrollLoopModes).includes(mode)) {
+            console.warn('[AutoScrollLoop] 无效的循环方式:', mode);
+            return false;
+        }
+
+        if (mode === this.mode) {
+            return true;
+        }
+
+        const previousMode = this.mode;
+        this.mode = mode;
+
+        // 关闭循环时正在停留，按到达末尾处理
+        if (!this.isEnabled() && this.isDwelling()) {
+            this.autoScrollManager.stopAutoScrollWithReason('reached-end');
+        }
+
+        console.log(`[AutoScrollLoop] 循环方式已切换: ${previousMode} -> ${mode}`);
+
+        this.eventBus.emit('auto-scroll:loop-mode-changed', {
+            timestamp: Date.now(),
+            previousMode,
+            mode,
+            isScrolling: this.autoScrollManager.isScrolling
+        });
+
+        return true;
+    }
+
+    /**
+     * 获取循环方式
+     * @returns {string} 循环方式
+     */
+    getMode() {
+        return this.mode;
+    }
+}
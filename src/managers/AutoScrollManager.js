@@ -1,14 +1,91 @@
+import {
+    AutoScrollDirections,
+    AutoScrollEasingCurves,
+    AutoScrollModes,
+    AutoScrollSpeedModes,
+    AutoScrollStepAlignments,
+    Config,
+    OWN_UI_SELECTOR
+} from '../utils/constants.js';
+import { ReadingDensity } from '../utils/readingDensity.js';
+import { SettingsStorage } from '../utils/storage.js';
+import { AutoScrollLoop } from './AutoScrollLoop.js';
+import { AutoScrollPauseRules } from './AutoScrollPauseRules.js';
+import { AutoScrollStepper } from './AutoScrollStepper.js';
+import { AutoScrollTeleprompter } from './AutoScrollTeleprompter.js';
+import { AutoScrollWatchdog } from './AutoScrollWatchdog.js';
+
+// 各方向每像素滚动对应的位移 [x, y]
+const DIRECTION_VECTORS = {
+    [AutoScrollDirections.DOWN]: [0, 1],
+    [AutoScrollDirections.UP]: [0, -1],
+    [AutoScrollDirections.LEFT]: [-1, 0],
+    [AutoScrollDirections.RIGHT]: [1, 0]
+};
+
+// 判断到达边界时允许的误差（像素）
+const BOUNDARY_TOLERANCE = 5;
+
+// 可产生滚动的overflow取值
+const SCROLLABLE_OVERFLOW_VALUES = ['auto', 'scroll', 'overlay'];
+
+// 脚本自身的UI元素不作为滚动目标
+const IGNORED_TARGET_SELECTOR = OWN_UI_SELECTOR;
+
+// 滚动目标的来源
+const TARGET_SOURCES = {
+    PAGE: 'page', // 滚动整个页面
+    POINTER: 'pointer', // 自动选择的指针下方容器
+    PICKED: 'picked' // 用户在控制面板中选择的元素
+};
+
+// 阅读速度模式下每级速度调整对应的WPM变化量
+const WPM_STEP = 25;
+
+// 单帧最大时间间隔（毫秒），标签页切回前台时避免一次跳过大段距离
+const MAX_FRAME_DELTA = 100;
+
+// 缓动曲线，输入为过渡进度（0-1），输出为速度变化的完成比例（0-1）
+const EASING_FUNCTIONS = {
+    [AutoScrollEasingCurves.LINEAR]: t => t,
+    [AutoScrollEasingCurves.EASE_IN_OUT]: t =>
+        t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2,
+    [AutoScrollEasingCurves.EXPONENTIAL]: t => (t >= 1 ? 1 : 1 - Math.pow(2, -10 * t))
+};
+
+// 滚动中检查停止元素是否进入视口的间隔（毫秒）
+const STOP_SELECTOR_CHECK_INTERVAL = 250;
+
+// 速度过渡的阶段
+const RAMP_PHASES = {
+    START: 'start', // 开始滚动或暂停后恢复
+    CHANGE: 'change', // 调整速度
+    STOP: 'stop' // 手动停止时减速
+};
+
 /**
  * AutoScrollManager - 负责管理自动滚动的核心逻辑，包括速度控制和平滑滚动
  *
  * 提供自动滚动功能，支持：
- * - 可配置的滚动速度（1-10级）
- * - 平滑滚动动画
- * - 页面边界检测
+ * - 可配置的滚动速度（1-10级，每级对应固定的每秒像素数）
+ * - 阅读速度模式：按视口内的文字密度把目标每分钟词数换算为滚动速度
+ * - 基于时间的平滑滚动动画，与显示器刷新率无关
+ * - 向下、向上、向左、向右四个方向及对应的页面边界检测
+ * - 滚动页面或页面内的容器：可自动选择指针下方的可滚动容器，也可指定元素
+ * - 无限滚动模式：到达末尾后等待懒加载的新内容，内容出现后继续滚动
+ * - 翻页模式：每隔一段时间平滑滚动一屏（或到下一个标题、段落的开头），由AutoScrollStepper执行
+ * - 速度缓动：开始时加速、手动停止时减速滑行、调整速度时平滑过渡到新速度
+ * - 停止条件：滚动指定时间、指定距离或指定元素进入视口后自动停止
+ * - 循环：到达末尾后回到开头或反向往返，两端的停留时间可配置，由AutoScrollLoop执行
+ * - 看门狗：意外停止、卡住或页面刷新后由AutoScrollWatchdog自动恢复滚动
+ * - 提词器模式：在视口固定位置显示阅读引导线或阅读带，可淡化其余内容、镜像显示，
+ *   设置由AutoScrollTeleprompter保存
+ * - 自动暂停规则：标签页隐藏、窗口失焦、选中文字、悬停指定元素、滚轮或触摸输入时暂停，
+ *   条件解除后自动恢复，由AutoScrollPauseRules监听
  * - 事件系统集成
  */
 export class AutoScrollManager {
-    constructor(eventBus) {
+    constructor(eventBus, storage = SettingsStorage) {
         this.eventBus = eventBus;
 
         // 自动滚动状态
@@ -21,14 +98,80 @@ export class AutoScrollManager {
         this.minSpeed = 1;
         this.maxSpeed = 10;
 
+        // 滚动方向
+        this.direction = Config.autoScroll.direction;
+
+        // 滚动目标
+        this.autoDetectTarget = Config.autoScroll.autoDetectTarget;
+        this.pickedTarget = null; // 用户指定的滚动元素
+        this.activeTarget = null; // 本次滚动实际驱动的元素，null表示页面
+        this.activeTargetSource = TARGET_SOURCES.PAGE;
+        this.pointerPosition = null; // 最近一次指针位置 { x, y }
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+
+        // 运动方式：连续滚动或定时翻页
+        this.scrollMode = Config.autoScroll.mode;
+        this.stepper = new AutoScrollStepper(eventBus, this); // 翻页模式
+
+        // 循环：到达末尾后回到开头或反向往返
+        this.loop = new AutoScrollLoop(eventBus, this);
+
+        // 看门狗：意外停止或卡住后重新开始，页面刷新后恢复
+        this.watchdog = new AutoScrollWatchdog(eventBus, this, storage);
+
+        // 停止条件：滚动一段时间、一段距离或指定元素进入视口后停止
+        this.stopTime = Config.autoScroll.stopConditions.time; // 秒，0表示不限制
+        this.stopDistance = Config.autoScroll.stopConditions.distance; // 像素，0表示不限制
+        this.stopSelector = Config.autoScroll.stopConditions.selector; // 空字符串表示不检查
+        this.scrollStartedAt = 0;
+        this.scrolledDistance = 0; // 本次滚动累计的像素数
+        this.stopTimer = null;
+        this.stopSelectorVisible = false; // 停止元素上一次检查时是否在视口内
+        this.sinceStopSelectorCheck = 0;
+
+        // 提词器模式（引导线、阅读带和镜像由UI层根据该设置绘制）
+        this.teleprompter = new AutoScrollTeleprompter(eventBus);
+
+        // 自动暂停规则
+        this.pauseRules = new AutoScrollPauseRules(eventBus, this);
+
+        // 无限滚动模式：到达末尾后等待新内容
+        this.infiniteMode = Config.autoScroll.infinite.enabled;
+        this.contentWaitTimeout = Config.autoScroll.infinite.timeout; // 等待新内容的最长时间（毫秒）
+        this.isWaitingForContent = false;
+        this.contentWaitStart = 0;
+        this.contentWaitMaxPosition = 0; // 开始等待时的最大滚动位置，增大即表示有新内容
+        this.contentWaitTimer = null;
+        this.contentObservers = [];
+
+        // 阅读速度（WPM）模式配置
+        this.speedMode = Config.autoScroll.speedMode;
+        this.wpm = Config.autoScroll.defaultWpm;
+        this.minWpm = Config.autoScroll.minWpm;
+        this.maxWpm = Config.autoScroll.maxWpm;
+        this.densityEstimate = null; // 最近一次的阅读密度估算结果
+        this.densitySampleInterval = 500; // 滚动中重新估算密度的间隔（毫秒）
+        this.sinceDensitySample = 0;
+
         // 滚动动画配置
-        this.frameRate = 60; // 目标帧率
-        this.scrollStep = 1; // 基础滚动步长
+        this.pixelsPerSpeedLevel = Config.autoScroll.pixelsPerSpeedLevel; // 每级速度的每秒像素数
+        this.frameRate = Config.autoScroll.frameRate; // 最大更新帧率，0表示不限制
+        this.lastFrameTime = null; // 上次执行滚动步骤的rAF时间戳
+        this.pendingDistance = 0; // 尚未滚动的小数像素
+
+        // 速度缓动：实际速度在过渡时间内按缓动曲线趋近目标速度
+        this.easingCurve = Config.autoScroll.easing.curve;
+        this.easingStartDuration = Config.autoScroll.easing.startDuration;
+        this.easingStopDuration = Config.autoScroll.easing.stopDuration;
+        this.easingChangeDuration = Config.autoScroll.easing.changeDuration;
+        this.effectivePixelsPerSecond = 0; // 当前实际的每秒滚动像素数
+        this.speedRamp = null; // 进行中的速度过渡 { phase, from, duration, elapsed }
+        this.stopRequested = false; // 手动停止后正在减速滑行
 
         // 页面边界检测
         this.lastScrollPosition = 0;
         this.stuckCounter = 0;
-        this.maxStuckFrames = 10; // 连续10帧位置不变则认为到达底部
+        this.maxStuckFrames = 10; // 连续10帧位置不变则认为到达边界
 
         console.log('[AutoScrollManager] 自动滚动管理器已创建');
     }
@@ -45,6 +188,16 @@ export class AutoScrollManager {
             }
 
             this.isEnabled = true;
+
+            // 记录指针位置，用于自动选择指针下方的滚动容器
+            document.addEventListener('pointermove', this.handlePointerMove, { passive: true });
+
+            // 页面刷新前正在滚动时，由看门狗恢复滚动
+            if (this.watchdog.enabled) {
+                this.watchdog.keepScrolling = this.watchdog.hasSession();
+                this.watchdog.start();
+            }
+
             console.log('[AutoScrollManager] 自动滚动功能已启用');
 
             // 发送启用事件
@@ -72,12 +225,16 @@ export class AutoScrollManager {
                 return true;
             }
 
-            // 如果正在滚动，先停止滚动
+            // 如果正在滚动，先停止滚动（不减速滑行）
             if (this.isScrolling) {
-                this.stopAutoScroll();
+                this.stopAutoScroll({ immediate: true });
             }
 
             this.isEnabled = false;
+            this.watchdog.stop();
+            document.removeEventListener('pointermove', this.handlePointerMove);
+            this.pointerPosition = null;
+
             console.log('[AutoScrollManager] 自动滚动功能已禁用');
 
             // 发送禁用事件
@@ -118,16 +275,44 @@ export class AutoScrollManager {
             enabled: this.isEnabled,
             scrolling: this.isScrolling,
             speed: this.speed,
-            currentPosition: window.scrollY,
-            maxPosition: Math.max(0, document.body.scrollHeight - window.innerHeight)
+            effectiveSpeed: this.getEffectiveSpeed(),
+            targetSpeed: this.getTargetSpeed(),
+            stopping: this.stopRequested,
+            stopAt: this.getStopAt(),
+            scrolledDistance: this.scrolledDistance,
+            direction: this.direction,
+            target: this.activeTarget,
+            targetSource: this.activeTargetSource,
+            scrollMode: this.scrollMode,
+            stepInterval: this.stepper.getStepInterval(),
+            nextStepAt: this.stepper.getNextStepAt(),
+            paused: this.isPaused(),
+            pauseReasons: this.getPauseReasons(),
+            loopMode: this.loop.getMode(),
+            loopCount: this.loop.count,
+            dwelling: this.loop.isDwelling(),
+            watchdog: this.watchdog.enabled,
+            teleprompter: this.getTeleprompter(),
+            infiniteMode: this.infiniteMode,
+            waitingForContent: this.isWaitingForContent,
+            speedMode: this.speedMode,
+            wpm: this.wpm,
+            pixelsPerSecond: this.getPixelsPerSecond(),
+            currentPosition: this.getScrollPosition(),
+            maxPosition: this.getMaxScrollPosition()
         };
     }
 
     /**
      * 开始自动滚动
+     * @param {string} direction - 可选，滚动方向；正在滚动时传入会直接改变方向
+     * @param {Object} options - 可选项
+     * @param {string} options.reason - 开始原因：'manual'（默认）、'watchdog'或'sync'
      * @returns {boolean} 是否成功开始滚动
      */
-    startAutoScroll() {
+    startAutoScroll(direction, options = {}) {
+        const reason = options.reason || 'manual';
+
         try {
             // 检查是否启用了自动滚动功能
             if (!this.isEnabled) {
@@ -135,37 +320,72 @@ export class AutoScrollManager {
                 return false;
             }
 
-            // 检查是否已经在滚动
+            if (direction !== undefined && !this.setDirection(direction)) {
+                return false;
+            }
+
+            // 检查是否已经在滚动（减速滑行中再次开始时重新加速）
             if (this.isScrolling) {
-                console.log('[AutoScrollManager] 自动滚动已在进行中');
+                if (this.stopRequested) {
+                    this.stopRequested = false;
+                    this.watchdog.setKeepScrolling(true);
+                    this.beginSpeedRamp(RAMP_PHASES.START, this.easingStartDuration);
+                    console.log('[AutoScrollManager] 取消停止，重新加速');
+                } else {
+                    console.log('[AutoScrollManager] 自动滚动已在进行中');
+                }
                 return true;
             }
 
-            // 检查是否已到达页面底部
-            if (this.isAtBottom()) {
-                console.log('[AutoScrollManager] 已到达页面底部，无法开始滚动');
-                this.eventBus.emit('auto-scroll:reached-bottom', {
-                    timestamp: Date.now(),
-                    position: window.scrollY
-                });
+            // 确定本次滚动的目标（页面、指针下方的容器或指定的元素）
+            this.selectActiveTarget();
+
+            // 检查是否已到达该方向的边界
+            if (this.isAtBoundary()) {
+                console.log('[AutoScrollManager] 已到达页面边界，无法开始滚动:', this.direction);
+                this.emitBoundaryReached();
                 return false;
             }
 
             // 开始滚动
             this.isScrolling = true;
-            this.lastScrollPosition = window.scrollY;
+            this.watchdog.setKeepScrolling(true);
+            this.loop.begin();
+            this.lastScrollPosition = this.getScrollPosition();
             this.stuckCounter = 0;
+            this.lastFrameTime = null;
+            this.pendingDistance = 0;
 
-            // 启动滚动动画
-            this.startScrollAnimation();
+            // 阅读速度模式下先估算一次当前视口的密度
+            if (this.speedMode === AutoScrollSpeedModes.WPM) {
+                this.updateDensityEstimate();
+            }
 
-            console.log('[AutoScrollManager] 自动滚动已开始，速度:', this.speed);
+            // 启动滚动动画或翻页计时，开始监听自动暂停条件和停止条件
+            this.startMotion();
+            this.pauseRules.bind();
+            this.armStopConditions();
+
+            console.log(
+                '[AutoScrollManager] 自动滚动已开始，速度:',
+                this.speed,
+                '方向:',
+                this.direction
+            );
 
             // 发送开始滚动事件
             this.eventBus.emit('auto-scroll:started', {
                 timestamp: Date.now(),
+                reason,
                 speed: this.speed,
-                startPosition: this.lastScrollPosition
+                effectiveSpeed: this.getEffectiveSpeed(),
+                targetSpeed: this.getTargetSpeed(),
+                scrollMode: this.scrollMode,
+                direction: this.direction,
+                target: this.activeTarget,
+                targetSource: this.activeTargetSource,
+                startPosition: this.lastScrollPosition,
+                stopAt: this.getStopAt()
             });
 
             return true;
@@ -179,24 +399,53 @@ export class AutoScrollManager {
 
     /**
      * 停止自动滚动
+     * 连续滚动时先按stopDuration减速滑行，速度降到0后才真正停止并发出stopped事件
+     * @param {Object} options - 可选项
+     * @param {boolean} options.immediate - 为true时立即停止，不减速滑行
      * @returns {boolean} 是否成功停止滚动
      */
-    stopAutoScroll() {
+    stopAutoScroll(options = {}) {
         try {
             if (!this.isScrolling) {
                 console.log('[AutoScrollManager] 自动滚动未在进行中');
                 return true;
             }
 
-            // 停止动画
-            if (this.animationId) {
-                cancelAnimationFrame(this.animationId);
-                this.animationId = null;
+            // 用户有意停止，看门狗不再恢复
+            this.watchdog.setKeepScrolling(false);
+
+            if (!options.immediate) {
+                if (this.stopRequested) {
+                    return true; // 已在减速滑行
+                }
+
+                if (this.canCoastToStop()) {
+                    this.stopRequested = true;
+                    this.beginSpeedRamp(RAMP_PHASES.STOP, this.easingStopDuration);
+
+                    console.log('[AutoScrollManager] 自动滚动正在减速停止');
+
+                    this.eventBus.emit('auto-scroll:stopping', {
+                        timestamp: Date.now(),
+                        duration: this.easingStopDuration,
+                        effectiveSpeed: this.getEffectiveSpeed(),
+                        targetSpeed: 0
+                    });
+                    return true;
+                }
             }
 
+            // 停止动画、翻页计时、对新内容的等待和自动暂停监听
+            this.stopMotion();
+            this.stopWaitingForContent();
+            this.pauseRules.unbind();
+            this.disarmStopConditions();
+            this.loop.end();
+
             // 重置状态
-            const finalPosition = window.scrollY;
+            const finalPosition = this.getScrollPosition();
             this.isScrolling = false;
+            this.stopRequested = false;
             this.stuckCounter = 0;
 
             console.log('[AutoScrollManager] 自动滚动已停止');
@@ -205,9 +454,15 @@ export class AutoScrollManager {
             this.eventBus.emit('auto-scroll:stopped', {
                 timestamp: Date.now(),
                 finalPosition,
-                reason: 'manual'
+                direction: this.direction,
+                target: this.activeTarget,
+                reason: 'manual',
+                duration: Date.now() - this.scrollStartedAt,
+                scrolledDistance: this.scrolledDistance
             });
 
+            this.clearActiveTarget();
+
             return true;
         } catch (error) {
             console.error('[AutoScrollManager] 停止自动滚动失败:', error);
@@ -216,26 +471,195 @@ export class AutoScrollManager {
         }
     }
 
+    /**
+     * 按当前运动方式开始滚动：连续模式启动动画循环，翻页模式开始翻页计时
+     */
+    startMotion() {
+        if (this.scrollMode === AutoScrollModes.STEP) {
+            this.stepper.schedule();
+        } else {
+            this.startScrollAnimation();
+        }
+    }
+
+    /**
+     * 检查手动停止时是否可以减速滑行（连续滚动且动画正在运行）
+     * @returns {boolean} 是否可以减速滑行
+     */
+    canCoastToStop() {
+        return (
+            this.easingStopDuration > 0 &&
+            this.scrollMode === AutoScrollModes.CONTINUOUS &&
+            this.animationId !== null &&
+            this.effectivePixelsPerSecond > 0
+        );
+    }
+
+    /**
+     * 开始一段速度过渡，从当前实际速度按缓动曲线趋近目标速度
+     * @param {string} phase - 过渡阶段 ('start' | 'change' | 'stop')
+     * @param {number} duration - 过渡时间（毫秒），0表示立即达到目标速度
+     */
+    beginSpeedRamp(phase, duration) {
+        this.speedRamp = {
+            phase,
+            from: this.effectivePixelsPerSecond,
+            duration,
+            elapsed: 0
+        };
+    }
+
+    /**
+     * 获取当前的目标每秒滚动像素数（减速滑行时为0）
+     * @returns {number} 每秒像素数
+     */
+    getTargetPixelsPerSecond() {
+        return this.stopRequested ? 0 : this.getPixelsPerSecond();
+    }
+
+    /**
+     * 推进速度过渡并更新实际速度
+     * @param {number} elapsed - 距上一步的时间（毫秒）
+     * @returns {number} 本帧的实际每秒像素数
+     */
+    updateEffectiveSpeed(elapsed) {
+        const target = this.getTargetPixelsPerSecond();
+        const ramp = this.speedRamp;
+
+        if (!ramp) {
+            this.effectivePixelsPerSecond = target;
+            return target;
+        }
+
+        ramp.elapsed += elapsed;
+        const progress = ramp.duration > 0 ? Math.min(ramp.elapsed / ramp.duration, 1) : 1;
+        const easing =
+            EASING_FUNCTIONS[this.easingCurve] || EASING_FUNCTIONS[AutoScrollEasingCurves.LINEAR];
+        this.effectivePixelsPerSecond = ramp.from + (target - ramp.from) * easing(progress);
+
+        if (progress >= 1) {
+            this.speedRamp = null;
+            this.effectivePixelsPerSecond = target;
+
+            this.eventBus.emit('auto-scroll:speed-ramp-finished', {
+                timestamp: Date.now(),
+                phase: ramp.phase,
+                effectiveSpeed: this.getEffectiveSpeed(),
+                targetSpeed: this.getTargetSpeed()
+            });
+        }
+
+        return this.effectivePixelsPerSecond;
+    }
+
+    /**
+     * 速度设置改变后过渡到新速度（未滚动或减速滑行时不处理）
+     */
+    rampToNewSpeed() {
+        if (this.isScrolling && !this.stopRequested && this.animationId !== null) {
+            this.beginSpeedRamp(RAMP_PHASES.CHANGE, this.easingChangeDuration);
+        }
+    }
+
+    /**
+     * 获取当前实际速度，换算为速度等级（可能为小数）
+     * @returns {number} 实际速度
+     */
+    getEffectiveSpeed() {
+        return this.effectivePixelsPerSecond / this.pixelsPerSpeedLevel;
+    }
+
+    /**
+     * 获取实际速度正在趋近的目标速度，换算为速度等级
+     * @returns {number} 目标速度
+     */
+    getTargetSpeed() {
+        return this.isScrolling ? this.getTargetPixelsPerSecond() / this.pixelsPerSpeedLevel : 0;
+    }
+
+    /**
+     * 检查是否正在减速停止
+     * @returns {boolean} 是否正在减速停止
+     */
+    isStopping() {
+        return this.stopRequested;
+    }
+
+    /**
+     * 停止滚动动画和翻页计时，计入最后一页已经滚动的距离
+     */
+    stopMotion() {
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+
+        this.stepper.recordStepDistance();
+        this.stepper.cancel();
+        this.effectivePixelsPerSecond = 0;
+        this.speedRamp = null;
+    }
+
     /**
      * 启动滚动动画循环
+     * 每帧根据距上一步的时间间隔计算滚动距离，设置了frameRate时跳过过密的帧；
+     * 每次启动都从静止开始按startDuration加速
      */
     startScrollAnimation() {
-        const animate = () => {
+        this.effectivePixelsPerSecond = 0;
+        this.beginSpeedRamp(RAMP_PHASES.START, this.easingStartDuration);
+
+        const animate = timestamp => {
             try {
                 // 检查是否应该继续滚动
                 if (!this.isScrolling || !this.isEnabled) {
                     return;
                 }
 
+                // 第一帧只记录时间，从下一帧开始滚动
+                if (this.lastFrameTime === null) {
+                    this.lastFrameTime = timestamp;
+                    this.animationId = requestAnimationFrame(animate);
+                    return;
+                }
+
+                const elapsed = timestamp - this.lastFrameTime;
+
+                // 未到最小更新间隔时跳过本帧（留1毫秒余量，避免刷新率抖动导致隔帧跳过）
+                if (this.frameRate > 0 && elapsed < 1000 / this.frameRate - 1) {
+                    this.animationId = requestAnimationFrame(animate);
+                    return;
+                }
+
+                this.lastFrameTime = timestamp;
+
+                // 滚动的容器已从页面移除
+                if (this.activeTarget && !this.activeTarget.isConnected) {
+                    console.log('[AutoScrollManager] 滚动目标已从页面移除，停止滚动');
+                    this.stopAutoScrollWithReason('target-removed');
+                    return;
+                }
+
                 // 执行滚动步骤
-                const shouldContinue = this.performScrollStep();
+                const shouldContinue = this.performScrollStep(Math.min(elapsed, MAX_FRAME_DELTA));
+
+                // 满足停止条件时已在滚动步骤中停止
+                if (!this.isScrolling) {
+                    return;
+                }
+
+                // 减速滑行结束，真正停止
+                if (shouldContinue && this.stopRequested && this.effectivePixelsPerSecond <= 0) {
+                    this.stopAutoScroll({ immediate: true });
+                    return;
+                }
 
                 // 如果应该继续滚动，请求下一帧
                 if (shouldContinue) {
                     this.animationId = requestAnimationFrame(animate);
                 } else {
-                    // 自动停止滚动
-                    this.stopAutoScrollWithReason('reached-end');
+                    this.animationId = null;
+                    this.handleReachedEnd();
                 }
             } catch (error) {
                 console.error('[AutoScrollManager] 滚动动画异常:', error);
@@ -257,15 +681,21 @@ export class AutoScrollManager {
             return;
         }
 
-        // 停止动画
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
-            this.animationId = null;
+        // 停止动画、翻页计时、对新内容的等待和自动暂停监听
+        this.stopMotion();
+        this.stopWaitingForContent();
+        this.pauseRules.unbind();
+        this.disarmStopConditions();
+        this.loop.end();
+
+        if (this.watchdog.isFinalStopReason(reason)) {
+            this.watchdog.setKeepScrolling(false);
         }
 
         // 重置状态
-        const finalPosition = window.scrollY;
+        const finalPosition = this.getScrollPosition();
         this.isScrolling = false;
+        this.stopRequested = false;
         this.stuckCounter = 0;
 
         console.log('[AutoScrollManager] 自动滚动已停止，原因:', reason);
@@ -274,198 +704,1261 @@ export class AutoScrollManager {
         this.eventBus.emit('auto-scroll:stopped', {
             timestamp: Date.now(),
             finalPosition,
-            reason
+            direction: this.direction,
+            target: this.activeTarget,
+            reason,
+            duration: Date.now() - this.scrollStartedAt,
+            scrolledDistance: this.scrolledDistance
         });
+
+        this.clearActiveTarget();
     }
 
     /**
-     * 执行单次滚动步骤
-     * @returns {boolean} 是否应该继续滚动
+     * 设置运动方式，正在滚动时立即切换
+     * @param {string} mode - 运动方式 ('continuous' | 'step')
+     * @returns {boolean} 是否设置成功
      */
-    performScrollStep() {
-        try {
-            // 计算当前滚动位置
-            // const currentPosition = window.scrollY;
+    setScrollMode(mode) {
+        if (!Object.values(AutoScrollModes).includes(mode)) {
+            console.warn('[AutoScrollManager] 无效的运动方式:', mode);
+            return false;
+        }
 
-            // 计算滚动距离
-            const scrollDistance = this.calculateScrollDistance();
+        if (mode === this.scrollMode) {
+            return true;
+        }
 
-            // 执行滚动
-            window.scrollBy(0, scrollDistance);
+        const previousMode = this.scrollMode;
+        this.scrollMode = mode;
 
-            // 检查是否到达底部或卡住
-            const newPosition = window.scrollY;
+        if (this.isScrolling && !this.isMotionSuspended()) {
+            this.stopMotion();
+            this.lastFrameTime = null;
+            this.pendingDistance = 0;
+            this.startMotion();
+        }
 
-            // 检查是否卡住（位置没有变化）
-            if (Math.abs(newPosition - this.lastScrollPosition) < 1) {
-                this.stuckCounter++;
-                if (this.stuckCounter >= this.maxStuckFrames) {
-                    console.log('[AutoScrollManager] 检测到滚动卡住，可能已到达页面底部');
-                    this.eventBus.emit('auto-scroll:stuck', {
-                        timestamp: Date.now(),
-                        position: newPosition,
-                        stuckFrames: this.stuckCounter
-                    });
-                    return false;
-                }
-            } else {
-                this.stuckCounter = 0;
-            }
+        console.log(`[AutoScrollManager] 运动方式已更新: ${previousMode} -> ${mode}`);
 
-            // 更新最后位置
-            this.lastScrollPosition = newPosition;
+        this.eventBus.emit('auto-scroll:scroll-mode-changed', {
+            timestamp: Date.now(),
+            previousMode,
+            mode,
+            isScrolling: this.isScrolling
+        });
 
-            // 发送滚动进度事件
-            this.eventBus.emit('auto-scroll:progress', {
-                timestamp: Date.now(),
-                position: newPosition,
-                distance: scrollDistance,
-                speed: this.speed
-            });
+        return true;
+    }
 
-            // 检查是否到达页面底部
-            if (this.isAtBottom()) {
-                console.log('[AutoScrollManager] 已到达页面底部，停止滚动');
-                this.eventBus.emit('auto-scroll:reached-bottom', {
-                    timestamp: Date.now(),
-                    position: newPosition
-                });
-                return false;
-            }
+    /**
+     * 获取运动方式
+     * @returns {string} 运动方式
+     */
+    getScrollMode() {
+        return this.scrollMode;
+    }
 
-            return true;
-        } catch (error) {
-            console.error('[AutoScrollManager] 执行滚动步骤失败:', error);
-            return false;
-        }
+    /**
+     * 设置翻页间隔，正在翻页时从现在重新计时
+     * @param {number} interval - 间隔（秒）
+     * @returns {boolean} 是否设置成功
+     */
+    setStepInterval(interval) {
+        return this.stepper.setStepInterval(interval);
     }
 
     /**
-     * 计算滚动距离
-     * @returns {number} 滚动距离（像素）
+     * 获取翻页间隔
+     * @returns {number} 间隔（秒）
      */
-    calculateScrollDistance() {
-        try {
-            // 基于速度和帧率计算滚动距离
-            // 速度1-10映射到每帧1-10像素
-            const baseDistance = this.speed * this.scrollStep;
+    getStepInterval() {
+        return this.stepper.getStepInterval();
+    }
 
-            // 可以根据需要添加更复杂的计算逻辑
-            // 例如：根据页面高度、当前位置等调整滚动距离
+    /**
+     * 开始滚动时记录起点并启动停止计时
+     */
+    armStopConditions() {
+        this.scrollStartedAt = Date.now();
+        this.scrolledDistance = 0;
+        this.sinceStopSelectorCheck = 0;
+        // 开始时已在视口内的元素不触发停止，离开后再次进入才停止
+        this.stopSelectorVisible = this.isStopSelectorVisible();
+        this.scheduleStopTimer();
+    }
 
-            return baseDistance;
-        } catch (error) {
-            console.error('[AutoScrollManager] 计算滚动距离失败:', error);
-            return this.scrollStep; // 返回默认值
+    /**
+     * 停止计时
+     */
+    disarmStopConditions() {
+        if (this.stopTimer) {
+            clearTimeout(this.stopTimer);
+            this.stopTimer = null;
         }
     }
 
     /**
-     * 检查是否到达页面底部
-     * @returns {boolean} 是否到达底部
+     * 按停止时间安排定时停止（计时从开始滚动算起，包括暂停和等待新内容的时间）
      */
-    isAtBottom() {
-        try {
-            const windowHeight = window.innerHeight;
-            const documentHeight = Math.max(
-                document.body.scrollHeight,
-                document.body.offsetHeight,
-                document.documentElement.clientHeight,
-                document.documentElement.scrollHeight,
-                document.documentElement.offsetHeight
-            );
-            const scrollTop = window.scrollY;
+    scheduleStopTimer() {
+        this.disarmStopConditions();
 
-            // 允许一些误差（5像素）
-            const tolerance = 5;
-            return scrollTop + windowHeight >= documentHeight - tolerance;
-        } catch (error) {
-            console.error('[AutoScrollManager] 检查页面底部失败:', error);
-            return false;
+        const stopAt = this.getStopAt();
+        if (stopAt === null) {
+            return;
         }
+
+        this.stopTimer = setTimeout(
+            () => {
+                this.stopTimer = null;
+                console.log('[AutoScrollManager] 已到达设定的滚动时间，停止滚动');
+                this.stopAutoScrollWithReason('time-limit');
+            },
+            Math.max(stopAt - Date.now(), 0)
+        );
     }
 
     /**
-     * 设置滚动速度
-     * @param {number} speed - 滚动速度 (1-10)
-     * @returns {boolean} 是否成功设置速度
+     * 获取定时停止的时间戳
+     * @returns {number|null} 时间戳，未在滚动或未设置停止时间时为null
      */
-    setSpeed(speed) {
-        try {
-            // 验证速度范围
-            if (!this.validateSpeed(speed)) {
-                console.warn('[AutoScrollManager] 无效的滚动速度:', speed);
-                return false;
-            }
-
-            const oldSpeed = this.speed;
-            this.speed = speed;
+    getStopAt() {
+        return this.isScrolling && this.stopTime > 0
+            ? this.scrollStartedAt + this.stopTime * 1000
+            : null;
+    }
 
-            console.log(`[AutoScrollManager] 滚动速度已更新: ${oldSpeed} -> ${speed}`);
+    /**
+     * 检查累计滚动距离是否达到停止距离
+     * @returns {boolean} 是否达到
+     */
+    isDistanceLimitReached() {
+        if (this.stopDistance > 0 && this.scrolledDistance >= this.stopDistance) {
+            console.log('[AutoScrollManager] 已滚动设定的距离，停止滚动:', this.scrolledDistance);
+            return true;
+        }
 
-            // 发送速度变更事件
-            this.eventBus.emit('auto-scroll:speed-changed', {
-                timestamp: Date.now(),
-                previousSpeed: oldSpeed,
-                newSpeed: speed,
-                isScrolling: this.isScrolling
-            });
+        return false;
+    }
 
-            // 如果正在滚动，速度变化会在下一帧生效
-            if (this.isScrolling) {
-                console.log('[AutoScrollManager] 滚动速度将在下一帧生效');
-            }
+    /**
+     * 检查停止元素是否在视口内
+     * @returns {boolean} 是否有匹配的元素在视口内
+     */
+    isStopSelectorVisible() {
+        if (!this.stopSelector) {
+            return false;
+        }
 
-            return true;
+        try {
+            return Array.from(document.querySelectorAll(this.stopSelector)).some(element => {
+                const rect = element.getBoundingClientRect();
+                return (
+                    rect.width > 0 &&
+                    rect.height > 0 &&
+                    rect.top < window.innerHeight &&
+                    rect.bottom > 0 &&
+                    rect.left < window.innerWidth &&
+                    rect.right > 0
+                );
+            });
         } catch (error) {
-            console.error('[AutoScrollManager] 设置滚动速度失败:', error);
-            this.eventBus.emit('auto-scroll:error', { error, phase: 'set-speed', speed });
+            console.warn('[AutoScrollManager] 检查停止元素失败:', error);
             return false;
         }
     }
 
     /**
-     * 获取当前滚动速度
-     * @returns {number} 当前滚动速度
+     * 检查停止元素是否刚刚滚动进入视口
+     * @returns {boolean} 是否应该停止
      */
-    getSpeed() {
-        return this.speed;
+    checkStopSelector() {
+        const visible = this.isStopSelectorVisible();
+        const entered = visible && !this.stopSelectorVisible;
+        this.stopSelectorVisible = visible;
+
+        if (entered) {
+            console.log('[AutoScrollManager] 停止元素已进入视口，停止滚动:', this.stopSelector);
+        }
+
+        return entered;
     }
 
     /**
-     * 获取速度范围
-     * @returns {Object} 速度范围信息
+     * 获取停止条件
+     * @returns {Object} 停止条件 { time, distance, selector }
      */
-    getSpeedRange() {
+    getStopConditions() {
         return {
-            min: this.minSpeed,
-            max: this.maxSpeed,
-            current: this.speed,
-            default: 3
+            time: this.stopTime,
+            distance: this.stopDistance,
+            selector: this.stopSelector
         };
     }
 
     /**
-     * 验证速度值是否有效
-     * @param {number} speed - 要验证的速度值
-     * @returns {boolean} 速度值是否有效
+     * 检查自动滚动是否因暂停规则而暂停
+     * @returns {boolean} 是否暂停
      */
-    validateSpeed(speed) {
-        try {
-            // 检查是否为数字
-            if (typeof speed !== 'number' || isNaN(speed)) {
-                return false;
-            }
+    isPaused() {
+        return this.pauseRules.isPaused();
+    }
 
-            // 检查是否为有限数
-            if (!isFinite(speed)) {
-                return false;
-            }
+    /**
+     * 获取当前生效的暂停原因
+     * @returns {string[]} 暂停原因列表
+     */
+    getPauseReasons() {
+        return this.pauseRules.getReasons();
+    }
 
-            // 检查是否在有效范围内
-            if (speed < this.minSpeed || speed > this.maxSpeed) {
-                return false;
-            }
+    /**
+     * 设置自动暂停规则（可只传入部分字段），关闭的规则立即解除对应的暂停
+     * @param {Object} rules - 规则配置 { hidden, blur, selection, hover, userInput }
+     * @returns {boolean} 是否设置成功
+     */
+    setPauseRules(rules) {
+        return this.pauseRules.setRules(rules);
+    }
+
+    /**
+     * 获取自动暂停规则
+     * @returns {Object} 规则配置
+     */
+    getPauseRules() {
+        return this.pauseRules.getRules();
+    }
+
+    /**
+     * 检查CSS选择器语法是否有效（空字符串视为有效，表示不匹配任何元素）
+     * @param {string} selector - 选择器
+     * @returns {boolean} 是否有效
+     */
+    isValidSelector(selector) {
+        if (selector === '') {
+            return true;
+        }
+
+        try {
+            document.createDocumentFragment().querySelector(selector);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * 检查滚动运动是否被挂起（等待新内容、自动暂停、在两端停留或正在减速停止）
+     * @returns {boolean} 是否挂起
+     */
+    isMotionSuspended() {
+        return (
+            this.isWaitingForContent ||
+            this.isPaused() ||
+            this.loop.isDwelling() ||
+            this.stopRequested
+        );
+    }
+
+    /**
+     * 从当前位置重新开始滚动运动，运动仍被挂起时不启动
+     */
+    restartMotion() {
+        this.lastScrollPosition = this.getScrollPosition();
+        this.stuckCounter = 0;
+        this.lastFrameTime = null;
+        this.pendingDistance = 0;
+
+        if (this.isScrolling && !this.isMotionSuspended()) {
+            this.startMotion();
+        }
+    }
+
+    /**
+     * 处理滚动到达末尾（或卡住）：等待新内容、开始循环或停止
+     */
+    handleReachedEnd() {
+        if (!this.stopRequested && this.shouldWaitForContent()) {
+            // 无限滚动模式下到达末尾，等待懒加载的内容
+            this.waitForContent();
+        } else if (!this.stopRequested && this.loop.isEnabled()) {
+            this.loop.beginDwell();
+        } else {
+            this.stopAutoScrollWithReason('reached-end');
+        }
+    }
+
+    /**
+     * 设置循环方式
+     * @param {string} mode - 循环方式 ('off' | 'restart' | 'ping-pong')
+     * @returns {boolean} 是否设置成功
+     */
+    setLoopMode(mode) {
+        return this.loop.setMode(mode);
+    }
+
+    /**
+     * 获取循环方式
+     * @returns {string} 循环方式
+     */
+    getLoopMode() {
+        return this.loop.getMode();
+    }
+
+    /**
+     * 设置提词器模式（可只传入部分字段）
+     * @param {Object} settings - 提词器设置 { enabled, guide, position, bandHeight, dim, dimOpacity, mirror }
+     * @returns {boolean} 是否设置成功
+     */
+    setTeleprompter(settings) {
+        return this.teleprompter.setSettings(settings);
+    }
+
+    /**
+     * 获取提词器设置
+     * @returns {Object} 提词器设置
+     */
+    getTeleprompter() {
+        return this.teleprompter.getSettings();
+    }
+
+    /**
+     * 检查提词器模式是否开启
+     * @returns {boolean} 是否开启
+     */
+    isTeleprompterEnabled() {
+        return this.teleprompter.isEnabled();
+    }
+
+    /**
+     * 检查滚动结束时是否应该等待新内容（无限滚动模式下到达边界或卡住）
+     * @returns {boolean} 是否等待
+     */
+    shouldWaitForContent() {
+        return (
+            this.infiniteMode &&
+            this.isScrolling &&
+            (this.isAtBoundary() || this.stuckCounter >= this.maxStuckFrames)
+        );
+    }
+
+    /**
+     * 暂停滚动并等待新内容：监听滚动目标的尺寸和DOM变化，
+     * 可滚动范围变大时继续滚动，超时后停止
+     */
+    waitForContent() {
+        if (this.isWaitingForContent) {
+            return;
+        }
+
+        try {
+            const root = this.activeTarget || document.body;
+            const checkContent = () => this.checkForNewContent();
+
+            if (typeof ResizeObserver === 'function') {
+                // 页面内容增加会撑高body；容器高度固定，观察其内容元素
+                const resizeTarget = this.activeTarget ? this.activeTarget.firstElementChild : root;
+                if (resizeTarget) {
+                    const resizeObserver = new ResizeObserver(checkContent);
+                    resizeObserver.observe(resizeTarget);
+                    this.contentObservers.push(resizeObserver);
+                }
+            }
+
+            if (typeof MutationObserver === 'function') {
+                const mutationObserver = new MutationObserver(checkContent);
+                mutationObserver.observe(root, { childList: true, subtree: true });
+                this.contentObservers.push(mutationObserver);
+            }
+
+            if (this.contentObservers.length === 0) {
+                console.warn('[AutoScrollManager] 无法监听内容变化，停止滚动');
+                this.stopAutoScrollWithReason('reached-end');
+                return;
+            }
+
+            this.isWaitingForContent = true;
+            this.contentWaitStart = Date.now();
+            this.contentWaitMaxPosition = this.getMaxScrollPosition();
+            this.contentWaitTimer = setTimeout(() => {
+                if (this.loop.isEnabled()) {
+                    console.log('[AutoScrollManager] 等待新内容超时，开始循环');
+                    this.stopWaitingForContent();
+                    this.loop.beginDwell();
+                    return;
+                }
+
+                console.log('[AutoScrollManager] 等待新内容超时，停止滚动');
+                this.stopAutoScrollWithReason('content-timeout');
+            }, this.contentWaitTimeout);
+
+            console.log(
+                '[AutoScrollManager] 已到达末尾，等待新内容加载:',
+                this.contentWaitTimeout,
+                'ms'
+            );
+
+            this.eventBus.emit('auto-scroll:waiting-for-content', {
+                timestamp: this.contentWaitStart,
+                timeout: this.contentWaitTimeout,
+                direction: this.direction,
+                target: this.activeTarget,
+                position: this.getScrollPosition()
+            });
+        } catch (error) {
+            console.error('[AutoScrollManager] 等待新内容失败:', error);
+            this.eventBus.emit('auto-scroll:error', { error, phase: 'wait-for-content' });
+            this.stopAutoScrollWithReason('error');
+        }
+    }
+
+    /**
+     * 检查等待期间是否出现了新内容，出现时继续滚动
+     */
+    checkForNewContent() {
+        if (
+            !this.isWaitingForContent ||
+            this.getMaxScrollPosition() <= this.contentWaitMaxPosition
+        ) {
+            return;
+        }
+
+        const waited = Date.now() - this.contentWaitStart;
+        console.log('[AutoScrollManager] 检测到新内容，继续滚动，等待了', waited, 'ms');
+
+        this.eventBus.emit('auto-scroll:content-loaded', {
+            timestamp: Date.now(),
+            waited,
+            direction: this.direction,
+            target: this.activeTarget
+        });
+
+        this.resumeFromWaiting();
+    }
+
+    /**
+     * 结束等待并重新开始滚动动画
+     */
+    resumeFromWaiting() {
+        if (!this.isWaitingForContent) {
+            return;
+        }
+
+        // 暂停期间出现新内容时，等暂停解除后再继续
+        this.stopWaitingForContent();
+        this.restartMotion();
+    }
+
+    /**
+     * 停止等待新内容，断开观察器并清除超时计时器
+     */
+    stopWaitingForContent() {
+        this.contentObservers.forEach(observer => observer.disconnect());
+        this.contentObservers = [];
+
+        if (this.contentWaitTimer) {
+            clearTimeout(this.contentWaitTimer);
+            this.contentWaitTimer = null;
+        }
+
+        this.isWaitingForContent = false;
+    }
+
+    /**
+     * 开启或关闭无限滚动模式，关闭时如正在等待新内容则立即停止
+     * @param {boolean} enabled - 是否开启
+     */
+    setInfiniteMode(enabled) {
+        const value = !!enabled;
+        if (value === this.infiniteMode) {
+            return;
+        }
+
+        this.infiniteMode = value;
+        console.log('[AutoScrollManager] 无限滚动模式:', value);
+
+        if (!value && this.isWaitingForContent) {
+            this.stopAutoScrollWithReason('reached-end');
+        }
+
+        this.eventBus.emit('auto-scroll:infinite-mode-changed', {
+            timestamp: Date.now(),
+            enabled: value
+        });
+    }
+
+    /**
+     * 检查无限滚动模式是否开启
+     * @returns {boolean} 是否开启
+     */
+    isInfiniteMode() {
+        return this.infiniteMode;
+    }
+
+    /**
+     * 执行单次滚动步骤
+     * @param {number} elapsed - 距上一步的时间（毫秒）
+     * @returns {boolean} 是否应该继续滚动
+     */
+    performScrollStep(elapsed) {
+        try {
+            // 阅读速度模式下定期重新估算密度，经过图片或代码块时速度随之调整
+            if (this.speedMode === AutoScrollSpeedModes.WPM) {
+                this.sinceDensitySample += elapsed;
+                if (this.sinceDensitySample >= this.densitySampleInterval) {
+                    this.updateDensityEstimate();
+                }
+            }
+
+            // 推进速度过渡，再按实际速度累积小数像素，只滚动整数部分，低速时也能保持平滑
+            this.updateEffectiveSpeed(elapsed);
+            this.pendingDistance += this.calculateScrollDistance(elapsed);
+            const scrollDistance = Math.trunc(this.pendingDistance);
+
+            // 本帧不足1像素，等待后续帧累积
+            if (scrollDistance === 0) {
+                return true;
+            }
+
+            this.pendingDistance -= scrollDistance;
+
+            // 按方向执行滚动
+            const [dx, dy] = DIRECTION_VECTORS[this.direction];
+            this.scrollTargetBy(dx * scrollDistance, dy * scrollDistance);
+
+            // 检查是否到达边界或卡住
+            const newPosition = this.getScrollPosition();
+
+            // 检查是否卡住（执行了滚动但位置没有变化）
+            if (Math.abs(newPosition - this.lastScrollPosition) < 1) {
+                this.stuckCounter++;
+                if (this.stuckCounter >= this.maxStuckFrames) {
+                    console.log('[AutoScrollManager] 检测到滚动卡住，可能已到达页面边界');
+                    this.eventBus.emit('auto-scroll:stuck', {
+                        timestamp: Date.now(),
+                        position: newPosition,
+                        target: this.activeTarget,
+                        stuckFrames: this.stuckCounter
+                    });
+                    return false;
+                }
+            } else {
+                this.stuckCounter = 0;
+            }
+
+            // 累计滚动距离并更新最后位置
+            this.scrolledDistance += Math.abs(newPosition - this.lastScrollPosition);
+            this.lastScrollPosition = newPosition;
+
+            // 发送滚动进度事件
+            this.eventBus.emit('auto-scroll:progress', {
+                timestamp: Date.now(),
+                position: newPosition,
+                distance: scrollDistance,
+                direction: this.direction,
+                elapsed,
+                speed: this.speed,
+                effectiveSpeed: this.getEffectiveSpeed(),
+                targetSpeed: this.getTargetSpeed(),
+                speedMode: this.speedMode,
+                wpm: this.wpm,
+                pixelsPerSecond: this.getPixelsPerSecond(),
+                effectivePixelsPerSecond: this.effectivePixelsPerSecond
+            });
+
+            // 检查停止条件，满足时直接停止
+            this.sinceStopSelectorCheck += elapsed;
+            if (this.isDistanceLimitReached()) {
+                this.stopAutoScrollWithReason('distance-limit');
+                return false;
+            }
+            if (this.sinceStopSelectorCheck >= STOP_SELECTOR_CHECK_INTERVAL) {
+                this.sinceStopSelectorCheck = 0;
+                if (this.checkStopSelector()) {
+                    this.stopAutoScrollWithReason('selector-visible');
+                    return false;
+                }
+            }
+
+            // 检查是否到达该方向的边界
+            if (this.isAtBoundary()) {
+                console.log('[AutoScrollManager] 已到达页面边界，停止滚动:', this.direction);
+                this.emitBoundaryReached();
+                return false;
+            }
+
+            return true;
+        } catch (error) {
+            console.error('[AutoScrollManager] 执行滚动步骤失败:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 按当前实际速度计算一段时间内的滚动距离
+     * @param {number} elapsed - 时间间隔（毫秒）
+     * @returns {number} 滚动距离（像素，可能为小数）
+     */
+    calculateScrollDistance(elapsed) {
+        if (typeof elapsed !== 'number' || !isFinite(elapsed) || elapsed <= 0) {
+            return 0;
+        }
+
+        return (this.effectivePixelsPerSecond * elapsed) / 1000;
+    }
+
+    /**
+     * 获取当前速度对应的每秒滚动像素数
+     * @returns {number} 每秒像素数
+     */
+    getPixelsPerSecond() {
+        // 阅读密度按垂直方向估算，水平滚动时仍使用速度等级
+        if (this.speedMode === AutoScrollSpeedModes.WPM && this.isVerticalDirection()) {
+            return this.getWpmPixelsPerSecond();
+        }
+
+        return this.speed * this.pixelsPerSpeedLevel;
+    }
+
+    /**
+     * 按阅读密度把目标WPM换算为每秒滚动像素数
+     * 视口内没有文字（如整屏图片）时按最高速度通过
+     * @returns {number} 每秒像素数
+     */
+    getWpmPixelsPerSecond() {
+        const maxPixelsPerSecond = this.maxSpeed * this.pixelsPerSpeedLevel;
+        const wordsPerPixel = this.densityEstimate ? this.densityEstimate.wordsPerPixel : 0;
+
+        if (!(wordsPerPixel > 0)) {
+            return maxPixelsPerSecond;
+        }
+
+        const pixelsPerSecond = this.wpm / 60 / wordsPerPixel;
+        return Math.min(Math.max(pixelsPerSecond, 1), maxPixelsPerSecond);
+    }
+
+    /**
+     * 重新估算视口内的阅读密度
+     * @returns {Object} 估算结果
+     */
+    updateDensityEstimate() {
+        this.sinceDensitySample = 0;
+        this.densityEstimate = this.activeTarget
+            ? ReadingDensity.estimate(this.activeTarget, this.getVisibleBounds(this.activeTarget))
+            : ReadingDensity.estimate();
+
+        this.eventBus.emit('auto-scroll:density-changed', {
+            timestamp: Date.now(),
+            ...this.densityEstimate,
+            wpm: this.wpm,
+            pixelsPerSecond: this.getPixelsPerSecond()
+        });
+
+        return this.densityEstimate;
+    }
+
+    /**
+     * 设置速度模式
+     * @param {string} mode - 速度模式 ('level' | 'wpm')
+     * @returns {boolean} 是否设置成功
+     */
+    setSpeedMode(mode) {
+        if (!Object.values(AutoScrollSpeedModes).includes(mode)) {
+            console.warn('[AutoScrollManager] 无效的速度模式:', mode);
+            return false;
+        }
+
+        if (mode === this.speedMode) {
+            return true;
+        }
+
+        const previousMode = this.speedMode;
+        this.speedMode = mode;
+
+        if (mode === AutoScrollSpeedModes.WPM && this.isScrolling) {
+            this.updateDensityEstimate();
+        }
+
+        this.rampToNewSpeed();
+
+        console.log(`[AutoScrollManager] 速度模式已切换: ${previousMode} -> ${mode}`);
+
+        this.eventBus.emit('auto-scroll:speed-mode-changed', {
+            timestamp: Date.now(),
+            previousMode,
+            mode,
+            isScrolling: this.isScrolling
+        });
+
+        return true;
+    }
+
+    /**
+     * 获取当前速度模式
+     * @returns {string} 速度模式
+     */
+    getSpeedMode() {
+        return this.speedMode;
+    }
+
+    /**
+     * 设置阅读速度
+     * @param {number} wpm - 目标每分钟词数
+     * @returns {boolean} 是否设置成功
+     */
+    setWpm(wpm) {
+        if (!this.validateWpm(wpm)) {
+            console.warn('[AutoScrollManager] 无效的阅读速度:', wpm);
+            return false;
+        }
+
+        const previousWpm = this.wpm;
+        this.wpm = wpm;
+
+        if (this.speedMode === AutoScrollSpeedModes.WPM) {
+            this.rampToNewSpeed();
+        }
+
+        console.log(`[AutoScrollManager] 阅读速度已更新: ${previousWpm} -> ${wpm} WPM`);
+
+        this.eventBus.emit('auto-scroll:wpm-changed', {
+            timestamp: Date.now(),
+            previousWpm,
+            newWpm: wpm,
+            isScrolling: this.isScrolling,
+            effectiveSpeed: this.getEffectiveSpeed(),
+            targetSpeed: this.getTargetSpeed()
+        });
+
+        return true;
+    }
+
+    /**
+     * 获取当前阅读速度
+     * @returns {number} 每分钟词数
+     */
+    getWpm() {
+        return this.wpm;
+    }
+
+    /**
+     * 获取阅读速度范围
+     * @returns {Object} 阅读速度范围信息
+     */
+    getWpmRange() {
+        return {
+            min: this.minWpm,
+            max: this.maxWpm,
+            current: this.wpm,
+            default: Config.autoScroll.defaultWpm
+        };
+    }
+
+    /**
+     * 验证阅读速度是否有效
+     * @param {number} wpm - 每分钟词数
+     * @returns {boolean} 是否有效
+     */
+    validateWpm(wpm) {
+        return typeof wpm === 'number' && isFinite(wpm) && wpm >= this.minWpm && wpm <= this.maxWpm;
+    }
+
+    /**
+     * 设置滚动方向，正在滚动时从下一帧开始生效
+     * @param {string} direction - 滚动方向 ('down' | 'up' | 'left' | 'right')
+     * @returns {boolean} 是否设置成功
+     */
+    setDirection(direction) {
+        if (!Object.values(AutoScrollDirections).includes(direction)) {
+            console.warn('[AutoScrollManager] 无效的滚动方向:', direction);
+            return false;
+        }
+
+        if (direction === this.direction) {
+            return true;
+        }
+
+        const previousDirection = this.direction;
+        this.direction = direction;
+        this.loop.baseDirection = direction;
+
+        // 换向后重新累积位移和卡住计数
+        this.pendingDistance = 0;
+        this.stuckCounter = 0;
+        this.lastScrollPosition = this.getScrollPosition();
+
+        console.log(`[AutoScrollManager] 滚动方向已更新: ${previousDirection} -> ${direction}`);
+
+        // 等待新内容期间改变方向时直接向新方向滚动
+        this.resumeFromWaiting();
+
+        this.eventBus.emit('auto-scroll:direction-changed', {
+            timestamp: Date.now(),
+            previousDirection,
+            direction,
+            isScrolling: this.isScrolling
+        });
+
+        return true;
+    }
+
+    /**
+     * 获取当前滚动方向
+     * @returns {string} 滚动方向
+     */
+    getDirection() {
+        return this.direction;
+    }
+
+    /**
+     * 获取滚动方向每像素对应的位移
+     * @param {string} direction - 可选，滚动方向，默认为当前方向
+     * @returns {number[]} 位移 [x, y]
+     */
+    getDirectionVector(direction = this.direction) {
+        return DIRECTION_VECTORS[direction];
+    }
+
+    /**
+     * 检查当前方向是否为垂直方向
+     * @returns {boolean} 是否为垂直方向
+     */
+    isVerticalDirection() {
+        return (
+            this.direction === AutoScrollDirections.DOWN ||
+            this.direction === AutoScrollDirections.UP
+        );
+    }
+
+    /**
+     * 获取当前方向所在轴的滚动位置
+     * @returns {number} 滚动位置（像素）
+     */
+    getScrollPosition() {
+        const metrics = this.getScrollMetrics();
+        return this.isVerticalDirection() ? metrics.top : metrics.left;
+    }
+
+    /**
+     * 获取当前方向所在轴的最大滚动位置
+     * @returns {number} 最大滚动位置（像素）
+     */
+    getMaxScrollPosition() {
+        const metrics = this.getScrollMetrics();
+        return this.isVerticalDirection()
+            ? Math.max(0, metrics.scrollHeight - metrics.clientHeight)
+            : Math.max(0, metrics.scrollWidth - metrics.clientWidth);
+    }
+
+    /**
+     * 获取滚动目标的位置和尺寸，未指定容器时为整个页面
+     * @returns {Object} { top, left, clientWidth, clientHeight, scrollWidth, scrollHeight }
+     */
+    getScrollMetrics() {
+        const target = this.activeTarget;
+
+        if (target) {
+            return {
+                top: target.scrollTop,
+                left: target.scrollLeft,
+                clientWidth: target.clientWidth,
+                clientHeight: target.clientHeight,
+                scrollWidth: target.scrollWidth,
+                scrollHeight: target.scrollHeight
+            };
+        }
+
+        return {
+            top: window.scrollY,
+            left: window.scrollX,
+            clientWidth: window.innerWidth,
+            clientHeight: window.innerHeight,
+            scrollWidth: Math.max(
+                document.body.scrollWidth,
+                document.body.offsetWidth,
+                document.documentElement.clientWidth,
+                document.documentElement.scrollWidth,
+                document.documentElement.offsetWidth
+            ),
+            scrollHeight: Math.max(
+                document.body.scrollHeight,
+                document.body.offsetHeight,
+                document.documentElement.clientHeight,
+                document.documentElement.scrollHeight,
+                document.documentElement.offsetHeight
+            )
+        };
+    }
+
+    /**
+     * 按位移滚动当前目标
+     * @param {number} dx - 水平位移（像素）
+     * @param {number} dy - 垂直位移（像素）
+     */
+    scrollTargetBy(dx, dy) {
+        const target = this.activeTarget;
+
+        if (!target) {
+            window.scrollBy(dx, dy);
+            return;
+        }
+
+        if (dx) {
+            target.scrollLeft += dx;
+        }
+        if (dy) {
+            target.scrollTop += dy;
+        }
+    }
+
+    /**
+     * 获取元素在视口内可见部分的上下边界
+     * @param {Element} element - 元素
+     * @returns {Object} { top, bottom }
+     */
+    getVisibleBounds(element) {
+        const rect = element.getBoundingClientRect();
+        return {
+            top: Math.max(rect.top, 0),
+            bottom: Math.min(rect.bottom, window.innerHeight)
+        };
+    }
+
+    /**
+     * 检查是否已到达当前方向的边界
+     * @returns {boolean} 是否到达边界
+     */
+    isAtBoundary() {
+        switch (this.direction) {
+            case AutoScrollDirections.UP:
+                return this.isAtTop();
+            case AutoScrollDirections.LEFT:
+                return this.isAtLeftEdge();
+            case AutoScrollDirections.RIGHT:
+                return this.isAtRightEdge();
+            default:
+                return this.isAtBottom();
+        }
+    }
+
+    /**
+     * 发送到达当前方向边界的事件
+     * 向下为reached-bottom，向上为reached-top，水平方向为reached-edge
+     */
+    emitBoundaryReached() {
+        const data = {
+            timestamp: Date.now(),
+            position: this.getScrollPosition(),
+            direction: this.direction,
+            target: this.activeTarget
+        };
+
+        switch (this.direction) {
+            case AutoScrollDirections.UP:
+                this.eventBus.emit('auto-scroll:reached-top', data);
+                break;
+            case AutoScrollDirections.LEFT:
+            case AutoScrollDirections.RIGHT:
+                this.eventBus.emit('auto-scroll:reached-edge', { ...data, edge: this.direction });
+                break;
+            default:
+                this.eventBus.emit('auto-scroll:reached-bottom', data);
+        }
+    }
+
+    /**
+     * 检查是否到达滚动目标的底部
+     * @returns {boolean} 是否到达底部
+     */
+    isAtBottom() {
+        try {
+            const metrics = this.getScrollMetrics();
+
+            // 允许一些误差
+            return metrics.top + metrics.clientHeight >= metrics.scrollHeight - BOUNDARY_TOLERANCE;
+        } catch (error) {
+            console.error('[AutoScrollManager] 检查页面底部失败:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 检查是否到达滚动目标的顶部
+     * @returns {boolean} 是否到达顶部
+     */
+    isAtTop() {
+        return this.getScrollMetrics().top <= BOUNDARY_TOLERANCE;
+    }
+
+    /**
+     * 检查是否到达滚动目标的左边缘
+     * @returns {boolean} 是否到达左边缘
+     */
+    isAtLeftEdge() {
+        return this.getScrollMetrics().left <= BOUNDARY_TOLERANCE;
+    }
+
+    /**
+     * 检查是否到达滚动目标的右边缘
+     * @returns {boolean} 是否到达右边缘
+     */
+    isAtRightEdge() {
+        try {
+            const metrics = this.getScrollMetrics();
+            return metrics.left + metrics.clientWidth >= metrics.scrollWidth - BOUNDARY_TOLERANCE;
+        } catch (error) {
+            console.error('[AutoScrollManager] 检查页面右边缘失败:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 记录指针位置
+     * @param {PointerEvent} event - 指针事件
+     */
+    handlePointerMove(event) {
+        this.pointerPosition = { x: event.clientX, y: event.clientY };
+    }
+
+    /**
+     * 检查元素能否沿指定轴滚动
+     * @param {Element} element - 元素
+     * @param {boolean} vertical - 是否为垂直方向
+     * @returns {boolean} 是否可滚动
+     */
+    isScrollableElement(element, vertical) {
+        if (
+            !(element instanceof Element) ||
+            element === document.documentElement ||
+            element === document.body ||
+            element.closest(IGNORED_TARGET_SELECTOR)
+        ) {
+            return false;
+        }
+
+        // 先用尺寸过滤，避免对每个祖先元素都读取计算样式
+        const overflows = vertical
+            ? element.scrollHeight > element.clientHeight
+            : element.scrollWidth > element.clientWidth;
+        if (!overflows) {
+            return false;
+        }
+
+        const style = window.getComputedStyle(element);
+        return SCROLLABLE_OVERFLOW_VALUES.includes(vertical ? style.overflowY : style.overflowX);
+    }
+
+    /**
+     * 从元素开始向外查找可沿指定轴滚动的容器
+     * @param {Element} element - 起始元素
+     * @param {boolean} vertical - 是否为垂直方向
+     * @returns {Element|null} 容器元素，没有时返回null（即滚动页面）
+     */
+    findScrollableAncestor(element, vertical) {
+        let current = element instanceof Element ? element : null;
+
+        while (current) {
+            if (this.isScrollableElement(current, vertical)) {
+                return current;
+            }
+            current = current.parentElement;
+        }
+
+        return null;
+    }
+
+    /**
+     * 查找指针下方可沿当前方向滚动的容器
+     * @returns {Element|null} 容器元素
+     */
+    findTargetUnderPointer() {
+        if (!this.pointerPosition || typeof document.elementFromPoint !== 'function') {
+            return null;
+        }
+
+        const element = document.elementFromPoint(this.pointerPosition.x, this.pointerPosition.y);
+        return this.findScrollableAncestor(element, this.isVerticalDirection());
+    }
+
+    /**
+     * 确定本次滚动驱动的目标：优先使用指定的元素，其次为指针下方的容器，否则为页面
+     */
+    selectActiveTarget() {
+        if (this.pickedTarget && !this.pickedTarget.isConnected) {
+            console.log('[AutoScrollManager] 指定的滚动元素已从页面移除，改为自动选择');
+            this.setScrollTarget(null);
+        }
+
+        let target = null;
+        let source = TARGET_SOURCES.PAGE;
+
+        if (this.pickedTarget) {
+            target = this.pickedTarget;
+            source = TARGET_SOURCES.PICKED;
+        } else if (this.autoDetectTarget) {
+            target = this.findTargetUnderPointer();
+            source = target ? TARGET_SOURCES.POINTER : TARGET_SOURCES.PAGE;
+        }
+
+        this.activeTarget = target;
+        this.activeTargetSource = source;
+    }
+
+    /**
+     * 清除本次滚动的目标
+     */
+    clearActiveTarget() {
+        this.activeTarget = null;
+        this.activeTargetSource = TARGET_SOURCES.PAGE;
+    }
+
+    /**
+     * 指定自动滚动的元素，传入null时恢复自动选择
+     * 传入的元素本身不可滚动时使用其最近的可滚动祖先
+     * @param {Element|null} element - 元素
+     * @returns {boolean} 是否设置成功
+     */
+    setScrollTarget(element) {
+        try {
+            let target = null;
+
+            if (element) {
+                target =
+                    this.findScrollableAncestor(element, this.isVerticalDirection()) ||
+                    this.findScrollableAncestor(element, !this.isVerticalDirection());
+
+                if (!target) {
+                    console.warn('[AutoScrollManager] 所选元素及其祖先都不可滚动:', element);
+                    this.eventBus.emit('auto-scroll:target-rejected', {
+                        timestamp: Date.now(),
+                        element
+                    });
+                    return false;
+                }
+            }
+
+            const previousTarget = this.pickedTarget;
+            this.pickedTarget = target;
+
+            // 滚动中切换目标时从下一帧开始滚动新目标
+            if (this.isScrolling) {
+                this.selectActiveTarget();
+                this.pendingDistance = 0;
+                this.stuckCounter = 0;
+                this.lastScrollPosition = this.getScrollPosition();
+                this.resumeFromWaiting();
+            }
+
+            console.log('[AutoScrollManager] 滚动目标已更新:', target || '自动选择');
+
+            this.eventBus.emit('auto-scroll:target-changed', {
+                timestamp: Date.now(),
+                previousTarget,
+                target,
+                source: target ? TARGET_SOURCES.PICKED : null,
+                isScrolling: this.isScrolling
+            });
+
+            return true;
+        } catch (error) {
+            console.error('[AutoScrollManager] 设置滚动目标失败:', error);
+            this.eventBus.emit('auto-scroll:error', { error, phase: 'set-scroll-target' });
+            return false;
+        }
+    }
+
+    /**
+     * 获取用户指定的滚动元素
+     * @returns {Element|null} 元素，未指定时返回null
+     */
+    getScrollTarget() {
+        return this.pickedTarget;
+    }
+
+    /**
+     * 设置滚动速度
+     * @param {number} speed - 滚动速度 (1-10)
+     * @returns {boolean} 是否成功设置速度
+     */
+    setSpeed(speed) {
+        try {
+            // 验证速度范围
+            if (!this.validateSpeed(speed)) {
+                console.warn('[AutoScrollManager] 无效的滚动速度:', speed);
+                return false;
+            }
+
+            const oldSpeed = this.speed;
+            this.speed = speed;
+
+            // 正在滚动时，实际速度在changeDuration内过渡到新速度
+            if (this.speedMode === AutoScrollSpeedModes.LEVEL || !this.isVerticalDirection()) {
+                this.rampToNewSpeed();
+            }
+
+            console.log(`[AutoScrollManager] 滚动速度已更新: ${oldSpeed} -> ${speed}`);
+
+            // 发送速度变更事件，effectiveSpeed为变更时刻的实际速度
+            this.eventBus.emit('auto-scroll:speed-changed', {
+                timestamp: Date.now(),
+                previousSpeed: oldSpeed,
+                newSpeed: speed,
+                effectiveSpeed: this.getEffectiveSpeed(),
+                targetSpeed: this.getTargetSpeed(),
+                isScrolling: this.isScrolling
+            });
+
+            return true;
+        } catch (error) {
+            console.error('[AutoScrollManager] 设置滚动速度失败:', error);
+            this.eventBus.emit('auto-scroll:error', { error, phase: 'set-speed', speed });
+            return false;
+        }
+    }
+
+    /**
+     * 获取当前滚动速度
+     * @returns {number} 当前滚动速度
+     */
+    getSpeed() {
+        return this.speed;
+    }
+
+    /**
+     * 获取速度范围
+     * @returns {Object} 速度范围信息
+     */
+    getSpeedRange() {
+        return {
+            min: this.minSpeed,
+            max: this.maxSpeed,
+            current: this.speed,
+            default: 3
+        };
+    }
+
+    /**
+     * 验证速度值是否有效
+     * @param {number} speed - 要验证的速度值
+     * @returns {boolean} 速度值是否有效
+     */
+    validateSpeed(speed) {
+        try {
+            // 检查是否为数字
+            if (typeof speed !== 'number' || isNaN(speed)) {
+                return false;
+            }
+
+            // 检查是否为有限数
+            if (!isFinite(speed)) {
+                return false;
+            }
+
+            // 检查是否在有效范围内
+            if (speed < this.minSpeed || speed > this.maxSpeed) {
+                return false;
+            }
 
             return true;
         } catch (error) {
@@ -475,12 +1968,16 @@ export class AutoScrollManager {
     }
 
     /**
-     * 增加滚动速度
+     * 增加滚动速度（阅读速度模式下每级对应WPM_STEP）
      * @param {number} increment - 增加的速度值，默认为1
      * @returns {boolean} 是否成功增加速度
      */
     increaseSpeed(increment = 1) {
         try {
+            if (this.speedMode === AutoScrollSpeedModes.WPM) {
+                return this.setWpm(Math.min(this.wpm + increment * WPM_STEP, this.maxWpm));
+            }
+
             const newSpeed = Math.min(this.speed + increment, this.maxSpeed);
             return this.setSpeed(newSpeed);
         } catch (error) {
@@ -490,12 +1987,16 @@ export class AutoScrollManager {
     }
 
     /**
-     * 减少滚动速度
+     * 减少滚动速度（阅读速度模式下每级对应WPM_STEP）
      * @param {number} decrement - 减少的速度值，默认为1
      * @returns {boolean} 是否成功减少速度
      */
     decreaseSpeed(decrement = 1) {
         try {
+            if (this.speedMode === AutoScrollSpeedModes.WPM) {
+                return this.setWpm(Math.max(this.wpm - decrement * WPM_STEP, this.minWpm));
+            }
+
             const newSpeed = Math.max(this.speed - decrement, this.minSpeed);
             return this.setSpeed(newSpeed);
         } catch (error) {
@@ -521,7 +2022,23 @@ export class AutoScrollManager {
      * 批量设置滚动配置
      * @param {Object} config - 配置对象
      * @param {number} config.speed - 滚动速度
-     * @param {number} config.scrollStep - 滚动步长
+     * @param {number} config.pixelsPerSpeedLevel - 每级速度对应的每秒像素数
+     * @param {number} config.frameRate - 最大更新帧率，0表示跟随显示器刷新率
+     * @param {boolean} config.autoDetectTarget - 是否自动选择指针下方的容器
+     * @param {number} config.stepOverlap - 翻页时保留上一屏的像素数
+     * @param {string} config.stepAlign - 翻页落点 ('viewport' | 'boundary')
+     * @param {number} config.contentWaitTimeout - 无限滚动模式下等待新内容的最长时间（毫秒）
+     * @param {string} config.easing - 缓动曲线 ('linear' | 'ease-in-out' | 'exponential')
+     * @param {number} config.easingStartDuration - 开始滚动时的加速时间（毫秒）
+     * @param {number} config.easingStopDuration - 手动停止时的减速时间（毫秒）
+     * @param {number} config.easingChangeDuration - 调整速度时的过渡时间（毫秒）
+     * @param {number} config.stopTime - 开始滚动多少秒后停止，0表示不限制
+     * @param {number} config.stopDistance - 累计滚动多少像素后停止，0表示不限制
+     * @param {string} config.stopSelector - 匹配的元素进入视口时停止，空字符串表示不检查
+     * @param {number} config.loopDwellAtEnd - 循环时在末尾停留的时间（毫秒）
+     * @param {number} config.loopDwellAtStart - 循环时在开头停留的时间（毫秒）
+     * @param {boolean} config.watchdog - 是否启用看门狗
+     * @param {number} config.watchdogInterval - 看门狗检查间隔（毫秒）
      * @param {number} config.maxStuckFrames - 最大卡住帧数
      * @returns {boolean} 是否成功设置配置
      */
@@ -537,17 +2054,178 @@ export class AutoScrollManager {
                 hasChanges = true;
             }
 
-            // 设置滚动步长
+            // 设置每级速度的每秒像素数
+            if (
+                typeof config.pixelsPerSpeedLevel === 'number' &&
+                isFinite(config.pixelsPerSpeedLevel) &&
+                config.pixelsPerSpeedLevel > 0
+            ) {
+                changes.pixelsPerSpeedLevel = {
+                    old: this.pixelsPerSpeedLevel,
+                    new: config.pixelsPerSpeedLevel
+                };
+                this.pixelsPerSpeedLevel = config.pixelsPerSpeedLevel;
+                hasChanges = true;
+            }
+
+            // 设置最大更新帧率
+            if (
+                typeof config.frameRate === 'number' &&
+                isFinite(config.frameRate) &&
+                config.frameRate >= 0
+            ) {
+                changes.frameRate = { old: this.frameRate, new: config.frameRate };
+                this.frameRate = config.frameRate;
+                hasChanges = true;
+            }
+
+            // 设置是否自动选择指针下方的容器
+            if (typeof config.autoDetectTarget === 'boolean') {
+                changes.autoDetectTarget = {
+                    old: this.autoDetectTarget,
+                    new: config.autoDetectTarget
+                };
+                this.autoDetectTarget = config.autoDetectTarget;
+                hasChanges = true;
+            }
+
+            // 设置翻页重叠像素数
+            if (
+                typeof config.stepOverlap === 'number' &&
+                isFinite(config.stepOverlap) &&
+                config.stepOverlap >= 0
+            ) {
+                changes.stepOverlap = { old: this.stepper.overlap, new: config.stepOverlap };
+                this.stepper.overlap = config.stepOverlap;
+                hasChanges = true;
+            }
+
+            // 设置翻页落点
+            if (Object.values(AutoScrollStepAlignments).includes(config.stepAlign)) {
+                changes.stepAlign = { old: this.stepper.align, new: config.stepAlign };
+                this.stepper.align = config.stepAlign;
+                hasChanges = true;
+            }
+
+            // 设置等待新内容的最长时间
+            if (
+                typeof config.contentWaitTimeout === 'number' &&
+                isFinite(config.contentWaitTimeout) &&
+                config.contentWaitTimeout > 0
+            ) {
+                changes.contentWaitTimeout = {
+                    old: this.contentWaitTimeout,
+                    new: config.contentWaitTimeout
+                };
+                this.contentWaitTimeout = config.contentWaitTimeout;
+                hasChanges = true;
+            }
+
+            // 设置缓动曲线
+            if (Object.values(AutoScrollEasingCurves).includes(config.easing)) {
+                changes.easing = { old: this.easingCurve, new: config.easing };
+                this.easingCurve = config.easing;
+                hasChanges = true;
+            }
+
+            // 设置加速、减速和速度过渡的时间
+            ['easingStartDuration', 'easingStopDuration', 'easingChangeDuration'].forEach(key => {
+                const value = config[key];
+                if (typeof value === 'number' && isFinite(value) && value >= 0) {
+                    changes[key] = { old: this[key], new: value };
+                    this[key] = value;
+                    hasChanges = true;
+                }
+            });
+
+            // 设置停止条件
+            const previousStopConditions = this.getStopConditions();
+            if (
+                typeof config.stopTime === 'number' &&
+                isFinite(config.stopTime) &&
+                config.stopTime >= 0
+            ) {
+                changes.stopTime = { old: this.stopTime, new: config.stopTime };
+                this.stopTime = config.stopTime;
+                hasChanges = true;
+            }
+
+            if (
+                typeof config.stopDistance === 'number' &&
+                isFinite(config.stopDistance) &&
+                config.stopDistance >= 0
+            ) {
+                changes.stopDistance = { old: this.stopDistance, new: config.stopDistance };
+                this.stopDistance = config.stopDistance;
+                hasChanges = true;
+            }
+
+            if (
+                typeof config.stopSelector === 'string' &&
+                this.isValidSelector(config.stopSelector)
+            ) {
+                changes.stopSelector = { old: this.stopSelector, new: config.stopSelector };
+                this.stopSelector = config.stopSelector;
+                this.stopSelectorVisible = this.isScrolling && this.isStopSelectorVisible();
+                hasChanges = true;
+            }
+
+            const stopConditions = this.getStopConditions();
+            if (JSON.stringify(previousStopConditions) !== JSON.stringify(stopConditions)) {
+                if (this.isScrolling) {
+                    this.scheduleStopTimer();
+                }
+
+                this.eventBus.emit('auto-scroll:stop-conditions-changed', {
+                    timestamp: Date.now(),
+                    previousConditions: previousStopConditions,
+                    conditions: stopConditions,
+                    stopAt: this.getStopAt()
+                });
+            }
+
+            // 设置循环两端的停留时间
+            [
+                ['loopDwellAtEnd', 'dwellAtEnd'],
+                ['loopDwellAtStart', 'dwellAtStart']
+            ].forEach(([key, field]) => {
+                const value = config[key];
+                if (typeof value === 'number' && isFinite(value) && value >= 0) {
+                    changes[key] = { old: this.loop[field], new: value };
+                    this.loop[field] = value;
+                    hasChanges = true;
+                }
+            });
+
+            // 设置看门狗检查间隔
             if (
-                config.scrollStep !== undefined &&
-                typeof config.scrollStep === 'number' &&
-                config.scrollStep > 0
+                typeof config.watchdogInterval === 'number' &&
+                isFinite(config.watchdogInterval) &&
+                config.watchdogInterval > 0
             ) {
-                changes.scrollStep = { old: this.scrollStep, new: config.scrollStep };
-                this.scrollStep = config.scrollStep;
+                changes.watchdogInterval = {
+                    old: this.watchdog.interval,
+                    new: config.watchdogInterval
+                };
+                this.watchdog.interval = config.watchdogInterval;
+                hasChanges = true;
+            }
+
+            // 开启或关闭看门狗
+            if (typeof config.watchdog === 'boolean') {
+                changes.watchdog = { old: this.watchdog.enabled, new: config.watchdog };
+                this.watchdog.enabled = config.watchdog;
                 hasChanges = true;
             }
 
+            if (changes.watchdog || changes.watchdogInterval) {
+                if (this.watchdog.enabled && this.isEnabled) {
+                    this.watchdog.start();
+                } else {
+                    this.watchdog.stop();
+                }
+            }
+
             // 设置最大卡住帧数
             if (
                 config.maxStuckFrames !== undefined &&
@@ -584,8 +2262,35 @@ export class AutoScrollManager {
             speed: this.speed,
             minSpeed: this.minSpeed,
             maxSpeed: this.maxSpeed,
-            scrollStep: this.scrollStep,
+            pixelsPerSpeedLevel: this.pixelsPerSpeedLevel,
+            pixelsPerSecond: this.getPixelsPerSecond(),
+            direction: this.direction,
+            autoDetectTarget: this.autoDetectTarget,
+            scrollMode: this.scrollMode,
+            stepInterval: this.stepper.interval,
+            minStepInterval: this.stepper.minInterval,
+            maxStepInterval: this.stepper.maxInterval,
+            stepOverlap: this.stepper.overlap,
+            stepAlign: this.stepper.align,
+            infiniteMode: this.infiniteMode,
+            contentWaitTimeout: this.contentWaitTimeout,
+            speedMode: this.speedMode,
+            wpm: this.wpm,
+            minWpm: this.minWpm,
+            maxWpm: this.maxWpm,
             frameRate: this.frameRate,
+            easing: this.easingCurve,
+            easingStartDuration: this.easingStartDuration,
+            easingStopDuration: this.easingStopDuration,
+            easingChangeDuration: this.easingChangeDuration,
+            stopTime: this.stopTime,
+            stopDistance: this.stopDistance,
+            stopSelector: this.stopSelector,
+            loopMode: this.loop.getMode(),
+            loopDwellAtEnd: this.loop.dwellAtEnd,
+            loopDwellAtStart: this.loop.dwellAtStart,
+            watchdog: this.watchdog.enabled,
+            watchdogInterval: this.watchdog.interval,
             maxStuckFrames: this.maxStuckFrames,
             enabled: this.isEnabled,
             scrolling: this.isScrolling
@@ -600,14 +2305,22 @@ export class AutoScrollManager {
             console.log('[AutoScrollManager] 开始清理资源...');
 
             // 停止自动滚动
-            this.stopAutoScroll();
+            this.stopAutoScroll({ immediate: true });
 
             // 重置状态
             this.isEnabled = false;
+            this.watchdog.stop();
             this.isScrolling = false;
             this.animationId = null;
             this.lastScrollPosition = 0;
             this.stuckCounter = 0;
+            this.lastFrameTime = null;
+            this.pendingDistance = 0;
+            this.densityEstimate = null;
+            this.pickedTarget = null;
+            this.clearActiveTarget();
+            document.removeEventListener('pointermove', this.handlePointerMove);
+            this.pointerPosition = null;
 
             // 发送清理完成事件
             this.eventBus.emit('auto-scroll:cleanup', {
@@ -0,0 +1,320 @@
+import { AutoScrollPauseReasons, Config, OWN_UI_SELECTOR } from '../utils/constants.js';
+import { Utils } from '../utils/helpers.js';
+
+/**
+ * AutoScrollPauseRules - 负责自动滚动的自动暂停规则
+ *
+ * 滚动期间监听各条规则的触发条件：标签页隐藏、窗口失焦、选中文字、悬停指定元素、滚轮或触摸输入。
+ * 出现第一个暂停原因时暂停滚动，所有原因都解除后由AutoScrollManager从当前位置恢复
+ */
+export class AutoScrollPauseRules {
+    constructor(eventBus, autoScrollManager) {
+        this.eventBus = eventBus;
+        this.autoScrollManager = autoScrollManager;
+
+        // 规则配置和当前生效的暂停原因
+        this.rules = Utils.deepClone(Config.autoScroll.pauseRules);
+        this.reasons = new Set();
+        this.pausedAt = 0;
+        this.userInputTimer = null;
+
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+        this.handleWindowBlur = this.handleWindowBlur.bind(this);
+        this.handleWindowFocus = this.handleWindowFocus.bind(this);
+        this.handleSelectionChange = this.handleSelectionChange.bind(this);
+        this.handlePointerOver = this.handlePointerOver.bind(this);
+        this.handlePointerOut = this.handlePointerOut.bind(this);
+        this.handleUserInput = this.handleUserInput.bind(this);
+    }
+
+    /**
+     * 开始监听各条自动暂停规则的触发条件
+     */
+    bind() {
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        window.addEventListener('blur', this.handleWindowBlur);
+        window.addEventListener('focus', this.handleWindowFocus);
+        document.addEventListener('selectionchange', this.handleSelectionChange);
+        document.addEventListener('pointerover', this.handlePointerOver, { passive: true });
+        document.addEventListener('pointerout', this.handlePointerOut, { passive: true });
+        window.addEventListener('wheel', this.handleUserInput, { passive: true });
+        window.addEventListener('touchstart', this.handleUserInput, { passive: true });
+        window.addEventListener('touchmove', this.handleUserInput, { passive: true });
+    }
+
+    /**
+     * 停止监听自动暂停规则并清除所有暂停原因
+     */
+    unbind() {
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        window.removeEventListener('blur', this.handleWindowBlur);
+        window.removeEventListener('focus', this.handleWindowFocus);
+        document.removeEventListener('selectionchange', this.handleSelectionChange);
+        document.removeEventListener('pointerover', this.handlePointerOver);
+        document.removeEventListener('pointerout', this.handlePointerOut);
+        window.removeEventListener('wheel', this.handleUserInput);
+        window.removeEventListener('touchstart', this.handleUserInput);
+        window.removeEventListener('touchmove', this.handleUserInput);
+
+        if (this.userInputTimer) {
+            clearTimeout(this.userInputTimer);
+            this.userInputTimer = null;
+        }
+
+        this.reasons.clear();
+    }
+
+    /**
+     * 处理标签页可见性变化
+     */
+    handleVisibilityChange() {
+        if (this.rules.hidden) {
+            this.setReason(AutoScrollPauseReasons.HIDDEN, document.hidden);
+        }
+    }
+
+    /**
+     * 处理窗口失去焦点
+     */
+    handleWindowBlur() {
+        if (this.rules.blur) {
+            this.setReason(AutoScrollPauseReasons.BLUR, true);
+        }
+    }
+
+    /**
+     * 处理窗口获得焦点
+     */
+    handleWindowFocus() {
+        this.setReason(AutoScrollPauseReasons.BLUR, false);
+    }
+
+    /**
+     * 处理文字选择变化，页面上有选中的文字时暂停（脚本自身UI中的选择除外）
+     */
+    handleSelectionChange() {
+        if (!this.rules.selection) {
+            return;
+        }
+
+        const selection = window.getSelection();
+        const anchor = selection && selection.anchorNode;
+        const anchorElement = anchor && (anchor.nodeType === 1 ? anchor : anchor.parentElement);
+        const hasSelection =
+            !!selection &&
+            !selection.isCollapsed &&
+            selection.toString().trim() !== '' &&
+            !(anchorElement && anchorElement.closest(OWN_UI_SELECTOR));
+
+        this.setReason(AutoScrollPauseReasons.SELECTION, hasSelection);
+    }
+
+    /**
+     * 处理指针进入元素，停留在匹配hover.selectors的元素上时暂停
+     * @param {PointerEvent} event - 指针事件
+     */
+    handlePointerOver(event) {
+        if (!this.rules.hover.enabled) {
+            return;
+        }
+
+        const target = event.target;
+        const isOver =
+            target instanceof Element &&
+            !target.closest(OWN_UI_SELECTOR) &&
+            !!target.closest(this.rules.hover.selectors);
+
+        this.setReason(AutoScrollPauseReasons.HOVER, isOver);
+    }
+
+    /**
+     * 处理指针离开元素，离开页面时解除悬停暂停
+     * @param {PointerEvent} event - 指针事件
+     */
+    handlePointerOut(event) {
+        if (!event.relatedTarget) {
+            this.setReason(AutoScrollPauseReasons.HOVER, false);
+        }
+    }
+
+    /**
+     * 处理用户的滚轮或触摸输入，最后一次输入resumeDelay毫秒后恢复
+     */
+    handleUserInput() {
+        const rule = this.rules.userInput;
+        if (!rule.enabled) {
+            return;
+        }
+
+        this.setReason(AutoScrollPauseReasons.USER_INPUT, true);
+
+        if (this.userInputTimer) {
+            clearTimeout(this.userInputTimer);
+        }
+
+        this.userInputTimer = setTimeout(() => {
+            this.userInputTimer = null;
+            this.setReason(AutoScrollPauseReasons.USER_INPUT, false);
+        }, rule.resumeDelay);
+    }
+
+    /**
+     * 添加或移除暂停原因：出现第一个原因时暂停，所有原因都解除后恢复
+     * @param {string} reason - 暂停原因
+     * @param {boolean} active - 该原因是否生效
+     */
+    setReason(reason, active) {
+        const manager = this.autoScrollManager;
+
+        if (!manager.isScrolling || active === this.reasons.has(reason)) {
+            return;
+        }
+
+        try {
+            // 减速滑行中遇到暂停条件，直接完成停止
+            if (active && manager.isStopping()) {
+                manager.stopAutoScroll({ immediate: true });
+                return;
+            }
+
+            if (active) {
+                const wasPaused = this.isPaused();
+                this.reasons.add(reason);
+
+                if (!wasPaused) {
+                    this.pausedAt = Date.now();
+                    manager.stopMotion();
+                }
+
+                console.log('[AutoScrollPauseRules] 自动滚动已暂停，原因:', reason);
+
+                this.eventBus.emit('auto-scroll:paused', {
+                    timestamp: Date.now(),
+                    reason,
+                    reasons: this.getReasons(),
+                    position: manager.getScrollPosition()
+                });
+                return;
+            }
+
+            this.reasons.delete(reason);
+
+            if (this.isPaused()) {
+                return;
+            }
+
+            const pausedFor = Date.now() - this.pausedAt;
+            console.log('[AutoScrollPauseRules] 自动滚动已恢复，暂停原因已解除:', reason);
+
+            // 暂停期间页面可能被用户滚动过，从当前位置重新开始
+            manager.restartMotion();
+
+            this.eventBus.emit('auto-scroll:resumed', {
+                timestamp: Date.now(),
+                reason,
+                pausedFor
+            });
+        } catch (error) {
+            console.error('[AutoScrollPauseRules] 更新暂停状态失败:', error);
+            this.eventBus.emit('auto-scroll:error', { error, phase: 'pause', reason });
+        }
+    }
+
+    /**
+     * 检查自动滚动是否因暂停规则而暂停
+     * @returns {boolean} 是否暂停
+     */
+    isPaused() {
+        return this.reasons.size > 0;
+    }
+
+    /**
+     * 获取当前生效的暂停原因
+     * @returns {string[]} 暂停原因列表
+     */
+    getReasons() {
+        return Array.from(this.reasons);
+    }
+
+    /**
+     * 设置自动暂停规则（可只传入部分字段），关闭的规则立即解除对应的暂停
+     * @param {Object} rules - 规则配置 { hidden, blur, selection, hover, userInput }
+     * @returns {boolean} 是否设置成功
+     */
+    setRules(rules) {
+        const source = rules || {};
+        const nextRules = {
+            ...this.rules,
+            ...source,
+            hover: { ...this.rules.hover, ...(source.hover || {}) },
+            userInput: { ...this.rules.userInput, ...(source.userInput || {}) }
+        };
+
+        if (!this.validateRules(nextRules)) {
+            console.warn('[AutoScrollPauseRules] 无效的自动暂停规则:', rules);
+            return false;
+        }
+
+        const previousRules = this.rules;
+        this.rules = nextRules;
+
+        if (JSON.stringify(previousRules) === JSON.stringify(nextRules)) {
+            return true; // 规则未改变
+        }
+
+        // 关闭的规则不再阻止滚动
+        const ruleEnabled = {
+            [AutoScrollPauseReasons.HIDDEN]: nextRules.hidden,
+            [AutoScrollPauseReasons.BLUR]: nextRules.blur,
+            [AutoScrollPauseReasons.SELECTION]: nextRules.selection,
+            [AutoScrollPauseReasons.HOVER]: nextRules.hover.enabled,
+            [AutoScrollPauseReasons.USER_INPUT]: nextRules.userInput.enabled
+        };
+        Object.keys(ruleEnabled).forEach(reason => {
+            if (!ruleEnabled[reason]) {
+                this.setReason(reason, false);
+            }
+        });
+
+        console.log('[AutoScrollPauseRules] 自动暂停规则已更新:', nextRules);
+
+        this.eventBus.emit('auto-scroll:pause-rules-changed', {
+            timestamp: Date.now(),
+            previousRules: Utils.deepClone(previousRules),
+            currentRules: Utils.deepClone(nextRules)
+        });
+
+        return true;
+    }
+
+    /**
+     * 获取自动暂停规则
+     * @returns {Object} 规则配置
+     */
+    getRules() {
+        return Utils.deepClone(this.rules);
+    }
+
+    /**
+     * 验证自动暂停规则
+     * @param {Object} rules - 规则配置
+     * @returns {boolean} 是否有效
+     */
+    validateRules(rules) {
+        const isBoolean = value => typeof value === 'boolean';
+
+        return (
+            isBoolean(rules.hidden) &&
+            isBoolean(rules.blur) &&
+            isBoolean(rules.selection) &&
+            isBoolean(rules.hover.enabled) &&
+            typeof rules.hover.selectors === 'string' &&
+            rules.hover.selectors !== '' &&
+            this.autoScrollManager.isValidSelector(rules.hover.selectors) &&
+            isBoolean(rules.userInput.enabled) &&
+            typeof rules.userInput.resumeDelay === 'number' &&
+            isFinite(rules.userInput.resumeDelay) &&
+            rules.userInput.resumeDelay >= 0
+        );
+    }
+}
@@ -0,0 +1,272 @@
+import {
+    AutoScrollDirections,
+    AutoScrollStepAlignments,
+    Config,
+    OWN_UI_SELECTOR
+} from '../utils/constants.js';
+
+// 翻页模式下可作为落点的段落边界
+const STEP_BOUNDARY_SELECTOR =
+    'h1, h2, h3, h4, h5, h6, p, li, pre, blockquote, figure, img, table, hr';
+
+// 对齐段落边界时至少前进的比例，避免只前进一两行
+const MIN_STEP_RATIO = 0.25;
+
+/**
+ * AutoScrollStepper - 负责自动滚动的翻页模式
+ *
+ * 每隔一段时间平滑滚动一屏（减去重叠部分），向下翻页时可改为滚动到下一个标题或段落的开头；
+ * 到达边界、停止条件和循环仍由AutoScrollManager处理
+ */
+export class AutoScrollStepper {
+    constructor(eventBus, autoScrollManager) {
+        this.eventBus = eventBus;
+        this.autoScrollManager = autoScrollManager;
+
+        // 翻页配置
+        this.interval = Config.autoScroll.step.interval; // 翻页间隔（秒）
+        this.minInterval = Config.autoScroll.step.minInterval;
+        this.maxInterval = Config.autoScroll.step.maxInterval;
+        this.overlap = Config.autoScroll.step.overlap; // 翻页时保留的像素数
+        this.align = Config.autoScroll.step.align;
+
+        // 翻页计时
+        this.timer = null;
+        this.nextStepAt = 0; // 下一次翻页的时间戳
+
+        // 上一页开始时的滚动位置，平滑滚动结束后据此计算实际滚动的距离
+        this.stepStartPosition = null;
+    }
+
+    /**
+     * 安排下一次翻页
+     */
+    schedule() {
+        this.cancel();
+
+        const interval = this.interval * 1000;
+        this.nextStepAt = Date.now() + interval;
+        this.timer = setTimeout(() => this.performStep(), interval);
+
+        this.eventBus.emit('auto-scroll:step-scheduled', {
+            timestamp: Date.now(),
+            interval,
+            nextStepAt: this.nextStepAt,
+            direction: this.autoScrollManager.direction
+        });
+    }
+
+    /**
+     * 取消已安排的翻页
+     */
+    cancel() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * 检查是否已安排下一次翻页
+     * @returns {boolean} 是否已安排
+     */
+    isScheduled() {
+        return this.timer !== null;
+    }
+
+    /**
+     * 获取下一次翻页的时间戳
+     * @returns {number|null} 时间戳，未安排翻页时为null
+     */
+    getNextStepAt() {
+        return this.isScheduled() ? this.nextStepAt : null;
+    }
+
+    /**
+     * 执行一次翻页，到达边界时交由AutoScrollManager停止、等待新内容或循环
+     */
+    performStep() {
+        const manager = this.autoScrollManager;
+        this.timer = null;
+
+        if (!manager.isScrolling || !manager.isEnabled) {
+            return;
+        }
+
+        try {
+            // 上一页的平滑滚动已经结束，计入实际滚动的距离
+            this.recordStepDistance();
+            if (manager.isDistanceLimitReached()) {
+                manager.stopAutoScrollWithReason('distance-limit');
+                return;
+            }
+
+            if (manager.activeTarget && !manager.activeTarget.isConnected) {
+                console.log('[AutoScrollStepper] 滚动目标已从页面移除，停止滚动');
+                manager.stopAutoScrollWithReason('target-removed');
+                return;
+            }
+
+            // 上一页的平滑滚动已经结束，此时检查停止元素是否已进入视口
+            if (manager.checkStopSelector()) {
+                manager.stopAutoScrollWithReason('selector-visible');
+                return;
+            }
+
+            // 检查是否到达边界
+            if (manager.isAtBoundary()) {
+                console.log('[AutoScrollStepper] 已到达页面边界，停止翻页:', manager.direction);
+                manager.emitBoundaryReached();
+                manager.handleReachedEnd();
+                return;
+            }
+
+            const position = manager.getScrollPosition();
+            const distance = this.calculateDistance();
+            const [dx, dy] = manager.getDirectionVector();
+            this.scrollSmoothly(dx * distance, dy * distance);
+
+            this.stepStartPosition = position;
+
+            this.eventBus.emit('auto-scroll:step', {
+                timestamp: Date.now(),
+                position,
+                distance,
+                direction: manager.direction,
+                target: manager.activeTarget
+            });
+
+            this.schedule();
+        } catch (error) {
+            console.error('[AutoScrollStepper] 翻页失败:', error);
+            this.eventBus.emit('auto-scroll:error', { error, phase: 'page-step' });
+            manager.stopAutoScrollWithReason('error');
+        }
+    }
+
+    /**
+     * 将上一页实际滚动的距离计入AutoScrollManager的累计滚动距离
+     * 页面较短或被网页拦截时实际距离可能小于计划的翻页距离
+     */
+    recordStepDistance() {
+        if (this.stepStartPosition === null) {
+            return;
+        }
+
+        const manager = this.autoScrollManager;
+        manager.scrolledDistance += Math.abs(manager.getScrollPosition() - this.stepStartPosition);
+        this.stepStartPosition = null;
+    }
+
+    /**
+     * 计算一次翻页的距离：一屏减去重叠部分；
+     * 向下翻页且对齐段落边界时，改为滚动到这一距离内最后一个标题或段落的开头
+     * @returns {number} 翻页距离（像素）
+     */
+    calculateDistance() {
+        const manager = this.autoScrollManager;
+        const metrics = manager.getScrollMetrics();
+        const viewport = manager.isVerticalDirection() ? metrics.clientHeight : metrics.clientWidth;
+        const pageDistance = Math.max(1, viewport - this.overlap);
+
+        if (
+            this.align === AutoScrollStepAlignments.BOUNDARY &&
+            manager.direction === AutoScrollDirections.DOWN
+        ) {
+            return this.findBoundary(pageDistance) || pageDistance;
+        }
+
+        return pageDistance;
+    }
+
+    /**
+     * 查找翻页距离内最后一个标题或段落开头相对于可见区域顶部的偏移
+     * 正好跨越可见区域底部的段落会在下一页从头显示
+     * @param {number} maxDistance - 最大翻页距离（像素）
+     * @returns {number} 偏移（像素），没有合适的边界时返回0
+     */
+    findBoundary(maxDistance) {
+        const target = this.autoScrollManager.activeTarget;
+        const root = target || document.body;
+        const originTop = target ? target.getBoundingClientRect().top : 0;
+        const minDistance = maxDistance * MIN_STEP_RATIO;
+        let best = 0;
+
+        root.querySelectorAll(STEP_BOUNDARY_SELECTOR).forEach(element => {
+            if (element.closest(OWN_UI_SELECTOR)) {
+                return;
+            }
+
+            const rect = element.getBoundingClientRect();
+            const offset = Math.round(rect.top - originTop);
+
+            if (rect.height > 0 && offset > minDistance && offset <= maxDistance && offset > best) {
+                best = offset;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * 平滑滚动当前目标
+     * @param {number} dx - 水平位移（像素）
+     * @param {number} dy - 垂直位移（像素）
+     */
+    scrollSmoothly(dx, dy) {
+        const scroller = this.autoScrollManager.activeTarget || window;
+
+        if (typeof scroller.scrollBy === 'function') {
+            scroller.scrollBy({ left: dx, top: dy, behavior: 'smooth' });
+        } else {
+            this.autoScrollManager.scrollTargetBy(dx, dy);
+        }
+    }
+
+    /**
+     * 设置翻页间隔，正在翻页时从现在重新计时
+     * @param {number} interval - 间隔（秒）
+     * @returns {boolean} 是否设置成功
+     */
+    setStepInterval(interval) {
+        if (
+            typeof interval !== 'number' ||
+            !isFinite(interval) ||
+            interval < this.minInterval ||
+            interval > this.maxInterval
+        ) {
+            console.warn('[AutoScrollStepper] 无效的翻页间隔:', interval);
+            return false;
+        }
+
+        if (interval === this.interval) {
+            return true;
+        }
+
+        const previousInterval = this.interval;
+        this.interval = interval;
+
+        if (this.isScheduled()) {
+            this.schedule();
+        }
+
+        console.log(`[AutoScrollStepper] 翻页间隔已更新: ${previousInterval}s -> ${interval}s`);
+
+        this.eventBus.emit('auto-scroll:step-interval-changed', {
+            timestamp: Date.now(),
+            previousInterval,
+            interval,
+            isScrolling: this.autoScrollManager.isScrolling
+        });
+
+        return true;
+    }
+
+    /**
+     * 获取翻页间隔
+     * @returns {number} 间隔（秒）
+     */
+    getStepInterval() {
+        return this.interval;
+    }
+}
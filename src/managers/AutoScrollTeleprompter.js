@@ -0,0 +1,83 @@
+import { AutoScrollTeleprompterGuides, Config } from '../utils/constants.js';
+import { Utils } from '../utils/helpers.js';
+
+/**
+ * AutoScrollTeleprompter - 负责自动滚动的提词器模式设置
+ *
+ * 保存并验证提词器设置，设置改变时发出事件；
+ * 引导线、阅读带、淡化和镜像由UI层的TeleprompterOverlay根据该设置绘制
+ */
+export class AutoScrollTeleprompter {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        this.settings = Utils.deepClone(Config.autoScroll.teleprompter);
+    }
+
+    /**
+     * 设置提词器模式（可只传入部分字段）
+     * @param {Object} settings - 提词器设置 { enabled, guide, position, bandHeight, dim, dimOpacity, mirror }
+     * @returns {boolean} 是否设置成功
+     */
+    setSettings(settings) {
+        const nextSettings = { ...this.settings, ...(settings || {}) };
+
+        if (!this.validate(nextSettings)) {
+            console.warn('[AutoScrollTeleprompter] 无效的提词器设置:', settings);
+            return false;
+        }
+
+        const previousSettings = this.settings;
+        this.settings = nextSettings;
+
+        if (JSON.stringify(previousSettings) === JSON.stringify(nextSettings)) {
+            return true; // 设置未改变
+        }
+
+        console.log('[AutoScrollTeleprompter] 提词器设置已更新:', nextSettings);
+
+        this.eventBus.emit('auto-scroll:teleprompter-changed', {
+            timestamp: Date.now(),
+            previousSettings: Utils.deepClone(previousSettings),
+            settings: Utils.deepClone(nextSettings)
+        });
+
+        return true;
+    }
+
+    /**
+     * 获取提词器设置
+     * @returns {Object} 提词器设置
+     */
+    getSettings() {
+        return Utils.deepClone(this.settings);
+    }
+
+    /**
+     * 检查提词器模式是否开启
+     * @returns {boolean} 是否开启
+     */
+    isEnabled() {
+        return this.settings.enabled;
+    }
+
+    /**
+     * 验证提词器设置
+     * @param {Object} settings - 提词器设置
+     * @returns {boolean} 是否有效
+     */
+    validate(settings) {
+        const isRatio = value => typeof value === 'number' && value >= 0 && value <= 1;
+
+        return (
+            typeof settings.enabled === 'boolean' &&
+            Object.values(AutoScrollTeleprompterGuides).includes(settings.guide) &&
+            isRatio(settings.position) &&
+            typeof settings.bandHeight === 'number' &&
+            isFinite(settings.bandHeight) &&
+            settings.bandHeight > 0 &&
+            typeof settings.dim === 'boolean' &&
+            isRatio(settings.dimOpacity) &&
+            typeof settings.mirror === 'boolean'
+        );
+    }
+}
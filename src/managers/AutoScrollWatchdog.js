@@ -0,0 +1,168 @@
+import { AutoScrollModes, Config, StorageKeys } from '../utils/constants.js';
+
+// 用户有意停止的原因，其余原因（卡住、出错等）停止后看门狗会重新开始滚动
+const INTENTIONAL_STOP_REASONS = ['manual', 'time-limit', 'distance-limit', 'selector-visible'];
+
+// 到达滚动方向边界的停止原因，未开启循环时同样是最终停止（重新开始只会立即再次到达边界）
+const BOUNDARY_STOP_REASONS = ['reached-end'];
+
+/**
+ * AutoScrollWatchdog - 负责自动滚动的看门狗
+ *
+ * 用户开始滚动后直到有意停止之前，定时检查滚动是否仍在进行：
+ * 意外停止时重新开始，连续滚动卡住时重启动画；
+ * 滚动状态按页面地址保存在存储中，页面刷新后由AutoScrollManager启用时恢复
+ */
+export class AutoScrollWatchdog {
+    constructor(eventBus, autoScrollManager, storage) {
+        this.eventBus = eventBus;
+        this.autoScrollManager = autoScrollManager;
+        this.storage = storage;
+
+        // 看门狗配置
+        this.enabled = Config.autoScroll.watchdog.enabled;
+        this.interval = Config.autoScroll.watchdog.interval; // 毫秒
+
+        // 检查状态
+        this.timer = null;
+        this.lastPosition = null;
+        this.keepScrolling = false; // 用户开始滚动后尚未有意停止
+        this.check = this.check.bind(this);
+    }
+
+    /**
+     * 启动定时检查
+     */
+    start() {
+        this.stop();
+        this.lastPosition = null;
+        this.timer = setInterval(this.check, this.interval);
+    }
+
+    /**
+     * 停止定时检查
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * 记录用户是否希望继续滚动，并同步保存当前页面的滚动状态
+     * @param {boolean} keepScrolling - 是否继续滚动
+     */
+    setKeepScrolling(keepScrolling) {
+        this.keepScrolling = keepScrolling;
+        this.saveSession(keepScrolling);
+    }
+
+    /**
+     * 检查停止原因是否为最终停止，最终停止后看门狗不再重新开始滚动
+     * @param {string} reason - 停止原因
+     * @returns {boolean} 是否为最终停止
+     */
+    isFinalStopReason(reason) {
+        return (
+            INTENTIONAL_STOP_REASONS.includes(reason) ||
+            (BOUNDARY_STOP_REASONS.includes(reason) && !this.autoScrollManager.loop.isEnabled())
+        );
+    }
+
+    /**
+     * 看门狗检查：用户没有停止但滚动已停止时重新开始，连续滚动卡住时重启动画
+     */
+    check() {
+        const manager = this.autoScrollManager;
+
+        if (!manager.isEnabled || !this.keepScrolling) {
+            this.lastPosition = null;
+            return;
+        }
+
+        try {
+            if (!manager.isScrolling) {
+                // 停在末尾时：开启了循环先回到开头，否则（如刷新前已滚动到末尾）不再重新开始
+                if (manager.isAtBoundary()) {
+                    if (!manager.loop.isEnabled()) {
+                        this.setKeepScrolling(false);
+                        this.lastPosition = null;
+                        return;
+                    }
+                    manager.loop.jumpToStart();
+                }
+
+                this.eventBus.emit('auto-scroll:watchdog-restart', {
+                    timestamp: Date.now(),
+                    reason: 'stopped'
+                });
+                manager.startAutoScroll(undefined, { reason: 'watchdog' });
+                return;
+            }
+
+            const isAnimating =
+                manager.scrollMode === AutoScrollModes.CONTINUOUS && !manager.isMotionSuspended();
+            const position = manager.getScrollPosition();
+
+            if (
+                isAnimating &&
+                this.lastPosition !== null &&
+                Math.abs(position - this.lastPosition) < 1
+            ) {
+                this.eventBus.emit('auto-scroll:watchdog-restart', {
+                    timestamp: Date.now(),
+                    reason: 'stuck',
+                    position
+                });
+                manager.stopMotion();
+                manager.restartMotion();
+            }
+
+            this.lastPosition = isAnimating ? position : null;
+        } catch (error) {
+            console.error('[AutoScrollWatchdog] 看门狗检查失败:', error);
+            this.eventBus.emit('auto-scroll:error', { error, phase: 'watchdog' });
+        }
+    }
+
+    /**
+     * 获取用于识别页面刷新的页面地址（不含锚点）
+     * @returns {string} 页面地址
+     */
+    getSessionUrl() {
+        return window.location.href.split('#')[0];
+    }
+
+    /**
+     * 记录当前页面是否处于自动滚动中，供页面刷新后的看门狗恢复
+     * @param {boolean} scrolling - 是否正在滚动
+     */
+    saveSession(scrolling) {
+        if (!this.enabled || !this.storage) {
+            return;
+        }
+
+        const session = this.storage.getValue(StorageKeys.AUTO_SCROLL_SESSION, null);
+        const url = this.getSessionUrl();
+
+        if (scrolling) {
+            this.storage.setValue(StorageKeys.AUTO_SCROLL_SESSION, { url, timestamp: Date.now() });
+        } else if (session && session.url === url) {
+            this.storage.setValue(StorageKeys.AUTO_SCROLL_SESSION, null);
+        }
+    }
+
+    /**
+     * 检查当前页面刷新前是否正在自动滚动
+     * @returns {boolean} 是否需要恢复
+     */
+    hasSession() {
+        if (!this.storage) {
+            return false;
+        }
+
+        const session = this.storage.getValue(StorageKeys.AUTO_SCROLL_SESSION, null);
+        return !!session && session.url === this.getSessionUrl();
+    }
+}
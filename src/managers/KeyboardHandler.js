@@ -1,16 +1,59 @@
+import {
+    AutoScrollDirections,
+    AutoScrollSpeedModes,
+    Config,
+    EventTypes,
+    KeyBindingScopes,
+    KeyboardActions,
+    KeyboardConflictTypes,
+    StorageKeys
+} from '../utils/constants.js';
+import { EditableContext } from '../utils/editableContext.js';
+import { Utils } from '../utils/helpers.js';
+import { Keymap } from '../utils/keymap.js';
+import { SettingsStorage } from '../utils/storage.js';
+
+// 开始滚动的动作与滚动方向的对应关系
+const ACTION_DIRECTIONS = {
+    [KeyboardActions.START]: AutoScrollDirections.DOWN,
+    [KeyboardActions.START_UP]: AutoScrollDirections.UP,
+    [KeyboardActions.START_LEFT]: AutoScrollDirections.LEFT,
+    [KeyboardActions.START_RIGHT]: AutoScrollDirections.RIGHT
+};
+
+// 提词器模式下调整速度的方向键：上键加速、下键减速
+const TELEPROMPTER_NUDGES = {
+    ArrowUp: 1,
+    ArrowDown: -1
+};
+
 /**
  * KeyboardHandler - 键盘事件处理类，负责处理自动滚动相关的键盘快捷键
  *
- * 支持的快捷键：
- * - Ctrl+ArrowDown: 启动自动滚动
+ * 快捷键按动作绑定（Config.keyboard.bindings），可在控制面板中重新录制，默认为：
+ * - Ctrl+ArrowDown / ArrowUp / ArrowLeft / ArrowRight: 向对应方向启动自动滚动，
+ *   滚动中按下时切换方向
  * - Space: 停止自动滚动
+ * - Ctrl+Shift+A: 开始或停止自动滚动
+ * - Ctrl+Shift+ArrowUp / ArrowDown: 加快、减慢自动滚动
+ * - Ctrl+Shift+S: 切换到下一个滚动条模式
+ * - 显示或隐藏控制面板：默认未绑定
+ * - ArrowUp / ArrowDown: 提词器模式下滚动时加快、减慢滚动速度（不可重新绑定）
  *
+ * 快捷键中的Ctrl和Meta（Mac上的Cmd）是不同的修饰键，Mod在Mac上表示Cmd、在其他平台上表示Ctrl。
+ * 快捷键也可以是按键序列（如 'G S'、'Ctrl+K Ctrl+A'），需在Config.keyboard.sequenceTimeout毫秒内
+ * 依次按下；序列的前缀与另一个快捷键相同时，按下前缀后等待超时才执行较短的快捷键。
  * 通过事件系统与AutoScrollManager通信
+ *
+ * 冲突检测模式（Config.keyboard.conflictDetection）下记录与网页自身快捷键冲突的绑定：
+ * 网页在脚本之前已阻止了按键的默认行为，或脚本未处理的按键随后被网页阻止。
+ * 冲突按站点（hostname）保存在存储中，直到用户重新绑定或停用对应的快捷键
  */
 export class KeyboardHandler {
-    constructor(eventBus, autoScrollManager = null) {
+    constructor(eventBus, autoScrollManager = null, storage = SettingsStorage) {
         this.eventBus = eventBus;
         this.autoScrollManager = autoScrollManager;
+        this.storage = storage;
 
         // 事件处理状态
         this.isEnabled = false;
@@ -19,13 +62,35 @@ export class KeyboardHandler {
         // 事件处理器引用
         this.keydownHandler = null;
         this.keyupHandler = null;
+        this.conflictCheckHandler = null;
 
         // 键盘状态跟踪
         this.pressedKeys = new Set();
         this.isCtrlPressed = false;
 
-        // 输入框检测
-        this.inputElements = ['input', 'textarea', 'select'];
+        // 快捷键绑定：动作 -> 快捷键字符串，以及按步骤拆分后的匹配列表
+        this.bindings = { ...Config.keyboard.bindings };
+        this.bindingSequences = [];
+        this.compileBindings();
+
+        // 按键序列状态：已按下的步骤、超时后执行的动作（前缀本身也是快捷键时）及其最后一次按键
+        this.sequenceTimeout = Config.keyboard.sequenceTimeout;
+        this.pendingSequence = [];
+        this.pendingAction = null;
+        this.pendingEvent = null;
+        this.sequenceTimer = null;
+
+        // 与网页快捷键的冲突：动作 -> 冲突记录
+        this.conflictDetection = Config.keyboard.conflictDetection;
+        this.conflicts = new Map();
+        this.lastConflictEvent = null;
+
+        // 正在录制新快捷键的动作、作用范围，以及已录制的步骤
+        this.captureAction = null;
+        this.captureScope = KeyBindingScopes.GLOBAL;
+        this.captureSteps = [];
+        this.captureTimer = null;
+        this.handleCaptureKeyDown = this.handleCaptureKeyDown.bind(this);
 
         console.log('[KeyboardHandler] 键盘事件处理器已创建');
     }
@@ -48,6 +113,11 @@ export class KeyboardHandler {
                 this.bindEvents();
             }
 
+            // 恢复之前在本站记录的冲突
+            if (this.loadConflicts().length > 0) {
+                this.emitConflictsChanged();
+            }
+
             console.log('[KeyboardHandler] 键盘事件处理已启用');
 
             // 发送启用事件
@@ -79,6 +149,7 @@ export class KeyboardHandler {
             // 清理键盘状态
             this.pressedKeys.clear();
             this.isCtrlPressed = false;
+            this.endSequence(null, 'cancelled');
 
             console.log('[KeyboardHandler] 键盘事件处理已禁用');
 
@@ -109,11 +180,15 @@ export class KeyboardHandler {
             // 创建事件处理器
             this.keydownHandler = event => this.handleKeyDown(event);
             this.keyupHandler = event => this.handleKeyUp(event);
+            this.conflictCheckHandler = event => this.handleConflictCheck(event);
 
             // 绑定事件监听器
             document.addEventListener('keydown', this.keydownHandler, true);
             document.addEventListener('keyup', this.keyupHandler, true);
 
+            // 在冒泡阶段的最后检查网页是否阻止了脚本未处理的按键
+            window.addEventListener('keydown', this.conflictCheckHandler);
+
             this.isListening = true;
             console.log('[KeyboardHandler] 键盘事件监听器已绑定');
 
@@ -152,6 +227,11 @@ export class KeyboardHandler {
                 this.keyupHandler = null;
             }
 
+            if (this.conflictCheckHandler) {
+                window.removeEventListener('keydown', this.conflictCheckHandler);
+                this.conflictCheckHandler = null;
+            }
+
             this.isListening = false;
 
             // 清理键盘状态
@@ -199,6 +279,11 @@ export class KeyboardHandler {
             listening: this.isListening,
             pressedKeys: Array.from(this.pressedKeys),
             ctrlPressed: this.isCtrlPressed,
+            bindings: this.getBindings(),
+            pendingSequence: [...this.pendingSequence],
+            conflictDetection: this.conflictDetection,
+            conflicts: this.getConflicts(),
+            capturing: this.captureAction,
             autoScrollEnabled: this.autoScrollManager
                 ? this.autoScrollManager.isAutoScrollEnabled()
                 : false,
@@ -217,8 +302,8 @@ export class KeyboardHandler {
                 return;
             }
 
-            // 检查是否在输入框中
-            if (this.isInInputElement(event.target)) {
+            // 输入时（输入框、富文本编辑器、输入法组合输入）不处理快捷键
+            if (this.isInEditableContext(event)) {
                 return;
             }
 
@@ -240,14 +325,15 @@ export class KeyboardHandler {
                 timestamp: Date.now()
             });
 
-            // 检查Ctrl+ArrowDown组合键
-            if (this.isCtrlArrowDownPressed(event)) {
-                this.handleCtrlArrowDown(event);
+            // 检查绑定的快捷键和按键序列
+            if (this.handleBindingKey(event)) {
+                return;
             }
 
-            // 检查空格键
-            if (this.isSpacePressed(event)) {
-                this.handleSpace(event);
+            // 检查提词器模式下的速度微调
+            const nudge = this.getTeleprompterNudge(event);
+            if (nudge) {
+                this.handleTeleprompterNudge(event, nudge);
             }
         } catch (error) {
             console.error('[KeyboardHandler] 处理keydown事件失败:', error);
@@ -290,269 +376,808 @@ export class KeyboardHandler {
     }
 
     /**
-     * 检查是否按下了Ctrl+ArrowDown组合键
-     * @param {KeyboardEvent} event - 键盘事件对象
-     * @returns {boolean} 是否按下了Ctrl+ArrowDown
+     * 将当前的快捷键绑定按步骤拆分，生成匹配列表
      */
-    isCtrlArrowDownPressed(event) {
-        try {
-            // 检查Ctrl键（包括Mac的Cmd键）
-            const isCtrlPressed = event.ctrlKey || event.metaKey;
+    compileBindings() {
+        this.bindingSequences = Object.keys(this.bindings)
+            .filter(action => this.bindings[action])
+            .map(action => ({ action, steps: this.bindings[action].split(' ') }));
+    }
 
-            // 检查向下箭头键
-            const isArrowDownPressed =
-                event.key === 'ArrowDown' || event.code === 'ArrowDown' || event.keyCode === 40;
+    /**
+     * 设置多个动作的快捷键（可只传入部分动作）
+     * @param {Object} bindings - 动作 -> 快捷键字符串，空字符串表示取消绑定
+     * @param {Object} options - 选项 { scope: 绑定的作用范围，默认为全局 }
+     * @returns {boolean} 是否设置成功
+     */
+    setBindings(bindings, options = {}) {
+        const nextBindings = { ...this.bindings };
 
-            return isCtrlPressed && isArrowDownPressed;
-        } catch (error) {
-            console.error('[KeyboardHandler] 检查Ctrl+ArrowDown组合键失败:', error);
-            return false;
+        for (const action of Object.keys(bindings || {})) {
+            const binding = Keymap.normalize(bindings[action]);
+
+            if (!Object.values(KeyboardActions).includes(action) || binding === null) {
+                console.warn('[KeyboardHandler] 无效的快捷键绑定:', action, bindings[action]);
+                return false;
+            }
+
+            nextBindings[action] = binding;
         }
+
+        return this.applyBindings(nextBindings, options.scope);
     }
 
     /**
-     * 处理Ctrl+ArrowDown组合键
-     * @param {KeyboardEvent} event - 键盘事件对象
+     * 设置单个动作的快捷键，其他动作已占用同一快捷键时解除其绑定
+     * @param {string} action - 动作
+     * @param {string} binding - 快捷键字符串，空字符串表示取消绑定
+     * @param {Object} options - 选项 { scope: 绑定的作用范围，默认为全局 }
+     * @returns {boolean} 是否设置成功
      */
-    handleCtrlArrowDown(event) {
-        try {
-            console.log('[KeyboardHandler] 检测到Ctrl+ArrowDown组合键');
-
-            // 发送组合键检测事件
-            this.eventBus.emit('keyboard-handler:ctrl-arrow-down', {
-                timestamp: Date.now(),
-                event: {
-                    ctrlKey: event.ctrlKey,
-                    metaKey: event.metaKey,
-                    key: event.key
+    setBinding(action, binding, options = {}) {
+        const normalized = Keymap.normalize(binding);
+
+        if (!Object.values(KeyboardActions).includes(action) || normalized === null) {
+            console.warn('[KeyboardHandler] 无效的快捷键绑定:', action, binding);
+            return false;
+        }
+
+        const nextBindings = { ...this.bindings, [action]: normalized };
+
+        if (normalized !== '') {
+            Object.keys(nextBindings).forEach(other => {
+                if (other !== action && nextBindings[other] === normalized) {
+                    console.log('[KeyboardHandler] 快捷键已从其他动作移除:', other, normalized);
+                    nextBindings[other] = '';
                 }
             });
+        }
+
+        return this.applyBindings(nextBindings, options.scope);
+    }
+
+    /**
+     * 应用新的快捷键绑定并通知变化，绑定改变的动作不再视为与网页冲突
+     * @param {Object} nextBindings - 完整的绑定
+     * @param {string} scope - 绑定的作用范围，站点范围的绑定由应用保存到站点配置
+     * @returns {boolean} 是否设置成功
+     */
+    applyBindings(nextBindings, scope = KeyBindingScopes.GLOBAL) {
+        const previousBindings = this.bindings;
+
+        if (JSON.stringify(previousBindings) === JSON.stringify(nextBindings)) {
+            return true; // 绑定未改变
+        }
+
+        this.bindings = nextBindings;
+        this.compileBindings();
+        this.endSequence(null, 'cancelled');
+
+        console.log('[KeyboardHandler] 快捷键绑定已更新:', scope, nextBindings);
+
+        this.eventBus.emit('keyboard-handler:bindings-changed', {
+            timestamp: Date.now(),
+            previousBindings: Utils.deepClone(previousBindings),
+            bindings: Utils.deepClone(nextBindings),
+            scope
+        });
 
-            // 检查自动滚动管理器是否存在
-            if (!this.autoScrollManager) {
-                console.warn(
-                    '[KeyboardHandler] AutoScrollManager不存在，通过事件系统请求启动自动滚动'
-                );
-                this.eventBus.emit('keyboard-handler:request-auto-scroll-start', {
-                    reason: 'ctrl-arrow-down',
-                    timestamp: Date.now()
-                });
+        const rebound = Object.keys(nextBindings).filter(
+            action => previousBindings[action] !== nextBindings[action]
+        );
+        this.clearConflicts(rebound);
+
+        return true;
+    }
+
+    /**
+     * 获取全部快捷键绑定
+     * @returns {Object} 动作 -> 快捷键字符串
+     */
+    getBindings() {
+        return { ...this.bindings };
+    }
+
+    /**
+     * 设置按键序列中相邻两次按键的最长间隔
+     * @param {number} timeout - 间隔（毫秒）
+     * @returns {boolean} 是否设置成功
+     */
+    setSequenceTimeout(timeout) {
+        if (typeof timeout !== 'number' || !isFinite(timeout) || timeout <= 0) {
+            console.warn('[KeyboardHandler] 无效的按键序列间隔:', timeout);
+            return false;
+        }
+
+        this.sequenceTimeout = timeout;
+        return true;
+    }
+
+    /**
+     * 查找以指定步骤开头的快捷键
+     * @param {Array<string>} keys - 已按下的步骤
+     * @returns {Object} { exact: 完全匹配的动作或null, prefixes: 还需继续按键的动作列表 }
+     */
+    findSequenceMatches(keys) {
+        const result = { exact: null, prefixes: [] };
+
+        this.bindingSequences.forEach(({ action, steps }) => {
+            if (steps.length < keys.length || keys.some((key, i) => steps[i] !== key)) {
                 return;
             }
 
-            // 检查自动滚动功能是否启用
-            if (!this.autoScrollManager.isAutoScrollEnabled()) {
-                console.log('[KeyboardHandler] 自动滚动功能未启用，忽略Ctrl+ArrowDown');
-                this.eventBus.emit('keyboard-handler:auto-scroll-disabled', {
-                    reason: 'ctrl-arrow-down-ignored',
-                    timestamp: Date.now()
-                });
-                return;
+            if (steps.length === keys.length) {
+                result.exact = result.exact || action;
+            } else {
+                result.prefixes.push(action);
             }
+        });
 
-            // 阻止默认行为，防止与页面原有快捷键冲突
+        return result;
+    }
+
+    /**
+     * 按已绑定的快捷键和按键序列处理按键
+     * @param {KeyboardEvent} event - 键盘事件对象
+     * @returns {boolean} 按键是否属于某个快捷键
+     */
+    handleBindingKey(event) {
+        const step = Keymap.fromEvent(event);
+        if (step === null) {
+            return this.pendingSequence.length > 0; // 只按下了修饰键，继续等待序列的下一步
+        }
+
+        let keys = [...this.pendingSequence, step];
+        let match = this.findSequenceMatches(keys);
+
+        if (this.pendingSequence.length > 0 && !match.exact && match.prefixes.length === 0) {
+            // 序列中断，当前按键作为新序列的第一步重新匹配
+            this.endSequence(null, 'mismatch');
+            keys = [step];
+            match = this.findSequenceMatches(keys);
+        }
+
+        if (event.defaultPrevented && (match.exact || match.prefixes.length > 0)) {
+            // 网页在脚本之前已经处理了该按键
+            const actions = match.exact ? [match.exact, ...match.prefixes] : match.prefixes;
+            this.recordConflict(actions, step, KeyboardConflictTypes.PAGE_FIRST, event);
+        }
+
+        if (match.prefixes.length > 0) {
+            // 序列尚未完成，拦截按键并等待下一步
             event.preventDefault();
             event.stopPropagation();
+            this.continueSequence(keys, match, event);
+            return true;
+        }
 
-            // 启动自动滚动
-            const success = this.autoScrollManager.startAutoScroll();
-            if (success) {
-                console.log('[KeyboardHandler] 通过Ctrl+ArrowDown成功启动自动滚动');
-                this.eventBus.emit('keyboard-handler:auto-scroll-started', {
-                    trigger: 'ctrl-arrow-down',
-                    timestamp: Date.now()
-                });
-            } else {
-                console.warn('[KeyboardHandler] 通过Ctrl+ArrowDown启动自动滚动失败');
-                this.eventBus.emit('keyboard-handler:auto-scroll-start-failed', {
-                    trigger: 'ctrl-arrow-down',
-                    timestamp: Date.now()
-                });
-            }
-        } catch (error) {
-            console.error('[KeyboardHandler] 处理Ctrl+ArrowDown失败:', error);
-            this.eventBus.emit('keyboard-handler:error', { error, phase: 'ctrl-arrow-down' });
+        if (!match.exact) {
+            return false;
         }
+
+        this.endSequence(match.exact, 'matched');
+        this.runAction(match.exact, event);
+        return true;
     }
 
     /**
-     * 检查是否按下了空格键
+     * 开启或关闭冲突检测，关闭后不再记录新的冲突，已记录的冲突保留
+     * @param {boolean} enabled - 是否开启
+     */
+    setConflictDetection(enabled) {
+        this.conflictDetection = !!enabled;
+    }
+
+    /**
+     * 检查已冒泡到window的按键是否被网页阻止了默认行为
+     * 脚本处理的按键已停止传播，不会到达这里
      * @param {KeyboardEvent} event - 键盘事件对象
-     * @returns {boolean} 是否按下了空格键
      */
-    isSpacePressed(event) {
+    handleConflictCheck(event) {
         try {
-            return (
-                event.key === ' ' ||
-                event.key === 'Space' ||
-                event.code === 'Space' ||
-                event.keyCode === 32
-            );
+            if (
+                !this.isEnabled ||
+                !this.conflictDetection ||
+                !event.defaultPrevented ||
+                event === this.lastConflictEvent ||
+                this.isInEditableContext(event)
+            ) {
+                return;
+            }
+
+            const step = Keymap.fromEvent(event);
+            const actions = this.bindingSequences
+                .filter(({ steps }) => steps[0] === step)
+                .map(({ action }) => action);
+
+            if (step !== null && actions.length > 0) {
+                this.recordConflict(actions, step, KeyboardConflictTypes.PAGE_PREVENTED, event);
+            }
         } catch (error) {
-            console.error('[KeyboardHandler] 检查空格键失败:', error);
-            return false;
+            console.error('[KeyboardHandler] 检查快捷键冲突失败:', error);
+            this.eventBus.emit('keyboard-handler:error', { error, phase: 'conflict-check' });
         }
     }
 
     /**
-     * 处理空格键
+     * 记录快捷键与网页的冲突
+     * @param {Array<string>} actions - 冲突的动作
+     * @param {string} key - 冲突的按键
+     * @param {string} type - 冲突类型
      * @param {KeyboardEvent} event - 键盘事件对象
      */
-    handleSpace(event) {
-        try {
-            console.log('[KeyboardHandler] 检测到空格键');
+    recordConflict(actions, key, type, event) {
+        if (!this.conflictDetection) {
+            return;
+        }
 
-            // 发送空格键检测事件
-            this.eventBus.emit('keyboard-handler:space-pressed', {
-                timestamp: Date.now(),
-                target: event.target.tagName
-            });
+        this.lastConflictEvent = event;
+        let changed = false;
 
-            // 检查自动滚动管理器是否存在
-            if (!this.autoScrollManager) {
-                console.warn(
-                    '[KeyboardHandler] AutoScrollManager不存在，通过事件系统请求停止自动滚动'
-                );
-                this.eventBus.emit('keyboard-handler:request-auto-scroll-stop', {
-                    reason: 'space-key',
-                    timestamp: Date.now()
-                });
-                return;
-            }
+        actions.forEach(action => {
+            const existing = this.conflicts.get(action);
+            const conflict = {
+                action,
+                binding: this.bindings[action],
+                key,
+                type,
+                hostname: window.location.hostname,
+                count: existing ? existing.count + 1 : 1,
+                lastSeen: Date.now()
+            };
 
-            // 检查是否正在自动滚动
-            if (!this.autoScrollManager.isAutoScrolling()) {
-                console.log('[KeyboardHandler] 自动滚动未在进行中，忽略空格键');
-                this.eventBus.emit('keyboard-handler:auto-scroll-not-active', {
-                    reason: 'space-key-ignored',
-                    timestamp: Date.now()
-                });
-                return;
+            this.conflicts.set(action, conflict);
+
+            if (!existing || existing.type !== type) {
+                console.warn('[KeyboardHandler] 快捷键与网页冲突:', action, key, type);
+                changed = true;
             }
 
-            // 阻止空格键的默认行为（页面滚动）
-            event.preventDefault();
-            event.stopPropagation();
+            this.eventBus.emit('keyboard-handler:conflict-detected', { ...conflict });
+        });
 
-            // 停止自动滚动
-            const success = this.autoScrollManager.stopAutoScroll();
-            if (success) {
-                console.log('[KeyboardHandler] 通过空格键成功停止自动滚动');
-                this.eventBus.emit('keyboard-handler:auto-scroll-stopped', {
-                    trigger: 'space-key',
-                    timestamp: Date.now()
-                });
-            } else {
-                console.warn('[KeyboardHandler] 通过空格键停止自动滚动失败');
-                this.eventBus.emit('keyboard-handler:auto-scroll-stop-failed', {
-                    trigger: 'space-key',
-                    timestamp: Date.now()
-                });
-            }
+        this.saveConflicts();
+
+        if (changed) {
+            this.emitConflictsChanged();
+        }
+    }
+
+    /**
+     * 清除已记录的冲突
+     * @param {Array<string>} actions - 要清除的动作，不传时清除全部
+     */
+    clearConflicts(actions = null) {
+        const targets = actions || Array.from(this.conflicts.keys());
+        const removed = targets.filter(action => this.conflicts.delete(action));
+
+        if (removed.length > 0) {
+            this.saveConflicts();
+            this.emitConflictsChanged();
+        }
+    }
+
+    /**
+     * 从存储中读取本站记录的冲突，绑定已经改变的冲突不再读取
+     * @returns {Array<Object>} 冲突记录
+     */
+    loadConflicts() {
+        try {
+            const stored = this.storage.getValue(StorageKeys.SHORTCUT_CONFLICTS, {}) || {};
+            const siteConflicts = stored[window.location.hostname] || {};
+
+            this.conflicts = new Map(
+                Object.keys(siteConflicts)
+                    .filter(action => siteConflicts[action].binding === this.bindings[action])
+                    .map(action => [action, siteConflicts[action]])
+            );
         } catch (error) {
-            console.error('[KeyboardHandler] 处理空格键失败:', error);
-            this.eventBus.emit('keyboard-handler:error', { error, phase: 'space-key' });
+            console.error('[KeyboardHandler] 读取快捷键冲突失败:', error);
+            this.eventBus.emit('keyboard-handler:error', { error, phase: 'load-conflicts' });
         }
+
+        return this.getConflicts();
     }
 
     /**
-     * 检查目标元素是否为输入框
-     * @param {Element} target - 目标元素
-     * @returns {boolean} 是否为输入框
+     * 将本站记录的冲突写入存储，没有冲突时移除本站的记录
      */
-    isInInputElement(target) {
+    saveConflicts() {
         try {
-            if (!target || !target.tagName) {
-                return false;
+            const stored = this.storage.getValue(StorageKeys.SHORTCUT_CONFLICTS, {}) || {};
+            const hostname = window.location.hostname;
+
+            if (this.conflicts.size > 0) {
+                stored[hostname] = Object.fromEntries(this.conflicts);
+            } else {
+                delete stored[hostname];
             }
 
-            const tagName = target.tagName.toLowerCase();
+            this.storage.setValue(StorageKeys.SHORTCUT_CONFLICTS, stored);
+        } catch (error) {
+            console.error('[KeyboardHandler] 保存快捷键冲突失败:', error);
+            this.eventBus.emit('keyboard-handler:error', { error, phase: 'save-conflicts' });
+        }
+    }
 
-            // 检查是否为输入元素
-            if (this.inputElements.includes(tagName)) {
-                return true;
+    /**
+     * 获取本站记录到的快捷键冲突
+     * @returns {Array<Object>} 冲突记录 { action, binding, key, type, hostname, count, lastSeen }
+     */
+    getConflicts() {
+        return Array.from(this.conflicts.values()).map(conflict => ({ ...conflict }));
+    }
+
+    /**
+     * 通知冲突记录变化
+     */
+    emitConflictsChanged() {
+        this.eventBus.emit('keyboard-handler:conflicts-changed', {
+            conflicts: this.getConflicts(),
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * 记录未完成的按键序列，并在超时后结束等待
+     * @param {Array<string>} keys - 已按下的步骤
+     * @param {Object} match - findSequenceMatches的结果
+     * @param {KeyboardEvent} event - 最后一次按键的事件对象
+     */
+    continueSequence(keys, match, event) {
+        clearTimeout(this.sequenceTimer);
+
+        this.pendingSequence = keys;
+        this.pendingAction = match.exact;
+        this.pendingEvent = event;
+        this.sequenceTimer = setTimeout(() => this.handleSequenceTimeout(), this.sequenceTimeout);
+
+        console.log('[KeyboardHandler] 等待按键序列的下一步:', keys.join(' '));
+
+        this.eventBus.emit('keyboard-handler:sequence-pending', {
+            keys: [...keys],
+            actions: match.prefixes,
+            timeout: this.sequenceTimeout,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * 按键序列等待超时：已按下的步骤本身是快捷键时执行该动作，否则放弃序列
+     */
+    handleSequenceTimeout() {
+        const action = this.pendingAction;
+        const event = this.pendingEvent;
+        this.endSequence(action, 'timeout');
+
+        if (action) {
+            this.runAction(action, event);
+        }
+    }
+
+    /**
+     * 结束等待按键序列
+     * @param {string|null} action - 将要执行的动作，没有时为null
+     * @param {string} reason - 结束原因：matched、timeout、mismatch或cancelled
+     */
+    endSequence(action, reason) {
+        clearTimeout(this.sequenceTimer);
+        this.sequenceTimer = null;
+
+        const keys = this.pendingSequence;
+        if (keys.length === 0) {
+            return;
+        }
+
+        this.pendingSequence = [];
+        this.pendingAction = null;
+        this.pendingEvent = null;
+
+        this.eventBus.emit('keyboard-handler:sequence-ended', {
+            keys,
+            action,
+            reason,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * 执行快捷键对应的动作，动作被处理时阻止按键的默认行为
+     * @param {string} action - 动作
+     * @param {KeyboardEvent} event - 键盘事件对象
+     * @returns {boolean} 动作是否被处理
+     */
+    runAction(action, event) {
+        try {
+            let handled;
+
+            if (ACTION_DIRECTIONS[action]) {
+                handled = this.startInDirection(ACTION_DIRECTIONS[action], action);
+            } else if (action === KeyboardActions.STOP) {
+                handled = this.stopAutoScroll(action);
+            } else if (action === KeyboardActions.TOGGLE) {
+                handled = this.isAutoScrollAvailable(action);
+                if (handled) {
+                    this.eventBus.emit(EventTypes.KEYBOARD_TOGGLE, { trigger: action });
+                }
+            } else if (action === KeyboardActions.FASTER || action === KeyboardActions.SLOWER) {
+                handled = this.isAutoScrollAvailable(action);
+                if (handled) {
+                    this.adjustSpeed(action === KeyboardActions.FASTER ? 1 : -1);
+                }
+            } else {
+                // 切换滚动条模式、显示面板由应用转发给对应模块
+                this.eventBus.emit(`keyboard:${action}`, { trigger: action });
+                handled = true;
             }
 
-            // 检查是否为可编辑元素
-            if (target.contentEditable === 'true' || target.contentEditable === '') {
-                return true;
+            if (handled) {
+                // 阻止默认行为，防止与页面原有快捷键冲突
+                event.preventDefault();
+                event.stopPropagation();
             }
 
-            // 检查是否在可编辑区域内
-            let parent = target.parentElement;
-            while (parent) {
-                if (parent.contentEditable === 'true' || parent.contentEditable === '') {
-                    return true;
-                }
-                parent = parent.parentElement;
+            this.eventBus.emit('keyboard-handler:action', {
+                action,
+                binding: this.bindings[action],
+                handled,
+                timestamp: Date.now()
+            });
+
+            return handled;
+        } catch (error) {
+            console.error('[KeyboardHandler] 执行快捷键动作失败:', action, error);
+            this.eventBus.emit('keyboard-handler:error', { error, phase: `action-${action}` });
+            return false;
+        }
+    }
+
+    /**
+     * 检查自动滚动功能是否可用，不可用时发出通知
+     * @param {string} trigger - 触发的动作
+     * @returns {boolean} 是否可用
+     */
+    isAutoScrollAvailable(trigger) {
+        if (!this.autoScrollManager) {
+            console.warn('[KeyboardHandler] AutoScrollManager不存在，忽略快捷键:', trigger);
+            return false;
+        }
+
+        if (!this.autoScrollManager.isAutoScrollEnabled()) {
+            console.log('[KeyboardHandler] 自动滚动功能未启用，忽略快捷键:', trigger);
+            this.eventBus.emit('keyboard-handler:auto-scroll-disabled', {
+                reason: `${trigger}-ignored`,
+                timestamp: Date.now()
+            });
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * 加快或减慢自动滚动，并通知调整后的速度
+     * 速度等级模式下每次调整一级，阅读速度模式下调整一档每分钟词数
+     * @param {number} step - 1表示加快，-1表示减慢
+     * @returns {boolean} 速度是否改变
+     */
+    adjustSpeed(step) {
+        const manager = this.autoScrollManager;
+        const isWpm = manager.getSpeedMode() === AutoScrollSpeedModes.WPM;
+        const before = isWpm ? manager.getWpm() : manager.getSpeed();
+        const success = step > 0 ? manager.increaseSpeed() : manager.decreaseSpeed();
+        const value = isWpm ? manager.getWpm() : manager.getSpeed();
+        const changed = success && value !== before;
+
+        this.eventBus.emit(
+            step > 0 ? EventTypes.KEYBOARD_SPEED_UP : EventTypes.KEYBOARD_SPEED_DOWN,
+            {
+                speedMode: manager.getSpeedMode(),
+                value,
+                changed,
+                timestamp: Date.now()
             }
+        );
+
+        return changed;
+    }
 
+    /**
+     * 向指定方向启动自动滚动（滚动中则切换方向）
+     * @param {string} direction - 滚动方向
+     * @param {string} trigger - 触发的动作
+     * @returns {boolean} 动作是否被处理
+     */
+    startInDirection(direction, trigger) {
+        if (!this.autoScrollManager) {
+            console.warn('[KeyboardHandler] AutoScrollManager不存在，通过事件系统请求启动自动滚动');
+            this.eventBus.emit('keyboard-handler:request-auto-scroll-start', {
+                reason: trigger,
+                direction,
+                timestamp: Date.now()
+            });
             return false;
-        } catch (error) {
-            console.error('[KeyboardHandler] 检查输入元素失败:', error);
+        }
+
+        if (!this.isAutoScrollAvailable(trigger)) {
             return false;
         }
+
+        const success = this.autoScrollManager.startAutoScroll(direction);
+        if (success) {
+            console.log('[KeyboardHandler] 通过快捷键成功启动自动滚动:', direction);
+            this.eventBus.emit('keyboard-handler:auto-scroll-started', {
+                trigger,
+                direction,
+                timestamp: Date.now()
+            });
+        } else {
+            console.warn('[KeyboardHandler] 通过快捷键启动自动滚动失败:', direction);
+            this.eventBus.emit('keyboard-handler:auto-scroll-start-failed', {
+                trigger,
+                direction,
+                timestamp: Date.now()
+            });
+        }
+
+        return true;
     }
 
     /**
-     * 设置AutoScrollManager引用
-     * @param {AutoScrollManager} autoScrollManager - AutoScrollManager实例
+     * 停止自动滚动，未在滚动时不处理，保留按键的默认行为（如空格翻页）
+     * @param {string} trigger - 触发的动作
+     * @returns {boolean} 动作是否被处理
      */
-    setAutoScrollManager(autoScrollManager) {
-        this.autoScrollManager = autoScrollManager;
-        console.log('[KeyboardHandler] AutoScrollManager引用已设置');
+    stopAutoScroll(trigger) {
+        if (!this.autoScrollManager) {
+            console.warn('[KeyboardHandler] AutoScrollManager不存在，通过事件系统请求停止自动滚动');
+            this.eventBus.emit('keyboard-handler:request-auto-scroll-stop', {
+                reason: trigger,
+                timestamp: Date.now()
+            });
+            return false;
+        }
 
-        // 发送引用设置事件
-        this.eventBus.emit('keyboard-handler:auto-scroll-manager-set', {
-            timestamp: Date.now(),
-            hasManager: !!autoScrollManager
+        if (!this.autoScrollManager.isAutoScrolling()) {
+            this.eventBus.emit('keyboard-handler:auto-scroll-not-active', {
+                reason: `${trigger}-ignored`,
+                timestamp: Date.now()
+            });
+            return false;
+        }
+
+        const success = this.autoScrollManager.stopAutoScroll();
+        if (success) {
+            console.log('[KeyboardHandler] 通过快捷键成功停止自动滚动');
+            this.eventBus.emit('keyboard-handler:auto-scroll-stopped', {
+                trigger,
+                timestamp: Date.now()
+            });
+        } else {
+            console.warn('[KeyboardHandler] 通过快捷键停止自动滚动失败');
+            this.eventBus.emit('keyboard-handler:auto-scroll-stop-failed', {
+                trigger,
+                timestamp: Date.now()
+            });
+        }
+
+        return true;
+    }
+
+    /**
+     * 开始为动作录制新的快捷键：停顿sequenceTimeout毫秒后，期间的按键成为该动作的快捷键
+     * （依次按下多个按键时录制为按键序列），Esc取消录制，第一步按Backspace或Delete取消该动作的绑定
+     * @param {string} action - 动作
+     * @param {Object} options - 选项 { scope: 录制到的快捷键的作用范围，默认为全局 }
+     * @returns {boolean} 是否开始录制
+     */
+    startCapture(action, options = {}) {
+        if (!Object.values(KeyboardActions).includes(action)) {
+            console.warn('[KeyboardHandler] 无效的快捷键动作:', action);
+            return false;
+        }
+
+        this.cancelCapture();
+
+        // 在window的捕获阶段处理，先于页面和快捷键处理拦截按键
+        window.addEventListener('keydown', this.handleCaptureKeyDown, true);
+        this.captureAction = action;
+        this.captureScope = options.scope || KeyBindingScopes.GLOBAL;
+
+        console.log('[KeyboardHandler] 开始录制快捷键:', action, this.captureScope);
+
+        this.eventBus.emit('keyboard-handler:capture-started', {
+            action,
+            scope: this.captureScope,
+            timestamp: Date.now()
+        });
+
+        return true;
+    }
+
+    /**
+     * 结束快捷键录制
+     * @param {string|null} binding - 录制到的快捷键，取消时为null
+     */
+    endCapture(binding) {
+        const action = this.captureAction;
+        const scope = this.captureScope;
+        if (!action) {
+            return;
+        }
+
+        window.removeEventListener('keydown', this.handleCaptureKeyDown, true);
+        clearTimeout(this.captureTimer);
+        this.captureTimer = null;
+        this.captureAction = null;
+        this.captureScope = KeyBindingScopes.GLOBAL;
+        this.captureSteps = [];
+
+        this.eventBus.emit('keyboard-handler:capture-ended', {
+            action,
+            binding,
+            scope,
+            cancelled: binding === null,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * 取消快捷键录制
+     */
+    cancelCapture() {
+        this.endCapture(null);
+    }
+
+    /**
+     * 处理录制快捷键期间的按键
+     * @param {KeyboardEvent} event - 键盘事件对象
+     */
+    handleCaptureKeyDown(event) {
+        const step = Keymap.fromEvent(event);
+        if (step === null) {
+            return; // 只按下了修饰键，继续等待主键
+        }
+
+        event.preventDefault();
+        event.stopPropagation();
+
+        const action = this.captureAction;
+
+        if (step === 'Escape') {
+            this.cancelCapture();
+            return;
+        }
+
+        if (this.captureSteps.length === 0 && (step === 'Backspace' || step === 'Delete')) {
+            this.setBinding(action, '', { scope: this.captureScope });
+            this.endCapture('');
+            return;
+        }
+
+        this.captureSteps.push(step);
+
+        this.eventBus.emit('keyboard-handler:capture-progress', {
+            action,
+            binding: this.captureSteps.join(' '),
+            timestamp: Date.now()
         });
+
+        // 停顿后保存，期间继续按键则录制为按键序列
+        clearTimeout(this.captureTimer);
+        this.captureTimer = setTimeout(() => this.finishCapture(), this.sequenceTimeout);
+    }
+
+    /**
+     * 保存已录制的步骤并结束录制
+     */
+    finishCapture() {
+        const binding = this.captureSteps.join(' ');
+        this.setBinding(this.captureAction, binding, { scope: this.captureScope });
+        this.endCapture(binding);
     }
 
     /**
-     * 手动触发Ctrl+ArrowDown处理（用于测试）
+     * 获取提词器模式下方向键对应的速度调整
+     * 只在提词器模式开启且正在自动滚动时处理不带修饰键的上下方向键，其余情况保留页面的默认行为
+     * @param {KeyboardEvent} event - 键盘事件对象
+     * @returns {number} 1表示加速，-1表示减速，0表示不处理
      */
-    triggerCtrlArrowDown() {
+    getTeleprompterNudge(event) {
+        if (
+            !this.autoScrollManager ||
+            event.ctrlKey ||
+            event.metaKey ||
+            event.shiftKey ||
+            event.altKey
+        ) {
+            return 0;
+        }
+
+        const nudge = TELEPROMPTER_NUDGES[Keymap.getEventKey(event)] || 0;
+
+        if (
+            !nudge ||
+            !this.autoScrollManager.isTeleprompterEnabled() ||
+            !this.autoScrollManager.isAutoScrolling()
+        ) {
+            return 0;
+        }
+
+        return nudge;
+    }
+
+    /**
+     * 处理提词器模式下的速度微调
+     * @param {KeyboardEvent} event - 键盘事件对象
+     * @param {number} nudge - 1表示加速，-1表示减速
+     */
+    handleTeleprompterNudge(event, nudge) {
         try {
-            const mockEvent = {
-                ctrlKey: true,
-                metaKey: false,
-                key: 'ArrowDown',
-                code: 'ArrowDown',
-                keyCode: 40,
-                target: document.body,
-                preventDefault: () => {},
-                stopPropagation: () => {}
-            };
+            // 阻止方向键的默认行为（页面滚动）
+            event.preventDefault();
+            event.stopPropagation();
 
-            this.handleCtrlArrowDown(mockEvent);
-            console.log('[KeyboardHandler] 手动触发Ctrl+ArrowDown完成');
+            const success = this.adjustSpeed(nudge);
+
+            console.log('[KeyboardHandler] 提词器速度微调:', nudge > 0 ? '加速' : '减速');
+
+            this.eventBus.emit('keyboard-handler:teleprompter-nudge', {
+                direction: nudge > 0 ? 'up' : 'down',
+                success,
+                timestamp: Date.now()
+            });
         } catch (error) {
-            console.error('[KeyboardHandler] 手动触发Ctrl+ArrowDown失败:', error);
+            console.error('[KeyboardHandler] 处理提词器速度微调失败:', error);
+            this.eventBus.emit('keyboard-handler:error', { error, phase: 'teleprompter-nudge' });
         }
     }
 
     /**
-     * 手动触发空格键处理（用于测试）
+     * 检查按键是否发生在用户输入的上下文中：输入法正在组合输入，或目标位于输入框、
+     * contenteditable区域、ARIA文本框、影子DOM内的输入控件或designMode文档中
+     * @param {KeyboardEvent} event - 键盘事件对象
+     * @returns {boolean} 是否正在输入
      */
-    triggerSpace() {
+    isInEditableContext(event) {
         try {
-            const mockEvent = {
-                key: ' ',
-                code: 'Space',
-                keyCode: 32,
-                target: document.body,
-                preventDefault: () => {},
-                stopPropagation: () => {}
-            };
-
-            this.handleSpace(mockEvent);
-            console.log('[KeyboardHandler] 手动触发空格键完成');
+            return EditableContext.isComposing(event) || EditableContext.isEditableEvent(event);
         } catch (error) {
-            console.error('[KeyboardHandler] 手动触发空格键失败:', error);
+            console.error('[KeyboardHandler] 检查可编辑上下文失败:', error);
+            return false;
         }
     }
 
+    /**
+     * 设置AutoScrollManager引用
+     * @param {AutoScrollManager} autoScrollManager - AutoScrollManager实例
+     */
+    setAutoScrollManager(autoScrollManager) {
+        this.autoScrollManager = autoScrollManager;
+        console.log('[KeyboardHandler] AutoScrollManager引用已设置');
+
+        // 发送引用设置事件
+        this.eventBus.emit('keyboard-handler:auto-scroll-manager-set', {
+            timestamp: Date.now(),
+            hasManager: !!autoScrollManager
+        });
+    }
+
+    /**
+     * 手动触发快捷键动作（用于测试）
+     * @param {string} action - 动作
+     * @returns {boolean} 动作是否被处理
+     */
+    triggerAction(action) {
+        const mockEvent = {
+            target: document.body,
+            preventDefault: () => {},
+            stopPropagation: () => {}
+        };
+
+        return this.runAction(action, mockEvent);
+    }
+
     /**
      * 清理资源
      */
@@ -561,6 +1186,7 @@ export class KeyboardHandler {
             console.log('[KeyboardHandler] 开始清理资源...');
 
             // 解绑事件监听器
+            this.cancelCapture();
             this.unbindEvents();
 
             // 禁用键盘处理
@@ -574,6 +1200,8 @@ export class KeyboardHandler {
             // 清理状态
             this.pressedKeys.clear();
             this.isCtrlPressed = false;
+            this.conflicts.clear(); // 只清除内存中的记录，存储中的冲突保留
+            this.lastConflictEvent = null;
 
             // 发送清理完成事件
             this.eventBus.emit('keyboard-handler:cleanup', {
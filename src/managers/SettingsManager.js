@@ -0,0 +1,424 @@
+import { SettingsStorage } from '../utils/storage.js';
+import { KeyBindingScopes, StorageKeys } from '../utils/constants.js';
+import { Utils } from '../utils/helpers.js';
+
+/**
+ * SettingsManager - 负责用户设置的持久化和恢复
+ *
+ * 设置以Config结构的局部覆盖形式保存，例如：
+ * { scrollbar: { defaultMode: 'semi' }, autoScroll: { defaultSpeed: 5 } }
+ * 启动时与Config合并，运行时监听模式和速度变化并自动保存；
+ * 活动站点配置覆盖的设置在运行时改变后保存到该站点配置，不写入全局设置
+ */
+export class SettingsManager {
+    constructor(eventBus, storage = SettingsStorage) {
+        this.eventBus = eventBus;
+        this.storage = storage;
+        this.storageKey = StorageKeys.SETTINGS;
+        this.settings = {};
+        this.isLoaded = false;
+        this.isPersisting = false;
+        this.siteProfileManager = null;
+
+        // 事件处理器引用
+        this.handleModeChanged = this.handleModeChanged.bind(this);
+        this.handleThemeChanged = this.handleThemeChanged.bind(this);
+        this.handleSpeedChanged = this.handleSpeedChanged.bind(this);
+        this.handleSpeedModeChanged = this.handleSpeedModeChanged.bind(this);
+        this.handleWpmChanged = this.handleWpmChanged.bind(this);
+        this.handleDirectionChanged = this.handleDirectionChanged.bind(this);
+        this.handleInfiniteModeChanged = this.handleInfiniteModeChanged.bind(this);
+        this.handleScrollModeChanged = this.handleScrollModeChanged.bind(this);
+        this.handleStepIntervalChanged = this.handleStepIntervalChanged.bind(this);
+        this.handlePauseRulesChanged = this.handlePauseRulesChanged.bind(this);
+        this.handleStopConditionsChanged = this.handleStopConditionsChanged.bind(this);
+        this.handleLoopModeChanged = this.handleLoopModeChanged.bind(this);
+        this.handleTeleprompterChanged = this.handleTeleprompterChanged.bind(this);
+        this.handleKeyBindingsChanged = this.handleKeyBindingsChanged.bind(this);
+        this.handleSyncConfigChanged = this.handleSyncConfigChanged.bind(this);
+
+        console.log('[SettingsManager] 设置管理器已创建');
+    }
+
+    /**
+     * 从存储中加载设置
+     * @returns {Object} 加载到的设置
+     */
+    load() {
+        try {
+            const stored = this.storage.getValue(this.storageKey, {});
+            this.settings = Utils.getType(stored) === 'object' ? stored : {};
+            this.isLoaded = true;
+
+            console.log(
+                '[SettingsManager] 设置已加载，存储后端:',
+                this.storage.getBackend(),
+                this.settings
+            );
+
+            this.eventBus.emit('settings:loaded', {
+                settings: this.getSettings(),
+                backend: this.storage.getBackend(),
+                timestamp: Date.now()
+            });
+        } catch (error) {
+            console.error('[SettingsManager] 加载设置失败:', error);
+            this.settings = {};
+            this.eventBus.emit('settings:error', { error, phase: 'load' });
+        }
+
+        return this.getSettings();
+    }
+
+    /**
+     * 保存当前设置到存储
+     * @returns {boolean} 是否保存成功
+     */
+    save() {
+        try {
+            const success = this.storage.setValue(this.storageKey, this.settings);
+
+            if (success) {
+                this.eventBus.emit('settings:saved', {
+                    settings: this.getSettings(),
+                    timestamp: Date.now()
+                });
+            }
+
+            return success;
+        } catch (error) {
+            console.error('[SettingsManager] 保存设置失败:', error);
+            this.eventBus.emit('settings:error', { error, phase: 'save' });
+            return false;
+        }
+    }
+
+    /**
+     * 获取全部设置的副本
+     * @returns {Object} 设置对象
+     */
+    getSettings() {
+        return Utils.deepClone(this.settings);
+    }
+
+    /**
+     * 按路径读取设置值
+     * @param {string} path - 点分隔的设置路径，如 'scrollbar.defaultMode'
+     * @param {any} defaultValue - 默认值
+     * @returns {any} 设置值
+     */
+    get(path, defaultValue = undefined) {
+        const value = path.split('.').reduce((node, key) => {
+            return node && typeof node === 'object' ? node[key] : undefined;
+        }, this.settings);
+
+        return value === undefined ? defaultValue : Utils.deepClone(value);
+    }
+
+    /**
+     * 按路径写入设置值并保存
+     * @param {string} path - 点分隔的设置路径，如 'autoScroll.defaultSpeed'
+     * @param {any} value - 设置值
+     * @returns {boolean} 是否保存成功
+     */
+    set(path, value) {
+        try {
+            const keys = path.split('.');
+            const lastKey = keys.pop();
+            let node = this.settings;
+
+            keys.forEach(key => {
+                if (!node[key] || typeof node[key] !== 'object') {
+                    node[key] = {};
+                }
+                node = node[key];
+            });
+
+            // 对象值（暂停规则、提词器等）按结构比较，避免每次事件都重写整个设置
+            if (JSON.stringify(node[lastKey]) === JSON.stringify(value)) {
+                return true; // 值未改变
+            }
+
+            node[lastKey] = value;
+            console.log('[SettingsManager] 设置已更新:', path, value);
+
+            return this.save();
+        } catch (error) {
+            console.error('[SettingsManager] 更新设置失败:', path, error);
+            this.eventBus.emit('settings:error', { error, phase: 'set', path });
+            return false;
+        }
+    }
+
+    /**
+     * 保存运行时改变的设置，活动站点配置覆盖了该设置时保存到站点配置
+     * @param {string} path - 点分隔的设置路径
+     * @param {any} value - 设置值
+     * @returns {boolean} 是否保存成功
+     */
+    persist(path, value) {
+        if (this.siteProfileManager && this.siteProfileManager.overridesSetting(path)) {
+            return this.siteProfileManager.updateActiveSetting(path, value);
+        }
+
+        return this.set(path, value);
+    }
+
+    /**
+     * 设置站点配置管理器，用于把站点配置覆盖的设置保存回站点配置
+     * @param {SiteProfileManager|null} siteProfileManager - 站点配置管理器
+     */
+    setSiteProfileManager(siteProfileManager) {
+        this.siteProfileManager = siteProfileManager;
+    }
+
+    /**
+     * 用新的设置整体替换当前设置并保存（用于导入）
+     * @param {Object} settings - Config结构的设置覆盖
+     * @returns {boolean} 是否保存成功
+     */
+    replaceSettings(settings) {
+        this.settings = Utils.getType(settings) === 'object' ? Utils.deepClone(settings) : {};
+        console.log('[SettingsManager] 设置已整体替换');
+        return this.save();
+    }
+
+    /**
+     * 开始监听模块状态变化并自动保存
+     */
+    startPersisting() {
+        if (this.isPersisting) {
+            return;
+        }
+
+        this.eventBus.on('style-manager:mode-changed', this.handleModeChanged);
+        this.eventBus.on('style-manager:theme-changed', this.handleThemeChanged);
+        this.eventBus.on('auto-scroll:speed-changed', this.handleSpeedChanged);
+        this.eventBus.on('auto-scroll:speed-mode-changed', this.handleSpeedModeChanged);
+        this.eventBus.on('auto-scroll:wpm-changed', this.handleWpmChanged);
+        this.eventBus.on('auto-scroll:direction-changed', this.handleDirectionChanged);
+        this.eventBus.on('auto-scroll:infinite-mode-changed', this.handleInfiniteModeChanged);
+        this.eventBus.on('auto-scroll:scroll-mode-changed', this.handleScrollModeChanged);
+        this.eventBus.on('auto-scroll:step-interval-changed', this.handleStepIntervalChanged);
+        this.eventBus.on('auto-scroll:pause-rules-changed', this.handlePauseRulesChanged);
+        this.eventBus.on('auto-scroll:stop-conditions-changed', this.handleStopConditionsChanged);
+        this.eventBus.on('auto-scroll:loop-mode-changed', this.handleLoopModeChanged);
+        this.eventBus.on('auto-scroll:teleprompter-changed', this.handleTeleprompterChanged);
+        this.eventBus.on('keyboard-handler:bindings-changed', this.handleKeyBindingsChanged);
+        this.eventBus.on('tab-sync:config-changed', this.handleSyncConfigChanged);
+        this.isPersisting = true;
+
+        console.log('[SettingsManager] 已开始自动保存设置');
+    }
+
+    /**
+     * 停止自动保存
+     */
+    stopPersisting() {
+        if (!this.isPersisting) {
+            return;
+        }
+
+        this.eventBus.off('style-manager:mode-changed', this.handleModeChanged);
+        this.eventBus.off('style-manager:theme-changed', this.handleThemeChanged);
+        this.eventBus.off('auto-scroll:speed-changed', this.handleSpeedChanged);
+        this.eventBus.off('auto-scroll:speed-mode-changed', this.handleSpeedModeChanged);
+        this.eventBus.off('auto-scroll:wpm-changed', this.handleWpmChanged);
+        this.eventBus.off('auto-scroll:direction-changed', this.handleDirectionChanged);
+        this.eventBus.off('auto-scroll:infinite-mode-changed', this.handleInfiniteModeChanged);
+        this.eventBus.off('auto-scroll:scroll-mode-changed', this.handleScrollModeChanged);
+        this.eventBus.off('auto-scroll:step-interval-changed', this.handleStepIntervalChanged);
+        this.eventBus.off('auto-scroll:pause-rules-changed', this.handlePauseRulesChanged);
+        this.eventBus.off('auto-scroll:stop-conditions-changed', this.handleStopConditionsChanged);
+        this.eventBus.off('auto-scroll:loop-mode-changed', this.handleLoopModeChanged);
+        this.eventBus.off('auto-scroll:teleprompter-changed', this.handleTeleprompterChanged);
+        this.eventBus.off('keyboard-handler:bindings-changed', this.handleKeyBindingsChanged);
+        this.eventBus.off('tab-sync:config-changed', this.handleSyncConfigChanged);
+        this.isPersisting = false;
+    }
+
+    /**
+     * 处理滚动条模式变化
+     * @param {Object} data - 事件数据
+     */
+    handleModeChanged(data) {
+        if (data && data.currentMode) {
+            this.persist('scrollbar.defaultMode', data.currentMode);
+        }
+
+        if (data && data.modes) {
+            this.persist('scrollbar.defaultHorizontalMode', data.modes.horizontal);
+        }
+    }
+
+    /**
+     * 处理滚动条主题变化
+     * @param {Object} data - 事件数据
+     */
+    handleThemeChanged(data) {
+        if (data && data.currentTheme) {
+            this.persist('scrollbar.theme', data.currentTheme);
+        }
+    }
+
+    /**
+     * 处理自动滚动速度变化
+     * @param {Object} data - 事件数据
+     */
+    handleSpeedChanged(data) {
+        if (data && typeof data.newSpeed === 'number') {
+            this.persist('autoScroll.defaultSpeed', data.newSpeed);
+        }
+    }
+
+    /**
+     * 处理自动滚动速度模式变化
+     * @param {Object} data - 事件数据
+     */
+    handleSpeedModeChanged(data) {
+        if (data && data.mode) {
+            this.persist('autoScroll.speedMode', data.mode);
+        }
+    }
+
+    /**
+     * 处理阅读速度变化
+     * @param {Object} data - 事件数据
+     */
+    handleWpmChanged(data) {
+        if (data && typeof data.newWpm === 'number') {
+            this.persist('autoScroll.defaultWpm', data.newWpm);
+        }
+    }
+
+    /**
+     * 处理自动滚动方向变化
+     * @param {Object} data - 事件数据
+     */
+    handleDirectionChanged(data) {
+        if (data && data.direction) {
+            this.persist('autoScroll.direction', data.direction);
+        }
+    }
+
+    /**
+     * 处理无限滚动模式变化
+     * @param {Object} data - 事件数据
+     */
+    handleInfiniteModeChanged(data) {
+        if (data && typeof data.enabled === 'boolean') {
+            this.persist('autoScroll.infinite.enabled', data.enabled);
+        }
+    }
+
+    /**
+     * 处理自动滚动运动方式变化
+     * @param {Object} data - 事件数据
+     */
+    handleScrollModeChanged(data) {
+        if (data && data.mode) {
+            this.persist('autoScroll.mode', data.mode);
+        }
+    }
+
+    /**
+     * 处理翻页间隔变化
+     * @param {Object} data - 事件数据
+     */
+    handleStepIntervalChanged(data) {
+        if (data && typeof data.interval === 'number') {
+            this.persist('autoScroll.step.interval', data.interval);
+        }
+    }
+
+    /**
+     * 处理自动暂停规则变化
+     * @param {Object} data - 事件数据
+     */
+    handlePauseRulesChanged(data) {
+        if (data && data.currentRules) {
+            this.persist('autoScroll.pauseRules', data.currentRules);
+        }
+    }
+
+    /**
+     * 处理停止条件变化
+     * @param {Object} data - 事件数据
+     */
+    handleStopConditionsChanged(data) {
+        if (data && data.conditions) {
+            this.persist('autoScroll.stopConditions', data.conditions);
+        }
+    }
+
+    /**
+     * 处理循环方式变化
+     * @param {Object} data - 事件数据
+     */
+    handleLoopModeChanged(data) {
+        if (data && data.mode) {
+            this.persist('autoScroll.loop.mode', data.mode);
+        }
+    }
+
+    /**
+     * 处理提词器设置变化
+     * @param {Object} data - 事件数据
+     */
+    handleTeleprompterChanged(data) {
+        if (data && data.settings) {
+            this.persist('autoScroll.teleprompter', data.settings);
+        }
+    }
+
+    /**
+     * 处理快捷键绑定变化，只保存改变的动作，避免把站点配置中的绑定写入全局设置；
+     * 站点范围的绑定保存在站点配置中，不写入全局设置
+     * @param {Object} data - 事件数据
+     */
+    handleKeyBindingsChanged(data) {
+        if (!data || !data.bindings || data.scope === KeyBindingScopes.SITE) {
+            return;
+        }
+
+        const previousBindings = data.previousBindings || {};
+        const changed = {};
+        Object.keys(data.bindings).forEach(action => {
+            if (data.bindings[action] !== previousBindings[action]) {
+                changed[action] = data.bindings[action];
+            }
+        });
+
+        this.set('keyboard.bindings', { ...this.get('keyboard.bindings', {}), ...changed });
+    }
+
+    /**
+     * 处理跨标签页同步选项变化
+     * @param {Object} data - 事件数据
+     */
+    handleSyncConfigChanged(data) {
+        if (data && typeof data.localAutoScroll === 'boolean') {
+            this.persist('sync.localAutoScroll', data.localAutoScroll);
+        }
+    }
+
+    /**
+     * 清理资源
+     */
+    cleanup() {
+        try {
+            this.stopPersisting();
+            this.isLoaded = false;
+            this.siteProfileManager = null;
+
+            this.eventBus.emit('settings:cleanup', {
+                timestamp: Date.now()
+            });
+
+            console.log('[SettingsManager] 资源清理完成');
+        } catch (error) {
+            console.error('[SettingsManager] 清理资源失败:', error);
+            this.eventBus.emit('settings:error', { error, phase: 'cleanup' });
+        }
+    }
+}
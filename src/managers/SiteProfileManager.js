@@ -0,0 +1,401 @@
+import { SettingsStorage } from '../utils/storage.js';
+import { StorageKeys, SiteProfileRuleTypes } from '../utils/constants.js';
+import { Utils } from '../utils/helpers.js';
+
+/**
+ * SiteProfileManager - 站点配置管理器
+ *
+ * 按主机名或URL glob规则为不同网站保存独立的配置，匹配到的配置会在
+ * 启动时覆盖Config中的对应值。配置结构：
+ * {
+ *     id: 'profile_xxx',
+ *     type: 'hostname' | 'glob',
+ *     pattern: 'docs.example.com' | '*.example.com' | 'https://app.example.com/*',
+ *     disabled: false,      // 为true时在匹配的站点上完全停用脚本
+ *     config: { scrollbar: { defaultMode: 'semi' }, autoScroll: { defaultSpeed: 5 } }
+ * }
+ *
+ * 多个配置同时匹配时，列表中靠前的配置优先
+ */
+export class SiteProfileManager {
+    constructor(eventBus, storage = SettingsStorage) {
+        this.eventBus = eventBus;
+        this.storage = storage;
+        this.storageKey = StorageKeys.SITE_PROFILES;
+        this.profiles = [];
+        this.activeProfile = null;
+
+        console.log('[SiteProfileManager] 站点配置管理器已创建');
+    }
+
+    /**
+     * 从存储中加载站点配置
+     * @returns {Array} 站点配置列表
+     */
+    load() {
+        try {
+            const stored = this.storage.getValue(this.storageKey, []);
+            this.profiles = Array.isArray(stored)
+                ? stored.filter(profile => this.validateProfile(profile))
+                : [];
+
+            console.log('[SiteProfileManager] 已加载站点配置:', this.profiles.length);
+        } catch (error) {
+            console.error('[SiteProfileManager] 加载站点配置失败:', error);
+            this.profiles = [];
+            this.eventBus.emit('site-profile:error', { error, phase: 'load' });
+        }
+
+        return this.getProfiles();
+    }
+
+    /**
+     * 保存站点配置到存储
+     * @returns {boolean} 是否保存成功
+     */
+    save() {
+        try {
+            return this.storage.setValue(this.storageKey, this.profiles);
+        } catch (error) {
+            console.error('[SiteProfileManager] 保存站点配置失败:', error);
+            this.eventBus.emit('site-profile:error', { error, phase: 'save' });
+            return false;
+        }
+    }
+
+    /**
+     * 获取全部站点配置的副本
+     * @returns {Array} 站点配置列表
+     */
+    getProfiles() {
+        return Utils.deepClone(this.profiles);
+    }
+
+    /**
+     * 验证站点配置结构
+     * @param {Object} profile - 站点配置
+     * @returns {boolean} 是否有效
+     */
+    validateProfile(profile) {
+        if (!profile || typeof profile !== 'object') {
+            return false;
+        }
+
+        if (!Object.values(SiteProfileRuleTypes).includes(profile.type)) {
+            console.warn('[SiteProfileManager] 无效的规则类型:', profile.type);
+            return false;
+        }
+
+        if (typeof profile.pattern !== 'string' || profile.pattern.trim() === '') {
+            console.warn('[SiteProfileManager] 无效的匹配模式:', profile.pattern);
+            return false;
+        }
+
+        if (profile.config !== undefined && Utils.getType(profile.config) !== 'object') {
+            console.warn('[SiteProfileManager] 无效的配置内容:', profile.config);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * 检查站点配置是否匹配指定位置
+     * @param {Object} profile - 站点配置
+     * @param {Location|Object} location - 位置对象（需包含hostname和href）
+     * @returns {boolean} 是否匹配
+     */
+    matchesLocation(profile, location) {
+        try {
+            const pattern = profile.pattern.trim();
+
+            if (profile.type === SiteProfileRuleTypes.HOSTNAME) {
+                const hostname = String(location.hostname || '').toLowerCase();
+
+                // *.example.com 同时匹配 example.com 及其所有子域名
+                if (pattern.startsWith('*.')) {
+                    const baseDomain = pattern.slice(2).toLowerCase();
+                    return hostname === baseDomain || hostname.endsWith(`.${baseDomain}`);
+                }
+
+                return hostname === pattern.toLowerCase();
+            }
+
+            if (profile.type === SiteProfileRuleTypes.GLOB) {
+                return Utils.globToRegExp(pattern).test(String(location.href || ''));
+            }
+
+            return false;
+        } catch (error) {
+            console.error('[SiteProfileManager] 匹配站点配置失败:', profile, error);
+            return false;
+        }
+    }
+
+    /**
+     * 查找匹配当前位置的站点配置并设为活动配置
+     * @param {Location|Object} location - 位置对象，默认为window.location
+     * @returns {Object|null} 匹配的站点配置
+     */
+    matchLocation(location = window.location) {
+        const profile = this.profiles.find(item => this.matchesLocation(item, location)) || null;
+        this.activeProfile = profile ? Utils.deepClone(profile) : null;
+
+        if (profile) {
+            console.log('[SiteProfileManager] 已匹配站点配置:', profile.pattern);
+            this.eventBus.emit('site-profile:matched', {
+                profile: Utils.deepClone(profile),
+                hostname: location.hostname,
+                timestamp: Date.now()
+            });
+        }
+
+        return this.getActiveProfile();
+    }
+
+    /**
+     * 获取当前活动的站点配置
+     * @returns {Object|null} 活动的站点配置
+     */
+    getActiveProfile() {
+        return this.activeProfile ? Utils.deepClone(this.activeProfile) : null;
+    }
+
+    /**
+     * 获取活动站点配置中的Config覆盖值
+     * @returns {Object} 配置覆盖对象
+     */
+    getActiveConfig() {
+        return this.activeProfile && this.activeProfile.config
+            ? Utils.deepClone(this.activeProfile.config)
+            : {};
+    }
+
+    /**
+     * 检查活动站点配置是否覆盖了指定设置
+     * @param {string} path - 点分隔的设置路径，如 'autoScroll.defaultSpeed'
+     * @returns {boolean} 是否被覆盖
+     */
+    overridesSetting(path) {
+        const value = path.split('.').reduce((node, key) => {
+            return node && typeof node === 'object' ? node[key] : undefined;
+        }, this.getActiveConfig());
+
+        return value !== undefined;
+    }
+
+    /**
+     * 更新活动站点配置中的设置并保存
+     * @param {string} path - 点分隔的设置路径
+     * @param {any} value - 设置值
+     * @returns {boolean} 是否保存成功
+     */
+    updateActiveSetting(path, value) {
+        try {
+            const profile =
+                this.activeProfile && this.profiles.find(item => item.id === this.activeProfile.id);
+            if (!profile) {
+                return false;
+            }
+
+            const keys = path.split('.');
+            const lastKey = keys.pop();
+            profile.config = profile.config || {};
+            let node = profile.config;
+
+            keys.forEach(key => {
+                if (!node[key] || typeof node[key] !== 'object') {
+                    node[key] = {};
+                }
+                node = node[key];
+            });
+
+            if (JSON.stringify(node[lastKey]) === JSON.stringify(value)) {
+                return true; // 值未改变
+            }
+
+            node[lastKey] = Utils.deepClone(value);
+            this.activeProfile = Utils.deepClone(profile);
+            console.log('[SiteProfileManager] 站点配置已更新:', profile.pattern, path, value);
+
+            return this.save();
+        } catch (error) {
+            console.error('[SiteProfileManager] 更新站点配置失败:', path, error);
+            this.eventBus.emit('site-profile:error', { error, phase: 'update-setting', path });
+            return false;
+        }
+    }
+
+    /**
+     * 检查脚本是否在当前站点被停用
+     * @returns {boolean} 是否停用
+     */
+    isDisabledForActiveSite() {
+        return !!(this.activeProfile && this.activeProfile.disabled);
+    }
+
+    /**
+     * 添加站点配置（插入到列表最前面，优先匹配）
+     * @param {Object} profile - 站点配置
+     * @returns {Object|null} 添加后的站点配置
+     */
+    addProfile(profile) {
+        if (!this.validateProfile(profile)) {
+            return null;
+        }
+
+        const newProfile = {
+            id: profile.id || Utils.generateId('profile'),
+            type: profile.type,
+            pattern: profile.pattern.trim(),
+            disabled: !!profile.disabled,
+            config: Utils.deepClone(profile.config || {})
+        };
+
+        this.profiles.unshift(newProfile);
+        this.save();
+
+        this.eventBus.emit('site-profile:added', {
+            profile: Utils.deepClone(newProfile),
+            timestamp: Date.now()
+        });
+
+        return Utils.deepClone(newProfile);
+    }
+
+    /**
+     * 删除站点配置
+     * @param {string} id - 站点配置ID
+     * @returns {boolean} 是否删除成功
+     */
+    removeProfile(id) {
+        const index = this.profiles.findIndex(profile => profile.id === id);
+        if (index === -1) {
+            return false;
+        }
+
+        const [removed] = this.profiles.splice(index, 1);
+        this.save();
+
+        if (this.activeProfile && this.activeProfile.id === id) {
+            this.activeProfile = null;
+        }
+
+        this.eventBus.emit('site-profile:removed', {
+            profile: removed,
+            timestamp: Date.now()
+        });
+
+        return true;
+    }
+
+    /**
+     * 用新的列表整体替换站点配置并保存（用于导入）
+     * @param {Array} profiles - 站点配置列表
+     * @returns {boolean} 是否保存成功
+     */
+    replaceProfiles(profiles) {
+        this.profiles = (Array.isArray(profiles) ? profiles : [])
+            .filter(profile => this.validateProfile(profile))
+            .map(profile => ({
+                id: profile.id || Utils.generateId('profile'),
+                type: profile.type,
+                pattern: profile.pattern.trim(),
+                disabled: !!profile.disabled,
+                config: Utils.deepClone(profile.config || {})
+            }));
+
+        console.log('[SiteProfileManager] 站点配置已整体替换:', this.profiles.length);
+        return this.save();
+    }
+
+    /**
+     * 为指定主机名保存站点配置，已存在时更新
+     * @param {string} hostname - 主机名
+     * @param {Object} config - Config覆盖值
+     * @param {Object} options - 选项 { disabled: boolean }
+     * @returns {Object|null} 保存后的站点配置
+     */
+    saveProfileForHostname(hostname, config, options = {}) {
+        try {
+            if (!hostname) {
+                console.warn('[SiteProfileManager] 主机名为空，无法保存站点配置');
+                return null;
+            }
+
+            const existing = this.profiles.find(
+                profile =>
+                    profile.type === SiteProfileRuleTypes.HOSTNAME &&
+                    profile.pattern.toLowerCase() === hostname.toLowerCase()
+            );
+
+            let saved = null;
+
+            if (existing) {
+                existing.config = Utils.merge(existing.config || {}, config || {});
+                if (options.disabled !== undefined) {
+                    existing.disabled = !!options.disabled;
+                }
+                this.save();
+                saved = Utils.deepClone(existing);
+            } else {
+                saved = this.addProfile({
+                    type: SiteProfileRuleTypes.HOSTNAME,
+                    pattern: hostname,
+                    disabled: !!options.disabled,
+                    config
+                });
+            }
+
+            if (saved) {
+                this.activeProfile = Utils.deepClone(saved);
+                console.log('[SiteProfileManager] 站点配置已保存:', hostname);
+
+                this.eventBus.emit('site-profile:saved', {
+                    profile: Utils.deepClone(saved),
+                    hostname,
+                    timestamp: Date.now()
+                });
+            }
+
+            return saved;
+        } catch (error) {
+            console.error('[SiteProfileManager] 保存站点配置失败:', error);
+            this.eventBus.emit('site-profile:error', { error, phase: 'save-profile', hostname });
+            return null;
+        }
+    }
+
+    /**
+     * 在指定位置重新启用脚本
+     * 为主机名保存disabled为false的配置；停用来自排在前面的通配符或glob配置时，
+     * 将主机名配置移到列表最前面，使其优先匹配
+     * @param {Location|Object} location - 位置对象（需包含hostname和href）
+     * @returns {boolean} 当前位置是否已启用
+     */
+    enableForLocation(location = window.location) {
+        const saved = this.saveProfileForHostname(location.hostname, {}, { disabled: false });
+        if (!saved) {
+            return false;
+        }
+
+        const matched = this.profiles.find(profile => this.matchesLocation(profile, location));
+        if (matched && matched.disabled) {
+            const index = this.profiles.findIndex(profile => profile.id === saved.id);
+            const [profile] = this.profiles.splice(index, 1);
+            this.profiles.unshift(profile);
+            this.save();
+        }
+
+        this.matchLocation(location);
+        return !this.isDisabledForActiveSite();
+    }
+
+    /**
+     * 清理资源
+     */
+    cleanup() {
+        this.activeProfile = null;
+        console.log('[SiteProfileManager] 资源清理完成');
+    }
+}
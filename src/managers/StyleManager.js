@@ -1,21 +1,52 @@
 import { BrowserDetector } from '../detectors/BrowserDetector.js';
-import { ScrollbarModes } from '../utils/constants.js';
+import {
+    Config,
+    CSSClasses,
+    DataAttributes,
+    ScrollbarAxes,
+    ScrollbarModes,
+    SemiRevealReasons
+} from '../utils/constants.js';
+
+// 会隐藏滚动条的模式
+const HIDDEN_MODES = [ScrollbarModes.ALWAYS, ScrollbarModes.SEMI];
+
+// WebKit改为自定义绘制后，default和semi方向使用的接近原生的样式
+const NATIVE_LIKE_THEME = {
+    width: 12,
+    thumbColor: 'rgba(0, 0, 0, 0.35)',
+    trackColor: 'rgba(0, 0, 0, 0.05)',
+    hoverColor: 'rgba(0, 0, 0, 0.5)',
+    radius: 6
+};
+
+// semi模式淡入淡出使用的自定义属性，滑块颜色从该属性读取
+const FADE_THUMB_PROPERTY = '--scrollbar-controller-thumb';
+const FADE_IN_PROPERTY = '--scrollbar-controller-fade-in';
+const FADE_OUT_PROPERTY = '--scrollbar-controller-fade-out';
 
 /**
  * StyleManager - 负责CSS样式的动态注入和管理
  *
- * 提供滚动条样式控制功能，支持三种模式：
+ * 提供滚动条样式控制功能，支持四种模式：
  * - default: 显示原始滚动条
  * - always: 永远隐藏滚动条
  * - semi: 滚动时显示，停止后隐藏
+ * - styled: 显示自定义主题的滚动条
+ *
+ * 垂直和水平方向的模式可以分别设置，currentMode为垂直方向的模式
  */
 export class StyleManager {
     constructor(eventBus, browserDetector = null) {
         this.eventBus = eventBus;
-        this.currentMode = ScrollbarModes.DEFAULT;
+        this.currentMode = ScrollbarModes.DEFAULT; // 垂直方向的模式
+        this.horizontalMode = ScrollbarModes.DEFAULT; // 水平方向的模式
         this.styleElement = null;
         this.isInitialized = false;
         this.scrollDetector = null; // ScrollDetector引用
+        this.theme = { ...Config.scrollbar.theme }; // styled模式的滚动条主题
+        this.fade = { ...Config.scrollbar.fade }; // semi模式的淡入淡出配置
+        this.semiRevealReasons = new Map(); // semi模式下各元素显示滚动条的原因集合
         this.browserDetector = browserDetector || new BrowserDetector(); // 浏览器检测器
         this.compatibilityReport = this.browserDetector.getCompatibilityReport();
 
@@ -83,106 +114,141 @@ export class StyleManager {
 
     /**
      * 设置滚动条模式
-     * @param {string} mode - 滚动条模式 ('default' | 'always' | 'semi')
+     * @param {string} mode - 滚动条模式 ('default' | 'always' | 'semi' | 'styled')
+     * @param {string} axis - 作用方向 ('vertical' | 'horizontal' | 'both')，默认同时设置两个方向
      */
-    setMode(mode) {
+    setMode(mode, axis = ScrollbarAxes.BOTH) {
         if (!Object.values(ScrollbarModes).includes(mode)) {
             console.warn('[StyleManager] 无效的模式:', mode);
             return false;
         }
 
-        if (this.currentMode === mode) {
+        if (!Object.values(ScrollbarAxes).includes(axis)) {
+            console.warn('[StyleManager] 无效的滚动条方向:', axis);
+            return false;
+        }
+
+        const previousModes = this.getAxisModes();
+        const modes = { ...previousModes };
+
+        if (axis !== ScrollbarAxes.HORIZONTAL) {
+            modes.vertical = mode;
+        }
+        if (axis !== ScrollbarAxes.VERTICAL) {
+            modes.horizontal = mode;
+        }
+
+        if (
+            modes.vertical === previousModes.vertical &&
+            modes.horizontal === previousModes.horizontal
+        ) {
             return true; // 模式未改变
         }
 
         const previousMode = this.currentMode;
 
         try {
-            this.currentMode = mode;
+            this.currentMode = modes.vertical;
+            this.horizontalMode = modes.horizontal;
             this.updateStyles();
-            console.log('[StyleManager] 模式已切换到:', mode);
+            console.log('[StyleManager] 模式已切换到:', modes);
 
-            // 发送模式变更事件
+            // 发送模式变更事件（currentMode为垂直方向的模式）
             this.eventBus.emit('style-manager:mode-changed', {
                 previousMode,
-                currentMode: mode,
+                currentMode: this.currentMode,
+                axis,
+                previousModes,
+                modes: { ...modes },
                 timestamp: Date.now()
             });
 
             return true;
         } catch (error) {
             console.error('[StyleManager] 模式切换失败:', error);
-            this.currentMode = previousMode; // 回滚
-            this.eventBus.emit('style-manager:error', { error, phase: 'mode-change', mode });
+            // 回滚
+            this.currentMode = previousModes.vertical;
+            this.horizontalMode = previousModes.horizontal;
+            this.eventBus.emit('style-manager:error', { error, phase: 'mode-change', mode, axis });
             return false;
         }
     }
 
     /**
-     * 获取跨浏览器滚动条隐藏CSS
+     * 切换到下一个滚动条模式（按 default、always、semi、styled 的顺序循环）
+     * @param {string} axis - 作用方向，默认同时设置两个方向，下一个模式按垂直方向的模式计算
+     * @returns {string|null} 切换后的模式，失败时返回null
+     */
+    cycleMode(axis = ScrollbarAxes.BOTH) {
+        const modes = Object.values(ScrollbarModes);
+        const current = axis === ScrollbarAxes.HORIZONTAL ? this.horizontalMode : this.currentMode;
+        const nextMode = modes[(modes.indexOf(current) + 1) % modes.length];
+
+        return this.setMode(nextMode, axis) ? nextMode : null;
+    }
+
+    /**
+     * 获取跨浏览器滚动条隐藏CSS（两个方向都隐藏）
+     * @param {boolean} semi - 是否为semi模式生成，此时带有可见标记的页面或容器不会被隐藏
      * @returns {string} CSS样式字符串
      */
-    getScrollbarHideCSS() {
+    getScrollbarHideCSS(semi = false) {
+        const mode = semi ? ScrollbarModes.SEMI : ScrollbarModes.ALWAYS;
+        return this.getScrollbarCSS({ vertical: mode, horizontal: mode });
+    }
+
+    /**
+     * 按各方向的模式生成页面和所有容器的滚动条CSS
+     * @param {Object} modes - 各方向的模式 { vertical, horizontal }
+     * @returns {string} CSS样式字符串，两个方向都为default时为空
+     */
+    getScrollbarCSS(modes = this.getAxisModes()) {
         const browser = this.compatibilityReport.browser;
         const features = this.compatibilityReport.features;
-        let css = '';
+        const isUnknownBrowser = !browser.isWebkit && !browser.isGecko && !browser.isTrident;
+
+        if (Object.values(modes).every(mode => mode === ScrollbarModes.DEFAULT)) {
+            return '';
+        }
 
         try {
+            let css = '';
+
             // 根据浏览器类型生成相应的CSS
             if (browser.isWebkit && features.webkitScrollbar) {
+                if (Object.values(modes).includes(ScrollbarModes.SEMI) && this.isFadeEnabled()) {
+                    css += this.getFadeCSS();
+                }
+
+                css += this.getWebkitAxisCSS(ScrollbarAxes.VERTICAL, modes);
+                css += this.getWebkitAxisCSS(ScrollbarAxes.HORIZONTAL, modes);
                 css += `
-                    /* Webkit浏览器 (Chrome, Safari, Edge) */
-                    ::-webkit-scrollbar {
-                        width: 0px !important;
-                        background: transparent !important;
-                    }
-                    
-                    ::-webkit-scrollbar-track {
-                        background: transparent !important;
-                    }
-                    
-                    ::-webkit-scrollbar-thumb {
+                    ::-webkit-scrollbar-corner {
                         background: transparent !important;
                     }
                 `;
             }
 
             if (browser.isGecko && features.scrollbarWidth) {
-                css += `
-                    /* Firefox */
-                    html {
-                        scrollbar-width: none !important;
-                    }
-                `;
+                css += this.getGeckoCSS(modes);
             }
 
             if (browser.isTrident && features.msOverflowStyle) {
-                css += `
-                    /* IE和旧版Edge */
-                    body {
-                        -ms-overflow-style: none !important;
-                    }
-                `;
+                css += this.getTridentCSS(modes);
             }
 
-            // 确保滚动功能不受影响
-            css += `
-                /* 确保滚动功能不受影响 */
-                html, body {
-                    overflow-y: auto !important;
-                }
-            `;
-
             // 如果是不支持的浏览器，添加通用样式
-            if (!browser.isWebkit && !browser.isGecko && !browser.isTrident) {
+            if (isUnknownBrowser) {
                 console.warn('[StyleManager] 未知浏览器，使用通用样式');
+                css += this.getGeckoCSS(modes);
+                css += this.getTridentCSS(modes);
+            }
+
+            // 隐藏垂直滚动条时确保滚动功能不受影响
+            if (HIDDEN_MODES.includes(modes.vertical)) {
                 css += `
-                    /* 通用样式尝试 */
-                    html {
-                        scrollbar-width: none !important;
-                    }
-                    body {
-                        -ms-overflow-style: none !important;
+                    html, body {
+                        overflow-y: auto !important;
                     }
                 `;
             }
@@ -199,6 +265,298 @@ export class StyleManager {
         }
     }
 
+    /**
+     * 生成WebKit单个方向的滚动条CSS
+     *
+     * WebKit中只要有伪元素规则匹配某个元素，该元素两个方向的滚动条都会改为自定义绘制，
+     * 因此当另一方向有自定义规则时，default和semi方向需要显式给出接近原生的样式
+     * @param {string} axis - 方向 ('vertical' | 'horizontal')
+     * @param {Object} modes - 各方向的模式 { vertical, horizontal }
+     * @returns {string} CSS样式字符串
+     */
+    getWebkitAxisCSS(axis, modes) {
+        const mode = modes[axis];
+        const otherMode = axis === ScrollbarAxes.VERTICAL ? modes.horizontal : modes.vertical;
+        const size = axis === ScrollbarAxes.VERTICAL ? 'width' : 'height';
+        const needsNativeLike =
+            (mode === ScrollbarModes.DEFAULT && otherMode !== ScrollbarModes.DEFAULT) ||
+            (mode === ScrollbarModes.SEMI && otherMode !== ScrollbarModes.SEMI);
+        let css = '';
+
+        // semi方向支持淡入淡出时保留滚动条空间，只让滑块颜色过渡
+        if (mode === ScrollbarModes.SEMI && this.isFadeEnabled()) {
+            return this.getWebkitFadeCSS(axis);
+        }
+
+        if (needsNativeLike) {
+            css += this.getWebkitThemeCSS(axis, NATIVE_LIKE_THEME);
+        }
+
+        if (mode === ScrollbarModes.STYLED) {
+            css += this.getWebkitThemeCSS(axis, this.theme);
+        }
+
+        if (HIDDEN_MODES.includes(mode)) {
+            // semi模式下带有可见标记的页面或容器不隐藏
+            const prefix =
+                mode === ScrollbarModes.SEMI ? `:not([${DataAttributes.SCROLLBAR_VISIBLE}])` : '';
+
+            css += `
+                /* Webkit浏览器 (Chrome, Safari, Edge) ${axis}方向，同时作用于页面和所有容器 */
+                ${prefix}::-webkit-scrollbar:${axis} {
+                    ${size}: 0px !important;
+                    background: transparent !important;
+                }
+
+                ${prefix}::-webkit-scrollbar-track:${axis} {
+                    background: transparent !important;
+                }
+
+                ${prefix}::-webkit-scrollbar-thumb:${axis} {
+                    background: transparent !important;
+                }
+            `;
+        }
+
+        return css;
+    }
+
+    /**
+     * 生成WebKit单个方向的主题滚动条CSS
+     * @param {string} axis - 方向 ('vertical' | 'horizontal')
+     * @param {Object} theme - 主题配置 {width, thumbColor, trackColor, hoverColor, radius}
+     * @returns {string} CSS样式字符串
+     */
+    getWebkitThemeCSS(axis, theme) {
+        const size = axis === ScrollbarAxes.VERTICAL ? 'width' : 'height';
+
+        return `
+            ::-webkit-scrollbar:${axis} {
+                ${size}: ${theme.width}px !important;
+                background: ${theme.trackColor} !important;
+            }
+
+            ::-webkit-scrollbar-track:${axis} {
+                background: ${theme.trackColor} !important;
+            }
+
+            ::-webkit-scrollbar-thumb:${axis} {
+                background: ${theme.thumbColor} !important;
+                border-radius: ${theme.radius}px !important;
+            }
+
+            ::-webkit-scrollbar-thumb:${axis}:hover {
+                background: ${theme.hoverColor} !important;
+            }
+        `;
+    }
+
+    /**
+     * 生成WebKit单个方向的淡入淡出滚动条CSS
+     * 滑块颜色取自FADE_THUMB_PROPERTY，由getFadeCSS中的规则随可见标记切换
+     * @param {string} axis - 方向 ('vertical' | 'horizontal')
+     * @returns {string} CSS样式字符串
+     */
+    getWebkitFadeCSS(axis) {
+        const size = axis === ScrollbarAxes.VERTICAL ? 'width' : 'height';
+
+        return `
+            ::-webkit-scrollbar:${axis} {
+                ${size}: ${NATIVE_LIKE_THEME.width}px !important;
+                background: transparent !important;
+            }
+
+            ::-webkit-scrollbar-track:${axis} {
+                background: transparent !important;
+            }
+
+            ::-webkit-scrollbar-thumb:${axis} {
+                background: var(${FADE_THUMB_PROPERTY}) !important;
+                border-radius: ${NATIVE_LIKE_THEME.radius}px !important;
+            }
+
+            [${DataAttributes.SCROLLBAR_VISIBLE}]::-webkit-scrollbar-thumb:${axis}:hover {
+                background: ${NATIVE_LIKE_THEME.hoverColor} !important;
+            }
+        `;
+    }
+
+    /**
+     * 生成semi模式淡入淡出的公共CSS
+     *
+     * 自定义属性只有通过@property注册后才能过渡。html元素带有SCROLLBAR_FADE类时，
+     * 页面和容器的滑块颜色随可见标记在透明和可见之间过渡，时长同样由自定义属性提供。
+     * 规则包在:where()中不增加优先级，页面自身为容器设置的transition优先，
+     * 此时该容器退回立即显示/隐藏
+     * @returns {string} CSS样式字符串
+     */
+    getFadeCSS() {
+        const fadeClass = `.${CSSClasses.SCROLLBAR_FADE}`;
+        const container = `[${DataAttributes.SCROLL_CONTAINER}]`;
+        const visible = `[${DataAttributes.SCROLLBAR_VISIBLE}]`;
+
+        return `
+            @property ${FADE_THUMB_PROPERTY} {
+                syntax: '<color>';
+                inherits: true;
+                initial-value: transparent;
+            }
+
+            html${fadeClass} {
+                ${FADE_IN_PROPERTY}: ${this.fade.fadeInDuration}ms;
+                ${FADE_OUT_PROPERTY}: ${this.fade.fadeOutDuration}ms;
+            }
+
+            :where(html${fadeClass}), :where(html${fadeClass} ${container}) {
+                ${FADE_THUMB_PROPERTY}: transparent;
+                transition: ${FADE_THUMB_PROPERTY} var(${FADE_OUT_PROPERTY}) ease-out;
+            }
+
+            :where(html${fadeClass}${visible}), :where(html${fadeClass} ${container}${visible}) {
+                ${FADE_THUMB_PROPERTY}: ${NATIVE_LIKE_THEME.thumbColor};
+                transition: ${FADE_THUMB_PROPERTY} var(${FADE_IN_PROPERTY}) ease-in;
+            }
+        `;
+    }
+
+    /**
+     * 检查当前浏览器是否支持semi模式淡入淡出
+     * @returns {boolean} 是否支持
+     */
+    isFadeSupported() {
+        const features = this.compatibilityReport && this.compatibilityReport.features;
+        return !!(features && features.scrollbarFade);
+    }
+
+    /**
+     * 检查semi模式是否使用淡入淡出（已启用且浏览器支持）
+     * @returns {boolean} 是否使用
+     */
+    isFadeEnabled() {
+        return this.fade.enabled && this.isFadeSupported();
+    }
+
+    /**
+     * 设置semi模式的淡入淡出配置（可只传入部分字段）
+     * @param {Object} fade - 淡入淡出配置 {enabled, fadeInDuration, fadeOutDuration}
+     * @returns {boolean} 是否设置成功
+     */
+    setFade(fade) {
+        const nextFade = { ...this.fade, ...(fade || {}) };
+
+        if (!this.validateFade(nextFade)) {
+            console.warn('[StyleManager] 无效的淡入淡出配置:', fade);
+            return false;
+        }
+
+        if (Object.keys(nextFade).every(key => nextFade[key] === this.fade[key])) {
+            return true; // 配置未改变
+        }
+
+        const previousFade = this.fade;
+        this.fade = nextFade;
+        console.log('[StyleManager] 淡入淡出配置已更新:', nextFade);
+
+        // 当前为semi模式时立即重新渲染
+        if (this.hasMode(ScrollbarModes.SEMI)) {
+            this.updateStyles();
+        }
+
+        this.eventBus.emit('style-manager:fade-changed', {
+            previousFade: { ...previousFade },
+            currentFade: { ...nextFade },
+            supported: this.isFadeSupported(),
+            timestamp: Date.now()
+        });
+
+        return true;
+    }
+
+    /**
+     * 获取当前淡入淡出配置
+     * @returns {Object} 淡入淡出配置
+     */
+    getFade() {
+        return { ...this.fade };
+    }
+
+    /**
+     * 验证淡入淡出配置
+     * @param {Object} fade - 淡入淡出配置
+     * @returns {boolean} 是否有效
+     */
+    validateFade(fade) {
+        const isDuration = value => typeof value === 'number' && isFinite(value) && value >= 0;
+
+        return (
+            typeof fade.enabled === 'boolean' &&
+            isDuration(fade.fadeInDuration) &&
+            isDuration(fade.fadeOutDuration)
+        );
+    }
+
+    /**
+     * 生成Gecko滚动条CSS
+     * scrollbar-width同时作用于两个方向，只有两个方向都隐藏时才能隐藏；
+     * 主题只支持scrollbar-color，不支持圆角和悬停颜色
+     * @param {Object} modes - 各方向的模式 { vertical, horizontal }
+     * @returns {string} CSS样式字符串
+     */
+    getGeckoCSS(modes) {
+        const axisModes = Object.values(modes);
+        const container = `[${DataAttributes.SCROLL_CONTAINER}]`;
+
+        if (axisModes.every(mode => HIDDEN_MODES.includes(mode))) {
+            const visible = axisModes.includes(ScrollbarModes.SEMI)
+                ? `:not([${DataAttributes.SCROLLBAR_VISIBLE}])`
+                : '';
+
+            return `
+                /* Firefox（scrollbar-width不继承，需单独作用于容器） */
+                html${visible}, ${container}${visible} {
+                    scrollbar-width: none !important;
+                }
+            `;
+        }
+
+        if (axisModes.includes(ScrollbarModes.STYLED)) {
+            // scrollbar-width只支持thin/auto，窄主题使用thin
+            return `
+                /* Firefox */
+                html, ${container} {
+                    scrollbar-width: ${this.theme.width <= 8 ? 'thin' : 'auto'} !important;
+                    scrollbar-color: ${this.theme.thumbColor} ${this.theme.trackColor} !important;
+                }
+            `;
+        }
+
+        return '';
+    }
+
+    /**
+     * 生成IE和旧版Edge滚动条CSS（-ms-overflow-style同时作用于两个方向）
+     * @param {Object} modes - 各方向的模式 { vertical, horizontal }
+     * @returns {string} CSS样式字符串
+     */
+    getTridentCSS(modes) {
+        const axisModes = Object.values(modes);
+
+        if (!axisModes.every(mode => HIDDEN_MODES.includes(mode))) {
+            return '';
+        }
+
+        const visible = axisModes.includes(ScrollbarModes.SEMI)
+            ? `:not([${DataAttributes.SCROLLBAR_VISIBLE}])`
+            : '';
+
+        return `
+            /* IE和旧版Edge */
+            html${visible} body, [${DataAttributes.SCROLL_CONTAINER}]${visible} {
+                -ms-overflow-style: none !important;
+            }
+        `;
+    }
+
     /**
      * 获取滚动条恢复CSS
      * @returns {string} CSS样式字符串
@@ -231,6 +589,70 @@ export class StyleManager {
         `;
     }
 
+    /**
+     * 设置styled模式的滚动条主题（可只传入部分字段）
+     * @param {Object} theme - 主题配置 {width, thumbColor, trackColor, hoverColor, radius}
+     * @returns {boolean} 是否设置成功
+     */
+    setTheme(theme) {
+        const nextTheme = { ...this.theme, ...(theme || {}) };
+
+        if (!this.validateTheme(nextTheme)) {
+            console.warn('[StyleManager] 无效的滚动条主题:', theme);
+            return false;
+        }
+
+        if (Object.keys(nextTheme).every(key => nextTheme[key] === this.theme[key])) {
+            return true; // 主题未改变
+        }
+
+        const previousTheme = this.theme;
+        this.theme = nextTheme;
+        console.log('[StyleManager] 滚动条主题已更新:', nextTheme);
+
+        // 当前为styled模式时立即重新渲染
+        if (this.hasMode(ScrollbarModes.STYLED)) {
+            this.updateStyles();
+        }
+
+        this.eventBus.emit('style-manager:theme-changed', {
+            previousTheme: { ...previousTheme },
+            currentTheme: { ...nextTheme },
+            timestamp: Date.now()
+        });
+
+        return true;
+    }
+
+    /**
+     * 获取当前滚动条主题
+     * @returns {Object} 主题配置
+     */
+    getTheme() {
+        return { ...this.theme };
+    }
+
+    /**
+     * 验证滚动条主题
+     * @param {Object} theme - 主题配置
+     * @returns {boolean} 是否有效
+     */
+    validateTheme(theme) {
+        const isLength = value => typeof value === 'number' && isFinite(value) && value >= 0;
+        // 颜色值直接写入CSS，禁止可能破坏规则的字符
+        const isColor = value =>
+            typeof value === 'string' && value.trim() !== '' && !/[;{}<>]/.test(value);
+
+        return (
+            isLength(theme.width) &&
+            theme.width > 0 &&
+            isLength(theme.radius) &&
+            isColor(theme.thumbColor) &&
+            isColor(theme.trackColor) &&
+            isColor(theme.hoverColor)
+        );
+    }
+
     /**
      * 注入CSS样式
      * @param {string} cssText - CSS样式文本
@@ -332,98 +754,98 @@ export class StyleManager {
     }
 
     /**
-     * 应用默认模式 - 显示原始滚动条
+     * 为semi模式临时显示滚动条
+     * 同一元素可能因多个原因同时显示（滚动、指针靠近、拖动），
+     * 只有全部原因都撤销后才会隐藏
+     * @param {Element} target - 要显示滚动条的容器，默认为页面
+     * @param {string} reason - 显示原因，见SemiRevealReasons
      */
-    applyDefaultMode() {
-        try {
-            // 停止ScrollDetector检测（如果存在）
-            if (this.scrollDetector && typeof this.scrollDetector.stopDetection === 'function') {
-                this.scrollDetector.stopDetection();
-            }
-
-            this.showScrollbar();
-            console.log('[StyleManager] 已应用默认模式');
-            return true;
-        } catch (error) {
-            console.error('[StyleManager] 应用默认模式失败:', error);
+    showScrollbarForSemi(target = document.documentElement, reason = SemiRevealReasons.SCROLL) {
+        if (!this.hasMode(ScrollbarModes.SEMI)) {
             return false;
         }
-    }
 
-    /**
-     * 应用永久隐藏模式 - 永远隐藏滚动条
-     */
-    applyAlwaysMode() {
         try {
-            // 停止ScrollDetector检测（如果存在）
-            if (this.scrollDetector && typeof this.scrollDetector.stopDetection === 'function') {
-                this.scrollDetector.stopDetection();
-            }
+            const reasons = this.semiRevealReasons.get(target) || new Set();
+            const wasVisible = reasons.size > 0;
 
-            this.hideScrollbar();
-            console.log('[StyleManager] 已应用永久隐藏模式');
-            return true;
-        } catch (error) {
-            console.error('[StyleManager] 应用永久隐藏模式失败:', error);
-            return false;
-        }
-    }
+            reasons.add(reason);
+            this.semiRevealReasons.set(target, reasons);
 
-    /**
-     * 应用半透明模式 - 滚动时显示，停止后隐藏
-     * 注意：此模式需要与ScrollDetector配合使用
-     */
-    applySemiMode() {
-        try {
-            // 初始状态隐藏滚动条
-            this.hideScrollbar();
+            if (!wasVisible) {
+                target.setAttribute(DataAttributes.SCROLLBAR_VISIBLE, '');
 
-            // 通知ScrollDetector启动检测（如果存在）
-            if (this.scrollDetector && typeof this.scrollDetector.startDetection === 'function') {
-                this.scrollDetector.startDetection();
+                this.eventBus.emit('scrollbar:show', {
+                    mode: this.currentMode,
+                    container: target === document.documentElement ? null : target,
+                    reason,
+                    timestamp: Date.now()
+                });
             }
 
-            console.log('[StyleManager] 已应用半透明模式');
             return true;
         } catch (error) {
-            console.error('[StyleManager] 应用半透明模式失败:', error);
+            console.error('[StyleManager] Semi模式显示滚动条失败:', error);
             return false;
         }
     }
 
     /**
-     * 为semi模式临时显示滚动条
-     * 此方法专门用于ScrollDetector调用
+     * 撤销semi模式下某个原因的显示，没有剩余原因时隐藏滚动条
+     * @param {Element} target - 要隐藏滚动条的容器，默认为页面
+     * @param {string} reason - 要撤销的显示原因，见SemiRevealReasons
      */
-    showScrollbarForSemi() {
-        if (this.currentMode !== ScrollbarModes.SEMI) {
+    hideScrollbarForSemi(target = document.documentElement, reason = SemiRevealReasons.SCROLL) {
+        if (!this.hasMode(ScrollbarModes.SEMI)) {
             return false;
         }
 
         try {
-            this.showScrollbar();
+            const reasons = this.semiRevealReasons.get(target);
+            if (reasons) {
+                reasons.delete(reason);
+                if (reasons.size > 0) {
+                    return true; // 仍有其他原因需要保持显示
+                }
+                this.semiRevealReasons.delete(target);
+            }
+
+            target.removeAttribute(DataAttributes.SCROLLBAR_VISIBLE);
+
+            this.eventBus.emit('scrollbar:hide', {
+                mode: this.currentMode,
+                container: target === document.documentElement ? null : target,
+                reason,
+                timestamp: Date.now()
+            });
+
             return true;
         } catch (error) {
-            console.error('[StyleManager] Semi模式显示滚动条失败:', error);
+            console.error('[StyleManager] Semi模式隐藏滚动条失败:', error);
             return false;
         }
     }
 
     /**
-     * 为semi模式隐藏滚动条
-     * 此方法专门用于ScrollDetector调用
+     * 检查semi模式下元素的滚动条当前是否显示
+     * @param {Element} target - 容器，默认为页面
+     * @returns {boolean} 是否显示
      */
-    hideScrollbarForSemi() {
-        if (this.currentMode !== ScrollbarModes.SEMI) {
-            return false;
-        }
+    isSemiRevealed(target = document.documentElement) {
+        return this.semiRevealReasons.has(target);
+    }
 
+    /**
+     * 移除页面和所有容器上的semi模式可见标记
+     */
+    clearSemiVisibility() {
         try {
-            this.hideScrollbar();
-            return true;
+            this.semiRevealReasons.clear();
+            document.querySelectorAll(`[${DataAttributes.SCROLLBAR_VISIBLE}]`).forEach(element => {
+                element.removeAttribute(DataAttributes.SCROLLBAR_VISIBLE);
+            });
         } catch (error) {
-            console.error('[StyleManager] Semi模式隐藏滚动条失败:', error);
-            return false;
+            console.error('[StyleManager] 清理可见标记失败:', error);
         }
     }
 
@@ -436,30 +858,51 @@ export class StyleManager {
             return false;
         }
 
+        const modes = this.getAxisModes();
         let success = false;
 
-        // 根据当前模式应用相应的样式
-        switch (this.currentMode) {
-            case ScrollbarModes.DEFAULT:
-                success = this.applyDefaultMode();
-                break;
+        // 切换模式时重置semi模式的可见标记
+        this.clearSemiVisibility();
 
-            case ScrollbarModes.ALWAYS:
-                success = this.applyAlwaysMode();
-                break;
+        try {
+            // 任一方向使用semi模式时才需要滚动检测
+            if (this.scrollDetector) {
+                if (this.hasMode(ScrollbarModes.SEMI)) {
+                    this.scrollDetector.startDetection();
+                } else {
+                    this.scrollDetector.stopDetection();
+                }
+            }
 
-            case ScrollbarModes.SEMI:
-                success = this.applySemiMode();
-                break;
+            // 淡入淡出的规则只在html带有对应类时生效
+            document.documentElement.classList.toggle(
+                CSSClasses.SCROLLBAR_FADE,
+                this.hasMode(ScrollbarModes.SEMI) && this.isFadeEnabled()
+            );
 
-            default:
-                console.warn('[StyleManager] 未知的滚动条模式:', this.currentMode);
-                success = this.applyDefaultMode(); // 降级到默认模式
-                break;
+            // 两个方向的CSS独立生成，都为default时移除全部样式
+            const css = this.getScrollbarCSS(modes);
+            this.cleanupInlineStyles();
+            if (css) {
+                success = this.injectCSS(css);
+            } else {
+                this.removeCSS();
+                success = true;
+            }
+
+            const isHidden = Object.values(modes).some(mode => HIDDEN_MODES.includes(mode));
+            this.eventBus.emit(isHidden ? 'scrollbar:hide' : 'scrollbar:show', {
+                mode: this.currentMode,
+                modes,
+                timestamp: Date.now()
+            });
+        } catch (error) {
+            console.error('[StyleManager] 应用样式失败:', error);
+            return false;
         }
 
         if (success) {
-            console.log('[StyleManager] 样式已更新为模式:', this.currentMode);
+            console.log('[StyleManager] 样式已更新为模式:', modes);
         }
 
         return success;
@@ -467,12 +910,32 @@ export class StyleManager {
 
     /**
      * 获取当前模式
-     * @returns {string} 当前滚动条模式
+     * @returns {string} 当前滚动条模式（垂直方向）
      */
     getCurrentMode() {
         return this.currentMode;
     }
 
+    /**
+     * 获取各方向的模式
+     * @returns {Object} 各方向的模式 { vertical, horizontal }
+     */
+    getAxisModes() {
+        return {
+            vertical: this.currentMode,
+            horizontal: this.horizontalMode
+        };
+    }
+
+    /**
+     * 检查是否有任一方向使用指定模式
+     * @param {string} mode - 滚动条模式
+     * @returns {boolean} 是否使用
+     */
+    hasMode(mode) {
+        return this.currentMode === mode || this.horizontalMode === mode;
+    }
+
     /**
      * 设置ScrollDetector引用
      * @param {ScrollDetector} scrollDetector - ScrollDetector实例
@@ -728,10 +1191,13 @@ export class StyleManager {
                 this.styleElement = null;
             }
 
-            // 清理可能的内联样式
+            // 清理可能的内联样式、可见标记和淡入淡出类
             this.cleanupInlineStyles();
+            this.clearSemiVisibility();
+            document.documentElement.classList.remove(CSSClasses.SCROLLBAR_FADE);
 
             this.currentMode = ScrollbarModes.DEFAULT;
+            this.horizontalMode = ScrollbarModes.DEFAULT;
             this.isInitialized = false;
             this.browserDetector = null;
             this.compatibilityReport = null;
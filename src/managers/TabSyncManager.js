@@ -0,0 +1,311 @@
+import { StorageKeys } from '../utils/constants.js';
+import { Utils } from '../utils/helpers.js';
+
+// 跨标签页同步的消息类型
+export const SyncMessageTypes = {
+    MODE: 'mode',
+    SPEED: 'speed',
+    AUTO_SCROLL_START: 'auto-scroll-start',
+    AUTO_SCROLL_STOP: 'auto-scroll-stop'
+};
+
+/**
+ * TabSyncManager - 跨标签页同步管理器
+ *
+ * 在同源的多个标签页之间同步滚动条模式、自动滚动速度和自动滚动启停状态。
+ * 优先使用BroadcastChannel，不支持时降级为localStorage的storage事件。
+ *
+ * 收到其他标签页的消息后发出 'tab-sync:received' 事件，由应用负责应用到本地模块；
+ * 应用远程变更期间产生的本地事件不会再次广播，避免标签页之间来回回传。
+ */
+export class TabSyncManager {
+    constructor(eventBus, options = {}) {
+        this.eventBus = eventBus;
+        this.channelName = options.channelName || StorageKeys.SYNC;
+        this.localAutoScroll = !!options.localAutoScroll;
+
+        // 当前标签页的唯一标识，用于忽略自己发出的消息
+        this.tabId = Utils.generateId('tab');
+
+        this.channel = null;
+        this.transport = null; // 'broadcast-channel' | 'storage' | null
+        this.isRunning = false;
+        this.isApplyingRemote = false;
+
+        // 事件处理器引用
+        this.handleModeChanged = this.handleModeChanged.bind(this);
+        this.handleSpeedChanged = this.handleSpeedChanged.bind(this);
+        this.handleAutoScrollStarted = this.handleAutoScrollStarted.bind(this);
+        this.handleAutoScrollStopped = this.handleAutoScrollStopped.bind(this);
+        this.handleChannelMessage = this.handleChannelMessage.bind(this);
+        this.handleStorageEvent = this.handleStorageEvent.bind(this);
+
+        console.log('[TabSyncManager] 跨标签页同步管理器已创建');
+    }
+
+    /**
+     * 检查BroadcastChannel是否可用
+     * @returns {boolean} 是否可用
+     */
+    isBroadcastChannelAvailable() {
+        return typeof BroadcastChannel === 'function';
+    }
+
+    /**
+     * 检查localStorage是否可用
+     * @returns {boolean} 是否可用
+     */
+    isStorageAvailable() {
+        try {
+            return typeof window !== 'undefined' && !!window.localStorage;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * 开始同步：建立通信通道并监听本地状态变化
+     * @returns {boolean} 是否成功开始
+     */
+    start() {
+        try {
+            if (this.isRunning) {
+                return true;
+            }
+
+            if (this.isBroadcastChannelAvailable()) {
+                this.channel = new BroadcastChannel(this.channelName);
+                this.channel.addEventListener('message', this.handleChannelMessage);
+                this.transport = 'broadcast-channel';
+            } else if (this.isStorageAvailable()) {
+                window.addEventListener('storage', this.handleStorageEvent);
+                this.transport = 'storage';
+            } else {
+                console.warn('[TabSyncManager] 没有可用的跨标签页通信方式，同步已禁用');
+                return false;
+            }
+
+            this.eventBus.on('style-manager:mode-changed', this.handleModeChanged);
+            this.eventBus.on('auto-scroll:speed-changed', this.handleSpeedChanged);
+            this.eventBus.on('auto-scroll:started', this.handleAutoScrollStarted);
+            this.eventBus.on('auto-scroll:stopped', this.handleAutoScrollStopped);
+            this.isRunning = true;
+
+            console.log('[TabSyncManager] 跨标签页同步已开始，通信方式:', this.transport);
+
+            this.eventBus.emit('tab-sync:started', {
+                transport: this.transport,
+                tabId: this.tabId,
+                timestamp: Date.now()
+            });
+
+            return true;
+        } catch (error) {
+            console.error('[TabSyncManager] 开始跨标签页同步失败:', error);
+            this.eventBus.emit('tab-sync:error', { error, phase: 'start' });
+            return false;
+        }
+    }
+
+    /**
+     * 停止同步并关闭通信通道
+     */
+    stop() {
+        if (!this.isRunning) {
+            return;
+        }
+
+        this.eventBus.off('style-manager:mode-changed', this.handleModeChanged);
+        this.eventBus.off('auto-scroll:speed-changed', this.handleSpeedChanged);
+        this.eventBus.off('auto-scroll:started', this.handleAutoScrollStarted);
+        this.eventBus.off('auto-scroll:stopped', this.handleAutoScrollStopped);
+
+        if (this.channel) {
+            this.channel.removeEventListener('message', this.handleChannelMessage);
+            this.channel.close();
+            this.channel = null;
+        }
+
+        if (this.transport === 'storage') {
+            window.removeEventListener('storage', this.handleStorageEvent);
+        }
+
+        this.transport = null;
+        this.isRunning = false;
+
+        console.log('[TabSyncManager] 跨标签页同步已停止');
+    }
+
+    /**
+     * 设置是否仅在当前标签页启停自动滚动
+     * @param {boolean} localAutoScroll - 为true时不同步自动滚动的启停
+     */
+    setLocalAutoScroll(localAutoScroll) {
+        const value = !!localAutoScroll;
+        if (this.localAutoScroll === value) {
+            return;
+        }
+
+        this.localAutoScroll = value;
+        console.log('[TabSyncManager] 自动滚动启停仅限当前标签页:', value);
+
+        this.eventBus.emit('tab-sync:config-changed', {
+            localAutoScroll: value,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * 检查自动滚动启停是否仅限当前标签页
+     * @returns {boolean} 是否仅限当前标签页
+     */
+    isAutoScrollLocal() {
+        return this.localAutoScroll;
+    }
+
+    /**
+     * 广播消息到其他标签页
+     * @param {string} type - 消息类型
+     * @param {any} value - 消息内容
+     * @returns {boolean} 是否发送成功
+     */
+    broadcast(type, value) {
+        if (!this.isRunning || this.isApplyingRemote) {
+            return false;
+        }
+
+        const message = {
+            source: this.tabId,
+            type,
+            value,
+            timestamp: Date.now()
+        };
+
+        try {
+            if (this.transport === 'broadcast-channel') {
+                this.channel.postMessage(message);
+            } else if (this.transport === 'storage') {
+                // 每条消息内容都不同（时间戳和来源），保证其他标签页能收到storage事件
+                window.localStorage.setItem(this.channelName, JSON.stringify(message));
+            }
+
+            return true;
+        } catch (error) {
+            console.error('[TabSyncManager] 广播消息失败:', type, error);
+            this.eventBus.emit('tab-sync:error', { error, phase: 'broadcast', type });
+            return false;
+        }
+    }
+
+    /**
+     * 处理来自其他标签页的消息
+     * @param {Object} message - 同步消息
+     */
+    receive(message) {
+        if (!message || typeof message !== 'object' || message.source === this.tabId) {
+            return;
+        }
+
+        if (!Object.values(SyncMessageTypes).includes(message.type)) {
+            return;
+        }
+
+        const isAutoScrollMessage =
+            message.type === SyncMessageTypes.AUTO_SCROLL_START ||
+            message.type === SyncMessageTypes.AUTO_SCROLL_STOP;
+
+        if (isAutoScrollMessage && this.localAutoScroll) {
+            return;
+        }
+
+        // 应用远程变更期间不再广播本地产生的事件
+        this.isApplyingRemote = true;
+        try {
+            this.eventBus.emit('tab-sync:received', {
+                type: message.type,
+                value: message.value,
+                source: message.source,
+                timestamp: message.timestamp
+            });
+        } finally {
+            this.isApplyingRemote = false;
+        }
+    }
+
+    /**
+     * 处理BroadcastChannel消息
+     * @param {MessageEvent} event - 消息事件
+     */
+    handleChannelMessage(event) {
+        this.receive(event.data);
+    }
+
+    /**
+     * 处理storage事件（降级方案）
+     * @param {StorageEvent} event - 存储事件
+     */
+    handleStorageEvent(event) {
+        if (event.key !== this.channelName || !event.newValue) {
+            return;
+        }
+
+        try {
+            this.receive(JSON.parse(event.newValue));
+        } catch (error) {
+            console.warn('[TabSyncManager] 无法解析同步消息:', error);
+        }
+    }
+
+    /**
+     * 处理滚动条模式变化
+     * @param {Object} data - 事件数据
+     */
+    handleModeChanged(data) {
+        if (data && data.modes) {
+            this.broadcast(SyncMessageTypes.MODE, data.modes);
+        }
+    }
+
+    /**
+     * 处理自动滚动速度变化
+     * @param {Object} data - 事件数据
+     */
+    handleSpeedChanged(data) {
+        if (data && typeof data.newSpeed === 'number') {
+            this.broadcast(SyncMessageTypes.SPEED, data.newSpeed);
+        }
+    }
+
+    /**
+     * 处理自动滚动开始（只同步手动开始，看门狗重新开始等原因只影响当前页面）
+     * @param {Object} data - 事件数据
+     */
+    handleAutoScrollStarted(data) {
+        if (!this.localAutoScroll && data && data.reason === 'manual') {
+            this.broadcast(SyncMessageTypes.AUTO_SCROLL_START, true);
+        }
+    }
+
+    /**
+     * 处理自动滚动停止（只同步手动停止，到达底部等原因只影响当前页面）
+     * @param {Object} data - 事件数据
+     */
+    handleAutoScrollStopped(data) {
+        if (!this.localAutoScroll && data && data.reason === 'manual') {
+            this.broadcast(SyncMessageTypes.AUTO_SCROLL_STOP, true);
+        }
+    }
+
+    /**
+     * 清理资源
+     */
+    cleanup() {
+        try {
+            this.stop();
+            console.log('[TabSyncManager] 资源清理完成');
+        } catch (error) {
+            console.error('[TabSyncManager] 清理资源失败:', error);
+            this.eventBus.emit('tab-sync:error', { error, phase: 'cleanup' });
+        }
+    }
+}
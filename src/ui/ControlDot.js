@@ -8,6 +8,7 @@ export class ControlDot {
         this.eventBus = eventBus;
         this.element = null;
         this.isCreated = false;
+        this.countdownRing = null; // 翻页倒计时圆环
 
         // 绑定事件处理器
         this.handleClick = this.handleClick.bind(this);
@@ -179,6 +180,71 @@ export class ControlDot {
         }
     }
 
+    /**
+     * 在圆点外围显示倒计时圆环，圆环在给定时间内逐渐消失
+     * @param {number} duration - 倒计时时长（毫秒）
+     */
+    showCountdown(duration) {
+        if (!this.element) {
+            return;
+        }
+
+        try {
+            const radius = 13;
+            const circumference = 2 * Math.PI * radius;
+
+            if (!this.countdownRing) {
+                const svgNS = 'http://www.w3.org/2000/svg';
+                const svg = document.createElementNS(svgNS, 'svg');
+                svg.setAttribute('class', 'scrollbar-control-dot-countdown');
+                svg.setAttribute('width', '30');
+                svg.setAttribute('height', '30');
+                svg.setAttribute('viewBox', '0 0 30 30');
+                svg.style.cssText = `
+                    position: absolute !important;
+                    top: -5px !important;
+                    left: -5px !important;
+                    pointer-events: none !important;
+                    transform: rotate(-90deg) !important;
+                `;
+
+                const circle = document.createElementNS(svgNS, 'circle');
+                circle.setAttribute('cx', '15');
+                circle.setAttribute('cy', '15');
+                circle.setAttribute('r', String(radius));
+                circle.setAttribute('fill', 'none');
+                circle.setAttribute('stroke', '#8b5cf6');
+                circle.setAttribute('stroke-width', '2');
+                circle.setAttribute('stroke-dasharray', String(circumference));
+
+                svg.appendChild(circle);
+                this.element.appendChild(svg);
+                this.countdownRing = svg;
+            }
+
+            // 先无过渡地恢复完整圆环，再在倒计时时长内线性收起
+            const circle = this.countdownRing.firstChild;
+            circle.style.transition = 'none';
+            circle.style.strokeDashoffset = '0';
+            circle.getBoundingClientRect();
+            circle.style.transition = `stroke-dashoffset ${duration}ms linear`;
+            circle.style.strokeDashoffset = String(circumference);
+        } catch (error) {
+            console.error('[ControlDot] 显示倒计时失败:', error);
+        }
+    }
+
+    /**
+     * 隐藏倒计时圆环
+     */
+    hideCountdown() {
+        if (this.countdownRing && this.countdownRing.parentNode) {
+            this.countdownRing.parentNode.removeChild(this.countdownRing);
+        }
+
+        this.countdownRing = null;
+    }
+
     /**
      * 检查元素是否包含指定的目标元素
      * @param {Element} target - 目标元素
@@ -237,6 +303,7 @@ export class ControlDot {
 
             // 重置状态
             this.element = null;
+            this.countdownRing = null;
             this.isCreated = false;
 
             console.log('[ControlDot] 控制圆点已销毁');
@@ -3,6 +3,8 @@
  * 负责创建和管理滚动条控制面板，处理用户设置和模式选择
  */
 
+import { KeyBindingScopes, KeyboardConflictTypes } from '../utils/constants.js';
+
 export class ControlPanel {
     constructor(eventBus) {
         this.eventBus = eventBus;
@@ -10,12 +12,92 @@ export class ControlPanel {
         this.isCreated = false;
         this.isVisible = false;
         this.currentMode = 'default';
+        this.axisModes = { vertical: 'default', horizontal: 'default' };
+        this.selectedAxis = 'both'; // 模式按钮作用的方向
+        this.speedSlider = null;
+        this.infiniteCheckbox = null;
+        this.pauseRuleCheckboxes = {}; // 自动暂停规则 -> 复选框
+        this.teleprompterCheckboxes = {}; // 提词器选项 -> 复选框
+        this.keyBindingButtons = {}; // 快捷键动作 -> 显示快捷键的按钮
+        this.keyConflictList = null; // 与网页冲突的快捷键列表
+        this.keyBindings = {}; // 快捷键动作 -> 快捷键字符串
+        this.stepSlider = null;
+        this.stopTimeSlider = null;
+        this.remainingTimeDisplay = null;
+        this.remainingTimeTimer = null; // 每秒刷新剩余时间的计时器
+        this.scrollMode = 'continuous'; // 自动滚动的运动方式
+        this.speedMode = 'level'; // 自动滚动的速度模式
+        this.speedValues = { level: 3, wpm: 250 }; // 各速度模式的当前值
+
+        // 速度模式选项配置（滑块随模式切换单位和范围）
+        this.speedModeOptions = [
+            { value: 'level', label: '速度等级', sliderLabel: '滚动速度', min: 1, max: 10, step: 1 },
+            {
+                value: 'wpm',
+                label: '阅读速度',
+                sliderLabel: '阅读速度（词/分钟）',
+                min: 50,
+                max: 1000,
+                step: 10
+            }
+        ];
+
+        // 运动方式选项配置
+        this.scrollModeOptions = [
+            { value: 'continuous', label: '连续滚动' },
+            { value: 'step', label: '定时翻页' }
+        ];
+
+        // 循环方式选项配置
+        this.loopModeOptions = [
+            { value: 'off', label: '到末尾停止' },
+            { value: 'restart', label: '回到开头' },
+            { value: 'ping-pong', label: '往返滚动' }
+        ];
+
+        // 自动暂停规则选项配置
+        this.pauseRuleOptions = [
+            { value: 'hidden', label: '切换到其他标签页时' },
+            { value: 'blur', label: '窗口失去焦点时' },
+            { value: 'selection', label: '选中文字时' },
+            { value: 'hover', label: '指针停留在代码块上时' },
+            { value: 'userInput', label: '使用滚轮或触摸滚动时' }
+        ];
+
+        // 提词器选项配置
+        this.teleprompterOptions = [
+            { value: 'enabled', label: '提词器模式' },
+            { value: 'dim', label: '淡化阅读带以外的内容' },
+            { value: 'mirror', label: '镜像显示' }
+        ];
+
+        // 可重新绑定快捷键的动作
+        this.keyBindingOptions = [
+            { value: 'toggle', label: '开始/停止滚动' },
+            { value: 'start', label: '向下滚动' },
+            { value: 'start-up', label: '向上滚动' },
+            { value: 'start-left', label: '向左滚动' },
+            { value: 'start-right', label: '向右滚动' },
+            { value: 'stop', label: '停止滚动' },
+            { value: 'faster', label: '加快速度' },
+            { value: 'slower', label: '减慢速度' },
+            { value: 'cycle-mode', label: '切换滚动条模式' },
+            { value: 'toggle-panel', label: '显示/隐藏面板' }
+        ];
+
+        // 方向选项配置
+        this.axisOptions = [
+            { value: 'both', label: '全部' },
+            { value: 'vertical', label: '垂直' },
+            { value: 'horizontal', label: '水平' }
+        ];
 
         // 模式选项配置
         this.modeOptions = [
             { value: 'default', label: '默认模式', description: '显示原始滚动条' },
             { value: 'always', label: '隐藏模式', description: '永远隐藏滚动条' },
-            { value: 'semi', label: '半透明模式', description: '滚动时显示，停止后隐藏' }
+            { value: 'semi', label: '半透明模式', description: '滚动时显示，停止后隐藏' },
+            { value: 'styled', label: '主题模式', description: '显示自定义样式的滚动条' }
         ];
 
         console.log('[ControlPanel] 已创建');
@@ -65,81 +147,1090 @@ export class ControlPanel {
                 box-sizing: border-box !important;
             `;
 
-            // 创建面板内容
-            this.createPanelContent();
+            // 创建面板内容
+            this.createPanelContent();
+
+            // 将面板添加到页面
+            document.body.appendChild(this.element);
+
+            this.isCreated = true;
+            console.log('[ControlPanel] 控制面板已创建');
+
+            // 发送创建完成事件
+            this.eventBus.emit('ui:panel-created');
+        } catch (error) {
+            console.error('[ControlPanel] 创建控制面板失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 创建面板内容
+     */
+    createPanelContent() {
+        if (!this.element) {
+            return;
+        }
+
+        try {
+            // 创建标题
+            const title = document.createElement('div');
+            title.style.cssText = `
+                padding: 16px 16px 8px 16px !important;
+                font-weight: 600 !important;
+                color: #374151 !important;
+                font-size: 16px !important;
+                border-bottom: 1px solid rgba(0, 0, 0, 0.1) !important;
+                margin-bottom: 8px !important;
+            `;
+            title.textContent = '滚动条控制';
+
+            // 创建选项容器
+            const optionsContainer = document.createElement('div');
+            optionsContainer.id = 'scrollbar-options-container';
+            optionsContainer.style.cssText = `
+                padding: 8px 16px 16px 16px !important;
+                overflow: visible !important;
+                box-sizing: border-box !important;
+                width: 100% !important;
+            `;
+
+            // 创建方向选择器
+            const axisSelector = this.createAxisSelector();
+            optionsContainer.appendChild(axisSelector);
+
+            // 创建模式选项按钮
+            this.modeOptions.forEach(option => {
+                const button = this.createOptionButton(option);
+                optionsContainer.appendChild(button);
+            });
+
+            // 创建自动滚动控制区域
+            const autoScrollSection = this.createAutoScrollSection();
+            optionsContainer.appendChild(autoScrollSection);
+
+            // 创建快捷键设置区域
+            const keyBindingSection = this.createKeyBindingSection();
+            optionsContainer.appendChild(keyBindingSection);
+
+            // 创建站点配置区域
+            const siteProfileSection = this.createSiteProfileSection();
+            optionsContainer.appendChild(siteProfileSection);
+
+            // 创建设置导入导出区域
+            const settingsTransferSection = this.createSettingsTransferSection();
+            optionsContainer.appendChild(settingsTransferSection);
+
+            // 将内容添加到面板
+            this.element.appendChild(title);
+            this.element.appendChild(optionsContainer);
+
+            // 高亮当前速度模式和运动方式
+            this.applySpeedMode(this.speedMode);
+            this.applyScrollMode(this.scrollMode);
+
+            console.log('[ControlPanel] 面板内容已创建');
+        } catch (error) {
+            console.error('[ControlPanel] 创建面板内容失败:', error);
+        }
+    }
+
+    /**
+     * 创建方向选择器，选择模式按钮作用于哪个方向的滚动条
+     * @returns {Element} 方向选择器容器
+     */
+    createAxisSelector() {
+        const container = document.createElement('div');
+        container.className = 'scrollbar-axis-selector';
+        container.style.cssText = `
+            margin-bottom: 12px !important;
+            width: 100% !important;
+            box-sizing: border-box !important;
+        `;
+
+        const tabs = document.createElement('div');
+        tabs.style.cssText = `
+            display: flex !important;
+            gap: 4px !important;
+            padding: 3px !important;
+            border-radius: 8px !important;
+            background: rgba(0, 0, 0, 0.04) !important;
+        `;
+
+        this.axisOptions.forEach(option => {
+            const tab = document.createElement('button');
+            tab.className = 'scrollbar-axis-tab';
+            tab.dataset.axis = option.value;
+            tab.textContent = option.label;
+            tab.style.cssText = `
+                flex: 1 !important;
+                padding: 6px 0 !important;
+                border: none !important;
+                border-radius: 6px !important;
+                background: transparent !important;
+                color: #374151 !important;
+                cursor: pointer !important;
+                font-size: 13px !important;
+                transition: all 0.2s ease !important;
+            `;
+            tab.addEventListener('click', () => {
+                this.selectAxis(option.value);
+            });
+            tabs.appendChild(tab);
+        });
+
+        // 显示两个方向当前的模式
+        const status = document.createElement('div');
+        status.className = 'scrollbar-axis-status';
+        status.style.cssText = `
+            margin-top: 6px !important;
+            font-size: 12px !important;
+            color: #6b7280 !important;
+        `;
+
+        container.appendChild(tabs);
+        container.appendChild(status);
+
+        return container;
+    }
+
+    /**
+     * 选择模式按钮作用的方向
+     * @param {string} axis - 方向 ('both' | 'vertical' | 'horizontal')
+     */
+    selectAxis(axis) {
+        this.selectedAxis = axis;
+        this.updateButtonStates();
+    }
+
+    /**
+     * 检查模式在当前选择的方向上是否处于选中状态
+     * @param {string} mode - 模式
+     * @returns {boolean} 是否选中
+     */
+    isModeSelected(mode) {
+        if (this.selectedAxis === 'both') {
+            return this.axisModes.vertical === mode || this.axisModes.horizontal === mode;
+        }
+
+        return this.axisModes[this.selectedAxis] === mode;
+    }
+
+    /**
+     * 获取模式的显示名称
+     * @param {string} mode - 模式
+     * @returns {string} 显示名称
+     */
+    getModeLabel(mode) {
+        const option = this.modeOptions.find(item => item.value === mode);
+        return option ? option.label : mode;
+    }
+
+    /**
+     * 创建自动滚动控制区域
+     * @returns {Element} 自动滚动控制容器
+     */
+    createAutoScrollSection() {
+        const section = document.createElement('div');
+        section.className = 'auto-scroll-section';
+        section.style.cssText = `
+            margin-top: 16px !important;
+            padding-top: 16px !important;
+            border-top: 1px solid rgba(0, 0, 0, 0.1) !important;
+            width: 100% !important;
+            box-sizing: border-box !important;
+        `;
+
+        // 创建自动滚动标题
+        const title = document.createElement('div');
+        title.style.cssText = `
+            font-weight: 500 !important;
+            color: #374151 !important;
+            margin-bottom: 12px !important;
+            font-size: 14px !important;
+        `;
+        title.textContent = '自动滚动';
+
+        // 创建开关按钮
+        const toggleButton = document.createElement('button');
+        toggleButton.id = 'auto-scroll-toggle';
+        toggleButton.style.cssText = `
+            width: 100% !important;
+            padding: 10px 12px !important;
+            margin-bottom: 12px !important;
+            border: 2px solid #e5e7eb !important;
+            border-radius: 6px !important;
+            background: #f9fafb !important;
+            color: #374151 !important;
+            cursor: pointer !important;
+            font-size: 14px !important;
+            font-weight: 500 !important;
+            transition: all 0.2s ease !important;
+            box-sizing: border-box !important;
+        `;
+        toggleButton.textContent = '开始自动滚动';
+
+        // 创建运动方式切换和翻页间隔滑块
+        const scrollModeSelector = this.createScrollModeSelector();
+        const stepSlider = this.createSliderControl({
+            label: '翻页间隔（秒）',
+            min: 1,
+            max: 60,
+            value: 5,
+            step: 1,
+            onChange: value => {
+                this.eventBus.emit('ui:step-interval-change', { interval: value });
+            }
+        });
+        stepSlider.classList.add('auto-scroll-step-interval');
+        this.stepSlider = stepSlider.querySelector('input[type="range"]');
+
+        // 创建速度模式切换和速度控制滑块
+        const speedModeSelector = this.createSpeedModeSelector();
+        const speedSlider = this.createSliderControl({
+            label: '滚动速度',
+            min: 1,
+            max: 10,
+            value: 3,
+            step: 1,
+            onChange: (value) => {
+                this.speedValues[this.speedMode] = value;
+                if (this.speedMode === 'wpm') {
+                    this.eventBus.emit('ui:wpm-change', { wpm: value });
+                } else {
+                    this.eventBus.emit('ui:speed-change', { speed: value });
+                }
+            }
+        });
+        this.speedSlider = speedSlider.querySelector('input[type="range"]');
+
+        // 添加开关按钮事件
+        let isAutoScrolling = false;
+        toggleButton.addEventListener('click', () => {
+            isAutoScrolling = !isAutoScrolling;
+            if (isAutoScrolling) {
+                toggleButton.textContent = '停止自动滚动';
+                toggleButton.style.background = '#fef3c7';
+                toggleButton.style.borderColor = '#f59e0b';
+                toggleButton.style.color = '#92400e';
+                this.eventBus.emit('ui:auto-scroll-start');
+            } else {
+                toggleButton.textContent = '开始自动滚动';
+                toggleButton.style.background = '#f9fafb';
+                toggleButton.style.borderColor = '#e5e7eb';
+                toggleButton.style.color = '#374151';
+                this.eventBus.emit('ui:auto-scroll-stop');
+            }
+        });
+
+        // 监听自动滚动状态变化（包括其他标签页同步过来的启停）
+        this.eventBus.on('auto-scroll:started', () => {
+            isAutoScrolling = true;
+            toggleButton.textContent = '停止自动滚动';
+            toggleButton.style.background = '#fef3c7';
+            toggleButton.style.borderColor = '#f59e0b';
+            toggleButton.style.color = '#92400e';
+        });
+
+        // 无限滚动模式下到达末尾时提示正在等待新内容
+        this.eventBus.on('auto-scroll:waiting-for-content', () => {
+            toggleButton.textContent = '等待新内容加载…';
+        });
+
+        this.eventBus.on('auto-scroll:content-loaded', () => {
+            toggleButton.textContent = '停止自动滚动';
+        });
+
+        // 手动停止后减速滑行期间提示正在停止
+        this.eventBus.on('auto-scroll:stopping', () => {
+            toggleButton.textContent = '正在停止…';
+        });
+
+        // 自动暂停期间提示已暂停，条件解除后恢复
+        this.eventBus.on('auto-scroll:paused', () => {
+            toggleButton.textContent = '已暂停（停止自动滚动）';
+        });
+
+        this.eventBus.on('auto-scroll:resumed', () => {
+            toggleButton.textContent = '停止自动滚动';
+        });
+
+        this.eventBus.on('auto-scroll:stopped', () => {
+            isAutoScrolling = false;
+            toggleButton.textContent = '开始自动滚动';
+            toggleButton.style.background = '#f9fafb';
+            toggleButton.style.borderColor = '#e5e7eb';
+            toggleButton.style.color = '#374151';
+        });
+
+        // 监听速度变化（包括启动时恢复的速度）
+        this.eventBus.on('auto-scroll:speed-changed', data => {
+            this.updateSpeed(data.newSpeed);
+        });
+
+        this.eventBus.on('auto-scroll:wpm-changed', data => {
+            this.updateWpm(data.newWpm);
+        });
+
+        this.eventBus.on('auto-scroll:speed-mode-changed', data => {
+            this.applySpeedMode(data.mode);
+        });
+
+        this.eventBus.on('auto-scroll:scroll-mode-changed', data => {
+            this.applyScrollMode(data.mode);
+        });
+
+        this.eventBus.on('auto-scroll:step-interval-changed', data => {
+            this.updateStepInterval(data.interval);
+        });
+
+        // 定时停止：设置滚动时长并显示剩余时间
+        const stopTimeSlider = this.createSliderControl({
+            label: '定时停止（分钟，0为不限）',
+            min: 0,
+            max: 120,
+            value: 0,
+            step: 5,
+            // 松开滑块后才重新设置定时，避免拖动过程中反复重启计时器
+            onCommit: value => {
+                this.eventBus.emit('ui:stop-time-change', { time: value * 60 });
+            }
+        });
+        stopTimeSlider.classList.add('auto-scroll-stop-time');
+        this.stopTimeSlider = stopTimeSlider.querySelector('input[type="range"]');
+
+        const remainingTime = document.createElement('div');
+        remainingTime.className = 'auto-scroll-remaining-time';
+        remainingTime.style.cssText = `
+            display: none !important;
+            font-size: 12px !important;
+            color: #6b7280 !important;
+            margin-bottom: 8px !important;
+        `;
+        this.remainingTimeDisplay = remainingTime;
+
+        this.eventBus.on('auto-scroll:started', data => {
+            this.showRemainingTime(data.stopAt);
+        });
+
+        this.eventBus.on('auto-scroll:stopped', () => {
+            this.showRemainingTime(null);
+        });
+
+        this.eventBus.on('auto-scroll:stop-conditions-changed', data => {
+            this.updateStopTime(data.conditions.time);
+            this.showRemainingTime(data.stopAt);
+        });
+
+        // 循环：到达末尾后回到开头或往返滚动
+        const loopModeSelector = this.createLoopModeSelector();
+
+        this.eventBus.on('auto-scroll:loop-mode-changed', data => {
+            this.applyLoopMode(data.mode);
+        });
+
+        // 无限滚动：到达末尾后等待懒加载的内容
+        const infiniteToggle = this.createCheckboxControl({
+            id: 'auto-scroll-infinite-toggle',
+            label: '到达末尾时等待新内容',
+            checked: false,
+            onChange: checked => {
+                this.eventBus.emit('ui:infinite-mode-change', { enabled: checked });
+            }
+        });
+        this.infiniteCheckbox = infiniteToggle.querySelector('input[type="checkbox"]');
+
+        this.eventBus.on('auto-scroll:infinite-mode-changed', data => {
+            this.updateInfiniteMode(data.enabled);
+        });
+
+        // 自动暂停规则：每条规则单独开关
+        const pauseRules = document.createElement('div');
+        pauseRules.className = 'auto-scroll-pause-rules';
+
+        const pauseRulesLabel = document.createElement('div');
+        pauseRulesLabel.textContent = '自动暂停';
+        pauseRulesLabel.style.cssText = `
+            font-size: 12px !important;
+            color: #6b7280 !important;
+            margin: 4px 0 6px 0 !important;
+        `;
+        pauseRules.appendChild(pauseRulesLabel);
+
+        this.pauseRuleOptions.forEach(option => {
+            const pauseToggle = this.createCheckboxControl({
+                id: `auto-scroll-pause-${option.value}`,
+                label: option.label,
+                checked: false,
+                onChange: checked => {
+                    const rules =
+                        option.value === 'hover' || option.value === 'userInput'
+                            ? { [option.value]: { enabled: checked } }
+                            : { [option.value]: checked };
+                    this.eventBus.emit('ui:pause-rules-change', { rules });
+                }
+            });
+            this.pauseRuleCheckboxes[option.value] =
+                pauseToggle.querySelector('input[type="checkbox"]');
+            pauseRules.appendChild(pauseToggle);
+        });
+
+        this.eventBus.on('auto-scroll:pause-rules-changed', data => {
+            this.updatePauseRules(data.currentRules);
+        });
+
+        // 提词器：阅读带、淡化和镜像
+        const teleprompter = document.createElement('div');
+        teleprompter.className = 'auto-scroll-teleprompter';
+
+        const teleprompterLabel = document.createElement('div');
+        teleprompterLabel.textContent = '提词器';
+        teleprompterLabel.style.cssText = `
+            font-size: 12px !important;
+            color: #6b7280 !important;
+            margin: 4px 0 6px 0 !important;
+        `;
+        teleprompter.appendChild(teleprompterLabel);
+
+        this.teleprompterOptions.forEach(option => {
+            const teleprompterToggle = this.createCheckboxControl({
+                id: `auto-scroll-teleprompter-${option.value}`,
+                label: option.label,
+                checked: false,
+                onChange: checked => {
+                    this.eventBus.emit('ui:teleprompter-change', {
+                        settings: { [option.value]: checked }
+                    });
+                }
+            });
+            this.teleprompterCheckboxes[option.value] =
+                teleprompterToggle.querySelector('input[type="checkbox"]');
+            teleprompter.appendChild(teleprompterToggle);
+        });
+
+        this.eventBus.on('auto-scroll:teleprompter-changed', data => {
+            this.updateTeleprompter(data.settings);
+        });
+
+        // 自动滚动启停是否只作用于当前标签页
+        const localToggle = this.createCheckboxControl({
+            id: 'auto-scroll-local-toggle',
+            label: '仅在当前标签页启停',
+            checked: false,
+            onChange: checked => {
+                this.eventBus.emit('ui:sync-local-auto-scroll', { localAutoScroll: checked });
+            }
+        });
+        const localCheckbox = localToggle.querySelector('input[type="checkbox"]');
+
+        this.eventBus.on('tab-sync:config-changed', data => {
+            localCheckbox.checked = !!data.localAutoScroll;
+        });
+
+        // 滚动目标：默认自动选择指针下方的容器，也可手动选择元素
+        const targetInfo = document.createElement('div');
+        targetInfo.className = 'auto-scroll-target-status';
+        targetInfo.style.cssText = `
+            font-size: 12px !important;
+            color: #6b7280 !important;
+            margin-bottom: 8px !important;
+            word-break: break-all !important;
+        `;
+        targetInfo.textContent = '滚动目标: 指针下方的区域';
+
+        const targetButton = this.createSectionButton('auto-scroll-pick-target', '选择滚动元素');
+        let hasPickedTarget = false;
+        targetButton.addEventListener('click', () => {
+            if (hasPickedTarget) {
+                this.eventBus.emit('ui:scroll-target-clear');
+            } else {
+                this.eventBus.emit('ui:pick-scroll-target');
+            }
+        });
+
+        this.eventBus.on('auto-scroll:target-changed', data => {
+            hasPickedTarget = !!data.target;
+            targetButton.textContent = hasPickedTarget ? '取消选择的元素' : '选择滚动元素';
+            targetInfo.textContent = hasPickedTarget
+                ? `滚动目标: ${this.describeElement(data.target)}`
+                : '滚动目标: 指针下方的区域';
+        });
+
+        this.eventBus.on('auto-scroll:target-rejected', () => {
+            targetInfo.textContent = '所选元素不可滚动，请重新选择';
+        });
+
+        // 组装元素
+        section.appendChild(title);
+        section.appendChild(toggleButton);
+        section.appendChild(scrollModeSelector);
+        section.appendChild(speedModeSelector);
+        section.appendChild(speedSlider);
+        section.appendChild(stepSlider);
+        section.appendChild(stopTimeSlider);
+        section.appendChild(remainingTime);
+        section.appendChild(targetInfo);
+        section.appendChild(targetButton);
+        section.appendChild(loopModeSelector);
+        section.appendChild(infiniteToggle);
+        section.appendChild(pauseRules);
+        section.appendChild(teleprompter);
+        section.appendChild(localToggle);
+
+        return section;
+    }
+
+    /**
+     * 生成元素的简短描述，如 div#main.content
+     * @param {Element} element - 元素
+     * @returns {string} 描述文字
+     */
+    describeElement(element) {
+        let text = element.tagName.toLowerCase();
+
+        if (element.id) {
+            text += `#${element.id}`;
+        }
+
+        const className = typeof element.className === 'string' ? element.className.trim() : '';
+        if (className) {
+            text += `.${className.split(/\s+/).slice(0, 2).join('.')}`;
+        }
+
+        return text;
+    }
+
+    /**
+     * 创建分段切换按钮组
+     * @param {Object} config - 配置 { className, tabClassName, dataKey, options, onSelect }
+     * @returns {Element} 按钮组容器
+     */
+    createTabSelector(config) {
+        const tabs = document.createElement('div');
+        tabs.className = config.className;
+        tabs.style.cssText = `
+            display: flex !important;
+            gap: 4px !important;
+            padding: 3px !important;
+            margin-bottom: 8px !important;
+            border-radius: 8px !important;
+            background: rgba(0, 0, 0, 0.04) !important;
+        `;
+
+        config.options.forEach(option => {
+            const tab = document.createElement('button');
+            tab.className = config.tabClassName;
+            tab.dataset[config.dataKey] = option.value;
+            tab.textContent = option.label;
+            tab.style.cssText = `
+                flex: 1 !important;
+                padding: 6px 0 !important;
+                border: none !important;
+                border-radius: 6px !important;
+                background: transparent !important;
+                color: #374151 !important;
+                cursor: pointer !important;
+                font-size: 13px !important;
+                transition: all 0.2s ease !important;
+            `;
+            tab.addEventListener('click', () => {
+                config.onSelect(option.value);
+            });
+            tabs.appendChild(tab);
+        });
+
+        return tabs;
+    }
+
+    /**
+     * 高亮分段切换按钮组中选中的按钮
+     * @param {string} tabClassName - 按钮类名
+     * @param {string} dataKey - 按钮上保存选项值的dataset键
+     * @param {string} value - 选中的值
+     */
+    highlightTab(tabClassName, dataKey, value) {
+        this.element.querySelectorAll(`.${tabClassName}`).forEach(tab => {
+            const isSelected = tab.dataset[dataKey] === value;
+            tab.style.background = isSelected ? '#ffffff' : 'transparent';
+            tab.style.boxShadow = isSelected ? '0 1px 3px rgba(0, 0, 0, 0.1)' : 'none';
+            tab.style.fontWeight = isSelected ? '600' : '400';
+        });
+    }
+
+    /**
+     * 创建速度模式切换按钮
+     * @returns {Element} 速度模式切换容器
+     */
+    createSpeedModeSelector() {
+        return this.createTabSelector({
+            className: 'auto-scroll-speed-mode-selector',
+            tabClassName: 'auto-scroll-speed-mode-tab',
+            dataKey: 'speedMode',
+            options: this.speedModeOptions,
+            onSelect: mode => this.eventBus.emit('ui:speed-mode-change', { mode })
+        });
+    }
+
+    /**
+     * 创建运动方式切换按钮
+     * @returns {Element} 运动方式切换容器
+     */
+    createScrollModeSelector() {
+        return this.createTabSelector({
+            className: 'auto-scroll-mode-selector',
+            tabClassName: 'auto-scroll-mode-tab',
+            dataKey: 'scrollMode',
+            options: this.scrollModeOptions,
+            onSelect: mode => this.eventBus.emit('ui:auto-scroll-mode-change', { mode })
+        });
+    }
+
+    /**
+     * 创建循环方式切换按钮
+     * @returns {Element} 循环方式切换容器
+     */
+    createLoopModeSelector() {
+        return this.createTabSelector({
+            className: 'auto-scroll-loop-selector',
+            tabClassName: 'auto-scroll-loop-tab',
+            dataKey: 'loopMode',
+            options: this.loopModeOptions,
+            onSelect: mode => this.eventBus.emit('ui:loop-mode-change', { mode })
+        });
+    }
+
+    /**
+     * 高亮当前循环方式
+     * @param {string} mode - 循环方式
+     */
+    applyLoopMode(mode) {
+        if (!this.element || !this.loopModeOptions.some(item => item.value === mode)) {
+            return;
+        }
+
+        this.highlightTab('auto-scroll-loop-tab', 'loopMode', mode);
+    }
+
+    /**
+     * 应用运动方式：连续滚动显示速度设置，定时翻页显示翻页间隔
+     * @param {string} mode - 运动方式
+     */
+    applyScrollMode(mode) {
+        if (!this.scrollModeOptions.some(item => item.value === mode)) {
+            return;
+        }
+
+        this.scrollMode = mode;
+
+        if (!this.element || !this.speedSlider || !this.stepSlider) {
+            return;
+        }
+
+        try {
+            this.highlightTab('auto-scroll-mode-tab', 'scrollMode', mode);
+
+            const isStep = mode === 'step';
+            const speedModeSelector = this.element.querySelector('.auto-scroll-speed-mode-selector');
+            const speedContainer = this.speedSlider.closest('.scrollbar-slider-container');
+            const stepContainer = this.stepSlider.closest('.scrollbar-slider-container');
+
+            speedModeSelector.style.display = isStep ? 'none' : 'flex';
+            speedContainer.style.display = isStep ? 'none' : 'block';
+            stepContainer.style.display = isStep ? 'block' : 'none';
+        } catch (error) {
+            console.error('[ControlPanel] 切换运动方式失败:', error);
+        }
+    }
+
+    /**
+     * 切换速度模式，更新切换按钮和滑块的单位、范围
+     * @param {string} mode - 速度模式 ('level' | 'wpm')
+     */
+    applySpeedMode(mode) {
+        const option = this.speedModeOptions.find(item => item.value === mode);
+        if (!option) {
+            return;
+        }
+
+        this.speedMode = mode;
+
+        if (!this.element || !this.speedSlider) {
+            return;
+        }
+
+        try {
+            this.highlightTab('auto-scroll-speed-mode-tab', 'speedMode', mode);
+
+            const container = this.speedSlider.closest('.scrollbar-slider-container');
+            const label = container && container.querySelector('.scrollbar-slider-label');
+            if (label) {
+                label.textContent = option.sliderLabel;
+            }
+
+            this.speedSlider.min = option.min;
+            this.speedSlider.max = option.max;
+            this.speedSlider.step = option.step;
+            this.setSliderValue(this.speedValues[mode]);
+        } catch (error) {
+            console.error('[ControlPanel] 切换速度模式失败:', error);
+        }
+    }
+
+    /**
+     * 创建快捷键设置区域：点击动作后的按钮录制新的快捷键
+     * @returns {Element} 快捷键设置容器
+     */
+    createKeyBindingSection() {
+        const section = this.createSection('key-binding-section', '快捷键');
+
+        const hint = document.createElement('div');
+        hint.className = 'key-binding-status';
+        hint.style.cssText = `
+            font-size: 12px !important;
+            color: #6b7280 !important;
+            margin-bottom: 8px !important;
+        `;
+        hint.textContent = '点击快捷键后按下新的组合键，依次按下多个按键可录制按键序列';
+        section.appendChild(hint);
+
+        this.keyBindingOptions.forEach(option => {
+            const row = document.createElement('div');
+            row.style.cssText = `
+                display: flex !important;
+                align-items: center !important;
+                justify-content: space-between !important;
+                margin-bottom: 6px !important;
+                font-size: 12px !important;
+                color: #374151 !important;
+            `;
+
+            const label = document.createElement('span');
+            label.textContent = option.label;
+
+            const button = document.createElement('button');
+            button.id = `key-binding-${option.value}`;
+            button.style.cssText = `
+                min-width: 96px !important;
+                padding: 4px 8px !important;
+                border: 1px solid #e5e7eb !important;
+                border-radius: 4px !important;
+                background: #f9fafb !important;
+                color: #374151 !important;
+                cursor: pointer !important;
+                font-size: 12px !important;
+                font-family: monospace !important;
+            `;
+            button.textContent = '未设置';
+            button.addEventListener('click', () => {
+                this.eventBus.emit('ui:key-binding-capture', { action: option.value });
+            });
+
+            this.keyBindingButtons[option.value] = button;
+            row.appendChild(label);
+            row.appendChild(button);
+            section.appendChild(row);
+        });
+
+        const resetButton = this.createSectionButton('key-binding-reset', '恢复默认快捷键');
+        resetButton.addEventListener('click', () => {
+            this.eventBus.emit('ui:key-bindings-reset');
+        });
+        section.appendChild(resetButton);
+
+        this.keyConflictList = document.createElement('div');
+        this.keyConflictList.className = 'key-binding-conflicts';
+        section.appendChild(this.keyConflictList);
+        this.updateKeyConflicts([]);
+
+        this.eventBus.on('keyboard-handler:capture-started', data => {
+            this.updateKeyBindings(this.keyBindings);
+            const button = this.keyBindingButtons[data.action];
+            if (button) {
+                button.textContent = '请按键…';
+            }
+            hint.textContent =
+                data.scope === KeyBindingScopes.SITE
+                    ? '正在录制本站使用的快捷键，按Esc取消，按Backspace在本站停用'
+                    : '按Esc取消，按Backspace清除快捷键';
+        });
+
+        this.eventBus.on('keyboard-handler:capture-progress', data => {
+            const button = this.keyBindingButtons[data.action];
+            if (button) {
+                button.textContent = `${data.binding} …`;
+            }
+            hint.textContent = '继续按键录制按键序列，停顿后自动保存';
+        });
+
+        this.eventBus.on('keyboard-handler:capture-ended', () => {
+            this.updateKeyBindings(this.keyBindings);
+            hint.textContent = '点击快捷键后按下新的组合键，依次按下多个按键可录制按键序列';
+        });
+
+        this.eventBus.on('keyboard-handler:bindings-changed', data => {
+            this.updateKeyBindings(data.bindings);
+        });
+
+        this.eventBus.on('keyboard-handler:conflicts-changed', data => {
+            this.updateKeyConflicts(data.conflicts);
+        });
+
+        return section;
+    }
+
+    /**
+     * 更新与网页冲突的快捷键列表，每项可在本站改键或停用
+     * @param {Array<Object>} conflicts - 冲突记录 { action, binding, type }
+     */
+    updateKeyConflicts(conflicts) {
+        if (!this.keyConflictList) {
+            return;
+        }
+
+        this.keyConflictList.innerHTML = '';
+
+        const title = document.createElement('div');
+        title.style.cssText = `
+            font-size: 12px !important;
+            color: #6b7280 !important;
+            margin-bottom: 6px !important;
+        `;
+        title.textContent =
+            conflicts && conflicts.length > 0
+                ? '以下快捷键与本站自身的快捷键冲突：'
+                : '未检测到与本站快捷键的冲突';
+        this.keyConflictList.appendChild(title);
+
+        (conflicts || []).forEach(conflict => {
+            const option = this.keyBindingOptions.find(item => item.value === conflict.action);
+            const row = document.createElement('div');
+            row.className = 'key-binding-conflict';
+            row.style.cssText = `
+                display: flex !important;
+                align-items: center !important;
+                gap: 4px !important;
+                margin-bottom: 6px !important;
+                font-size: 12px !important;
+                color: #b45309 !important;
+            `;
+
+            const label = document.createElement('span');
+            label.style.cssText = 'flex: 1 !important;';
+            label.textContent = `${option ? option.label : conflict.action}（${conflict.binding}）`;
+            label.title =
+                conflict.type === KeyboardConflictTypes.PAGE_FIRST
+                    ? '网页先处理了该按键'
+                    : '网页拦截了该按键的默认行为';
+
+            const rebindButton = this.createConflictButton(
+                `key-conflict-rebind-${conflict.action}`,
+                '本站改键'
+            );
+            rebindButton.addEventListener('click', () => {
+                this.eventBus.emit('ui:key-binding-capture', {
+                    action: conflict.action,
+                    scope: KeyBindingScopes.SITE
+                });
+            });
+
+            const disableButton = this.createConflictButton(
+                `key-conflict-disable-${conflict.action}`,
+                '本站停用'
+            );
+            disableButton.addEventListener('click', () => {
+                this.eventBus.emit('ui:site-key-binding-disable', { action: conflict.action });
+            });
+
+            row.appendChild(label);
+            row.appendChild(rebindButton);
+            row.appendChild(disableButton);
+            this.keyConflictList.appendChild(row);
+        });
+    }
+
+    /**
+     * 创建冲突列表中的小按钮
+     * @param {string} id - 按钮ID
+     * @param {string} text - 按钮文字
+     * @returns {Element} 按钮元素
+     */
+    createConflictButton(id, text) {
+        const button = document.createElement('button');
+        button.id = id;
+        button.style.cssText = `
+            padding: 2px 6px !important;
+            border: 1px solid #e5e7eb !important;
+            border-radius: 4px !important;
+            background: #f9fafb !important;
+            color: #374151 !important;
+            cursor: pointer !important;
+            font-size: 12px !important;
+        `;
+        button.textContent = text;
+
+        return button;
+    }
+
+    /**
+     * 更新快捷键显示
+     * @param {Object} bindings - 动作 -> 快捷键字符串
+     */
+    updateKeyBindings(bindings) {
+        if (!bindings) {
+            return;
+        }
+
+        this.keyBindings = { ...bindings };
+
+        Object.keys(this.keyBindingButtons).forEach(action => {
+            const binding = this.keyBindings[action];
+            this.keyBindingButtons[action].textContent = binding || '未设置';
+        });
+    }
+
+    /**
+     * 创建站点配置区域
+     * @returns {Element} 站点配置容器
+     */
+    createSiteProfileSection() {
+        const section = this.createSection('site-profile-section', '站点配置');
+
+        // 显示当前站点
+        const hostInfo = document.createElement('div');
+        hostInfo.className = 'site-profile-status';
+        hostInfo.style.cssText = `
+            font-size: 12px !important;
+            color: #6b7280 !important;
+            margin-bottom: 8px !important;
+            word-break: break-all !important;
+        `;
+        hostInfo.textContent = `当前站点: ${window.location.hostname || '-'}`;
 
-            // 将面板添加到页面
-            document.body.appendChild(this.element);
+        const saveButton = this.createSectionButton('site-profile-save', '保存为本站配置');
+        saveButton.addEventListener('click', () => {
+            this.eventBus.emit('ui:save-site-profile');
+        });
 
-            this.isCreated = true;
-            console.log('[ControlPanel] 控制面板已创建');
+        const disableButton = this.createSectionButton('site-profile-disable', '在本站停用');
+        disableButton.addEventListener('click', () => {
+            this.eventBus.emit('ui:disable-site');
+        });
 
-            // 发送创建完成事件
-            this.eventBus.emit('ui:panel-created');
-        } catch (error) {
-            console.error('[ControlPanel] 创建控制面板失败:', error);
-            throw error;
-        }
+        // 保存成功后更新提示
+        this.eventBus.on('site-profile:saved', data => {
+            hostInfo.textContent = `已保存 ${data.hostname} 的站点配置`;
+        });
+
+        section.appendChild(hostInfo);
+        section.appendChild(saveButton);
+        section.appendChild(disableButton);
+
+        return section;
     }
 
     /**
-     * 创建面板内容
+     * 创建设置导入导出区域
+     * @returns {Element} 导入导出容器
      */
-    createPanelContent() {
-        if (!this.element) {
-            return;
-        }
+    createSettingsTransferSection() {
+        const section = this.createSection('settings-transfer-section', '设置备份');
 
-        try {
-            // 创建标题
-            const title = document.createElement('div');
-            title.style.cssText = `
-                padding: 16px 16px 8px 16px !important;
-                font-weight: 600 !important;
-                color: #374151 !important;
-                font-size: 16px !important;
-                border-bottom: 1px solid rgba(0, 0, 0, 0.1) !important;
-                margin-bottom: 8px !important;
-            `;
-            title.textContent = '滚动条控制';
+        const status = document.createElement('div');
+        status.className = 'settings-transfer-status';
+        status.style.cssText = `
+            font-size: 12px !important;
+            color: #6b7280 !important;
+            margin-bottom: 8px !important;
+            white-space: pre-line !important;
+            word-break: break-all !important;
+        `;
 
-            // 创建选项容器
-            const optionsContainer = document.createElement('div');
-            optionsContainer.id = 'scrollbar-options-container';
-            optionsContainer.style.cssText = `
-                padding: 8px 16px 16px 16px !important;
-                overflow: visible !important;
-                box-sizing: border-box !important;
-                width: 100% !important;
-            `;
+        const exportButton = this.createSectionButton('settings-export-button', '导出设置');
+        exportButton.addEventListener('click', () => {
+            this.eventBus.emit('ui:export-settings');
+        });
 
-            // 创建模式选项按钮
-            this.modeOptions.forEach(option => {
-                const button = this.createOptionButton(option);
-                optionsContainer.appendChild(button);
-            });
+        // 使用隐藏的文件选择框读取导入文件
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = 'application/json,.json';
+        fileInput.style.display = 'none';
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files && fileInput.files[0];
+            if (!file) {
+                return;
+            }
 
-            // 创建自动滚动控制区域
-            const autoScrollSection = this.createAutoScrollSection();
-            optionsContainer.appendChild(autoScrollSection);
+            const reader = new FileReader();
+            reader.onload = () => {
+                this.eventBus.emit('ui:import-settings', { text: String(reader.result) });
+            };
+            reader.onerror = () => {
+                status.textContent = '读取文件失败';
+            };
+            reader.readAsText(file);
+            fileInput.value = '';
+        });
 
-            // 将内容添加到面板
-            this.element.appendChild(title);
-            this.element.appendChild(optionsContainer);
+        const importButton = this.createSectionButton('settings-import-button', '导入设置');
+        importButton.addEventListener('click', () => {
+            fileInput.click();
+        });
 
-            console.log('[ControlPanel] 面板内容已创建');
+        // 导出完成后下载JSON文件
+        this.eventBus.on('settings:exported', data => {
+            this.downloadJSON(data.json, 'scrollbar-controller-settings.json');
+            status.textContent = '设置已导出';
+        });
+
+        // 显示导入结果
+        this.eventBus.on('settings:imported', result => {
+            status.textContent = result.success
+                ? '设置已导入'
+                : `导入失败:\n${result.errors.join('\n')}`;
+        });
+
+        section.appendChild(status);
+        section.appendChild(exportButton);
+        section.appendChild(importButton);
+        section.appendChild(fileInput);
+
+        return section;
+    }
+
+    /**
+     * 以文件形式下载JSON文本
+     * @param {string} json - JSON文本
+     * @param {string} filename - 文件名
+     */
+    downloadJSON(json, filename) {
+        try {
+            const blob = new Blob([json], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            link.style.display = 'none';
+
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+
+            setTimeout(() => URL.revokeObjectURL(url), 0);
         } catch (error) {
-            console.error('[ControlPanel] 创建面板内容失败:', error);
+            console.error('[ControlPanel] 下载JSON文件失败:', error);
         }
     }
 
     /**
-     * 创建自动滚动控制区域
-     * @returns {Element} 自动滚动控制容器
+     * 创建带标题的分区容器
+     * @param {string} className - 分区类名
+     * @param {string} titleText - 分区标题
+     * @returns {Element} 分区容器
      */
-    createAutoScrollSection() {
+    createSection(className, titleText) {
         const section = document.createElement('div');
-        section.className = 'auto-scroll-section';
+        section.className = className;
         section.style.cssText = `
             margin-top: 16px !important;
             padding-top: 16px !important;
@@ -148,7 +1239,6 @@ export class ControlPanel {
             box-sizing: border-box !important;
         `;
 
-        // 创建自动滚动标题
         const title = document.createElement('div');
         title.style.cssText = `
             font-weight: 500 !important;
@@ -156,86 +1246,85 @@ export class ControlPanel {
             margin-bottom: 12px !important;
             font-size: 14px !important;
         `;
-        title.textContent = '自动滚动';
+        title.textContent = titleText;
+        section.appendChild(title);
 
-        // 创建开关按钮
-        const toggleButton = document.createElement('button');
-        toggleButton.id = 'auto-scroll-toggle';
-        toggleButton.style.cssText = `
+        return section;
+    }
+
+    /**
+     * 创建分区内的操作按钮
+     * @param {string} id - 按钮ID
+     * @param {string} text - 按钮文字
+     * @returns {Element} 按钮元素
+     */
+    createSectionButton(id, text) {
+        const button = document.createElement('button');
+        button.id = id;
+        button.style.cssText = `
             width: 100% !important;
-            padding: 10px 12px !important;
-            margin-bottom: 12px !important;
+            padding: 8px 12px !important;
+            margin-bottom: 8px !important;
             border: 2px solid #e5e7eb !important;
             border-radius: 6px !important;
             background: #f9fafb !important;
             color: #374151 !important;
             cursor: pointer !important;
-            font-size: 14px !important;
+            font-size: 13px !important;
             font-weight: 500 !important;
             transition: all 0.2s ease !important;
             box-sizing: border-box !important;
         `;
-        toggleButton.textContent = '开始自动滚动';
+        button.textContent = text;
 
-        // 创建速度控制滑块
-        const speedSlider = this.createSliderControl({
-            label: '滚动速度',
-            min: 1,
-            max: 10,
-            value: 3,
-            step: 1,
-            onChange: (value) => {
-                this.eventBus.emit('ui:speed-change', { speed: value });
-            }
-        });
+        return button;
+    }
 
-        // 添加开关按钮事件
-        let isAutoScrolling = false;
-        toggleButton.addEventListener('click', () => {
-            isAutoScrolling = !isAutoScrolling;
-            if (isAutoScrolling) {
-                toggleButton.textContent = '停止自动滚动';
-                toggleButton.style.background = '#fef3c7';
-                toggleButton.style.borderColor = '#f59e0b';
-                toggleButton.style.color = '#92400e';
-                this.eventBus.emit('ui:auto-scroll-start');
-            } else {
-                toggleButton.textContent = '开始自动滚动';
-                toggleButton.style.background = '#f9fafb';
-                toggleButton.style.borderColor = '#e5e7eb';
-                toggleButton.style.color = '#374151';
-                this.eventBus.emit('ui:auto-scroll-stop');
-            }
-        });
+    /**
+     * 创建复选框控件
+     * @param {Object} config - 复选框配置 {id, label, checked, onChange}
+     * @returns {Element} 复选框容器元素
+     */
+    createCheckboxControl(config) {
+        const container = document.createElement('label');
+        container.className = 'scrollbar-checkbox-container';
+        container.style.cssText = `
+            display: flex !important;
+            align-items: center !important;
+            gap: 8px !important;
+            margin-bottom: 8px !important;
+            color: #374151 !important;
+            font-size: 13px !important;
+            cursor: pointer !important;
+        `;
 
-        // 监听自动滚动状态变化
-        this.eventBus.on('auto-scroll:start', () => {
-            isAutoScrolling = true;
-            toggleButton.textContent = '停止自动滚动';
-            toggleButton.style.background = '#fef3c7';
-            toggleButton.style.borderColor = '#f59e0b';
-            toggleButton.style.color = '#92400e';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = config.id;
+        checkbox.checked = !!config.checked;
+        checkbox.style.cssText = `
+            margin: 0 !important;
+            cursor: pointer !important;
+        `;
+        checkbox.addEventListener('change', () => {
+            if (config.onChange) {
+                config.onChange(checkbox.checked);
+            }
         });
 
-        this.eventBus.on('auto-scroll:stop', () => {
-            isAutoScrolling = false;
-            toggleButton.textContent = '开始自动滚动';
-            toggleButton.style.background = '#f9fafb';
-            toggleButton.style.borderColor = '#e5e7eb';
-            toggleButton.style.color = '#374151';
-        });
+        const text = document.createElement('span');
+        text.textContent = config.label;
 
-        // 组装元素
-        section.appendChild(title);
-        section.appendChild(toggleButton);
-        section.appendChild(speedSlider);
+        container.appendChild(checkbox);
+        container.appendChild(text);
 
-        return section;
+        return container;
     }
 
     /**
      * 创建滑块控件
-     * @param {Object} config - 滑块配置 {label, min, max, value, step, onChange}
+     * @param {Object} config - 滑块配置 {label, min, max, value, step, onChange, onCommit}
+     *   onChange在拖动过程中持续调用，onCommit只在松开滑块后调用一次
      * @returns {Element} 滑块容器元素
      */
     createSliderControl(config) {
@@ -250,6 +1339,7 @@ export class ControlPanel {
 
         // 创建标签
         const label = document.createElement('div');
+        label.className = 'scrollbar-slider-label';
         label.style.cssText = `
             font-weight: 500 !important;
             color: #374151 !important;
@@ -319,6 +1409,7 @@ export class ControlPanel {
 
         // 创建数值显示
         const valueDisplay = document.createElement('div');
+        valueDisplay.className = 'scrollbar-slider-value';
         valueDisplay.style.cssText = `
             margin-left: 8px !important;
             font-size: 12px !important;
@@ -336,6 +1427,12 @@ export class ControlPanel {
             }
         });
 
+        slider.addEventListener('change', (e) => {
+            if (config.onCommit) {
+                config.onCommit(parseFloat(e.target.value));
+            }
+        });
+
         // 组装元素
         sliderWrapper.appendChild(slider);
         sliderWrapper.appendChild(valueDisplay);
@@ -401,7 +1498,7 @@ export class ControlPanel {
         });
 
         button.addEventListener('mouseleave', () => {
-            if (option.value !== this.currentMode) {
+            if (!this.isModeSelected(option.value)) {
                 button.style.background = 'rgba(0, 0, 0, 0.02)';
                 button.style.borderColor = 'transparent';
             }
@@ -416,13 +1513,19 @@ export class ControlPanel {
      */
     handleModeSelect(mode) {
         try {
-            this.currentMode = mode;
+            if (this.selectedAxis !== 'horizontal') {
+                this.axisModes.vertical = mode;
+            }
+            if (this.selectedAxis !== 'vertical') {
+                this.axisModes.horizontal = mode;
+            }
+            this.currentMode = this.axisModes.vertical;
 
             // 更新按钮状态
-            this.updateButtonStates(mode);
+            this.updateButtonStates();
 
             // 发送模式选择事件
-            this.eventBus.emit('ui:mode-select', mode);
+            this.eventBus.emit('ui:mode-select', { mode, axis: this.selectedAxis });
 
             console.log('[ControlPanel] 模式已选择:', mode);
         } catch (error) {
@@ -431,21 +1534,34 @@ export class ControlPanel {
     }
 
     /**
-     * 更新按钮状态
-     * @param {string} selectedMode - 选中的模式
+     * 更新方向选择器和模式按钮的状态
      */
-    updateButtonStates(selectedMode) {
+    updateButtonStates() {
         if (!this.element) {
             return;
         }
 
         try {
+            this.element.querySelectorAll('.scrollbar-axis-tab').forEach(tab => {
+                const isSelected = tab.dataset.axis === this.selectedAxis;
+                tab.style.background = isSelected ? '#ffffff' : 'transparent';
+                tab.style.boxShadow = isSelected ? '0 1px 3px rgba(0, 0, 0, 0.1)' : 'none';
+                tab.style.fontWeight = isSelected ? '600' : '400';
+            });
+
+            const status = this.element.querySelector('.scrollbar-axis-status');
+            if (status) {
+                status.textContent =
+                    `垂直: ${this.getModeLabel(this.axisModes.vertical)}  ` +
+                    `水平: ${this.getModeLabel(this.axisModes.horizontal)}`;
+            }
+
             const buttons = this.element.querySelectorAll('.scrollbar-option-button');
 
             buttons.forEach(button => {
                 const mode = button.dataset.mode;
 
-                if (mode === selectedMode) {
+                if (this.isModeSelected(mode)) {
                     // 选中状态
                     button.style.background = 'rgba(139, 92, 246, 0.15)';
                     button.style.borderColor = 'rgba(139, 92, 246, 0.4)';
@@ -521,9 +1637,14 @@ export class ControlPanel {
      */
     updateState(state) {
         try {
-            if (state.currentMode && state.currentMode !== this.currentMode) {
+            if (state.modes) {
+                this.axisModes = { ...state.modes };
+                this.currentMode = state.modes.vertical;
+                this.updateButtonStates();
+            } else if (state.currentMode && state.currentMode !== this.currentMode) {
                 this.currentMode = state.currentMode;
-                this.updateButtonStates(this.currentMode);
+                this.axisModes = { vertical: state.currentMode, horizontal: state.currentMode };
+                this.updateButtonStates();
             }
 
             console.log('[ControlPanel] 状态已更新:', state);
@@ -532,6 +1653,177 @@ export class ControlPanel {
         }
     }
 
+    /**
+     * 更新速度滑块显示
+     * @param {number} speed - 当前速度
+     */
+    updateSpeed(speed) {
+        if (typeof speed !== 'number') {
+            return;
+        }
+
+        this.speedValues.level = speed;
+        if (this.speedMode === 'level') {
+            this.setSliderValue(speed);
+        }
+    }
+
+    /**
+     * 更新阅读速度显示
+     * @param {number} wpm - 当前每分钟词数
+     */
+    updateWpm(wpm) {
+        if (typeof wpm !== 'number') {
+            return;
+        }
+
+        this.speedValues.wpm = wpm;
+        if (this.speedMode === 'wpm') {
+            this.setSliderValue(wpm);
+        }
+    }
+
+    /**
+     * 更新翻页间隔显示
+     * @param {number} interval - 间隔（秒）
+     */
+    updateStepInterval(interval) {
+        if (typeof interval !== 'number' || !this.stepSlider) {
+            return;
+        }
+
+        this.stepSlider.value = interval;
+
+        const valueDisplay = this.stepSlider.parentNode.querySelector('.scrollbar-slider-value');
+        if (valueDisplay) {
+            valueDisplay.textContent = String(interval);
+        }
+    }
+
+    /**
+     * 更新定时停止滑块显示
+     * @param {number} time - 停止时间（秒），0表示不限制
+     */
+    updateStopTime(time) {
+        if (typeof time !== 'number' || !this.stopTimeSlider) {
+            return;
+        }
+
+        const minutes = Math.round(time / 60);
+        this.stopTimeSlider.value = minutes;
+
+        const valueDisplay =
+            this.stopTimeSlider.parentNode.querySelector('.scrollbar-slider-value');
+        if (valueDisplay) {
+            valueDisplay.textContent = String(minutes);
+        }
+    }
+
+    /**
+     * 显示距定时停止的剩余时间，每秒刷新
+     * @param {number|null} stopAt - 定时停止的时间戳，null表示隐藏
+     */
+    showRemainingTime(stopAt) {
+        if (this.remainingTimeTimer) {
+            clearInterval(this.remainingTimeTimer);
+            this.remainingTimeTimer = null;
+        }
+
+        const display = this.remainingTimeDisplay;
+        if (!display) {
+            return;
+        }
+
+        if (typeof stopAt !== 'number') {
+            display.style.setProperty('display', 'none', 'important');
+            return;
+        }
+
+        const render = () => {
+            const seconds = Math.max(Math.ceil((stopAt - Date.now()) / 1000), 0);
+            const hours = Math.floor(seconds / 3600);
+            const minutes = Math.floor((seconds % 3600) / 60);
+            const pad = value => String(value).padStart(2, '0');
+            const text =
+                hours > 0
+                    ? `${hours}:${pad(minutes)}:${pad(seconds % 60)}`
+                    : `${minutes}:${pad(seconds % 60)}`;
+            display.textContent = `剩余时间: ${text}`;
+        };
+
+        render();
+        display.style.setProperty('display', 'block', 'important');
+        this.remainingTimeTimer = setInterval(render, 1000);
+    }
+
+    /**
+     * 更新无限滚动开关显示
+     * @param {boolean} enabled - 是否开启
+     */
+    updateInfiniteMode(enabled) {
+        if (this.infiniteCheckbox) {
+            this.infiniteCheckbox.checked = !!enabled;
+        }
+    }
+
+    /**
+     * 更新自动暂停规则开关显示
+     * @param {Object} rules - 规则配置 { hidden, blur, selection, hover, userInput }
+     */
+    updatePauseRules(rules) {
+        if (!rules) {
+            return;
+        }
+
+        Object.keys(this.pauseRuleCheckboxes).forEach(key => {
+            const value = rules[key];
+            const checkbox = this.pauseRuleCheckboxes[key];
+
+            if (checkbox && value !== undefined) {
+                checkbox.checked = typeof value === 'object' ? !!value.enabled : !!value;
+            }
+        });
+    }
+
+    /**
+     * 更新提词器选项显示
+     * @param {Object} settings - 提词器设置 { enabled, dim, mirror, ... }
+     */
+    updateTeleprompter(settings) {
+        if (!settings) {
+            return;
+        }
+
+        Object.keys(this.teleprompterCheckboxes).forEach(key => {
+            const checkbox = this.teleprompterCheckboxes[key];
+
+            if (checkbox && settings[key] !== undefined) {
+                checkbox.checked = !!settings[key];
+            }
+        });
+    }
+
+    /**
+     * 设置速度滑块及其数值显示
+     * @param {number} value - 滑块值
+     */
+    setSliderValue(value) {
+        if (!this.speedSlider) {
+            return;
+        }
+
+        try {
+            this.speedSlider.value = value;
+
+            const valueDisplay = this.speedSlider.parentNode.querySelector('.scrollbar-slider-value');
+            if (valueDisplay) {
+                valueDisplay.textContent = String(value);
+            }
+        } catch (error) {
+            console.error('[ControlPanel] 更新速度显示失败:', error);
+        }
+    }
+
     /**
      * 检查元素是否包含指定的目标元素
      * @param {Element} target - 目标元素
@@ -607,8 +1899,14 @@ export class ControlPanel {
                 }
             }
 
+            if (this.remainingTimeTimer) {
+                clearInterval(this.remainingTimeTimer);
+                this.remainingTimeTimer = null;
+            }
+
             // 重置状态
             this.element = null;
+            this.speedSlider = null;
             this.isCreated = false;
             this.isVisible = false;
 
@@ -0,0 +1,172 @@
+/**
+ * ElementPicker - 元素选择组件
+ * 在页面上高亮指针下方的元素，点击后通过事件报告所选元素，按Esc取消
+ */
+
+import { OWN_UI_SELECTOR } from '../utils/constants.js';
+
+export class ElementPicker {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        this.highlight = null;
+        this.isPicking = false;
+        this.hoveredElement = null;
+
+        // 绑定事件处理器
+        this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handleClick = this.handleClick.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+
+        console.log('[ElementPicker] 已创建');
+    }
+
+    /**
+     * 开始选择元素
+     */
+    start() {
+        if (this.isPicking) {
+            return;
+        }
+
+        try {
+            // 高亮框不接收指针事件，不影响elementFromPoint和点击目标
+            this.highlight = document.createElement('div');
+            this.highlight.id = 'scrollbar-element-picker';
+            this.highlight.style.cssText = `
+                position: fixed !important;
+                display: none !important;
+                pointer-events: none !important;
+                z-index: 999998 !important;
+                border: 2px solid #8b5cf6 !important;
+                background: rgba(139, 92, 246, 0.12) !important;
+                border-radius: 4px !important;
+                box-sizing: border-box !important;
+            `;
+            document.body.appendChild(this.highlight);
+
+            // 在window的捕获阶段处理，先于页面和其他组件拦截点击
+            window.addEventListener('mousemove', this.handleMouseMove, true);
+            window.addEventListener('click', this.handleClick, true);
+            window.addEventListener('keydown', this.handleKeyDown, true);
+            document.documentElement.style.setProperty('cursor', 'crosshair', 'important');
+
+            this.isPicking = true;
+            console.log('[ElementPicker] 开始选择元素');
+
+            this.eventBus.emit('ui:element-pick-started');
+        } catch (error) {
+            console.error('[ElementPicker] 开始选择元素失败:', error);
+            this.stop();
+        }
+    }
+
+    /**
+     * 结束选择并移除高亮
+     */
+    stop() {
+        window.removeEventListener('mousemove', this.handleMouseMove, true);
+        window.removeEventListener('click', this.handleClick, true);
+        window.removeEventListener('keydown', this.handleKeyDown, true);
+        document.documentElement.style.removeProperty('cursor');
+
+        if (this.highlight && this.highlight.parentNode) {
+            this.highlight.parentNode.removeChild(this.highlight);
+        }
+
+        this.highlight = null;
+        this.hoveredElement = null;
+        this.isPicking = false;
+    }
+
+    /**
+     * 检查元素是否属于脚本自身的UI
+     * @param {Element} element - 元素
+     * @returns {boolean} 是否为脚本UI
+     */
+    isOwnElement(element) {
+        return !(element instanceof Element) || !!element.closest(OWN_UI_SELECTOR);
+    }
+
+    /**
+     * 处理鼠标移动，高亮指针下方的元素
+     * @param {MouseEvent} event - 鼠标事件
+     */
+    handleMouseMove(event) {
+        const element = event.target;
+        if (element === this.hoveredElement || !this.highlight) {
+            return;
+        }
+
+        this.hoveredElement = element;
+
+        if (this.isOwnElement(element)) {
+            this.highlight.style.setProperty('display', 'none', 'important');
+            return;
+        }
+
+        // 提词器镜像页面时高亮框也随html一起被镜像，按镜像前的坐标放置才能与元素重合
+        const rect = element.getBoundingClientRect();
+        const isMirrored = !!document.getElementById('scrollbar-teleprompter-mirror');
+        const left = isMirrored ? document.documentElement.clientWidth - rect.right : rect.left;
+        this.highlight.style.setProperty('display', 'block', 'important');
+        this.highlight.style.setProperty('top', `${rect.top}px`, 'important');
+        this.highlight.style.setProperty('left', `${left}px`, 'important');
+        this.highlight.style.setProperty('width', `${rect.width}px`, 'important');
+        this.highlight.style.setProperty('height', `${rect.height}px`, 'important');
+    }
+
+    /**
+     * 处理点击，报告所选元素
+     * @param {MouseEvent} event - 鼠标事件
+     */
+    handleClick(event) {
+        // 点击只用于选择，不触发页面自身的行为
+        event.preventDefault();
+        event.stopPropagation();
+
+        const element = event.target;
+        this.stop();
+
+        if (this.isOwnElement(element)) {
+            console.log('[ElementPicker] 点击了控制组件，取消选择');
+            this.eventBus.emit('ui:element-pick-cancelled');
+            return;
+        }
+
+        console.log('[ElementPicker] 已选择元素:', element);
+        this.eventBus.emit('ui:scroll-target-picked', { element });
+    }
+
+    /**
+     * 处理按键，Esc取消选择
+     * @param {KeyboardEvent} event - 键盘事件
+     */
+    handleKeyDown(event) {
+        if (event.key !== 'Escape') {
+            return;
+        }
+
+        event.preventDefault();
+        event.stopPropagation();
+        this.stop();
+
+        console.log('[ElementPicker] 已取消选择');
+        this.eventBus.emit('ui:element-pick-cancelled');
+    }
+
+    /**
+     * 检查是否正在选择
+     * @returns {boolean} 是否正在选择
+     */
+    isActive() {
+        return this.isPicking;
+    }
+
+    /**
+     * 销毁组件
+     */
+    destroy() {
+        this.stop();
+        console.log('[ElementPicker] 已销毁');
+    }
+}
@@ -0,0 +1,195 @@
+/**
+ * TeleprompterOverlay - 提词器遮罩组件
+ * 在视口固定位置绘制阅读引导线或阅读带，可淡化阅读带以外的内容，并可水平镜像页面内容
+ */
+
+import { OWN_UI_SELECTOR } from '../utils/constants.js';
+
+export class TeleprompterOverlay {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        this.element = null;
+        this.topShade = null;
+        this.bottomShade = null;
+        this.guide = null;
+        this.mirrorStyle = null;
+        this.isVisible = false;
+
+        console.log('[TeleprompterOverlay] 已创建');
+    }
+
+    /**
+     * 创建遮罩元素
+     */
+    create() {
+        if (this.element) {
+            return;
+        }
+
+        // 遮罩不接收指针事件，不影响页面的点击和选择
+        this.element = document.createElement('div');
+        this.element.id = 'scrollbar-teleprompter';
+        this.element.style.cssText = `
+            position: fixed !important;
+            top: 0 !important;
+            left: 0 !important;
+            width: 100% !important;
+            height: 100% !important;
+            pointer-events: none !important;
+            z-index: 999997 !important;
+        `;
+
+        const shadeStyle = `
+            position: absolute !important;
+            left: 0 !important;
+            width: 100% !important;
+            background: #000 !important;
+            transition: opacity 0.3s ease !important;
+        `;
+
+        this.topShade = document.createElement('div');
+        this.topShade.style.cssText = `${shadeStyle} top: 0 !important;`;
+
+        this.bottomShade = document.createElement('div');
+        this.bottomShade.style.cssText = `${shadeStyle} bottom: 0 !important;`;
+
+        this.guide = document.createElement('div');
+        this.guide.style.cssText = `
+            position: absolute !important;
+            left: 0 !important;
+            width: 100% !important;
+            box-sizing: border-box !important;
+        `;
+
+        this.element.appendChild(this.topShade);
+        this.element.appendChild(this.bottomShade);
+        this.element.appendChild(this.guide);
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * 按提词器设置显示或隐藏遮罩
+     * @param {Object} settings - 提词器设置 { enabled, guide, position, bandHeight, dim, dimOpacity, mirror }
+     */
+    apply(settings) {
+        try {
+            if (!settings || !settings.enabled) {
+                this.hide();
+                return;
+            }
+
+            this.create();
+
+            const center = `${settings.position * 100}%`;
+            const isBand = settings.guide === 'band';
+            const halfHeight = isBand ? settings.bandHeight / 2 : 1;
+            const guideTop = `calc(${center} - ${halfHeight}px)`;
+            const guideBottom = `calc(${100 - settings.position * 100}% - ${halfHeight}px)`;
+
+            if (isBand) {
+                this.guide.style.setProperty('height', `${settings.bandHeight}px`, 'important');
+                this.guide.style.setProperty('background', 'rgba(139, 92, 246, 0.08)', 'important');
+                this.guide.style.setProperty(
+                    'border-top',
+                    '2px solid rgba(139, 92, 246, 0.8)',
+                    'important'
+                );
+                this.guide.style.setProperty(
+                    'border-bottom',
+                    '2px solid rgba(139, 92, 246, 0.8)',
+                    'important'
+                );
+            } else {
+                this.guide.style.setProperty('height', '2px', 'important');
+                this.guide.style.setProperty('background', 'rgba(139, 92, 246, 0.9)', 'important');
+                this.guide.style.setProperty('border-top', 'none', 'important');
+                this.guide.style.setProperty('border-bottom', 'none', 'important');
+            }
+            this.guide.style.setProperty('top', guideTop, 'important');
+
+            // 只有阅读带需要淡化上下两侧，引导线不遮挡内容
+            const shadeOpacity = isBand && settings.dim ? String(settings.dimOpacity) : '0';
+            this.topShade.style.setProperty('height', guideTop, 'important');
+            this.topShade.style.setProperty('opacity', shadeOpacity, 'important');
+            this.bottomShade.style.setProperty('height', guideBottom, 'important');
+            this.bottomShade.style.setProperty('opacity', shadeOpacity, 'important');
+
+            this.setMirror(settings.mirror);
+
+            this.element.style.setProperty('display', 'block', 'important');
+            this.isVisible = true;
+        } catch (error) {
+            console.error('[TeleprompterOverlay] 应用提词器设置失败:', error);
+        }
+    }
+
+    /**
+     * 开启或关闭页面内容的水平镜像，脚本自身的UI保持不变
+     * 镜像整个html元素而不是body的各个子元素：变换body的子元素会使其中固定定位的元素
+     * 改为相对该子元素定位。脚本自身的UI用独立的scale属性再翻转一次，不覆盖其自身的transform
+     * @param {boolean} mirror - 是否镜像
+     */
+    setMirror(mirror) {
+        if (!mirror) {
+            if (this.mirrorStyle && this.mirrorStyle.parentNode) {
+                this.mirrorStyle.parentNode.removeChild(this.mirrorStyle);
+            }
+            this.mirrorStyle = null;
+            return;
+        }
+
+        if (this.mirrorStyle) {
+            return;
+        }
+
+        this.mirrorStyle = document.createElement('style');
+        this.mirrorStyle.id = 'scrollbar-teleprompter-mirror';
+        this.mirrorStyle.textContent = `
+            html {
+                transform: scaleX(-1) !important;
+            }
+            ${OWN_UI_SELECTOR} {
+                scale: -1 1 !important;
+            }
+        `;
+        (document.head || document.documentElement).appendChild(this.mirrorStyle);
+    }
+
+    /**
+     * 隐藏遮罩并取消镜像
+     */
+    hide() {
+        this.setMirror(false);
+
+        if (this.element) {
+            this.element.style.setProperty('display', 'none', 'important');
+        }
+
+        this.isVisible = false;
+    }
+
+    /**
+     * 检查遮罩是否显示
+     * @returns {boolean} 是否显示
+     */
+    isActive() {
+        return this.isVisible;
+    }
+
+    /**
+     * 销毁组件
+     */
+    destroy() {
+        this.hide();
+
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+
+        this.element = null;
+        this.topShade = null;
+        this.bottomShade = null;
+        this.guide = null;
+        console.log('[TeleprompterOverlay] 已销毁');
+    }
+}
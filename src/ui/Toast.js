@@ -0,0 +1,91 @@
+/**
+ * Toast - 提示条组件
+ * 在页面底部中央短暂显示一行文字，如快捷键调整后的速度和模式
+ */
+
+export class Toast {
+    constructor() {
+        this.element = null;
+        this.hideTimer = null;
+
+        console.log('[Toast] 已创建');
+    }
+
+    /**
+     * 创建提示条元素
+     */
+    create() {
+        if (this.element) {
+            return;
+        }
+
+        // 提示条不接收指针事件，不遮挡页面操作
+        this.element = document.createElement('div');
+        this.element.id = 'scrollbar-toast';
+        this.element.setAttribute('role', 'status');
+        this.element.setAttribute('aria-live', 'polite');
+        this.element.style.cssText = `
+            position: fixed !important;
+            bottom: 56px !important;
+            left: 50% !important;
+            transform: translateX(-50%) !important;
+            padding: 8px 16px !important;
+            border-radius: 6px !important;
+            background: rgba(17, 24, 39, 0.85) !important;
+            color: #fff !important;
+            font-size: 14px !important;
+            font-family: system-ui, -apple-system, sans-serif !important;
+            white-space: nowrap !important;
+            pointer-events: none !important;
+            z-index: 999999 !important;
+            opacity: 0 !important;
+            transition: opacity 0.2s ease !important;
+        `;
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * 显示提示，再次调用时替换文字并重新计时
+     * @param {string} message - 提示文字
+     * @param {number} duration - 显示时长（毫秒）
+     */
+    show(message, duration = 1500) {
+        try {
+            this.create();
+
+            this.element.textContent = message;
+            this.element.style.setProperty('opacity', '1', 'important');
+
+            clearTimeout(this.hideTimer);
+            this.hideTimer = setTimeout(() => this.hide(), duration);
+        } catch (error) {
+            console.error('[Toast] 显示提示失败:', error);
+        }
+    }
+
+    /**
+     * 隐藏提示
+     */
+    hide() {
+        clearTimeout(this.hideTimer);
+        this.hideTimer = null;
+
+        if (this.element) {
+            this.element.style.setProperty('opacity', '0', 'important');
+        }
+    }
+
+    /**
+     * 销毁组件
+     */
+    destroy() {
+        this.hide();
+
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+
+        this.element = null;
+        console.log('[Toast] 已销毁');
+    }
+}
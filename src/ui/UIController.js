@@ -1,10 +1,13 @@
 /**
  * UIController - 用户界面控制器
- * 负责协调和管理所有UI组件，包括ControlDot和ControlPanel
+ * 负责协调和管理所有UI组件，包括ControlDot、ControlPanel、ElementPicker、TeleprompterOverlay和Toast
  */
 
 import { ControlDot } from './ControlDot.js';
 import { ControlPanel } from './ControlPanel.js';
+import { ElementPicker } from './ElementPicker.js';
+import { TeleprompterOverlay } from './TeleprompterOverlay.js';
+import { Toast } from './Toast.js';
 
 export class UIController {
     constructor(eventBus, styleManager) {
@@ -14,16 +17,30 @@ export class UIController {
         // UI组件实例
         this.controlDot = null;
         this.controlPanel = null;
+        this.elementPicker = null;
+        this.teleprompterOverlay = null;
+        this.toast = null;
 
         // 状态管理
         this.isInitialized = false;
         this.panelVisible = false;
         this.currentMode = 'default';
+        this.axisModes = null; // 各方向的模式 { vertical, horizontal }
 
         // 绑定事件处理器
         this.handleDotClick = this.handleDotClick.bind(this);
         this.handleModeSelect = this.handleModeSelect.bind(this);
         this.handleDocumentClick = this.handleDocumentClick.bind(this);
+        this.handleStyleModeChanged = this.handleStyleModeChanged.bind(this);
+        this.handlePickScrollTarget = this.handlePickScrollTarget.bind(this);
+        this.handleStepScheduled = this.handleStepScheduled.bind(this);
+        this.handleStepCountdownEnd = this.handleStepCountdownEnd.bind(this);
+        this.handleTeleprompterChanged = this.handleTeleprompterChanged.bind(this);
+        this.handleKeyboardSpeedUp = this.handleKeyboardSpeedUp.bind(this);
+        this.handleKeyboardSpeedDown = this.handleKeyboardSpeedDown.bind(this);
+        this.handleKeyboardAction = this.handleKeyboardAction.bind(this);
+        this.handleSequencePending = this.handleSequencePending.bind(this);
+        this.handleSequenceEnded = this.handleSequenceEnded.bind(this);
 
         console.log('[UIController] 已创建');
     }
@@ -113,6 +130,31 @@ export class UIController {
             this.updatePanelState();
         });
 
+        // 监听样式管理器实际的模式变更（包括启动时恢复的模式）
+        this.eventBus.on('style-manager:mode-changed', this.handleStyleModeChanged);
+
+        // 监听选择自动滚动元素的请求
+        this.eventBus.on('ui:pick-scroll-target', this.handlePickScrollTarget);
+
+        // 翻页模式的倒计时显示在控制圆点上
+        this.eventBus.on('auto-scroll:step-scheduled', this.handleStepScheduled);
+        this.eventBus.on('auto-scroll:waiting-for-content', this.handleStepCountdownEnd);
+        this.eventBus.on('auto-scroll:scroll-mode-changed', this.handleStepCountdownEnd);
+        this.eventBus.on('auto-scroll:stopped', this.handleStepCountdownEnd);
+        this.eventBus.on('auto-scroll:paused', this.handleStepCountdownEnd);
+
+        // 提词器的引导线、阅读带和镜像
+        this.eventBus.on('auto-scroll:teleprompter-changed', this.handleTeleprompterChanged);
+
+        // 快捷键调整速度、切换模式和面板后显示提示
+        this.eventBus.on('keyboard:speed-up', this.handleKeyboardSpeedUp);
+        this.eventBus.on('keyboard:speed-down', this.handleKeyboardSpeedDown);
+        this.eventBus.on('keyboard-handler:action', this.handleKeyboardAction);
+
+        // 按键序列未完成时显示已按下的步骤
+        this.eventBus.on('keyboard-handler:sequence-pending', this.handleSequencePending);
+        this.eventBus.on('keyboard-handler:sequence-ended', this.handleSequenceEnded);
+
         console.log('[UIController] 事件监听器已设置');
     }
 
@@ -142,14 +184,16 @@ export class UIController {
 
     /**
      * 处理模式选择事件
-     * @param {string} mode - 选择的模式
+     * @param {Object|string} data - 选择的模式 { mode, axis }，也可直接传入模式
      */
-    handleModeSelect(mode) {
+    handleModeSelect(data) {
         try {
-            this.currentMode = mode;
+            const { mode, axis } = typeof data === 'string' ? { mode: data } : data;
 
             // 通知样式管理器切换模式
-            this.styleManager.setMode(mode);
+            this.styleManager.setMode(mode, axis);
+            this.currentMode = this.styleManager.getCurrentMode();
+            this.axisModes = this.styleManager.getAxisModes();
 
             // 发送模式变化事件
             this.eventBus.emit('ui:mode-changed', mode);
@@ -163,6 +207,163 @@ export class UIController {
         }
     }
 
+    /**
+     * 处理样式管理器模式变更事件
+     * @param {Object} data - 事件数据 { previousMode, currentMode }
+     */
+    handleStyleModeChanged(data) {
+        if (!data || !data.currentMode) {
+            return;
+        }
+
+        this.currentMode = data.currentMode;
+        this.axisModes = data.modes || null;
+        this.updatePanelState();
+    }
+
+    /**
+     * 处理选择自动滚动元素的请求：隐藏面板后进入元素选择
+     */
+    handlePickScrollTarget() {
+        try {
+            if (!this.elementPicker) {
+                this.elementPicker = new ElementPicker(this.eventBus);
+            }
+
+            this.hidePanel();
+            this.elementPicker.start();
+        } catch (error) {
+            console.error('[UIController] 开始选择元素失败:', error);
+        }
+    }
+
+    /**
+     * 处理翻页计时开始，在控制圆点上显示倒计时
+     * @param {Object} data - 事件数据 { interval }
+     */
+    handleStepScheduled(data) {
+        if (this.controlDot && data) {
+            this.controlDot.showCountdown(data.interval);
+        }
+    }
+
+    /**
+     * 处理翻页计时结束（停止、暂停、等待新内容或切换运动方式），隐藏倒计时
+     */
+    handleStepCountdownEnd() {
+        if (this.controlDot) {
+            this.controlDot.hideCountdown();
+        }
+    }
+
+    /**
+     * 处理提词器设置变化，更新遮罩
+     * @param {Object} data - 事件数据 { previousSettings, settings }
+     */
+    handleTeleprompterChanged(data) {
+        if (data && data.settings) {
+            this.applyTeleprompter(data.settings);
+        }
+    }
+
+    /**
+     * 按提词器设置显示或隐藏遮罩
+     * @param {Object} settings - 提词器设置
+     */
+    applyTeleprompter(settings) {
+        if (!this.teleprompterOverlay) {
+            this.teleprompterOverlay = new TeleprompterOverlay(this.eventBus);
+        }
+
+        this.teleprompterOverlay.apply(settings);
+    }
+
+    /**
+     * 显示提示条
+     * @param {string} message - 提示文字
+     * @param {number} duration - 显示时长（毫秒），默认使用Toast的时长
+     */
+    showToast(message, duration) {
+        if (!this.toast) {
+            this.toast = new Toast();
+        }
+
+        this.toast.show(message, duration);
+    }
+
+    /**
+     * 显示快捷键调整后的速度
+     * @param {Object} data - 事件数据 { speedMode, value, changed }
+     * @param {string} limitText - 速度已到达上下限时的说明
+     */
+    showSpeedToast(data, limitText) {
+        if (!data) {
+            return;
+        }
+
+        const text =
+            data.speedMode === 'wpm'
+                ? `阅读速度: ${data.value} 词/分钟`
+                : `滚动速度: ${data.value}`;
+        this.showToast(data.changed ? text : `${text}（${limitText}）`);
+    }
+
+    /**
+     * 处理快捷键加快速度
+     * @param {Object} data - 事件数据
+     */
+    handleKeyboardSpeedUp(data) {
+        this.showSpeedToast(data, '已是最快');
+    }
+
+    /**
+     * 处理快捷键减慢速度
+     * @param {Object} data - 事件数据
+     */
+    handleKeyboardSpeedDown(data) {
+        this.showSpeedToast(data, '已是最慢');
+    }
+
+    /**
+     * 处理快捷键动作，切换滚动条模式和面板后显示新的状态
+     * @param {Object} data - 事件数据 { action, handled }
+     */
+    handleKeyboardAction(data) {
+        if (!data || !data.handled) {
+            return;
+        }
+
+        if (data.action === 'cycle-mode') {
+            const label = this.controlPanel
+                ? this.controlPanel.getModeLabel(this.currentMode)
+                : this.currentMode;
+            this.showToast(`滚动条模式: ${label}`);
+        } else if (data.action === 'toggle-panel') {
+            this.showToast(this.panelVisible ? '控制面板已显示' : '控制面板已隐藏');
+        }
+    }
+
+    /**
+     * 处理未完成的按键序列，提示等待下一步，直到序列超时
+     * @param {Object} data - 事件数据 { keys, timeout }
+     */
+    handleSequencePending(data) {
+        if (!data || !data.keys) {
+            return;
+        }
+
+        this.showToast(`${data.keys.join(' ')} …`, data.timeout);
+    }
+
+    /**
+     * 处理按键序列结束，隐藏等待提示（动作执行后可能显示自己的提示）
+     */
+    handleSequenceEnded() {
+        if (this.toast) {
+            this.toast.hide();
+        }
+    }
+
     /**
      * 处理文档点击事件
      * @param {Event} event - 点击事件
@@ -256,6 +457,7 @@ export class UIController {
         try {
             this.controlPanel.updateState({
                 currentMode: this.currentMode,
+                modes: this.axisModes,
                 panelVisible: this.panelVisible
             });
         } catch (error) {
@@ -263,6 +465,43 @@ export class UIController {
         }
     }
 
+    /**
+     * 同步自动滚动的状态到控制面板（面板在恢复设置之后才创建）
+     * @param {Object} state - 自动滚动状态
+     *     { speedMode, speed, wpm, scrollMode, stepInterval, infiniteMode, pauseRules, stopTime, loopMode }
+     */
+    syncAutoScrollState(state) {
+        if (!this.controlPanel || !state) {
+            return;
+        }
+
+        try {
+            this.controlPanel.updateSpeed(state.speed);
+            this.controlPanel.updateWpm(state.wpm);
+            this.controlPanel.applySpeedMode(state.speedMode);
+            this.controlPanel.updateStepInterval(state.stepInterval);
+            this.controlPanel.applyScrollMode(state.scrollMode);
+            this.controlPanel.updateInfiniteMode(state.infiniteMode);
+            this.controlPanel.updatePauseRules(state.pauseRules);
+            this.controlPanel.updateStopTime(state.stopTime);
+            this.controlPanel.applyLoopMode(state.loopMode);
+            this.controlPanel.updateTeleprompter(state.teleprompter);
+            this.applyTeleprompter(state.teleprompter);
+        } catch (error) {
+            console.error('[UIController] 同步自动滚动状态失败:', error);
+        }
+    }
+
+    /**
+     * 同步快捷键绑定到面板
+     * @param {Object} bindings - 动作 -> 快捷键字符串
+     */
+    syncKeyBindings(bindings) {
+        if (this.controlPanel) {
+            this.controlPanel.updateKeyBindings(bindings);
+        }
+    }
+
     /**
      * 获取当前模式
      * @returns {string} 当前模式
@@ -287,6 +526,19 @@ export class UIController {
             // 移除事件监听器
             this.eventBus.off('ui:dot-click', this.handleDotClick);
             this.eventBus.off('ui:mode-select', this.handleModeSelect);
+            this.eventBus.off('style-manager:mode-changed', this.handleStyleModeChanged);
+            this.eventBus.off('ui:pick-scroll-target', this.handlePickScrollTarget);
+            this.eventBus.off('auto-scroll:step-scheduled', this.handleStepScheduled);
+            this.eventBus.off('auto-scroll:waiting-for-content', this.handleStepCountdownEnd);
+            this.eventBus.off('auto-scroll:scroll-mode-changed', this.handleStepCountdownEnd);
+            this.eventBus.off('auto-scroll:stopped', this.handleStepCountdownEnd);
+            this.eventBus.off('auto-scroll:paused', this.handleStepCountdownEnd);
+            this.eventBus.off('auto-scroll:teleprompter-changed', this.handleTeleprompterChanged);
+            this.eventBus.off('keyboard:speed-up', this.handleKeyboardSpeedUp);
+            this.eventBus.off('keyboard:speed-down', this.handleKeyboardSpeedDown);
+            this.eventBus.off('keyboard-handler:action', this.handleKeyboardAction);
+            this.eventBus.off('keyboard-handler:sequence-pending', this.handleSequencePending);
+            this.eventBus.off('keyboard-handler:sequence-ended', this.handleSequenceEnded);
             document.removeEventListener('click', this.handleDocumentClick, true);
 
             // 销毁UI组件
@@ -300,6 +552,21 @@ export class UIController {
                 this.controlPanel = null;
             }
 
+            if (this.elementPicker) {
+                this.elementPicker.destroy();
+                this.elementPicker = null;
+            }
+
+            if (this.teleprompterOverlay) {
+                this.teleprompterOverlay.destroy();
+                this.teleprompterOverlay = null;
+            }
+
+            if (this.toast) {
+                this.toast.destroy();
+                this.toast = null;
+            }
+
             // 重置状态
             this.isInitialized = false;
             this.panelVisible = false;
@@ -7,7 +7,103 @@
 export const ScrollbarModes = {
     DEFAULT: 'default',
     ALWAYS: 'always',
-    SEMI: 'semi'
+    SEMI: 'semi',
+    STYLED: 'styled'
+};
+
+// 滚动条方向常量
+export const ScrollbarAxes = {
+    VERTICAL: 'vertical',
+    HORIZONTAL: 'horizontal',
+    BOTH: 'both'
+};
+
+// 自动滚动的速度模式
+export const AutoScrollSpeedModes = {
+    LEVEL: 'level', // 1-10级速度
+    WPM: 'wpm' // 按阅读速度（每分钟词数）换算
+};
+
+// 自动滚动的运动方式
+export const AutoScrollModes = {
+    CONTINUOUS: 'continuous', // 按速度连续滚动
+    STEP: 'step' // 每隔一段时间翻一页
+};
+
+// 翻页模式下每步的落点
+export const AutoScrollStepAlignments = {
+    VIEWPORT: 'viewport', // 一屏高度减去重叠部分
+    BOUNDARY: 'boundary' // 一屏之内最后一个标题或段落的开头
+};
+
+// 自动滚动自动暂停的原因
+export const AutoScrollPauseReasons = {
+    HIDDEN: 'hidden', // 标签页被隐藏
+    BLUR: 'blur', // 窗口失去焦点
+    SELECTION: 'selection', // 页面上有选中的文字
+    HOVER: 'hover', // 指针停留在指定元素上
+    USER_INPUT: 'user-input' // 用户滚动滚轮或触摸屏幕
+};
+
+// 自动滚动加速、减速使用的缓动曲线
+export const AutoScrollEasingCurves = {
+    LINEAR: 'linear', // 匀速变化
+    EASE_IN_OUT: 'ease-in-out', // 两头慢、中间快
+    EXPONENTIAL: 'exponential' // 开始变化快，逐渐趋近目标速度
+};
+
+// 自动滚动到达末尾后的循环方式
+export const AutoScrollLoopModes = {
+    OFF: 'off', // 停止
+    RESTART: 'restart', // 停留片刻后回到开头重新滚动
+    PING_PONG: 'ping-pong' // 停留片刻后反向滚动，在两端之间往返
+};
+
+// 提词器模式的阅读引导样式
+export const AutoScrollTeleprompterGuides = {
+    LINE: 'line', // 一条引导线
+    BAND: 'band' // 高亮的阅读带
+};
+
+// 可绑定快捷键的键盘动作
+export const KeyboardActions = {
+    TOGGLE: 'toggle', // 开始或停止自动滚动
+    START: 'start', // 向下开始自动滚动，滚动中按下时改为向下
+    START_UP: 'start-up',
+    START_LEFT: 'start-left',
+    START_RIGHT: 'start-right',
+    STOP: 'stop', // 停止自动滚动（未在滚动时不拦截按键）
+    FASTER: 'faster', // 加快自动滚动
+    SLOWER: 'slower', // 减慢自动滚动
+    CYCLE_MODE: 'cycle-mode', // 切换到下一个滚动条模式
+    TOGGLE_PANEL: 'toggle-panel' // 显示或隐藏控制面板
+};
+
+// 快捷键绑定的作用范围
+export const KeyBindingScopes = {
+    GLOBAL: 'global', // 保存到全局设置
+    SITE: 'site' // 保存到当前站点的站点配置
+};
+
+// 快捷键与网页自身快捷键的冲突类型
+export const KeyboardConflictTypes = {
+    PAGE_FIRST: 'page-first', // 网页先于脚本处理并阻止了按键的默认行为
+    PAGE_PREVENTED: 'page-prevented' // 脚本未处理该按键，网页随后阻止了默认行为
+};
+
+// 自动滚动方向
+export const AutoScrollDirections = {
+    DOWN: 'down',
+    UP: 'up',
+    LEFT: 'left',
+    RIGHT: 'right'
+};
+
+// semi模式下显示滚动条的原因
+export const SemiRevealReasons = {
+    SCROLL: 'scroll', // 正在滚动
+    PROXIMITY: 'proximity', // 指针靠近滚动条边缘
+    DRAG: 'drag' // 正在拖动滚动条
 };
 
 // 事件类型定义
@@ -56,14 +152,100 @@ export const ExtensionPoints = {
 // 应用配置
 export const Config = {
     scrollbar: {
-        modes: [ScrollbarModes.DEFAULT, ScrollbarModes.ALWAYS, ScrollbarModes.SEMI],
-        defaultMode: ScrollbarModes.DEFAULT
+        modes: [
+            ScrollbarModes.DEFAULT,
+            ScrollbarModes.ALWAYS,
+            ScrollbarModes.SEMI,
+            ScrollbarModes.STYLED
+        ],
+        defaultMode: ScrollbarModes.DEFAULT, // 垂直方向的默认模式
+        defaultHorizontalMode: null, // 水平方向的默认模式，null表示与defaultMode相同
+        // styled模式的滚动条主题
+        theme: {
+            width: 8, // 滚动条宽度（像素）
+            thumbColor: 'rgba(0, 0, 0, 0.35)',
+            trackColor: 'transparent',
+            hoverColor: 'rgba(0, 0, 0, 0.55)',
+            radius: 4 // 滑块圆角（像素）
+        },
+        // semi模式下指针靠近页面或容器边缘时显示滚动条
+        proximityReveal: {
+            enabled: true,
+            distance: 24 // 距右边缘或下边缘多少像素内触发显示
+        },
+        // semi模式下滚动条滑块的淡入淡出（浏览器不支持时保持立即显示/隐藏）
+        fade: {
+            enabled: true,
+            fadeInDuration: 150, // 淡入时长（毫秒）
+            fadeOutDuration: 400 // 淡出时长（毫秒）
+        }
     },
     autoScroll: {
         minSpeed: 1,
         maxSpeed: 10,
         defaultSpeed: 3,
-        frameRate: 60,
+        pixelsPerSpeedLevel: 60, // 每级速度对应的每秒滚动像素数
+        frameRate: 0, // 滚动更新的最大帧率，0表示跟随显示器刷新率
+        direction: AutoScrollDirections.DOWN, // 默认滚动方向
+        mode: AutoScrollModes.CONTINUOUS,
+        easing: {
+            curve: AutoScrollEasingCurves.EASE_IN_OUT,
+            startDuration: 600, // 开始滚动时加速到目标速度的时间（毫秒），0表示立即达到
+            stopDuration: 600, // 手动停止时减速到静止的时间（毫秒）
+            changeDuration: 400 // 调整速度时过渡到新速度的时间（毫秒）
+        },
+        step: {
+            interval: 5, // 翻页间隔（秒）
+            minInterval: 1,
+            maxInterval: 60,
+            overlap: 40, // 翻页时保留上一屏的像素数，便于衔接阅读
+            align: AutoScrollStepAlignments.VIEWPORT
+        },
+        pauseRules: {
+            hidden: true,
+            blur: false,
+            selection: true,
+            hover: {
+                enabled: true,
+                selectors: 'pre, code' // 指针停留在这些元素上时暂停
+            },
+            userInput: {
+                enabled: true,
+                resumeDelay: 1500 // 最后一次滚轮或触摸输入后恢复滚动的延迟（毫秒）
+            }
+        },
+        loop: {
+            mode: AutoScrollLoopModes.OFF,
+            dwellAtEnd: 3000, // 到达末尾后停留的时间（毫秒）
+            dwellAtStart: 2000 // 回到开头（往返模式下回到起点）后停留的时间（毫秒）
+        },
+        watchdog: {
+            enabled: false, // 意外停止、卡住或页面刷新后自动恢复滚动，适合无人值守的展示屏
+            interval: 5000 // 检查间隔（毫秒）
+        },
+        teleprompter: {
+            enabled: false, // 在视口固定位置显示阅读引导，供演讲者照读
+            guide: AutoScrollTeleprompterGuides.BAND,
+            position: 0.35, // 引导中心在视口中的纵向位置（0为顶部，1为底部）
+            bandHeight: 120, // 阅读带的高度（像素）
+            dim: true, // 淡化阅读带以外的内容
+            dimOpacity: 0.6, // 淡化遮罩的不透明度（0-1）
+            mirror: false // 水平镜像显示页面内容，配合提词器反射玻璃使用
+        },
+        stopConditions: {
+            time: 0, // 开始滚动后经过的秒数，0表示不限制
+            distance: 0, // 累计滚动的像素数，0表示不限制
+            selector: '' // 匹配的元素滚动进入视口时停止，如页脚或评论区，空字符串表示不检查
+        },
+        autoDetectTarget: true, // 未手动选择元素时，自动滚动指针下方的可滚动容器
+        infinite: {
+            enabled: false, // 到达末尾后等待懒加载的新内容，而不是立即停止
+            timeout: 5000 // 等待新内容的最长时间（毫秒）
+        },
+        speedMode: AutoScrollSpeedModes.LEVEL,
+        defaultWpm: 250, // 阅读速度模式的目标每分钟词数（中日韩文字按字计）
+        minWpm: 50,
+        maxWpm: 1000,
         smoothness: 0.1
     },
     ui: {
@@ -76,19 +258,68 @@ export const Config = {
         enabled: true,
         autoLoad: true
     },
+    containers: {
+        enabled: true // 检测页面内的可滚动容器并对其应用滚动条模式
+    },
+    sync: {
+        enabled: true,
+        localAutoScroll: false // 为true时自动滚动的启停只作用于当前标签页
+    },
     keyboard: {
-        toggleKey: 'KeyS',
-        speedUpKey: 'ArrowUp',
-        speedDownKey: 'ArrowDown',
-        modifierKey: 'ctrlKey'
+        // 动作 -> 快捷键字符串（如 'Ctrl+Shift+S'、'Alt+ArrowUp'、按键序列 'G S'），空字符串表示未绑定
+        bindings: {
+            [KeyboardActions.TOGGLE]: 'Ctrl+Shift+A',
+            [KeyboardActions.START]: 'Ctrl+ArrowDown',
+            [KeyboardActions.START_UP]: 'Ctrl+ArrowUp',
+            [KeyboardActions.START_LEFT]: 'Ctrl+ArrowLeft',
+            [KeyboardActions.START_RIGHT]: 'Ctrl+ArrowRight',
+            [KeyboardActions.STOP]: 'Space',
+            [KeyboardActions.FASTER]: 'Ctrl+Shift+ArrowUp',
+            [KeyboardActions.SLOWER]: 'Ctrl+Shift+ArrowDown',
+            [KeyboardActions.CYCLE_MODE]: 'Ctrl+Shift+S',
+            [KeyboardActions.TOGGLE_PANEL]: ''
+        },
+        sequenceTimeout: 1000, // 按键序列中相邻两次按键的最长间隔（毫秒）
+        conflictDetection: true // 记录与网页自身快捷键冲突的绑定，在控制面板和诊断信息中报告
     }
 };
 
+// 持久化存储键
+export const StorageKeys = {
+    SETTINGS: 'scrollbar-controller:settings',
+    SITE_PROFILES: 'scrollbar-controller:site-profiles',
+    SYNC: 'scrollbar-controller:sync',
+    AUTO_SCROLL_SESSION: 'scrollbar-controller:auto-scroll-session',
+    SHORTCUT_CONFLICTS: 'scrollbar-controller:shortcut-conflicts'
+};
+
+// 站点配置匹配规则类型
+export const SiteProfileRuleTypes = {
+    HOSTNAME: 'hostname',
+    GLOB: 'glob'
+};
+
+// DOM标记属性
+export const DataAttributes = {
+    SCROLL_CONTAINER: 'data-scrollbar-container', // 已检测到的可滚动容器
+    SCROLLBAR_VISIBLE: 'data-scrollbar-visible' // semi模式下当前显示滚动条的元素
+};
+
+// 脚本自身的全部UI元素，检测容器、选择滚动目标、估算阅读密度和镜像页面时都需要排除
+export const OWN_UI_SELECTOR = [
+    '#scrollbar-control-dot',
+    '#scrollbar-control-panel',
+    '#scrollbar-element-picker',
+    '#scrollbar-teleprompter',
+    '#scrollbar-toast'
+].join(', ');
+
 // CSS类名常量
 export const CSSClasses = {
     SCROLLBAR_HIDDEN: 'scrollbar-hidden',
     SCROLLBAR_ALWAYS: 'scrollbar-always',
     SCROLLBAR_SEMI: 'scrollbar-semi',
+    SCROLLBAR_FADE: 'scrollbar-fade', // semi模式启用淡入淡出时添加到html元素
     CONTROL_DOT: 'scrollbar-control-dot',
     CONTROL_PANEL: 'scrollbar-control-panel',
     PANEL_VISIBLE: 'panel-visible',
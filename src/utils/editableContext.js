@@ -0,0 +1,150 @@
+/**
+ * 可编辑上下文检测模块
+ * 判断键盘事件是否发生在用户正在输入的位置，供KeyboardHandler在输入时不触发快捷键：
+ * - 输入框、文本域和下拉框
+ * - contenteditable元素及其内部（富文本编辑器、CodeMirror 6等），contenteditable="false"的区域除外
+ * - ARIA角色为textbox、searchbox等文本输入控件的元素及其内部
+ * - Web组件影子DOM内部的输入控件（通过event.composedPath()获取真实目标）
+ * - designMode开启的文档（iframe中的富文本编辑器）
+ * 输入法正在组合输入时的按键也不应触发快捷键
+ */
+
+// 接收键盘输入的表单控件
+const FORM_CONTROL_TAGS = ['input', 'textarea', 'select'];
+
+// 表示文本输入控件的ARIA角色
+const TEXTBOX_ROLES = ['textbox', 'searchbox', 'combobox', 'spinbutton'];
+
+// contenteditable属性中表示可编辑的取值（其他无效取值按继承处理）
+const EDITABLE_VALUES = ['', 'true', 'plaintext-only'];
+
+// 输入法组合输入期间部分浏览器报告的keyCode
+const IME_KEY_CODE = 229;
+
+export const EditableContext = {
+    /**
+     * 检查按键是否属于输入法的组合输入
+     * @param {KeyboardEvent} event - 键盘事件
+     * @returns {boolean} 是否正在组合输入
+     */
+    isComposing(event) {
+        return !!event && (event.isComposing === true || event.keyCode === IME_KEY_CODE);
+    },
+
+    /**
+     * 获取事件经过的元素，从实际目标开始向外排列
+     * 影子DOM中的事件在外部被重定向到宿主元素，composedPath()才能得到影子DOM内部的真实目标
+     * @param {Event} event - 事件
+     * @returns {Array<Element>} 元素列表
+     */
+    getEventPath(event) {
+        if (!event) {
+            return [];
+        }
+
+        if (typeof event.composedPath === 'function') {
+            const path = event.composedPath();
+            if (path && path.length > 0) {
+                return path.filter(node => node && node.nodeType === 1);
+            }
+        }
+
+        // 不支持composedPath或事件已派发完成时，从目标向上查找，经过影子根时继续查找宿主元素
+        const path = [];
+        let node = event.target;
+        while (node) {
+            if (node.nodeType === 1) {
+                path.push(node);
+            }
+            // 影子根（nodeType为11）没有父节点，继续查找其宿主元素
+            node = node.parentNode || (node.nodeType === 11 ? node.host : null);
+        }
+
+        return path;
+    },
+
+    /**
+     * 检查元素是否处于contenteditable的编辑区域内
+     * 由最近的设置了contenteditable的祖先决定，contenteditable="false"的区域不可编辑
+     * @param {Element} element - 元素
+     * @returns {boolean} 是否可编辑
+     */
+    isContentEditable(element) {
+        if (typeof element.isContentEditable === 'boolean') {
+            return element.isContentEditable;
+        }
+
+        // 不支持isContentEditable的环境按属性逐级查找
+        for (let node = element; node; node = node.parentElement) {
+            const value =
+                typeof node.getAttribute === 'function'
+                    ? node.getAttribute('contenteditable')
+                    : null;
+
+            if (value === null) {
+                continue;
+            }
+
+            const normalized = value.toLowerCase();
+            if (EDITABLE_VALUES.includes(normalized)) {
+                return true;
+            }
+            if (normalized === 'false') {
+                return false;
+            }
+        }
+
+        return false;
+    },
+
+    /**
+     * 检查元素是否具有文本输入控件的ARIA角色
+     * @param {Element} element - 元素
+     * @returns {boolean} 是否为文本输入控件
+     */
+    hasTextboxRole(element) {
+        const role =
+            typeof element.getAttribute === 'function' ? element.getAttribute('role') : null;
+        return !!role && TEXTBOX_ROLES.includes(role.trim().toLowerCase());
+    },
+
+    /**
+     * 检查元素本身是否可编辑
+     * @param {Element} element - 元素
+     * @returns {boolean} 是否可编辑
+     */
+    isEditableElement(element) {
+        if (!element || element.nodeType !== 1) {
+            return false;
+        }
+
+        const tagName = (element.tagName || '').toLowerCase();
+        if (FORM_CONTROL_TAGS.includes(tagName)) {
+            return true;
+        }
+
+        if (this.isContentEditable(element) || this.hasTextboxRole(element)) {
+            return true;
+        }
+
+        const ownerDocument = element.ownerDocument;
+        return !!ownerDocument && ownerDocument.designMode === 'on';
+    },
+
+    /**
+     * 检查键盘事件是否发生在可编辑的上下文中
+     * 实际目标可编辑，或事件经过的任一元素是文本输入控件时视为正在输入
+     * @param {Event} event - 事件
+     * @returns {boolean} 是否在可编辑上下文中
+     */
+    isEditableEvent(event) {
+        const path = this.getEventPath(event);
+        if (path.length === 0) {
+            return false;
+        }
+
+        return (
+            this.isEditableElement(path[0]) || path.some(element => this.hasTextboxRole(element))
+        );
+    }
+};
@@ -270,6 +270,20 @@ export const Utils = {
         return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     },
 
+    /**
+     * 将glob模式转换为正则表达式
+     * 支持 * (任意字符) 和 ? (单个字符)，匹配整个字符串且不区分大小写
+     * @param {string} glob - glob模式
+     * @returns {RegExp} 正则表达式
+     */
+    globToRegExp(glob) {
+        const source = String(glob)
+            .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*')
+            .replace(/\?/g, '.');
+        return new RegExp(`^${source}$`, 'i');
+    },
+
     /**
      * 检查是否为空值
      * @param {any} value - 要检查的值
@@ -0,0 +1,279 @@
+/**
+ * 快捷键映射模块
+ * 解析 "Ctrl+Shift+S"、"Alt+ArrowUp" 这样的快捷键字符串，并与键盘事件进行匹配
+ *
+ * 每个按键组合由若干修饰键和一个主键组成，用 "+" 连接：
+ * - 修饰键：Ctrl、Alt（Option）、Shift、Meta（Cmd、Win），Ctrl和Meta是不同的修饰键；
+ *   Mod在Mac上表示Meta（Cmd），在其他平台上表示Ctrl，用于编写跨平台的快捷键
+ * - 主键：字母和数字（不区分大小写，按物理按键匹配，不受Shift和键盘布局影响）、
+ *   方向键（ArrowUp，也可写作Up）、Space、Escape、Enter、F1-F12等KeyboardEvent.key的取值
+ * 多个按键组合用空格分隔表示按键序列，需依次按下，如 'g s'、'Ctrl+K Ctrl+A'
+ * 空字符串表示未绑定
+ */
+
+// 修饰键别名 -> 规范名称（Mod按平台解析，见Keymap.getModifier）
+const MODIFIER_ALIASES = {
+    ctrl: 'Ctrl',
+    control: 'Ctrl',
+    meta: 'Meta',
+    cmd: 'Meta',
+    command: 'Meta',
+    win: 'Meta',
+    super: 'Meta',
+    alt: 'Alt',
+    option: 'Alt',
+    shift: 'Shift'
+};
+
+// 规范字符串中修饰键的顺序
+const MODIFIER_ORDER = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+
+// Mac平台的navigator.platform取值
+const MAC_PLATFORM_PATTERN = /Mac|iPhone|iPad|iPod/i;
+
+// 主键别名（小写） -> 规范名称
+const KEY_ALIASES = {
+    up: 'ArrowUp',
+    down: 'ArrowDown',
+    left: 'ArrowLeft',
+    right: 'ArrowRight',
+    arrowup: 'ArrowUp',
+    arrowdown: 'ArrowDown',
+    arrowleft: 'ArrowLeft',
+    arrowright: 'ArrowRight',
+    space: 'Space',
+    spacebar: 'Space',
+    esc: 'Escape',
+    escape: 'Escape',
+    enter: 'Enter',
+    return: 'Enter',
+    tab: 'Tab',
+    backspace: 'Backspace',
+    delete: 'Delete',
+    del: 'Delete',
+    insert: 'Insert',
+    home: 'Home',
+    end: 'End',
+    pageup: 'PageUp',
+    pagedown: 'PageDown'
+};
+
+// 只提供keyCode的旧浏览器中常用按键的对应关系
+const KEY_CODES = {
+    8: 'Backspace',
+    9: 'Tab',
+    13: 'Enter',
+    27: 'Escape',
+    32: 'Space',
+    33: 'PageUp',
+    34: 'PageDown',
+    35: 'End',
+    36: 'Home',
+    37: 'ArrowLeft',
+    38: 'ArrowUp',
+    39: 'ArrowRight',
+    40: 'ArrowDown',
+    45: 'Insert',
+    46: 'Delete'
+};
+
+// 单独按下时不构成快捷键的按键
+const MODIFIER_KEYS = ['Control', 'Alt', 'Shift', 'Meta', 'OS', 'AltGraph', 'CapsLock'];
+
+export const Keymap = {
+    /**
+     * 检查当前是否为Mac平台
+     * @returns {boolean} 是否为Mac平台
+     */
+    isMacPlatform() {
+        if (typeof navigator === 'undefined') {
+            return false;
+        }
+
+        const platform =
+            (navigator.userAgentData && navigator.userAgentData.platform) ||
+            navigator.platform ||
+            '';
+        return MAC_PLATFORM_PATTERN.test(platform);
+    },
+
+    /**
+     * 获取修饰键的规范名称
+     * @param {string} name - 修饰键名称或别名
+     * @returns {string|null} 规范名称，不是修饰键时返回null
+     */
+    getModifier(name) {
+        const lower = name.toLowerCase();
+        if (lower === 'mod') {
+            return this.isMacPlatform() ? 'Meta' : 'Ctrl';
+        }
+
+        return MODIFIER_ALIASES[lower] || null;
+    },
+
+    /**
+     * 规范化主键名称
+     * @param {string} key - 主键
+     * @returns {string|null} 规范名称，无效时返回null
+     */
+    normalizeKey(key) {
+        if (typeof key !== 'string' || key === '') {
+            return null;
+        }
+
+        const lower = key.toLowerCase();
+        if (KEY_ALIASES[lower]) {
+            return KEY_ALIASES[lower];
+        }
+
+        // 单个字母或数字按大写保存
+        if (/^[a-z0-9]$/.test(lower)) {
+            return lower.toUpperCase();
+        }
+
+        if (/^f([1-9]|1[0-2])$/.test(lower)) {
+            return lower.toUpperCase();
+        }
+
+        // 其他单个可见字符（标点等）按原样匹配KeyboardEvent.key
+        if (key.length === 1 && key.trim() !== '' && key !== '+') {
+            return key;
+        }
+
+        return null;
+    },
+
+    /**
+     * 解析快捷键字符串
+     * @param {string} binding - 快捷键字符串，如 'Ctrl+Shift+S'
+     * @returns {Object|null} 解析结果 { key, ctrl, alt, shift, meta }，空字符串或无效时返回null
+     */
+    parse(binding) {
+        if (typeof binding !== 'string' || binding.trim() === '') {
+            return null;
+        }
+
+        const parts = binding.split('+').map(part => part.trim());
+        const result = { key: null, ctrl: false, alt: false, shift: false, meta: false };
+
+        for (let i = 0; i < parts.length; i++) {
+            const part = parts[i];
+            const modifier = this.getModifier(part);
+
+            // 最后一部分是主键，其余部分都必须是修饰键
+            if (i < parts.length - 1) {
+                if (!modifier) {
+                    return null;
+                }
+                result[modifier.toLowerCase()] = true;
+                continue;
+            }
+
+            result.key = this.normalizeKey(part);
+        }
+
+        return result.key ? result : null;
+    },
+
+    /**
+     * 解析按键序列字符串，单个按键组合视为只有一步的序列
+     * @param {string} binding - 快捷键字符串，如 'Ctrl+K Ctrl+A'
+     * @returns {Array<Object>|null} 每一步的解析结果，空字符串或任一步无效时返回null
+     */
+    parseSequence(binding) {
+        if (typeof binding !== 'string' || binding.trim() === '') {
+            return null;
+        }
+
+        const steps = binding
+            .trim()
+            .split(/\s+/)
+            .map(step => this.parse(step));
+        return steps.every(Boolean) ? steps : null;
+    },
+
+    /**
+     * 检查快捷键字符串是否有效（空字符串表示未绑定，视为有效）
+     * @param {string} binding - 快捷键字符串
+     * @returns {boolean} 是否有效
+     */
+    isValid(binding) {
+        return binding === '' || this.parseSequence(binding) !== null;
+    },
+
+    /**
+     * 将解析结果格式化为规范的快捷键字符串
+     * @param {Object|null} parsed - 解析结果
+     * @returns {string} 快捷键字符串，未绑定时为空字符串
+     */
+    format(parsed) {
+        if (!parsed || !parsed.key) {
+            return '';
+        }
+
+        const modifiers = MODIFIER_ORDER.filter(modifier => parsed[modifier.toLowerCase()]);
+        return [...modifiers, parsed.key].join('+');
+    },
+
+    /**
+     * 规范化快捷键字符串，如 'shift+ctrl+s' -> 'Ctrl+Shift+S'、' g   s ' -> 'G S'
+     * @param {string} binding - 快捷键字符串
+     * @returns {string|null} 规范字符串，无效时返回null
+     */
+    normalize(binding) {
+        if (binding === '') {
+            return '';
+        }
+
+        const steps = this.parseSequence(binding);
+        return steps ? steps.map(step => this.format(step)).join(' ') : null;
+    },
+
+    /**
+     * 获取键盘事件的主键名称
+     * 字母和数字使用event.code，不受Shift、Alt和键盘布局影响
+     * @param {KeyboardEvent} event - 键盘事件
+     * @returns {string|null} 规范的主键名称
+     */
+    getEventKey(event) {
+        const code = event.code || '';
+        const letter = /^Key([A-Z])$/.exec(code) || /^Digit([0-9])$/.exec(code);
+        if (letter) {
+            return letter[1];
+        }
+
+        if (event.key === ' ' || code === 'Space') {
+            return 'Space';
+        }
+
+        if (event.key && event.key !== 'Unidentified') {
+            return this.normalizeKey(event.key);
+        }
+
+        return KEY_CODES[event.keyCode] || null;
+    },
+
+    /**
+     * 将键盘事件转换为快捷键字符串（用于录制新的快捷键）
+     * @param {KeyboardEvent} event - 键盘事件
+     * @returns {string|null} 快捷键字符串，只按下修饰键时返回null
+     */
+    fromEvent(event) {
+        if (MODIFIER_KEYS.includes(event.key)) {
+            return null;
+        }
+
+        const key = this.getEventKey(event);
+        if (!key) {
+            return null;
+        }
+
+        return this.format({
+            key,
+            ctrl: !!event.ctrlKey,
+            alt: !!event.altKey,
+            shift: !!event.shiftKey,
+            meta: !!event.metaKey
+        });
+    }
+};
@@ -0,0 +1,172 @@
+/**
+ * 阅读密度估算模块
+ * 统计视口内可见文字的数量和排版，估算每像素对应的词数，
+ * 供AutoScrollManager的阅读速度（WPM）模式换算滚动速度
+ */
+
+import { OWN_UI_SELECTOR } from './constants.js';
+
+// 不参与统计的元素（脚本自身的UI、不可见内容）
+const IGNORED_SELECTOR = `script, style, noscript, template, textarea, ${OWN_UI_SELECTOR}`;
+
+// 代码块中的词阅读更慢，按该倍数计入
+const CODE_SELECTOR = 'pre, code, kbd, samp';
+const CODE_WORD_WEIGHT = 2;
+
+// 中日韩文字按字计数，其余文字按空白分隔的词计数
+const CJK_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/g;
+const WORD_PATTERN = /[^\s\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]+/g;
+
+// 单次估算最多检查的文本节点数（只计入含文字的节点），避免视口内内容过多时卡顿
+const MAX_TEXT_NODES = 5000;
+
+// 只含空白的文本节点（缩进、换行）不计词数，也不计入MAX_TEXT_NODES
+const BLANK_PATTERN = /^\s*$/;
+
+export const ReadingDensity = {
+    /**
+     * 统计文本中的词数
+     * @param {string} text - 文本
+     * @returns {number} 词数
+     */
+    countWords(text) {
+        if (!text) {
+            return 0;
+        }
+
+        const cjk = text.match(CJK_PATTERN);
+        const words = text.match(WORD_PATTERN);
+        return (cjk ? cjk.length : 0) + (words ? words.length : 0);
+    },
+
+    /**
+     * 获取元素的行高（像素）
+     * @param {Element} element - 元素
+     * @returns {number} 行高
+     */
+    getLineHeight(element) {
+        const style = window.getComputedStyle(element);
+        const lineHeight = parseFloat(style.lineHeight);
+
+        if (isFinite(lineHeight) && lineHeight > 0) {
+            return lineHeight;
+        }
+
+        // line-height为normal时按字号的1.2倍估算
+        const fontSize = parseFloat(style.fontSize);
+        return (isFinite(fontSize) && fontSize > 0 ? fontSize : 16) * 1.2;
+    },
+
+    /**
+     * 检查元素是否与可见区域重叠
+     * 没有尺寸的元素（display: contents、行内空元素等）无法判断，按重叠处理以继续检查其后代
+     * @param {Element} element - 元素
+     * @param {Object} bounds - 可见区域的上下边界 { top, bottom }
+     * @returns {boolean} 是否重叠
+     */
+    isNearBounds(element, bounds) {
+        const rect = element.getBoundingClientRect();
+        if (rect.width === 0 && rect.height === 0) {
+            return true;
+        }
+        return rect.bottom > bounds.top && rect.top < bounds.bottom;
+    },
+
+    /**
+     * 创建只遍历可见区域附近文本节点的TreeWalker
+     * 完全位于可见区域之外的元素和脚本自身的UI整棵子树跳过，长页面也只检查视口附近的节点
+     * @param {Element} root - 统计范围
+     * @param {Object} bounds - 可见区域的上下边界 { top, bottom }
+     * @returns {TreeWalker} 遍历器
+     */
+    createWalker(root, bounds) {
+        return document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+            acceptNode: node => {
+                if (node.nodeType === Node.TEXT_NODE) {
+                    return BLANK_PATTERN.test(node.data)
+                        ? NodeFilter.FILTER_SKIP
+                        : NodeFilter.FILTER_ACCEPT;
+                }
+
+                if (node.matches(IGNORED_SELECTOR) || !this.isNearBounds(node, bounds)) {
+                    return NodeFilter.FILTER_REJECT;
+                }
+
+                // 元素本身不计数，继续检查其后代
+                return NodeFilter.FILTER_SKIP;
+            }
+        });
+    },
+
+    /**
+     * 估算视口内的阅读密度
+     * 图片、视频等没有文字的区域只占高度不计词数，因此经过时密度降低、滚动加快；
+     * 代码块按CODE_WORD_WEIGHT加权，经过时滚动放慢
+     * @param {Element} root - 统计范围，默认为document.body
+     * @param {Object} bounds - 可见区域的上下边界 { top, bottom }（视口坐标），默认为整个视口；
+     *     统计滚动容器时传入容器的可见区域
+     * @returns {Object} 估算结果 { words, wordsPerPixel, wordsPerLine, lineHeight, viewportHeight }
+     */
+    estimate(root = document.body, bounds = { top: 0, bottom: window.innerHeight }) {
+        const viewportHeight = bounds.bottom - bounds.top;
+        const result = {
+            words: 0,
+            wordsPerPixel: 0,
+            wordsPerLine: 0,
+            lineHeight: 0,
+            viewportHeight
+        };
+
+        if (!root || viewportHeight <= 0) {
+            return result;
+        }
+
+        try {
+            const walker = this.createWalker(root, bounds);
+            const range = document.createRange();
+            const lineHeights = new Map(); // 元素 -> 行高，同一元素只读取一次计算样式
+            let weightedLineHeight = 0;
+            let visited = 0;
+            let node = walker.nextNode();
+
+            while (node && visited < MAX_TEXT_NODES) {
+                visited++;
+                const parent = node.parentElement;
+                const words = parent ? this.countWords(node.data) : 0;
+
+                if (words > 0) {
+                    range.selectNodeContents(node);
+                    const rect = range.getBoundingClientRect();
+                    const visibleTop = Math.max(rect.top, bounds.top);
+                    const visibleBottom = Math.min(rect.bottom, bounds.bottom);
+
+                    if (rect.height > 0 && visibleBottom > visibleTop) {
+                        // 只计入与视口重叠部分的词数
+                        const weight = parent.closest(CODE_SELECTOR) ? CODE_WORD_WEIGHT : 1;
+                        const visibleWords =
+                            (words * weight * (visibleBottom - visibleTop)) / rect.height;
+
+                        if (!lineHeights.has(parent)) {
+                            lineHeights.set(parent, this.getLineHeight(parent));
+                        }
+
+                        result.words += visibleWords;
+                        weightedLineHeight += lineHeights.get(parent) * visibleWords;
+                    }
+                }
+
+                node = walker.nextNode();
+            }
+
+            if (result.words > 0) {
+                result.wordsPerPixel = result.words / viewportHeight;
+                result.lineHeight = weightedLineHeight / result.words;
+                result.wordsPerLine = result.wordsPerPixel * result.lineHeight;
+            }
+        } catch (error) {
+            console.error('[ReadingDensity] 估算阅读密度失败:', error);
+        }
+
+        return result;
+    }
+};
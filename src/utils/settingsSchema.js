@@ -0,0 +1,438 @@
+/**
+ * 设置文档结构定义
+ * 定义导入/导出使用的版本化JSON文档格式，提供校验和旧版本迁移
+ *
+ * 文档格式（当前版本）：
+ * {
+ *     schemaVersion: 2,
+ *     exportedAt: '2024-01-01T00:00:00.000Z',
+ *     settings: { ...Config结构的局部覆盖 },
+ *     siteProfiles: [ { id, type, pattern, disabled, config } ]
+ * }
+ */
+
+import {
+    AutoScrollDirections,
+    AutoScrollEasingCurves,
+    AutoScrollLoopModes,
+    AutoScrollModes,
+    AutoScrollSpeedModes,
+    AutoScrollStepAlignments,
+    AutoScrollTeleprompterGuides,
+    Config,
+    KeyboardActions,
+    ScrollbarModes,
+    SiteProfileRuleTypes
+} from './constants.js';
+import { Utils } from './helpers.js';
+import { Keymap } from './keymap.js';
+
+// 当前设置文档版本
+export const SETTINGS_SCHEMA_VERSION = 2;
+
+// 文档顶层允许的字段
+const DOCUMENT_KEYS = ['schemaVersion', 'exportedAt', 'settings', 'siteProfiles'];
+
+// 站点配置允许的字段
+const PROFILE_KEYS = ['id', 'type', 'pattern', 'disabled', 'config'];
+
+/**
+ * 校验CSS选择器语法
+ * @param {string} value - 选择器
+ * @returns {string|null} 错误消息
+ */
+const validateSelector = value => {
+    try {
+        document.createDocumentFragment().querySelector(value);
+        return null;
+    } catch (error) {
+        return '不是有效的CSS选择器';
+    }
+};
+
+/**
+ * 校验快捷键字符串
+ * @param {string} value - 快捷键字符串
+ * @returns {string|null} 错误消息
+ */
+const validateBinding = value =>
+    Keymap.isValid(value)
+        ? null
+        : '不是有效的快捷键，格式如 Ctrl+Shift+S、Alt+ArrowUp，按键序列用空格分隔，如 G S';
+
+/**
+ * 针对特定设置路径的取值校验
+ * 返回错误消息，校验通过时返回null
+ */
+const valueValidators = {
+    'scrollbar.modes': value => {
+        if (value.length === 0) {
+            return '不能为空';
+        }
+        const invalid = value.filter(mode => !Object.values(ScrollbarModes).includes(mode));
+        return invalid.length === 0
+            ? null
+            : `包含无效的模式 ${invalid.join(', ')}，可选值: ${Object.values(ScrollbarModes).join(', ')}`;
+    },
+    'scrollbar.defaultMode': value =>
+        Object.values(ScrollbarModes).includes(value)
+            ? null
+            : `必须是以下值之一: ${Object.values(ScrollbarModes).join(', ')}`,
+    'scrollbar.defaultHorizontalMode': value =>
+        value === null || Object.values(ScrollbarModes).includes(value)
+            ? null
+            : `必须为null或以下值之一: ${Object.values(ScrollbarModes).join(', ')}`,
+    'scrollbar.theme.width': value => (value > 0 ? null : '必须大于0'),
+    'scrollbar.theme.radius': value => (value >= 0 ? null : '不能为负数'),
+    'scrollbar.proximityReveal.distance': value => (value >= 0 ? null : '不能为负数'),
+    'scrollbar.fade.fadeInDuration': value => (value >= 0 ? null : '不能为负数'),
+    'scrollbar.fade.fadeOutDuration': value => (value >= 0 ? null : '不能为负数'),
+    'autoScroll.pixelsPerSpeedLevel': value => (value > 0 ? null : '必须大于0'),
+    'autoScroll.frameRate': value => (value >= 0 ? null : '不能为负数'),
+    'autoScroll.mode': value =>
+        Object.values(AutoScrollModes).includes(value)
+            ? null
+            : `必须是以下值之一: ${Object.values(AutoScrollModes).join(', ')}`,
+    'autoScroll.easing.curve': value =>
+        Object.values(AutoScrollEasingCurves).includes(value)
+            ? null
+            : `必须是以下值之一: ${Object.values(AutoScrollEasingCurves).join(', ')}`,
+    'autoScroll.easing.startDuration': value => (value >= 0 ? null : '不能为负数'),
+    'autoScroll.easing.stopDuration': value => (value >= 0 ? null : '不能为负数'),
+    'autoScroll.easing.changeDuration': value => (value >= 0 ? null : '不能为负数'),
+    'autoScroll.step.interval': value =>
+        value >= Config.autoScroll.step.minInterval && value <= Config.autoScroll.step.maxInterval
+            ? null
+            : `必须在 ${Config.autoScroll.step.minInterval} 到 ${Config.autoScroll.step.maxInterval} 之间`,
+    'autoScroll.step.overlap': value => (value >= 0 ? null : '不能为负数'),
+    'autoScroll.step.align': value =>
+        Object.values(AutoScrollStepAlignments).includes(value)
+            ? null
+            : `必须是以下值之一: ${Object.values(AutoScrollStepAlignments).join(', ')}`,
+    'autoScroll.pauseRules.hover.selectors': validateSelector,
+    'autoScroll.pauseRules.userInput.resumeDelay': value => (value >= 0 ? null : '不能为负数'),
+    'autoScroll.loop.mode': value =>
+        Object.values(AutoScrollLoopModes).includes(value)
+            ? null
+            : `必须是以下值之一: ${Object.values(AutoScrollLoopModes).join(', ')}`,
+    'autoScroll.loop.dwellAtEnd': value => (value >= 0 ? null : '不能为负数'),
+    'autoScroll.loop.dwellAtStart': value => (value >= 0 ? null : '不能为负数'),
+    'autoScroll.watchdog.interval': value => (value > 0 ? null : '必须大于0'),
+    'autoScroll.teleprompter.guide': value =>
+        Object.values(AutoScrollTeleprompterGuides).includes(value)
+            ? null
+            : `必须是以下值之一: ${Object.values(AutoScrollTeleprompterGuides).join(', ')}`,
+    'autoScroll.teleprompter.position': value =>
+        value >= 0 && value <= 1 ? null : '必须在 0 到 1 之间',
+    'autoScroll.teleprompter.bandHeight': value => (value > 0 ? null : '必须大于0'),
+    'autoScroll.teleprompter.dimOpacity': value =>
+        value >= 0 && value <= 1 ? null : '必须在 0 到 1 之间',
+    'autoScroll.stopConditions.time': value => (value >= 0 ? null : '不能为负数'),
+    'autoScroll.stopConditions.distance': value => (value >= 0 ? null : '不能为负数'),
+    'autoScroll.stopConditions.selector': value => (value === '' ? null : validateSelector(value)),
+    'autoScroll.infinite.timeout': value => (value > 0 ? null : '必须大于0'),
+    'autoScroll.direction': value =>
+        Object.values(AutoScrollDirections).includes(value)
+            ? null
+            : `必须是以下值之一: ${Object.values(AutoScrollDirections).join(', ')}`,
+    'autoScroll.speedMode': value =>
+        Object.values(AutoScrollSpeedModes).includes(value)
+            ? null
+            : `必须是以下值之一: ${Object.values(AutoScrollSpeedModes).join(', ')}`,
+    'autoScroll.defaultWpm': value =>
+        value >= Config.autoScroll.minWpm && value <= Config.autoScroll.maxWpm
+            ? null
+            : `必须在 ${Config.autoScroll.minWpm} 到 ${Config.autoScroll.maxWpm} 之间`,
+    'autoScroll.defaultSpeed': value =>
+        value >= Config.autoScroll.minSpeed && value <= Config.autoScroll.maxSpeed
+            ? null
+            : `必须在 ${Config.autoScroll.minSpeed} 到 ${Config.autoScroll.maxSpeed} 之间`,
+    'keyboard.sequenceTimeout': value => (value > 0 ? null : '必须大于0')
+};
+
+Object.values(KeyboardActions).forEach(action => {
+    valueValidators[`keyboard.bindings.${action}`] = validateBinding;
+});
+
+// 版本1中从未生效的键盘配置字段，版本2起由 keyboard.bindings 取代
+const LEGACY_KEYBOARD_KEYS = ['toggleKey', 'speedUpKey', 'speedDownKey', 'modifierKey'];
+
+/**
+ * 移除设置覆盖中旧版的键盘配置字段
+ * @param {Object} settings - Config结构的设置覆盖
+ * @returns {Object} 处理后的设置覆盖
+ */
+const dropLegacyKeyboardKeys = settings => {
+    if (Utils.getType(settings) !== 'object' || Utils.getType(settings.keyboard) !== 'object') {
+        return settings;
+    }
+
+    const keyboard = { ...settings.keyboard };
+    LEGACY_KEYBOARD_KEYS.forEach(key => delete keyboard[key]);
+
+    const result = { ...settings, keyboard };
+    if (Object.keys(keyboard).length === 0) {
+        delete result.keyboard;
+    }
+
+    return result;
+};
+
+/**
+ * 移除站点配置中旧版的键盘配置字段
+ * @param {Object} profile - 站点配置
+ * @returns {Object} 处理后的站点配置
+ */
+const dropLegacyProfileKeyboardKeys = profile =>
+    Utils.getType(profile) === 'object' && profile.config !== undefined
+        ? { ...profile, config: dropLegacyKeyboardKeys(profile.config) }
+        : profile;
+
+/**
+ * 版本迁移函数，键为源版本号，返回升级一个版本后的文档
+ */
+const migrations = {
+    // 版本0：没有schemaVersion字段的裸设置对象（即存储中保存的原始格式）
+    0: settingsDoc => ({
+        schemaVersion: 1,
+        settings: settingsDoc,
+        siteProfiles: []
+    }),
+
+    // 版本1 -> 2：键盘配置改为按动作绑定的快捷键，丢弃从未生效的旧字段
+    1: settingsDoc => ({
+        ...settingsDoc,
+        schemaVersion: 2,
+        settings: dropLegacyKeyboardKeys(settingsDoc.settings),
+        siteProfiles: Array.isArray(settingsDoc.siteProfiles)
+            ? settingsDoc.siteProfiles.map(dropLegacyProfileKeyboardKeys)
+            : settingsDoc.siteProfiles
+    })
+};
+
+export const SettingsSchema = {
+    /**
+     * 创建当前版本的设置文档
+     * @param {Object} settings - Config结构的设置覆盖
+     * @param {Array} siteProfiles - 站点配置列表
+     * @returns {Object} 设置文档
+     */
+    createDocument(settings = {}, siteProfiles = []) {
+        return {
+            schemaVersion: SETTINGS_SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            settings: Utils.deepClone(settings),
+            siteProfiles: Utils.deepClone(siteProfiles)
+        };
+    },
+
+    /**
+     * 获取文档的版本号
+     * @param {Object} settingsDoc - 设置文档
+     * @returns {number} 版本号，缺失时视为0
+     */
+    getVersion(settingsDoc) {
+        return Object.prototype.hasOwnProperty.call(settingsDoc, 'schemaVersion')
+            ? settingsDoc.schemaVersion
+            : 0;
+    },
+
+    /**
+     * 将旧版本文档迁移到当前版本
+     * @param {Object} settingsDoc - 设置文档
+     * @returns {Object} 迁移结果 { settingsDoc, errors }
+     */
+    migrate(settingsDoc) {
+        let current = Utils.deepClone(settingsDoc);
+        let version = this.getVersion(current);
+
+        if (!Number.isInteger(version) || version < 0) {
+            return { settingsDoc: null, errors: [`schemaVersion 无效: ${JSON.stringify(version)}`] };
+        }
+
+        if (version > SETTINGS_SCHEMA_VERSION) {
+            return {
+                settingsDoc: null,
+                errors: [
+                    `schemaVersion ${version} 高于当前支持的版本 ${SETTINGS_SCHEMA_VERSION}，请升级脚本后再导入`
+                ]
+            };
+        }
+
+        while (version < SETTINGS_SCHEMA_VERSION) {
+            const migrate = migrations[version];
+            if (!migrate) {
+                return { settingsDoc: null, errors: [`不支持从版本 ${version} 迁移`] };
+            }
+
+            current = migrate(current);
+            version = this.getVersion(current);
+        }
+
+        return { settingsDoc: current, errors: [] };
+    },
+
+    /**
+     * 校验当前版本的设置文档
+     * @param {Object} settingsDoc - 设置文档
+     * @returns {string[]} 错误列表，为空表示校验通过
+     */
+    validate(settingsDoc) {
+        const errors = [];
+
+        if (Utils.getType(settingsDoc) !== 'object') {
+            return ['设置文档必须是JSON对象'];
+        }
+
+        Object.keys(settingsDoc).forEach(key => {
+            if (!DOCUMENT_KEYS.includes(key)) {
+                errors.push(`未知字段: ${key}`);
+            }
+        });
+
+        if (settingsDoc.schemaVersion !== SETTINGS_SCHEMA_VERSION) {
+            errors.push(`schemaVersion 必须为 ${SETTINGS_SCHEMA_VERSION}`);
+        }
+
+        if (settingsDoc.exportedAt !== undefined && typeof settingsDoc.exportedAt !== 'string') {
+            errors.push('exportedAt 必须是字符串');
+        }
+
+        if (settingsDoc.settings !== undefined) {
+            errors.push(...this.validateConfigOverrides(settingsDoc.settings, 'settings'));
+        }
+
+        if (settingsDoc.siteProfiles !== undefined) {
+            if (!Array.isArray(settingsDoc.siteProfiles)) {
+                errors.push('siteProfiles 必须是数组');
+            } else {
+                settingsDoc.siteProfiles.forEach((profile, index) => {
+                    errors.push(...this.validateProfile(profile, `siteProfiles[${index}]`));
+                });
+            }
+        }
+
+        return errors;
+    },
+
+    /**
+     * 校验Config结构的覆盖对象，只允许Config中已定义的字段
+     * @param {Object} overrides - 覆盖对象
+     * @param {string} label - 错误消息中使用的路径前缀
+     * @param {Object} reference - 参照的Config节点
+     * @param {string} configPath - 相对于Config根节点的路径
+     * @returns {string[]} 错误列表
+     */
+    validateConfigOverrides(overrides, label, reference = Config, configPath = '') {
+        const errors = [];
+
+        if (Utils.getType(overrides) !== 'object') {
+            return [`${label} 必须是对象`];
+        }
+
+        Object.keys(overrides).forEach(key => {
+            const value = overrides[key];
+            const fieldLabel = `${label}.${key}`;
+            const fieldPath = configPath ? `${configPath}.${key}` : key;
+
+            if (!Object.prototype.hasOwnProperty.call(reference, key)) {
+                errors.push(`未知字段: ${fieldLabel}`);
+                return;
+            }
+
+            const expected = reference[key];
+            const expectedType = Utils.getType(expected);
+
+            if (expectedType === 'object') {
+                errors.push(...this.validateConfigOverrides(value, fieldLabel, expected, fieldPath));
+                return;
+            }
+
+            if (expected !== null && Utils.getType(value) !== expectedType) {
+                errors.push(`${fieldLabel} 类型应为 ${expectedType}，实际为 ${Utils.getType(value)}`);
+                return;
+            }
+
+            const validator = valueValidators[fieldPath];
+            const message = validator ? validator(value) : null;
+            if (message) {
+                errors.push(`${fieldLabel} ${message}`);
+            }
+        });
+
+        return errors;
+    },
+
+    /**
+     * 校验单个站点配置
+     * @param {Object} profile - 站点配置
+     * @param {string} label - 错误消息中使用的路径前缀
+     * @returns {string[]} 错误列表
+     */
+    validateProfile(profile, label) {
+        const errors = [];
+
+        if (Utils.getType(profile) !== 'object') {
+            return [`${label} 必须是对象`];
+        }
+
+        Object.keys(profile).forEach(key => {
+            if (!PROFILE_KEYS.includes(key)) {
+                errors.push(`未知字段: ${label}.${key}`);
+            }
+        });
+
+        if (!Object.values(SiteProfileRuleTypes).includes(profile.type)) {
+            errors.push(
+                `${label}.type 必须是以下值之一: ${Object.values(SiteProfileRuleTypes).join(', ')}`
+            );
+        }
+
+        if (typeof profile.pattern !== 'string' || profile.pattern.trim() === '') {
+            errors.push(`${label}.pattern 必须是非空字符串`);
+        }
+
+        if (profile.id !== undefined && typeof profile.id !== 'string') {
+            errors.push(`${label}.id 必须是字符串`);
+        }
+
+        if (profile.disabled !== undefined && typeof profile.disabled !== 'boolean') {
+            errors.push(`${label}.disabled 必须是布尔值`);
+        }
+
+        if (profile.config !== undefined) {
+            errors.push(...this.validateConfigOverrides(profile.config, `${label}.config`));
+        }
+
+        return errors;
+    },
+
+    /**
+     * 解析、迁移并校验设置文档
+     * @param {string|Object} input - JSON字符串或已解析的对象
+     * @returns {Object} 解析结果 { settingsDoc, errors }
+     */
+    parse(input) {
+        let raw = input;
+
+        if (typeof input === 'string') {
+            try {
+                raw = JSON.parse(input);
+            } catch (error) {
+                return { settingsDoc: null, errors: [`JSON解析失败: ${error.message}`] };
+            }
+        }
+
+        if (Utils.getType(raw) !== 'object') {
+            return { settingsDoc: null, errors: ['设置文档必须是JSON对象'] };
+        }
+
+        const migrated = this.migrate(raw);
+        if (migrated.errors.length > 0) {
+            return migrated;
+        }
+
+        const errors = this.validate(migrated.settingsDoc);
+        return { settingsDoc: errors.length > 0 ? null : migrated.settingsDoc, errors };
+    }
+};
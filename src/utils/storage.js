@@ -0,0 +1,107 @@
+/**
+ * 存储工具模块
+ * 提供统一的键值存储接口，优先使用油猴GM存储，未授权时降级到localStorage
+ */
+
+/**
+ * 设置存储适配器
+ */
+export const SettingsStorage = {
+    /**
+     * 检查GM存储API是否可用
+     * @returns {boolean} GM_getValue/GM_setValue是否已授权
+     */
+    isGMAvailable() {
+        return typeof GM_getValue === 'function' && typeof GM_setValue === 'function';
+    },
+
+    /**
+     * 检查localStorage是否可用
+     * @returns {boolean} localStorage是否可用
+     */
+    isLocalStorageAvailable() {
+        try {
+            if (typeof window === 'undefined' || !window.localStorage) {
+                return false;
+            }
+
+            const testKey = '__scrollbar_controller_test__';
+            window.localStorage.setItem(testKey, '1');
+            window.localStorage.removeItem(testKey);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * 获取当前使用的存储后端
+     * @returns {string} 'gm' | 'localStorage' | 'none'
+     */
+    getBackend() {
+        if (this.isGMAvailable()) {
+            return 'gm';
+        }
+        if (this.isLocalStorageAvailable()) {
+            return 'localStorage';
+        }
+        return 'none';
+    },
+
+    /**
+     * 读取存储的值
+     * @param {string} key - 存储键
+     * @param {any} defaultValue - 默认值
+     * @returns {any} 读取到的值
+     */
+    getValue(key, defaultValue = null) {
+        try {
+            const backend = this.getBackend();
+            let raw = null;
+
+            if (backend === 'gm') {
+                raw = GM_getValue(key, null);
+            } else if (backend === 'localStorage') {
+                raw = window.localStorage.getItem(key);
+            }
+
+            if (raw === null || raw === undefined) {
+                return defaultValue;
+            }
+
+            return JSON.parse(raw);
+        } catch (error) {
+            console.warn('[SettingsStorage] 读取存储失败:', key, error);
+            return defaultValue;
+        }
+    },
+
+    /**
+     * 写入存储的值
+     * @param {string} key - 存储键
+     * @param {any} value - 要存储的值（需可JSON序列化）
+     * @returns {boolean} 是否写入成功
+     */
+    setValue(key, value) {
+        try {
+            const backend = this.getBackend();
+            const raw = JSON.stringify(value);
+
+            if (backend === 'gm') {
+                GM_setValue(key, raw);
+                return true;
+            }
+
+            if (backend === 'localStorage') {
+                window.localStorage.setItem(key, raw);
+                return true;
+            }
+
+            console.warn('[SettingsStorage] 没有可用的存储后端，设置不会被保存');
+            return false;
+        } catch (error) {
+            console.error('[SettingsStorage] 写入存储失败:', key, error);
+            return false;
+        }
+    }
+};
@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+
+/**
+ * Auto Scroll Directions Test Suite
+ * Validates scrolling in each direction, the boundary checks and the direction shortcuts
+ */
+
+const { createSuite, loadModule, createEventBus } = require('./test-helpers');
+
+// Animation frames requested by the manager, run by hand with chosen timestamps
+let frames = [];
+
+// A 4000 × 3000 page seen through a 1000 × 800 viewport
+const window = {
+    scrollX: 0,
+    scrollY: 0,
+    innerWidth: 1000,
+    innerHeight: 800,
+    scrollBy(x, y) {
+        this.scrollX = Math.min(Math.max(this.scrollX + x, 0), 3000);
+        this.scrollY = Math.min(Math.max(this.scrollY + y, 0), 2200);
+    },
+    addEventListener: () => {},
+    removeEventListener: () => {}
+};
+
+const document = {
+    body: { scrollWidth: 4000, offsetWidth: 4000, scrollHeight: 3000, offsetHeight: 3000 },
+    documentElement: {
+        clientWidth: 1000,
+        clientHeight: 800,
+        scrollWidth: 4000,
+        scrollHeight: 3000,
+        offsetWidth: 4000,
+        offsetHeight: 3000
+    },
+    addEventListener: () => {},
+    removeEventListener: () => {}
+};
+
+const globals = {
+    window,
+    document,
+    requestAnimationFrame: callback => frames.push(callback),
+    cancelAnimationFrame: () => {}
+};
+
+const { AutoScrollManager } = loadModule('managers/AutoScrollManager.js', globals);
+const { KeyboardHandler } = loadModule('managers/KeyboardHandler.js', globals);
+
+// Constant speed from the first frame, so distances follow the speed directly
+const NO_EASING = { easingStartDuration: 0, easingStopDuration: 0, easingChangeDuration: 0 };
+
+/**
+ * Create an enabled manager at 300 px/s with the page scrolled to the given position
+ */
+function createManager(scrollX = 0, scrollY = 0) {
+    frames = [];
+    window.scrollX = scrollX;
+    window.scrollY = scrollY;
+
+    const eventBus = createEventBus();
+    const manager = new AutoScrollManager(eventBus);
+    manager.setConfig({ speed: 5, pixelsPerSpeedLevel: 60, frameRate: 0, ...NO_EASING });
+    manager.enable();
+    eventBus.emitted.length = 0;
+    return { manager, eventBus };
+}
+
+/**
+ * Run animation frames 100 ms apart until none is requested or the limit is reached
+ */
+function runFrames(limit = 1) {
+    for (let index = 0; index <= limit && frames.length > 0; index++) {
+        frames.shift()(1000 + index * 100);
+    }
+}
+
+function keydown(key, modifiers = {}) {
+    return {
+        key,
+        code: key,
+        ctrlKey: true,
+        preventDefault: () => {},
+        stopPropagation: () => {},
+        ...modifiers
+    };
+}
+
+const suite = createSuite('Auto Scroll Directions Tests');
+
+suite.test('each direction scrolls along its own axis', () => {
+    const moves = ['down', 'up', 'left', 'right'].map(direction => {
+        const { manager } = createManager(1000, 1000);
+        manager.startAutoScroll(direction);
+        runFrames();
+        return [window.scrollX - 1000, window.scrollY - 1000];
+    });
+    return (
+        JSON.stringify(moves) ===
+        JSON.stringify([
+            [0, 30],
+            [0, -30],
+            [-30, 0],
+            [30, 0]
+        ])
+    );
+});
+
+suite.test('starting at the boundary of a direction reports it and does not scroll', () => {
+    const { manager, eventBus } = createManager(0, 0);
+    const up = manager.startAutoScroll('up');
+    window.scrollX = 3000;
+    const right = manager.startAutoScroll('right');
+    const edge = eventBus.emitted.find(item => item.event === 'auto-scroll:reached-edge');
+    return (
+        up === false &&
+        right === false &&
+        !manager.isScrolling &&
+        eventBus.count('auto-scroll:reached-top') === 1 &&
+        edge.data.edge === 'right' &&
+        frames.length === 0
+    );
+});
+
+suite.test('scrolling stops at the boundary it is heading for', () => {
+    const { manager, eventBus } = createManager(0, 100);
+    manager.startAutoScroll('up');
+    runFrames(10);
+    const stopped = eventBus.emitted.find(item => item.event === 'auto-scroll:stopped');
+    return (
+        window.scrollY === 0 &&
+        !manager.isScrolling &&
+        eventBus.count('auto-scroll:reached-top') === 1 &&
+        stopped.data.direction === 'up'
+    );
+});
+
+suite.test('changing direction while scrolling takes effect on the next frame', () => {
+    const { manager, eventBus } = createManager(1000, 1000);
+    manager.startAutoScroll('down');
+    runFrames();
+    const changed = manager.startAutoScroll('left');
+    runFrames();
+    const change = eventBus.emitted.find(item => item.event === 'auto-scroll:direction-changed');
+    return (
+        changed &&
+        window.scrollX === 970 &&
+        window.scrollY === 1030 &&
+        change.data.previousDirection === 'down' &&
+        change.data.isScrolling === true &&
+        manager.getStatus().direction === 'left'
+    );
+});
+
+suite.test('unknown directions are rejected', () => {
+    const { manager, eventBus } = createManager(1000, 1000);
+    return (
+        manager.setDirection('diagonal') === false &&
+        manager.startAutoScroll('sideways') === false &&
+        manager.getDirection() === 'down' &&
+        !manager.isScrolling &&
+        eventBus.count('auto-scroll:direction-changed') === 0
+    );
+});
+
+suite.test('Ctrl+Arrow keys map to the direction actions by default', () => {
+    const eventBus = createEventBus();
+    const handler = new KeyboardHandler(eventBus);
+    const actionFor = event => {
+        eventBus.emitted.length = 0;
+        handler.handleBindingKey(event);
+        const run = eventBus.emitted.find(item => item.event === 'keyboard-handler:action');
+        return run ? run.data.action : null;
+    };
+    return (
+        actionFor(keydown('ArrowUp')) === 'start-up' &&
+        actionFor(keydown('ArrowRight')) === 'start-right' &&
+        actionFor(keydown('ArrowLeft')) === 'start-left' &&
+        actionFor(keydown('ArrowLeft', { metaKey: true, ctrlKey: false })) === null &&
+        actionFor(keydown('ArrowDown', { altKey: true })) === null &&
+        actionFor(keydown('ArrowDown', { ctrlKey: false })) === null
+    );
+});
+
+suite.test('a direction shortcut starts scrolling in that direction', () => {
+    const { manager } = createManager(1000, 1000);
+    const eventBus = createEventBus();
+    const handler = new KeyboardHandler(eventBus, manager);
+    const handled = handler.runAction('start-left', keydown('ArrowLeft'));
+    const started = eventBus.emitted.find(
+        item => item.event === 'keyboard-handler:auto-scroll-started'
+    );
+    return (
+        handled &&
+        manager.isScrolling &&
+        manager.getDirection() === 'left' &&
+        started.data.trigger === 'start-left' &&
+        started.data.direction === 'left'
+    );
+});
+
+suite.run();
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+/**
+ * Auto Scroll Easing Test Suite
+ * Validates how the effective speed follows the easing curves during start, change and stop ramps
+ */
+
+const { createSuite, loadModule, createEventBus } = require('./test-helpers');
+
+const { AutoScrollManager } = loadModule('managers/AutoScrollManager.js', {
+    window: { location: { href: 'https://example.com/' } },
+    document: {}
+});
+
+// Speed 5 at 60 px/s per level: the target is 300 px/s
+const TARGET = 300;
+
+function createManager(easing, duration = 1000) {
+    const eventBus = createEventBus();
+    const manager = new AutoScrollManager(eventBus, null);
+    manager.setConfig({ speed: 5, pixelsPerSpeedLevel: 60, easing });
+    manager.isScrolling = true;
+    manager.effectivePixelsPerSecond = 0;
+    manager.beginSpeedRamp('start', duration);
+    eventBus.emitted.length = 0;
+    return { manager, eventBus };
+}
+
+function speedAt(manager, elapsed) {
+    return Math.round(manager.updateEffectiveSpeed(elapsed) * 1000) / 1000;
+}
+
+const suite = createSuite('Auto Scroll Easing Tests');
+
+suite.test('linear ramps change the speed evenly', () => {
+    const { manager } = createManager('linear');
+    return speedAt(manager, 250) === 75 && speedAt(manager, 250) === 150;
+});
+
+suite.test('ease-in-out starts slowly and is halfway at the midpoint', () => {
+    const { manager } = createManager('ease-in-out');
+    return speedAt(manager, 250) === 37.5 && speedAt(manager, 250) === 150;
+});
+
+suite.test('exponential ramps cover most of the change early', () => {
+    const { manager } = createManager('exponential');
+    return speedAt(manager, 500) === 290.625;
+});
+
+suite.test('a finished ramp lands exactly on the target and reports once', () => {
+    const { manager, eventBus } = createManager('ease-in-out');
+    speedAt(manager, 600);
+    const finished = speedAt(manager, 600);
+    speedAt(manager, 16);
+    return (
+        finished === TARGET &&
+        manager.speedRamp === null &&
+        eventBus.count('auto-scroll:speed-ramp-finished') === 1
+    );
+});
+
+suite.test('a zero duration reaches the target immediately', () => {
+    const { manager } = createManager('linear', 0);
+    return speedAt(manager, 16) === TARGET;
+});
+
+suite.test('a stop ramp eases down to zero from the current speed', () => {
+    const { manager } = createManager('linear');
+    speedAt(manager, 1000);
+    manager.stopRequested = true;
+    manager.beginSpeedRamp('stop', 1000);
+    return speedAt(manager, 500) === 150 && speedAt(manager, 500) === 0;
+});
+
+suite.test('a speed change eases from the current speed to the new one', () => {
+    const { manager } = createManager('linear');
+    speedAt(manager, 1000);
+    manager.setConfig({ speed: 7 });
+    manager.beginSpeedRamp('change', 400);
+    return speedAt(manager, 200) === 360 && speedAt(manager, 200) === 420;
+});
+
+suite.run();
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * Auto Scroll Loop Test Suite
+ * Validates restart and ping-pong loops, end dwell times and turning the loop off
+ */
+
+const { createSuite, loadModule, createEventBus } = require('./test-helpers');
+
+const { AutoScrollLoop } = loadModule('managers/AutoScrollLoop.js');
+
+const VECTORS = { down: [0, 1], up: [0, -1], left: [-1, 0], right: [1, 0] };
+
+function createManager() {
+    return {
+        isScrolling: true,
+        direction: 'down',
+        activeTarget: null,
+        position: 4000,
+        motion: 'running',
+        stopReasons: [],
+        stopMotion() {
+            this.motion = 'stopped';
+        },
+        restartMotion() {
+            this.motion = 'running';
+        },
+        getMaxScrollPosition: () => 4000,
+        getDirectionVector(direction = this.direction) {
+            return VECTORS[direction];
+        },
+        scrollTargetBy(dx, dy) {
+            this.position += dy;
+        },
+        stopAutoScrollWithReason(reason) {
+            this.stopReasons.push(reason);
+            this.isScrolling = false;
+        }
+    };
+}
+
+function createLoop(mode) {
+    const eventBus = createEventBus();
+    const manager = createManager();
+    const loop = new AutoScrollLoop(eventBus, manager);
+    loop.setMode(mode);
+    loop.dwellAtEnd = 10;
+    loop.dwellAtStart = 0;
+    eventBus.emitted.length = 0;
+    return { loop, manager, eventBus };
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const suite = createSuite('Auto Scroll Loop Tests');
+
+suite.test('restart dwells at the end and then jumps back to the start', async () => {
+    const { loop, manager, eventBus } = createLoop('restart');
+    loop.beginDwell();
+    const dwelling = loop.isDwelling() && manager.motion === 'stopped';
+    await wait(30);
+    return (
+        dwelling &&
+        !loop.isDwelling() &&
+        manager.position === 0 &&
+        manager.motion === 'running' &&
+        loop.count === 1 &&
+        eventBus.count('auto-scroll:loop') === 1
+    );
+});
+
+suite.test('ping-pong reverses and stopping restores the chosen direction', () => {
+    const { loop, manager } = createLoop('ping-pong');
+    loop.performLoop();
+    const reversed = manager.direction === 'up' && manager.position === 4000;
+    loop.end();
+    return reversed && manager.direction === 'down';
+});
+
+suite.test('ping-pong uses the start dwell time at the starting edge', () => {
+    const { loop, manager, eventBus } = createLoop('ping-pong');
+    loop.dwellAtStart = 20;
+    manager.direction = 'up';
+    loop.beginDwell();
+    loop.cancelDwell();
+    const dwell = eventBus.emitted.find(({ event }) => event === 'auto-scroll:loop-dwell').data;
+    return dwell.edge === 'start' && dwell.duration === 20 && !loop.isDwelling();
+});
+
+suite.test('turning the loop off while dwelling stops at the end', () => {
+    const { loop, manager } = createLoop('restart');
+    loop.beginDwell();
+    const changed = loop.setMode('off');
+    loop.cancelDwell();
+    return changed && !loop.isEnabled() && manager.stopReasons.join() === 'reached-end';
+});
+
+suite.test('unknown loop modes are rejected', () => {
+    const { loop, eventBus } = createLoop('restart');
+    return (
+        !loop.setMode('forever') &&
+        loop.getMode() === 'restart' &&
+        eventBus.count('auto-scroll:loop-mode-changed') === 0
+    );
+});
+
+suite.run();
@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+
+/**
+ * Auto Scroll Pause Rules Test Suite
+ * Validates when auto scroll pauses, when it resumes and how rule changes apply
+ */
+
+const { createSuite, loadModule, createEventBus } = require('./test-helpers');
+
+function createTarget() {
+    return {
+        listeners: {},
+        addEventListener(type, listener) {
+            this.listeners[type] = listener;
+        },
+        removeEventListener(type) {
+            delete this.listeners[type];
+        }
+    };
+}
+
+let selectionText = '';
+
+const document = Object.assign(createTarget(), {
+    hidden: false,
+    createDocumentFragment: () => ({ querySelector: () => null })
+});
+
+const window = Object.assign(createTarget(), {
+    getSelection: () => ({
+        isCollapsed: selectionText === '',
+        anchorNode: null,
+        toString: () => selectionText
+    })
+});
+
+const { AutoScrollPauseRules } = loadModule('managers/AutoScrollPauseRules.js', {
+    document,
+    window,
+    Element: class {}
+});
+
+function createManager() {
+    return {
+        isScrolling: true,
+        stopping: false,
+        motion: 'running',
+        immediateStops: 0,
+        isStopping() {
+            return this.stopping;
+        },
+        stopMotion() {
+            this.motion = 'stopped';
+        },
+        restartMotion() {
+            this.motion = 'running';
+        },
+        stopAutoScroll() {
+            this.immediateStops++;
+        },
+        getScrollPosition: () => 0,
+        isValidSelector: () => true
+    };
+}
+
+function createPauseRules() {
+    const eventBus = createEventBus();
+    const manager = createManager();
+    const pauseRules = new AutoScrollPauseRules(eventBus, manager);
+    pauseRules.setRules({ blur: true });
+    pauseRules.bind();
+    eventBus.emitted.length = 0;
+    return { pauseRules, manager, eventBus };
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const suite = createSuite('Auto Scroll Pause Rules Tests');
+
+suite.test('a hidden tab pauses and showing it again resumes', () => {
+    const { pauseRules, manager, eventBus } = createPauseRules();
+    document.hidden = true;
+    document.listeners.visibilitychange();
+    const paused = pauseRules.isPaused() && manager.motion === 'stopped';
+    document.hidden = false;
+    document.listeners.visibilitychange();
+    pauseRules.unbind();
+    return (
+        paused &&
+        !pauseRules.isPaused() &&
+        manager.motion === 'running' &&
+        eventBus.count('auto-scroll:paused') === 1 &&
+        eventBus.count('auto-scroll:resumed') === 1
+    );
+});
+
+suite.test('scrolling resumes only after every pause reason is cleared', () => {
+    const { pauseRules, manager } = createPauseRules();
+    window.listeners.blur();
+    selectionText = 'quoted text';
+    document.listeners.selectionchange();
+    window.listeners.focus();
+    const stillPaused =
+        pauseRules.getReasons().join() === 'selection' && manager.motion === 'stopped';
+    selectionText = '';
+    document.listeners.selectionchange();
+    pauseRules.unbind();
+    return stillPaused && !pauseRules.isPaused() && manager.motion === 'running';
+});
+
+suite.test('wheel input pauses until the resume delay has passed', async () => {
+    const { pauseRules, manager } = createPauseRules();
+    pauseRules.setRules({ userInput: { enabled: true, resumeDelay: 10 } });
+    window.listeners.wheel();
+    const paused = pauseRules.isPaused();
+    await wait(30);
+    pauseRules.unbind();
+    return paused && !pauseRules.isPaused() && manager.motion === 'running';
+});
+
+suite.test('turning a rule off lifts the pause it caused', () => {
+    const { pauseRules, manager, eventBus } = createPauseRules();
+    window.listeners.blur();
+    const changed = pauseRules.setRules({ blur: false });
+    pauseRules.unbind();
+    return (
+        changed &&
+        !pauseRules.isPaused() &&
+        manager.motion === 'running' &&
+        eventBus.count('auto-scroll:pause-rules-changed') === 1
+    );
+});
+
+suite.test('invalid rules are rejected and leave the current rules unchanged', () => {
+    const { pauseRules } = createPauseRules();
+    const before = JSON.stringify(pauseRules.getRules());
+    const rejected =
+        !pauseRules.setRules({ hidden: 'yes' }) &&
+        !pauseRules.setRules({ hover: { selectors: '' } }) &&
+        !pauseRules.setRules({ userInput: { resumeDelay: -1 } });
+    pauseRules.unbind();
+    return rejected && JSON.stringify(pauseRules.getRules()) === before;
+});
+
+suite.test('a pause while coasting to a stop finishes the stop instead', () => {
+    const { pauseRules, manager, eventBus } = createPauseRules();
+    manager.stopping = true;
+    window.listeners.blur();
+    pauseRules.unbind();
+    return (
+        manager.immediateStops === 1 &&
+        !pauseRules.isPaused() &&
+        eventBus.count('auto-scroll:paused') === 0
+    );
+});
+
+suite.test('unbinding removes the listeners and clears the pause', () => {
+    const { pauseRules } = createPauseRules();
+    window.listeners.blur();
+    pauseRules.unbind();
+    return (
+        !pauseRules.isPaused() &&
+        Object.keys(window.listeners).length === 0 &&
+        Object.keys(document.listeners).length === 0
+    );
+});
+
+suite.run();
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+
+/**
+ * Auto Scroll Stepper Test Suite
+ * Validates page step distances, boundary alignment and step scheduling
+ */
+
+const { createSuite, loadModule, createEventBus } = require('./test-helpers');
+
+// Paragraphs reported by document.body.querySelectorAll, tops relative to the viewport
+let paragraphs = [];
+
+function createParagraph(top, ownUi = false) {
+    return {
+        closest: () => (ownUi ? {} : null),
+        getBoundingClientRect: () => ({ top, height: 40, bottom: top + 40 })
+    };
+}
+
+const document = {
+    body: {
+        querySelectorAll: () => paragraphs
+    }
+};
+
+const window = {
+    scrolls: [],
+    scrollBy(options) {
+        this.scrolls.push(options);
+    }
+};
+
+const { AutoScrollStepper } = loadModule('managers/AutoScrollStepper.js', { document, window });
+
+function createManager(overrides = {}) {
+    return {
+        isScrolling: true,
+        isEnabled: true,
+        direction: 'down',
+        activeTarget: null,
+        scrolledDistance: 0,
+        reachedEnd: 0,
+        stopReasons: [],
+        getScrollMetrics: () => ({ clientHeight: 800, clientWidth: 1200 }),
+        isVerticalDirection() {
+            return this.direction === 'down' || this.direction === 'up';
+        },
+        getDirectionVector() {
+            return this.direction === 'down' ? [0, 1] : [0, -1];
+        },
+        getScrollPosition: () => 0,
+        checkStopSelector: () => false,
+        isAtBoundary: () => false,
+        isDistanceLimitReached: () => false,
+        emitBoundaryReached() {},
+        handleReachedEnd() {
+            this.reachedEnd++;
+        },
+        stopAutoScrollWithReason(reason) {
+            this.stopReasons.push(reason);
+        },
+        ...overrides
+    };
+}
+
+function createStepper(managerOverrides) {
+    const eventBus = createEventBus();
+    const manager = createManager(managerOverrides);
+    const stepper = new AutoScrollStepper(eventBus, manager);
+    return { stepper, manager, eventBus };
+}
+
+const suite = createSuite('Auto Scroll Stepper Tests');
+
+suite.test('a page step is one viewport minus the overlap', () => {
+    const { stepper } = createStepper();
+    stepper.overlap = 40;
+    return stepper.calculateDistance() === 760;
+});
+
+suite.test('boundary alignment stops at the last heading or paragraph within the page', () => {
+    const { stepper } = createStepper();
+    stepper.align = 'boundary';
+    paragraphs = [createParagraph(100), createParagraph(500), createParagraph(740)];
+    return stepper.calculateDistance() === 740;
+});
+
+suite.test('boundary alignment skips the script UI and boundaries too close to the top', () => {
+    const { stepper } = createStepper();
+    stepper.align = 'boundary';
+    paragraphs = [createParagraph(100), createParagraph(700, true)];
+    return stepper.calculateDistance() === 760;
+});
+
+suite.test('boundary alignment only applies when stepping down', () => {
+    const { stepper } = createStepper({ direction: 'up' });
+    stepper.align = 'boundary';
+    paragraphs = [createParagraph(500)];
+    return stepper.calculateDistance() === 760;
+});
+
+suite.test('a step scrolls smoothly and schedules the next one', () => {
+    const { stepper, eventBus } = createStepper();
+    window.scrolls = [];
+    stepper.performStep();
+    const scheduled = stepper.isScheduled();
+    stepper.cancel();
+    return (
+        window.scrolls.length === 1 &&
+        window.scrolls[0].top === 760 &&
+        window.scrolls[0].behavior === 'smooth' &&
+        eventBus.count('auto-scroll:step') === 1 &&
+        scheduled
+    );
+});
+
+suite.test('the distance actually scrolled is counted once the step has settled', () => {
+    let position = 1000;
+    const { stepper, manager } = createStepper({ getScrollPosition: () => position });
+    stepper.performStep();
+    const beforeSettled = manager.scrolledDistance;
+    // The page ended 300 px into the 760 px step
+    position = 1300;
+    stepper.performStep();
+    position = 2060;
+    stepper.recordStepDistance();
+    stepper.recordStepDistance();
+    stepper.cancel();
+    return beforeSettled === 0 && manager.scrolledDistance === 1060;
+});
+
+suite.test('the distance limit is checked against the measured distance', () => {
+    let position = 0;
+    const { stepper, manager } = createStepper({
+        getScrollPosition: () => position,
+        isDistanceLimitReached() {
+            return this.scrolledDistance >= 500;
+        }
+    });
+    stepper.performStep();
+    position = 760;
+    stepper.performStep();
+    return manager.stopReasons.join() === 'distance-limit' && !stepper.isScheduled();
+});
+
+suite.test('a step at the boundary hands over to the manager without scrolling', () => {
+    const { stepper, manager } = createStepper({ isAtBoundary: () => true });
+    window.scrolls = [];
+    stepper.performStep();
+    return manager.reachedEnd === 1 && window.scrolls.length === 0 && !stepper.isScheduled();
+});
+
+suite.test('the step interval is range checked and restarts a scheduled step', () => {
+    const { stepper, eventBus } = createStepper();
+    const rejected = !stepper.setStepInterval(0) && !stepper.setStepInterval(61);
+    stepper.schedule();
+    const firstStepAt = stepper.getNextStepAt();
+    const accepted = stepper.setStepInterval(30);
+    const nextStepAt = stepper.getNextStepAt();
+    stepper.cancel();
+    return (
+        rejected &&
+        accepted &&
+        stepper.getStepInterval() === 30 &&
+        nextStepAt > firstStepAt &&
+        eventBus.count('auto-scroll:step-interval-changed') === 1 &&
+        stepper.getNextStepAt() === null
+    );
+});
+
+suite.run();
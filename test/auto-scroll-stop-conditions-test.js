@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+
+/**
+ * Auto Scroll Stop Conditions Test Suite
+ * Validates stopping after a set time, a set distance or when a selector scrolls into view
+ */
+
+const { createSuite, loadModule, createEventBus } = require('./test-helpers');
+
+// Animation frames requested by the manager, run by hand with chosen timestamps
+let frames = [];
+
+// Timers started by the manager, fired by hand
+let timers = [];
+
+const window = {
+    scrollX: 0,
+    scrollY: 0,
+    innerWidth: 1000,
+    innerHeight: 800,
+    scrollBy(x, y) {
+        this.scrollY += y;
+    },
+    addEventListener: () => {},
+    removeEventListener: () => {}
+};
+
+// A footer 2000 px down the page, visible once the viewport reaches it
+const footer = {
+    getBoundingClientRect() {
+        const top = 2000 - window.scrollY;
+        return { top, bottom: top + 100, left: 0, right: 1000, width: 1000, height: 100 };
+    }
+};
+
+const document = {
+    body: { scrollWidth: 1000, offsetWidth: 1000, scrollHeight: 100000, offsetHeight: 100000 },
+    documentElement: {
+        clientWidth: 1000,
+        clientHeight: 800,
+        scrollWidth: 1000,
+        scrollHeight: 100000,
+        offsetWidth: 1000,
+        offsetHeight: 100000
+    },
+    addEventListener: () => {},
+    removeEventListener: () => {},
+    querySelectorAll: selector => (selector === 'footer' ? [footer] : []),
+    createDocumentFragment: () => ({
+        querySelector(selector) {
+            if (selector.includes('[[')) {
+                throw new SyntaxError('Invalid selector');
+            }
+            return null;
+        }
+    })
+};
+
+const { AutoScrollManager } = loadModule('managers/AutoScrollManager.js', {
+    window,
+    document,
+    requestAnimationFrame: callback => frames.push(callback),
+    cancelAnimationFrame: () => {},
+    setTimeout: (callback, delay) => {
+        const timer = { callback, delay, cleared: false };
+        timers.push(timer);
+        return timer;
+    },
+    clearTimeout: timer => {
+        timer.cleared = true;
+    }
+});
+
+// Constant speed from the first frame, so distances follow the speed directly
+const NO_EASING = { easingStartDuration: 0, easingStopDuration: 0, easingChangeDuration: 0 };
+
+/**
+ * Start scrolling at 600 px/s (60 px per 100 ms frame) from the given position
+ */
+function startManager(stopConditions, scrollY = 0) {
+    frames = [];
+    timers = [];
+    window.scrollY = scrollY;
+
+    const eventBus = createEventBus();
+    const manager = new AutoScrollManager(eventBus);
+    manager.setConfig({
+        speed: 10,
+        pixelsPerSpeedLevel: 60,
+        frameRate: 0,
+        ...NO_EASING,
+        ...stopConditions
+    });
+    manager.enable();
+    manager.startAutoScroll();
+    return { manager, eventBus };
+}
+
+/**
+ * Run up to the given number of animation frames, 100 ms apart
+ */
+function runFrames(count) {
+    for (let index = 0; index < count && frames.length > 0; index++) {
+        frames.shift()(1000 + index * 100);
+    }
+}
+
+function stoppedEvent(eventBus) {
+    const stopped = eventBus.emitted.find(item => item.event === 'auto-scroll:stopped');
+    return stopped && stopped.data;
+}
+
+const suite = createSuite('Auto Scroll Stop Conditions Tests');
+
+suite.test('scrolling stops once the set time has passed', () => {
+    const { manager, eventBus } = startManager({ stopTime: 30 });
+    const started = eventBus.emitted.find(item => item.event === 'auto-scroll:started');
+    const timer = timers.find(item => !item.cleared);
+    // The delay counts from the start time, so a millisecond may already have passed
+    const scheduled = timer.delay > 29000 && timer.delay <= 30000 && started.data.stopAt !== null;
+    timer.callback();
+    return scheduled && !manager.isScrolling && stoppedEvent(eventBus).reason === 'time-limit';
+});
+
+suite.test('scrolling stops once the set distance has been covered', () => {
+    const { manager, eventBus } = startManager({ stopDistance: 150 });
+    runFrames(10);
+    const stopped = stoppedEvent(eventBus);
+    return (
+        !manager.isScrolling &&
+        window.scrollY === 180 &&
+        stopped.reason === 'distance-limit' &&
+        stopped.scrolledDistance === 180
+    );
+});
+
+suite.test('scrolling stops when a matching element scrolls into view', () => {
+    const { manager, eventBus } = startManager({ stopSelector: 'footer' }, 900);
+    runFrames(10);
+    return (
+        !manager.isScrolling &&
+        window.scrollY > 1200 &&
+        window.scrollY <= 1500 &&
+        stoppedEvent(eventBus).reason === 'selector-visible'
+    );
+});
+
+suite.test('an element already in view only stops scrolling after it re-enters', () => {
+    const { manager } = startManager({ stopSelector: 'footer' }, 1500);
+    runFrames(10);
+    return manager.isScrolling;
+});
+
+suite.test('stopping by hand cancels the timer and reports the manual reason', () => {
+    const { manager, eventBus } = startManager({ stopTime: 30 });
+    runFrames(3);
+    manager.stopAutoScroll();
+    const stopped = stoppedEvent(eventBus);
+    return (
+        timers.every(timer => timer.cleared) &&
+        stopped.reason === 'manual' &&
+        stopped.scrolledDistance === 120
+    );
+});
+
+suite.test('invalid stop conditions are ignored', () => {
+    const { manager } = startManager({ stopTime: 10, stopDistance: 500, stopSelector: 'footer' });
+    manager.setConfig({ stopTime: -1, stopDistance: NaN, stopSelector: 'div[[' });
+    manager.stopAutoScroll();
+    const conditions = manager.getStopConditions();
+    return (
+        conditions.time === 10 && conditions.distance === 500 && conditions.selector === 'footer'
+    );
+});
+
+suite.run();
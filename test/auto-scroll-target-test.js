@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+
+/**
+ * Auto Scroll Target Test Suite
+ * Validates which element auto-scroll drives: a picked element, the container under the pointer
+ * or the page
+ */
+
+const { createSuite, loadModule, createEventBus } = require('./test-helpers');
+
+// Animation frames requested by the manager, run by hand with chosen timestamps
+let frames = [];
+
+class Element {
+    constructor(options = {}, parentElement = null) {
+        this.parentElement = parentElement;
+        this.isConnected = true;
+        this.ownUi = !!options.ownUi;
+        this.scrollTop = 0;
+        this.scrollLeft = 0;
+        this.clientHeight = 400;
+        this.clientWidth = 400;
+        this.scrollHeight = options.scrollHeight || 400;
+        this.scrollWidth = options.scrollWidth || 400;
+        this.computedStyle = {
+            overflowX: options.overflowX || 'visible',
+            overflowY: options.overflowY || 'visible'
+        };
+    }
+
+    closest() {
+        return this.ownUi ? this : null;
+    }
+}
+
+const window = {
+    scrollX: 0,
+    scrollY: 0,
+    innerWidth: 1000,
+    innerHeight: 800,
+    scrollBy(x, y) {
+        this.scrollX += x;
+        this.scrollY += y;
+    },
+    getComputedStyle: element => element.computedStyle,
+    addEventListener: () => {},
+    removeEventListener: () => {}
+};
+
+// The element under the pointer, whatever the coordinates
+let elementUnderPointer = null;
+
+const document = {
+    body: { scrollWidth: 1000, offsetWidth: 1000, scrollHeight: 5000, offsetHeight: 5000 },
+    documentElement: {
+        clientWidth: 1000,
+        clientHeight: 800,
+        scrollWidth: 1000,
+        scrollHeight: 5000,
+        offsetWidth: 1000,
+        offsetHeight: 5000
+    },
+    addEventListener: () => {},
+    removeEventListener: () => {},
+    elementFromPoint: () => elementUnderPointer
+};
+
+const { AutoScrollManager } = loadModule('managers/AutoScrollManager.js', {
+    window,
+    document,
+    Element,
+    requestAnimationFrame: callback => frames.push(callback),
+    cancelAnimationFrame: () => {}
+});
+
+// Constant speed from the first frame, so distances follow the speed directly
+const NO_EASING = { easingStartDuration: 0, easingStopDuration: 0, easingChangeDuration: 0 };
+
+// A vertical scroll container holding a paragraph, and a panel that does not scroll
+const container = new Element({ scrollHeight: 2000, overflowY: 'auto' });
+const paragraph = new Element({}, container);
+const panel = new Element();
+
+/**
+ * Create an enabled manager at 300 px/s with the pointer over the given element
+ */
+function createManager(pointerTarget = null) {
+    frames = [];
+    window.scrollX = 0;
+    window.scrollY = 0;
+    container.scrollTop = 0;
+    container.isConnected = true;
+    elementUnderPointer = pointerTarget;
+
+    const eventBus = createEventBus();
+    const manager = new AutoScrollManager(eventBus);
+    manager.setConfig({ speed: 5, pixelsPerSpeedLevel: 60, frameRate: 0, ...NO_EASING });
+    manager.enable();
+    manager.handlePointerMove({ clientX: 100, clientY: 100 });
+    eventBus.emitted.length = 0;
+    return { manager, eventBus };
+}
+
+/**
+ * Run two animation frames 100 ms apart, the first only recording the time
+ */
+function runFrames() {
+    [1000, 1100].forEach(timestamp => {
+        const frame = frames.shift();
+        if (frame) {
+            frame(timestamp);
+        }
+    });
+}
+
+const suite = createSuite('Auto Scroll Target Tests');
+
+suite.test('the scroll container under the pointer is scrolled instead of the page', () => {
+    const { manager, eventBus } = createManager(paragraph);
+    manager.startAutoScroll();
+    runFrames();
+    const started = eventBus.emitted.find(item => item.event === 'auto-scroll:started');
+    return (
+        container.scrollTop === 30 &&
+        window.scrollY === 0 &&
+        started.data.target === container &&
+        started.data.targetSource === 'pointer'
+    );
+});
+
+suite.test('the page is scrolled when nothing under the pointer scrolls', () => {
+    const { manager } = createManager(panel);
+    manager.startAutoScroll();
+    runFrames();
+    return window.scrollY === 30 && manager.getStatus().targetSource === 'page';
+});
+
+suite.test('turning off auto-detection always scrolls the page', () => {
+    const { manager } = createManager(paragraph);
+    manager.setConfig({ autoDetectTarget: false });
+    manager.startAutoScroll();
+    runFrames();
+    return window.scrollY === 30 && container.scrollTop === 0;
+});
+
+suite.test('a container that does not scroll along the direction is passed over', () => {
+    const { manager } = createManager(paragraph);
+    manager.setDirection('right');
+    return manager.findTargetUnderPointer() === null;
+});
+
+suite.test("the script's own UI is never a scroll target", () => {
+    const ownPanel = new Element({ ownUi: true, scrollHeight: 2000, overflowY: 'auto' });
+    const { manager } = createManager(ownPanel);
+    return manager.findTargetUnderPointer() === null;
+});
+
+suite.test('a picked element resolves to its scrollable ancestor and wins over the pointer', () => {
+    const { manager, eventBus } = createManager(panel);
+    const picked = manager.setScrollTarget(paragraph);
+    manager.startAutoScroll();
+    runFrames();
+    const changed = eventBus.emitted.find(item => item.event === 'auto-scroll:target-changed');
+    return (
+        picked &&
+        manager.getScrollTarget() === container &&
+        container.scrollTop === 30 &&
+        manager.getStatus().targetSource === 'picked' &&
+        changed.data.source === 'picked'
+    );
+});
+
+suite.test('an element with no scrollable ancestor is rejected', () => {
+    const { manager, eventBus } = createManager();
+    return (
+        manager.setScrollTarget(panel) === false &&
+        manager.getScrollTarget() === null &&
+        eventBus.count('auto-scroll:target-rejected') === 1
+    );
+});
+
+suite.test('boundaries are measured on the target that is scrolling', () => {
+    const { manager, eventBus } = createManager(paragraph);
+    container.scrollTop = 1600;
+    const started = manager.startAutoScroll();
+    return (
+        started === false &&
+        !manager.isScrolling &&
+        eventBus.count('auto-scroll:reached-bottom') === 1
+    );
+});
+
+suite.test('scrolling stops when the target leaves the page', () => {
+    const { manager, eventBus } = createManager(paragraph);
+    manager.startAutoScroll();
+    container.isConnected = false;
+    runFrames();
+    const stopped = eventBus.emitted.find(item => item.event === 'auto-scroll:stopped');
+    return !manager.isScrolling && stopped.data.reason === 'target-removed';
+});
+
+suite.run();
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+/**
+ * Auto Scroll Teleprompter Test Suite
+ * Validates partial updates and validation of the teleprompter settings
+ */
+
+const { createSuite, loadModule, createEventBus } = require('./test-helpers');
+
+const { AutoScrollTeleprompter } = loadModule('managers/AutoScrollTeleprompter.js');
+
+function createTeleprompter() {
+    const eventBus = createEventBus();
+    return { teleprompter: new AutoScrollTeleprompter(eventBus), eventBus };
+}
+
+const suite = createSuite('Auto Scroll Teleprompter Tests');
+
+suite.test('a partial update keeps the other settings', () => {
+    const { teleprompter, eventBus } = createTeleprompter();
+    const before = teleprompter.getSettings();
+    const changed = teleprompter.setSettings({ enabled: true, position: 0.4 });
+    const after = teleprompter.getSettings();
+    return (
+        changed &&
+        teleprompter.isEnabled() &&
+        after.position === 0.4 &&
+        after.guide === before.guide &&
+        after.bandHeight === before.bandHeight &&
+        eventBus.count('auto-scroll:teleprompter-changed') === 1
+    );
+});
+
+suite.test('unchanged settings do not emit a change', () => {
+    const { teleprompter, eventBus } = createTeleprompter();
+    const accepted = teleprompter.setSettings(teleprompter.getSettings());
+    return accepted && eventBus.count('auto-scroll:teleprompter-changed') === 0;
+});
+
+suite.test('invalid settings are rejected and leave the current settings unchanged', () => {
+    const { teleprompter, eventBus } = createTeleprompter();
+    const before = JSON.stringify(teleprompter.getSettings());
+    const rejected =
+        !teleprompter.setSettings({ position: 1.5 }) &&
+        !teleprompter.setSettings({ dimOpacity: -0.1 }) &&
+        !teleprompter.setSettings({ bandHeight: 0 }) &&
+        !teleprompter.setSettings({ guide: 'arrow' }) &&
+        !teleprompter.setSettings({ mirror: 'yes' });
+    return (
+        rejected &&
+        JSON.stringify(teleprompter.getSettings()) === before &&
+        eventBus.count('auto-scroll:teleprompter-changed') === 0
+    );
+});
+
+suite.test('returned settings are copies', () => {
+    const { teleprompter } = createTeleprompter();
+    teleprompter.getSettings().enabled = true;
+    return !teleprompter.isEnabled();
+});
+
+suite.run();
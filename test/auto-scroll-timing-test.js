@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+/**
+ * Auto Scroll Timing Test Suite
+ * Validates that the scroll distance follows elapsed time rather than the display refresh rate
+ */
+
+const { createSuite, loadModule, createEventBus } = require('./test-helpers');
+
+// Animation frames requested by the manager, run by hand with chosen timestamps
+let frames = [];
+
+const window = {
+    scrollX: 0,
+    scrollY: 0,
+    innerWidth: 1200,
+    innerHeight: 800,
+    scrolls: [],
+    scrollBy(x, y) {
+        this.scrolls.push(y);
+        this.scrollY += y;
+    },
+    addEventListener: () => {},
+    removeEventListener: () => {}
+};
+
+const document = {
+    body: { scrollHeight: 100000, offsetHeight: 100000 },
+    documentElement: { clientHeight: 800, scrollHeight: 100000, offsetHeight: 100000 },
+    addEventListener: () => {},
+    removeEventListener: () => {}
+};
+
+const { AutoScrollManager } = loadModule('managers/AutoScrollManager.js', {
+    window,
+    document,
+    requestAnimationFrame: callback => frames.push(callback),
+    cancelAnimationFrame: () => {}
+});
+
+// Constant speed from the first frame, so distances follow the speed directly
+const NO_EASING = { easingStartDuration: 0, easingStopDuration: 0, easingChangeDuration: 0 };
+
+/**
+ * Start scrolling at the given speed (speed × 60 px/s) from the top of a long page
+ */
+function startManager(speed, config = {}) {
+    frames = [];
+    window.scrollY = 0;
+    window.scrolls = [];
+
+    const manager = new AutoScrollManager(createEventBus());
+    manager.setConfig({ speed, pixelsPerSpeedLevel: 60, frameRate: 0, ...NO_EASING, ...config });
+    manager.enable();
+    manager.startAutoScroll();
+    return manager;
+}
+
+/**
+ * Run animation frames at the given timestamps (milliseconds)
+ */
+function runFrames(timestamps) {
+    timestamps.forEach(timestamp => {
+        const frame = frames.shift();
+        if (frame) {
+            frame(timestamp);
+        }
+    });
+}
+
+/**
+ * Timestamps for one second of frames at a refresh rate, after the first frame at 1000 ms
+ */
+function oneSecondAt(hz) {
+    return Array.from({ length: hz + 1 }, (value, index) => 1000 + (index * 1000) / hz);
+}
+
+const suite = createSuite('Auto Scroll Timing Tests');
+
+suite.test('60 Hz and 120 Hz displays scroll the same distance per second', () => {
+    startManager(5);
+    runFrames(oneSecondAt(60));
+    const at60 = window.scrollY;
+
+    startManager(5);
+    runFrames(oneSecondAt(120));
+    const at120 = window.scrollY;
+
+    return Math.abs(at60 - 300) <= 1 && Math.abs(at120 - 300) <= 1;
+});
+
+suite.test('low speeds accumulate fractional pixels instead of losing them', () => {
+    const manager = startManager(1, { pixelsPerSpeedLevel: 10 });
+    runFrames(oneSecondAt(120));
+    return (
+        Math.abs(window.scrollY - 10) <= 1 &&
+        window.scrolls.every(distance => Number.isInteger(distance) && distance >= 1) &&
+        manager.pendingDistance >= 0 &&
+        manager.pendingDistance < 1
+    );
+});
+
+suite.test('a long gap between frames is capped at MAX_FRAME_DELTA', () => {
+    startManager(5);
+    runFrames([1000, 1016, 6016]);
+    // 16 ms at 300 px/s, then the 5 s gap counts as 100 ms
+    return window.scrolls.length === 2 && window.scrolls[1] === 30;
+});
+
+suite.test('frameRate limits how often the page scrolls, not how far', () => {
+    startManager(5, { frameRate: 30 });
+    runFrames(oneSecondAt(120));
+    return Math.abs(window.scrolls.length - 30) <= 1 && Math.abs(window.scrollY - 300) <= 10;
+});
+
+suite.test('the first frame only records the time', () => {
+    startManager(5);
+    runFrames([1000]);
+    return window.scrollY === 0 && frames.length === 1;
+});
+
+suite.test('invalid or zero elapsed times scroll nothing', () => {
+    const manager = startManager(5);
+    manager.stopAutoScroll();
+    return [0, -16, NaN, Infinity, undefined].every(
+        elapsed => manager.calculateScrollDistance(elapsed) === 0
+    );
+});
+
+suite.run();
@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+
+/**
+ * Auto Scroll Watchdog Test Suite
+ * Validates when the watchdog restarts auto scroll and when a stop is final
+ */
+
+const { createSuite, loadModule, createEventBus } = require('./test-helpers');
+
+// ---------------------------------------------------------------------------
+// Minimal page: a 5000px document in a 1000px viewport, animation frames never run
+// ---------------------------------------------------------------------------
+
+const PAGE_HEIGHT = 5000;
+
+function createTarget() {
+    return {
+        listeners: {},
+        addEventListener(type, listener) {
+            this.listeners[type] = listener;
+        },
+        removeEventListener(type) {
+            delete this.listeners[type];
+        }
+    };
+}
+
+const box = { scrollWidth: 1000, offsetWidth: 1000, clientWidth: 1000 };
+
+const document = Object.assign(createTarget(), {
+    hidden: false,
+    visibilityState: 'visible',
+    body: { ...box, scrollHeight: PAGE_HEIGHT, offsetHeight: PAGE_HEIGHT },
+    documentElement: { ...box, clientHeight: 1000, scrollHeight: PAGE_HEIGHT, offsetHeight: 0 },
+    elementFromPoint: () => null,
+    hasFocus: () => true,
+    getSelection: () => ({ isCollapsed: true, toString: () => '' })
+});
+
+const window = Object.assign(createTarget(), {
+    scrollX: 0,
+    scrollY: 0,
+    innerWidth: 1000,
+    innerHeight: 1000,
+    location: { href: 'https://example.com/article' },
+    scrollBy(x, y) {
+        this.scrollX += x;
+        this.scrollY += y;
+    },
+    getComputedStyle: () => ({ overflowX: 'visible', overflowY: 'visible' })
+});
+
+const { AutoScrollManager } = loadModule('managers/AutoScrollManager.js', {
+    window,
+    document,
+    requestAnimationFrame: () => 1,
+    cancelAnimationFrame: () => {}
+});
+
+function createStorage() {
+    const values = {};
+    return {
+        values,
+        getValue: (key, defaultValue) => (key in values ? values[key] : defaultValue),
+        setValue(key, value) {
+            values[key] = value;
+            return true;
+        }
+    };
+}
+
+function createManager(loopMode = 'off') {
+    window.scrollY = 0;
+    const eventBus = createEventBus();
+    const manager = new AutoScrollManager(eventBus, createStorage());
+    manager.setConfig({ watchdog: true });
+    manager.setLoopMode(loopMode);
+    manager.enable();
+    manager.watchdog.stop(); // the tests run the checks directly
+    return { manager, eventBus };
+}
+
+function scrollToEnd() {
+    window.scrollY = PAGE_HEIGHT - window.innerHeight;
+}
+
+const suite = createSuite('Auto Scroll Watchdog Tests');
+
+suite.test('watchdog restarts scrolling after an unexpected stop', () => {
+    const { manager, eventBus } = createManager();
+    manager.startAutoScroll();
+    manager.stopAutoScrollWithReason('error');
+    manager.watchdog.check();
+    return (
+        eventBus.count('auto-scroll:watchdog-restart') === 1 &&
+        manager.isScrolling &&
+        eventBus.emitted.some(
+            ({ event, data }) => event === 'auto-scroll:started' && data.reason === 'watchdog'
+        )
+    );
+});
+
+suite.test('reaching the end is final when loop is off', () => {
+    const { manager, eventBus } = createManager();
+    manager.startAutoScroll();
+    scrollToEnd();
+    manager.handleReachedEnd();
+    for (let i = 0; i < 5; i++) {
+        manager.watchdog.check();
+    }
+    return (
+        !manager.isScrolling &&
+        !manager.watchdog.keepScrolling &&
+        eventBus.count('auto-scroll:watchdog-restart') === 0 &&
+        eventBus.count('auto-scroll:reached-bottom') === 0 &&
+        !manager.watchdog.hasSession()
+    );
+});
+
+suite.test('a restored session at the end of the page is not restarted', () => {
+    const { manager, eventBus } = createManager();
+    scrollToEnd();
+    manager.watchdog.keepScrolling = true;
+    manager.watchdog.check();
+    manager.watchdog.check();
+    return (
+        !manager.watchdog.keepScrolling &&
+        eventBus.count('auto-scroll:watchdog-restart') === 0 &&
+        eventBus.count('auto-scroll:started') === 0
+    );
+});
+
+suite.test('watchdog jumps back to the start when loop is on', () => {
+    const { manager, eventBus } = createManager('restart');
+    scrollToEnd();
+    manager.watchdog.keepScrolling = true;
+    manager.watchdog.check();
+    return (
+        eventBus.count('auto-scroll:watchdog-restart') === 1 &&
+        manager.isScrolling &&
+        window.scrollY === 0
+    );
+});
+
+suite.test('boundary stops are final only when loop is off', () => {
+    const off = createManager().manager;
+    const looping = createManager('ping-pong').manager;
+    return (
+        off.watchdog.isFinalStopReason('reached-end') &&
+        !looping.watchdog.isFinalStopReason('reached-end') &&
+        looping.watchdog.isFinalStopReason('manual') &&
+        !off.watchdog.isFinalStopReason('stuck')
+    );
+});
+
+suite.run();
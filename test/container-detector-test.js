@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+
+/**
+ * Container Detector Test Suite
+ * Validates which elements are registered as scroll containers and how they are kept up to date
+ */
+
+const { createSuite, loadModule, createEventBus } = require('./test-helpers');
+
+class Element {
+    constructor(options = {}) {
+        this.attributes = new Map();
+        this.children = [];
+        this.isConnected = true;
+        this.ownUi = !!options.ownUi;
+        this.scrollHeight = options.scrollHeight || 100;
+        this.clientHeight = options.clientHeight || 100;
+        this.scrollWidth = options.scrollWidth || 100;
+        this.clientWidth = options.clientWidth || 100;
+        this.computedStyle = {
+            overflowX: options.overflowX || 'visible',
+            overflowY: options.overflowY || 'visible'
+        };
+    }
+
+    closest() {
+        return this.ownUi ? this : null;
+    }
+
+    querySelectorAll() {
+        return this.children.flatMap(child => [child, ...child.querySelectorAll()]);
+    }
+
+    setAttribute(name, value) {
+        this.attributes.set(name, value);
+    }
+
+    removeAttribute(name) {
+        this.attributes.delete(name);
+    }
+
+    hasAttribute(name) {
+        return this.attributes.has(name);
+    }
+}
+
+const document = {
+    documentElement: new Element(),
+    body: new Element()
+};
+
+const window = {
+    getComputedStyle: element => element.computedStyle
+};
+
+class MutationObserver {
+    constructor(callback) {
+        this.callback = callback;
+        this.target = null;
+    }
+
+    observe(target) {
+        this.target = target;
+    }
+
+    disconnect() {
+        this.target = null;
+    }
+}
+
+const { ContainerDetector } = loadModule('detectors/ContainerDetector.js', {
+    document,
+    window,
+    Element,
+    MutationObserver
+});
+
+const CONTAINER_ATTRIBUTE = 'data-scrollbar-container';
+
+function scrollable(options = {}) {
+    return new Element({ scrollHeight: 500, overflowY: 'auto', ...options });
+}
+
+function setPage(...children) {
+    document.body.children = children;
+}
+
+function createDetector() {
+    const eventBus = createEventBus();
+    return { detector: new ContainerDetector(eventBus), eventBus };
+}
+
+const suite = createSuite('Container Detector Tests');
+
+suite.test('overflowing auto and scroll elements are registered and marked', () => {
+    const vertical = scrollable();
+    const horizontal = new Element({ scrollWidth: 900, overflowX: 'scroll' });
+    const nested = scrollable({ overflowY: 'overlay' });
+    vertical.children = [nested];
+    setPage(vertical, horizontal);
+
+    const { detector, eventBus } = createDetector();
+    const containers = detector.scan();
+    return (
+        containers.length === 3 &&
+        [vertical, horizontal, nested].every(
+            element => detector.isContainer(element) && element.hasAttribute(CONTAINER_ATTRIBUTE)
+        ) &&
+        eventBus.count('container-detector:added') === 3
+    );
+});
+
+suite.test('elements that do not scroll their overflow are skipped', () => {
+    const visibleOverflow = new Element({ scrollHeight: 500 });
+    const hidden = new Element({ scrollHeight: 500, overflowY: 'hidden' });
+    const notOverflowing = new Element({ overflowY: 'auto' });
+    const wrongAxis = new Element({ scrollWidth: 900, overflowY: 'auto' });
+    setPage(visibleOverflow, hidden, notOverflowing, wrongAxis);
+
+    const { detector } = createDetector();
+    return detector.scan().length === 0;
+});
+
+suite.test("the page itself and the script's own UI are never containers", () => {
+    const ownPanel = scrollable({ ownUi: true });
+    setPage(ownPanel);
+
+    const { detector } = createDetector();
+    return (
+        detector.scan().length === 0 &&
+        !detector.isScrollContainer(document.documentElement) &&
+        !detector.isScrollContainer(document.body)
+    );
+});
+
+suite.test('a rescan drops containers that stopped scrolling or left the page', () => {
+    const shrinking = scrollable();
+    const removed = scrollable();
+    const staying = scrollable();
+    setPage(shrinking, removed, staying);
+
+    const { detector, eventBus } = createDetector();
+    detector.scan();
+    shrinking.scrollHeight = 100;
+    removed.isConnected = false;
+    setPage(shrinking, staying);
+    detector.scan();
+    return (
+        detector.getContainers().join() === [staying].join() &&
+        detector.isContainer(staying) &&
+        !shrinking.hasAttribute(CONTAINER_ATTRIBUTE) &&
+        !removed.hasAttribute(CONTAINER_ATTRIBUTE) &&
+        eventBus.count('container-detector:removed') === 2
+    );
+});
+
+suite.test('stopping detection disconnects the observer and removes every mark', () => {
+    const container = scrollable();
+    setPage(container);
+
+    const { detector } = createDetector();
+    detector.startDetection();
+    const observer = detector.observer;
+    const observed = observer.target === document.body && detector.isActive();
+    detector.stopDetection();
+    return (
+        observed &&
+        observer.target === null &&
+        !detector.isActive() &&
+        detector.getContainers().length === 0 &&
+        !container.hasAttribute(CONTAINER_ATTRIBUTE)
+    );
+});
+
+suite.test("DOM changes schedule a rescan unless they only touch the script's own UI", () => {
+    setPage();
+    const { detector } = createDetector();
+    let scheduled = 0;
+    detector.scheduleRescan = () => scheduled++;
+    detector.startDetection();
+
+    const ownUi = new Element({ ownUi: true });
+    detector.observer.callback([{ type: 'attributes', target: ownUi, addedNodes: [] }]);
+    const ignored = scheduled === 0;
+
+    const page = new Element();
+    detector.observer.callback([{ type: 'childList', target: page, addedNodes: [] }]);
+    detector.stopDetection();
+    return ignored && scheduled === 1;
+});
+
+suite.run();
@@ -0,0 +1,329 @@
+#!/usr/bin/env node
+
+/**
+ * Editable Context Test Suite
+ * Validates src/utils/editableContext.js against DOM fixtures of common editors
+ * (form controls, contenteditable, CodeMirror, Monaco, ARIA textboxes, shadow DOM, iframes)
+ */
+
+const { createSuite, loadModule } = require('./test-helpers');
+
+const { EditableContext } = loadModule('utils/editableContext.js');
+
+// ---------------------------------------------------------------------------
+// Minimal DOM fixtures: only the properties the detection reads
+// ---------------------------------------------------------------------------
+
+function createDocument(options = {}) {
+    return { nodeType: 9, parentNode: null, designMode: options.designMode || 'off' };
+}
+
+function createElement(doc, tagName, attributes = {}, children = []) {
+    const element = {
+        nodeType: 1,
+        tagName: tagName.toUpperCase(),
+        ownerDocument: doc,
+        parentNode: null,
+        parentElement: null,
+        attributes: { ...attributes },
+        getAttribute(name) {
+            return Object.prototype.hasOwnProperty.call(this.attributes, name)
+                ? this.attributes[name]
+                : null;
+        }
+    };
+
+    children.forEach(child => appendChild(element, child));
+    return element;
+}
+
+function appendChild(parent, child) {
+    child.parentNode = parent;
+    child.parentElement = parent.nodeType === 1 ? parent : null;
+    return child;
+}
+
+function createText(parent) {
+    return appendChild(parent, { nodeType: 3, parentNode: null, parentElement: null });
+}
+
+function attachShadow(host, children = []) {
+    const shadowRoot = { nodeType: 11, parentNode: null, host };
+    children.forEach(child => {
+        child.parentNode = shadowRoot;
+        child.parentElement = null;
+    });
+    host.shadowRoot = shadowRoot;
+    return shadowRoot;
+}
+
+/**
+ * Build the composed path the browser would report for a target
+ */
+function buildComposedPath(target) {
+    const nodes = [];
+    let node = target;
+    while (node) {
+        nodes.push(node);
+        node = node.parentNode || (node.nodeType === 11 ? node.host : null);
+    }
+    return nodes;
+}
+
+/**
+ * Create a keydown-like event
+ * @param {Object} target - Event target as seen by the listener (retargeted for shadow DOM)
+ * @param {Object} options - { realTarget, composedPath: false, isComposing, keyCode }
+ */
+function createEvent(target, options = {}) {
+    const event = {
+        type: 'keydown',
+        target,
+        isComposing: !!options.isComposing,
+        keyCode: options.keyCode || 0
+    };
+
+    if (options.composedPath !== false) {
+        const pathTarget = options.realTarget || target;
+        event.composedPath = () => buildComposedPath(pathTarget);
+    }
+
+    return event;
+}
+
+function createPage(options = {}) {
+    const doc = createDocument(options);
+    const html = appendChild(doc, createElement(doc, 'html'));
+    const body = appendChild(html, createElement(doc, 'body', options.bodyAttributes || {}));
+    return { doc, html, body };
+}
+
+const isEditable = (target, options) =>
+    EditableContext.isEditableEvent(createEvent(target, options));
+
+const suite = createSuite('Editable Context Tests');
+
+// Plain page content
+suite.test('Plain page content is not editable', () => {
+    const { doc, body } = createPage();
+    const paragraph = appendChild(body, createElement(doc, 'p'));
+    const button = appendChild(body, createElement(doc, 'button'));
+    return !isEditable(body) && !isEditable(paragraph) && !isEditable(button);
+});
+
+// Form controls
+suite.test('Input, textarea and select are editable', () => {
+    const { doc, body } = createPage();
+    return ['input', 'textarea', 'select'].every(tag =>
+        isEditable(appendChild(body, createElement(doc, tag)))
+    );
+});
+
+// contenteditable
+suite.test('contenteditable element and its descendants are editable', () => {
+    const { doc, body } = createPage();
+    const strong = createElement(doc, 'strong');
+    const paragraph = createElement(doc, 'p', {}, [strong]);
+    const editor = appendChild(
+        body,
+        createElement(doc, 'div', { contenteditable: '' }, [paragraph])
+    );
+    const text = createText(strong);
+    return isEditable(editor) && isEditable(strong) && isEditable(text);
+});
+
+suite.test('contenteditable="plaintext-only" and "TRUE" are editable', () => {
+    const { doc, body } = createPage();
+    const plain = appendChild(
+        body,
+        createElement(doc, 'div', { contenteditable: 'plaintext-only' })
+    );
+    const upper = appendChild(body, createElement(doc, 'div', { contenteditable: 'TRUE' }));
+    return isEditable(plain) && isEditable(upper);
+});
+
+suite.test('contenteditable="false" island inside an editor is not editable', () => {
+    const { doc, body } = createPage();
+    const widgetButton = createElement(doc, 'span');
+    const widget = createElement(doc, 'div', { contenteditable: 'false' }, [widgetButton]);
+    appendChild(body, createElement(doc, 'div', { contenteditable: 'true' }, [widget]));
+    return !isEditable(widget) && !isEditable(widgetButton);
+});
+
+suite.test('Invalid contenteditable value inherits from the ancestor', () => {
+    const { doc, body } = createPage();
+    const inner = createElement(doc, 'span', { contenteditable: 'inherit' });
+    appendChild(body, createElement(doc, 'div', { contenteditable: 'true' }, [inner]));
+    return isEditable(inner);
+});
+
+suite.test('Native isContentEditable takes precedence over attributes', () => {
+    const { doc, body } = createPage();
+    const element = appendChild(body, createElement(doc, 'div', { contenteditable: 'true' }));
+    element.isContentEditable = false;
+    const inherited = appendChild(body, createElement(doc, 'div'));
+    inherited.isContentEditable = true;
+    return !isEditable(element) && isEditable(inherited);
+});
+
+// Code editors
+suite.test('CodeMirror 6 content (contenteditable + role=textbox) is editable', () => {
+    const { doc, body } = createPage();
+    const line = createElement(doc, 'div', { class: 'cm-line' });
+    const content = createElement(
+        doc,
+        'div',
+        { class: 'cm-content', contenteditable: 'true', role: 'textbox' },
+        [line]
+    );
+    const scroller = createElement(doc, 'div', { class: 'cm-scroller' }, [content]);
+    const gutter = createElement(doc, 'div', { class: 'cm-gutters' });
+    appendChild(body, createElement(doc, 'div', { class: 'cm-editor' }, [gutter, scroller]));
+    return isEditable(line) && isEditable(createText(line)) && !isEditable(gutter);
+});
+
+suite.test('CodeMirror 5 hidden textarea is editable', () => {
+    const { doc, body } = createPage();
+    const textarea = createElement(doc, 'textarea', { tabindex: '0' });
+    const wrapper = createElement(doc, 'div', {}, [textarea]);
+    appendChild(body, createElement(doc, 'div', { class: 'CodeMirror' }, [wrapper]));
+    return isEditable(textarea);
+});
+
+suite.test('Monaco input area is editable, its view lines are not', () => {
+    const { doc, body } = createPage();
+    const inputArea = createElement(doc, 'textarea', {
+        class: 'inputarea',
+        role: 'textbox'
+    });
+    const viewLines = createElement(doc, 'div', { class: 'view-lines' });
+    appendChild(
+        body,
+        createElement(doc, 'div', { class: 'monaco-editor' }, [inputArea, viewLines])
+    );
+    return isEditable(inputArea) && !isEditable(viewLines);
+});
+
+// ARIA roles
+suite.test('ARIA textbox, searchbox, combobox and spinbutton are editable', () => {
+    const { doc, body } = createPage();
+    return ['textbox', 'searchbox', 'combobox', 'spinbutton', ' TextBox '].every(role =>
+        isEditable(appendChild(body, createElement(doc, 'div', { role })))
+    );
+});
+
+suite.test('Descendants of an ARIA textbox are editable', () => {
+    const { doc, body } = createPage();
+    const span = createElement(doc, 'span');
+    appendChild(body, createElement(doc, 'div', { role: 'textbox' }, [span]));
+    return isEditable(span);
+});
+
+suite.test('Other ARIA roles are not editable', () => {
+    const { doc, body } = createPage();
+    const button = appendChild(body, createElement(doc, 'div', { role: 'button' }));
+    const listbox = appendChild(body, createElement(doc, 'div', { role: 'listbox' }));
+    return !isEditable(button) && !isEditable(listbox);
+});
+
+// Shadow DOM
+suite.test('Input inside an open shadow root is found through composedPath()', () => {
+    const { doc, body } = createPage();
+    const host = appendChild(body, createElement(doc, 'search-box'));
+    const input = createElement(doc, 'input');
+    attachShadow(host, [createElement(doc, 'div', {}, [input])]);
+    // The listener on document sees the event retargeted to the host
+    return isEditable(host, { realTarget: input }) && !isEditable(host);
+});
+
+suite.test('contenteditable inside a shadow root is editable', () => {
+    const { doc, body } = createPage();
+    const host = appendChild(body, createElement(doc, 'rich-editor'));
+    const paragraph = createElement(doc, 'p');
+    const editor = createElement(doc, 'div', { contenteditable: 'true' }, [paragraph]);
+    attachShadow(host, [editor]);
+    return isEditable(host, { realTarget: paragraph });
+});
+
+suite.test('Nested shadow roots are traversed without composedPath()', () => {
+    const { doc, body } = createPage();
+    const outerHost = appendChild(body, createElement(doc, 'app-shell'));
+    const innerHost = createElement(doc, 'text-field');
+    attachShadow(outerHost, [innerHost]);
+    const input = createElement(doc, 'input');
+    attachShadow(innerHost, [input]);
+    const event = createEvent(input, { composedPath: false });
+    const elements = EditableContext.getEventPath(event);
+    return (
+        EditableContext.isEditableEvent(event) &&
+        elements[0] === input &&
+        elements.includes(innerHost) &&
+        elements.includes(outerHost) &&
+        elements.includes(body)
+    );
+});
+
+suite.test('Textbox role on a shadow host covers its internals', () => {
+    const { doc, body } = createPage();
+    const host = appendChild(body, createElement(doc, 'x-editor', { role: 'textbox' }));
+    const line = createElement(doc, 'div');
+    attachShadow(host, [line]);
+    return isEditable(host, { realTarget: line });
+});
+
+suite.test('Non-editable content inside a shadow root is not editable', () => {
+    const { doc, body } = createPage();
+    const host = appendChild(body, createElement(doc, 'video-player'));
+    const button = createElement(doc, 'button');
+    attachShadow(host, [button]);
+    return !isEditable(host, { realTarget: button });
+});
+
+// iframes
+suite.test('Document in designMode (iframe rich text editor) is editable', () => {
+    const frame = createPage({ designMode: 'on' });
+    const paragraph = appendChild(frame.body, createElement(frame.doc, 'p'));
+    return isEditable(frame.body) && isEditable(paragraph);
+});
+
+suite.test('Editable iframe body (contenteditable body) is editable', () => {
+    const frame = createPage({ bodyAttributes: { contenteditable: 'true' } });
+    const paragraph = appendChild(frame.body, createElement(frame.doc, 'p'));
+    return isEditable(paragraph);
+});
+
+suite.test('iframe element itself in the parent page is not editable', () => {
+    const { doc, body } = createPage();
+    const iframe = appendChild(body, createElement(doc, 'iframe'));
+    return !isEditable(iframe);
+});
+
+// Composition and edge cases
+suite.test('IME composition is detected by isComposing and keyCode 229', () => {
+    const { body } = createPage();
+    return (
+        EditableContext.isComposing(createEvent(body, { isComposing: true })) &&
+        EditableContext.isComposing(createEvent(body, { keyCode: 229 })) &&
+        !EditableContext.isComposing(createEvent(body, { keyCode: 32 }))
+    );
+});
+
+suite.test('Empty composedPath() falls back to the target', () => {
+    const { doc, body } = createPage();
+    const input = appendChild(body, createElement(doc, 'input'));
+    const event = createEvent(input);
+    event.composedPath = () => [];
+    return EditableContext.isEditableEvent(event);
+});
+
+suite.test('Missing or detached targets are not editable', () => {
+    const { doc } = createPage();
+    const detached = createElement(doc, 'div');
+    return (
+        !EditableContext.isEditableEvent(null) &&
+        !EditableContext.isEditableEvent({ target: null }) &&
+        !isEditable(detached, { composedPath: false })
+    );
+});
+
+suite.run();
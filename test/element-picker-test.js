@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+
+/**
+ * Element Picker Test Suite
+ * Validates highlighting, picking and cancelling when choosing the element to auto-scroll
+ */
+
+const { createSuite, loadModule, createEventBus } = require('./test-helpers');
+
+function createStyle() {
+    const properties = new Map();
+    return {
+        cssText: '',
+        properties,
+        setProperty: (name, value) => properties.set(name, value),
+        removeProperty: name => properties.delete(name),
+        getPropertyValue: name => properties.get(name) || ''
+    };
+}
+
+class Element {
+    constructor(options = {}) {
+        this.ownUi = !!options.ownUi;
+        this.rect = options.rect || { top: 10, left: 20, width: 300, height: 200 };
+        this.style = createStyle();
+        this.parentNode = null;
+    }
+
+    closest() {
+        return this.ownUi ? this : null;
+    }
+
+    getBoundingClientRect() {
+        return this.rect;
+    }
+
+    appendChild(element) {
+        element.parentNode = this;
+    }
+
+    removeChild(element) {
+        element.parentNode = null;
+    }
+}
+
+const listeners = new Map();
+
+const window = {
+    addEventListener: (type, handler) => listeners.set(type, handler),
+    removeEventListener: type => listeners.delete(type)
+};
+
+// Whether the teleprompter currently mirrors the page
+let mirrored = false;
+
+const document = {
+    body: new Element(),
+    documentElement: Object.assign(new Element(), { clientWidth: 1000 }),
+    createElement: () => new Element(),
+    getElementById: id =>
+        mirrored && id === 'scrollbar-teleprompter-mirror' ? new Element() : null
+};
+
+const { ElementPicker } = loadModule('ui/ElementPicker.js', { window, document, Element });
+
+function createPicker() {
+    const eventBus = createEventBus();
+    const picker = new ElementPicker(eventBus);
+    picker.start();
+    return { picker, eventBus };
+}
+
+function mouseEvent(target) {
+    return {
+        target,
+        defaultPrevented: false,
+        propagationStopped: false,
+        preventDefault() {
+            this.defaultPrevented = true;
+        },
+        stopPropagation() {
+            this.propagationStopped = true;
+        }
+    };
+}
+
+const suite = createSuite('Element Picker Tests');
+
+suite.test('starting adds the highlight, the capture listeners and the crosshair cursor', () => {
+    const { picker, eventBus } = createPicker();
+    const started =
+        picker.isActive() &&
+        picker.highlight.parentNode === document.body &&
+        ['mousemove', 'click', 'keydown'].every(type => listeners.has(type)) &&
+        document.documentElement.style.getPropertyValue('cursor') === 'crosshair' &&
+        eventBus.count('ui:element-pick-started') === 1;
+    picker.stop();
+    return started;
+});
+
+suite.test('the highlight follows the element under the pointer', () => {
+    const { picker } = createPicker();
+    const element = new Element({ rect: { top: 40, left: 50, width: 120, height: 80 } });
+    picker.handleMouseMove(mouseEvent(element));
+    const style = picker.highlight.style;
+    const placed =
+        style.getPropertyValue('display') === 'block' &&
+        style.getPropertyValue('top') === '40px' &&
+        style.getPropertyValue('left') === '50px' &&
+        style.getPropertyValue('width') === '120px' &&
+        style.getPropertyValue('height') === '80px';
+    picker.handleMouseMove(mouseEvent(new Element({ ownUi: true })));
+    const hiddenOverOwnUi = style.getPropertyValue('display') === 'none';
+    picker.stop();
+    return placed && hiddenOverOwnUi;
+});
+
+suite.test('the highlight is placed at the unmirrored position on a mirrored page', () => {
+    const { picker } = createPicker();
+    const element = new Element({
+        rect: { top: 40, left: 50, right: 170, width: 120, height: 80 }
+    });
+    mirrored = true;
+    picker.handleMouseMove(mouseEvent(element));
+    mirrored = false;
+    const left = picker.highlight.style.getPropertyValue('left');
+    picker.stop();
+    return left === '830px';
+});
+
+suite.test('clicking an element picks it without triggering the page', () => {
+    const { picker, eventBus } = createPicker();
+    const highlight = picker.highlight;
+    const element = new Element();
+    const click = mouseEvent(element);
+    picker.handleClick(click);
+    const picked = eventBus.emitted.find(item => item.event === 'ui:scroll-target-picked');
+    return (
+        picked.data.element === element &&
+        click.defaultPrevented &&
+        click.propagationStopped &&
+        !picker.isActive() &&
+        highlight.parentNode === null &&
+        listeners.size === 0 &&
+        document.documentElement.style.getPropertyValue('cursor') === ''
+    );
+});
+
+suite.test("clicking the script's own UI cancels instead of picking it", () => {
+    const { picker, eventBus } = createPicker();
+    picker.handleClick(mouseEvent(new Element({ ownUi: true })));
+    return (
+        eventBus.count('ui:element-pick-cancelled') === 1 &&
+        eventBus.count('ui:scroll-target-picked') === 0 &&
+        !picker.isActive()
+    );
+});
+
+suite.test('Escape cancels and other keys are left to the page', () => {
+    const { picker, eventBus } = createPicker();
+    const other = { key: 'a', ...mouseEvent() };
+    picker.handleKeyDown(other);
+    const stillPicking = picker.isActive() && !other.defaultPrevented;
+    picker.handleKeyDown({ key: 'Escape', ...mouseEvent() });
+    return (
+        stillPicking &&
+        !picker.isActive() &&
+        eventBus.count('ui:element-pick-cancelled') === 1 &&
+        listeners.size === 0
+    );
+});
+
+suite.run();
@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+
+/**
+ * Infinite Scroll Test Suite
+ * Validates that infinite mode waits at the end of the page for lazy-loaded content
+ */
+
+const { createSuite, loadModule, createEventBus } = require('./test-helpers');
+
+// Animation frames requested by the manager, run by hand with chosen timestamps
+let frames = [];
+
+// Timers started by the manager, fired by hand
+let timers = [];
+
+// A page whose height grows when new content is appended
+const page = { scrollHeight: 2000 };
+
+const window = {
+    scrollX: 0,
+    scrollY: 0,
+    innerWidth: 1000,
+    innerHeight: 800,
+    scrollBy(x, y) {
+        this.scrollY = Math.min(this.scrollY + y, page.scrollHeight - this.innerHeight);
+    },
+    addEventListener: () => {},
+    removeEventListener: () => {}
+};
+
+const document = {
+    body: {
+        scrollWidth: 1000,
+        offsetWidth: 1000,
+        get scrollHeight() {
+            return page.scrollHeight;
+        },
+        offsetHeight: 0
+    },
+    documentElement: {
+        clientWidth: 1000,
+        clientHeight: 800,
+        scrollWidth: 1000,
+        scrollHeight: 0,
+        offsetWidth: 1000,
+        offsetHeight: 0
+    },
+    addEventListener: () => {},
+    removeEventListener: () => {}
+};
+
+class MutationObserver {
+    constructor(callback) {
+        this.callback = callback;
+        this.target = null;
+        MutationObserver.instances.push(this);
+    }
+
+    observe(target) {
+        this.target = target;
+    }
+
+    disconnect() {
+        this.target = null;
+    }
+}
+MutationObserver.instances = [];
+
+const { AutoScrollManager } = loadModule('managers/AutoScrollManager.js', {
+    window,
+    document,
+    MutationObserver,
+    requestAnimationFrame: callback => frames.push(callback),
+    cancelAnimationFrame: () => {},
+    setTimeout: (callback, delay) => {
+        const timer = { callback, delay, cleared: false };
+        timers.push(timer);
+        return timer;
+    },
+    clearTimeout: timer => {
+        timer.cleared = true;
+    }
+});
+
+// Constant speed from the first frame, so distances follow the speed directly
+const NO_EASING = { easingStartDuration: 0, easingStopDuration: 0, easingChangeDuration: 0 };
+
+/**
+ * Start scrolling at 300 px/s 20 px above the end of the page and run until it stops moving
+ */
+function scrollToEnd(infinite = true) {
+    frames = [];
+    timers = [];
+    MutationObserver.instances = [];
+    page.scrollHeight = 2000;
+    window.scrollY = 1180;
+
+    const eventBus = createEventBus();
+    const manager = new AutoScrollManager(eventBus);
+    manager.setConfig({ speed: 5, pixelsPerSpeedLevel: 60, frameRate: 0, ...NO_EASING });
+    manager.setInfiniteMode(infinite);
+    manager.enable();
+    manager.startAutoScroll();
+    runFrames(3);
+    return { manager, eventBus, observer: MutationObserver.instances[0] };
+}
+
+/**
+ * Run up to the given number of animation frames, 100 ms apart
+ */
+function runFrames(count) {
+    for (let index = 0; index < count && frames.length > 0; index++) {
+        frames.shift()(1000 + index * 100);
+    }
+}
+
+function stopReason(eventBus) {
+    const stopped = eventBus.emitted.find(item => item.event === 'auto-scroll:stopped');
+    return stopped && stopped.data.reason;
+}
+
+const suite = createSuite('Infinite Scroll Tests');
+
+suite.test('without infinite mode scrolling stops at the end of the page', () => {
+    const { manager, eventBus } = scrollToEnd(false);
+    return (
+        !manager.isScrolling &&
+        stopReason(eventBus) === 'reached-end' &&
+        eventBus.count('auto-scroll:waiting-for-content') === 0
+    );
+});
+
+suite.test('infinite mode keeps scrolling paused and watches the page at the end', () => {
+    const { manager, eventBus, observer } = scrollToEnd();
+    const waiting = eventBus.emitted.find(item => item.event === 'auto-scroll:waiting-for-content');
+    return (
+        manager.isScrolling &&
+        manager.getStatus().waitingForContent &&
+        window.scrollY === 1200 &&
+        frames.length === 0 &&
+        observer.target === document.body &&
+        waiting.data.timeout === manager.contentWaitTimeout &&
+        timers.length === 1 &&
+        timers[0].delay === manager.contentWaitTimeout
+    );
+});
+
+suite.test('DOM changes that do not extend the page keep waiting', () => {
+    const { manager, eventBus, observer } = scrollToEnd();
+    observer.callback([]);
+    return (
+        manager.isWaitingForContent &&
+        frames.length === 0 &&
+        eventBus.count('auto-scroll:content-loaded') === 0
+    );
+});
+
+suite.test('new content resumes scrolling where it left off', () => {
+    const { manager, eventBus, observer } = scrollToEnd();
+    page.scrollHeight = 3000;
+    observer.callback([]);
+    const resumed =
+        !manager.isWaitingForContent &&
+        observer.target === null &&
+        timers[0].cleared &&
+        eventBus.count('auto-scroll:content-loaded') === 1;
+    runFrames(2);
+    return resumed && window.scrollY === 1230 && manager.isScrolling;
+});
+
+suite.test('scrolling stops when no content arrives before the timeout', () => {
+    const { manager, eventBus, observer } = scrollToEnd();
+    timers[0].callback();
+    return (
+        !manager.isScrolling &&
+        !manager.isWaitingForContent &&
+        observer.target === null &&
+        stopReason(eventBus) === 'content-timeout'
+    );
+});
+
+suite.test('stopping or leaving infinite mode ends the wait', () => {
+    const stopped = scrollToEnd();
+    stopped.manager.stopAutoScroll();
+    const manualStop =
+        !stopped.manager.isWaitingForContent &&
+        stopped.observer.target === null &&
+        timers[0].cleared;
+
+    const { manager, eventBus } = scrollToEnd();
+    manager.setInfiniteMode(false);
+    return (
+        manualStop &&
+        !manager.isScrolling &&
+        stopReason(eventBus) === 'reached-end' &&
+        eventBus.count('auto-scroll:infinite-mode-changed') === 2
+    );
+});
+
+suite.test('invalid wait timeouts are ignored', () => {
+    const { manager } = scrollToEnd();
+    const timeout = manager.contentWaitTimeout;
+    manager.setConfig({ contentWaitTimeout: 0 });
+    manager.setConfig({ contentWaitTimeout: -1000 });
+    manager.setConfig({ contentWaitTimeout: '5000' });
+    manager.stopAutoScroll();
+    return manager.contentWaitTimeout === timeout;
+});
+
+suite.run();
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+/**
+ * Keyboard Conflicts Test Suite
+ * Validates detecting shortcuts the page also handles, and keeping them per site until rebound
+ */
+
+const { createSuite, loadModule, createEventBus } = require('./test-helpers');
+
+const window = {
+    location: { hostname: 'example.com' },
+    addEventListener: () => {},
+    removeEventListener: () => {}
+};
+
+const { KeyboardHandler } = loadModule('managers/KeyboardHandler.js', {
+    window,
+    document: { body: {}, addEventListener: () => {}, removeEventListener: () => {} },
+    navigator: { platform: 'Win32' }
+});
+
+const CONFLICTS_KEY = 'scrollbar-controller:shortcut-conflicts';
+
+function createStorage(initial = {}) {
+    const values = { ...initial };
+    return {
+        values,
+        getValue(key, defaultValue) {
+            return Object.prototype.hasOwnProperty.call(values, key)
+                ? JSON.parse(JSON.stringify(values[key]))
+                : defaultValue;
+        },
+        setValue(key, value) {
+            values[key] = JSON.parse(JSON.stringify(value));
+            return true;
+        }
+    };
+}
+
+function createHandler(storage = createStorage()) {
+    const eventBus = createEventBus();
+    const handler = new KeyboardHandler(eventBus, null, storage);
+    handler.setBindings({ stop: 'Space', 'cycle-mode': 'Ctrl+Shift+S' });
+    handler.enable();
+    eventBus.emitted.length = 0;
+    return { handler, eventBus, storage };
+}
+
+/**
+ * A keydown the page has already handled, optionally typed into the given element
+ */
+function pagePrevented(code, key, target = null) {
+    return {
+        code,
+        key,
+        target,
+        ctrlKey: false,
+        altKey: false,
+        shiftKey: false,
+        metaKey: false,
+        defaultPrevented: true,
+        preventDefault() {},
+        stopPropagation() {}
+    };
+}
+
+function storedConflicts(storage, hostname = 'example.com') {
+    const stored = storage.values[CONFLICTS_KEY] || {};
+    return stored[hostname] || null;
+}
+
+const suite = createSuite('Keyboard Conflicts Tests');
+
+suite.test('a shortcut the page handled first is recorded as page-first', () => {
+    const { handler, eventBus, storage } = createHandler();
+    handler.handleBindingKey(pagePrevented('Space', ' '));
+    const [conflict] = handler.getConflicts();
+    return (
+        conflict.action === 'stop' &&
+        conflict.binding === 'Space' &&
+        conflict.type === 'page-first' &&
+        conflict.hostname === 'example.com' &&
+        eventBus.count('keyboard-handler:conflicts-changed') === 1 &&
+        storedConflicts(storage).stop.type === 'page-first'
+    );
+});
+
+suite.test('a key the page blocks after it bubbles up is recorded as page-prevented', () => {
+    const { handler, storage } = createHandler();
+    handler.handleConflictCheck(pagePrevented('Space', ' '));
+    const [conflict] = handler.getConflicts();
+    return (
+        conflict.action === 'stop' &&
+        conflict.type === 'page-prevented' &&
+        storedConflicts(storage).stop.type === 'page-prevented'
+    );
+});
+
+suite.test('the same keydown is only counted once', () => {
+    const { handler, eventBus } = createHandler();
+    const event = pagePrevented('Space', ' ');
+    handler.handleBindingKey(event);
+    handler.handleConflictCheck(event);
+    handler.handleConflictCheck(pagePrevented('Space', ' '));
+    const [conflict] = handler.getConflicts();
+    return (
+        eventBus.count('keyboard-handler:conflict-detected') === 2 &&
+        conflict.count === 2 &&
+        conflict.type === 'page-prevented'
+    );
+});
+
+suite.test('keys typed into editable fields are not conflicts', () => {
+    const { handler } = createHandler();
+    const input = { nodeType: 1, tagName: 'INPUT', parentNode: null };
+    handler.handleConflictCheck(pagePrevented('Space', ' ', input));
+    return handler.getConflicts().length === 0;
+});
+
+suite.test('recorded conflicts are restored on the same site only', () => {
+    const { handler, storage } = createHandler();
+    handler.handleConflictCheck(pagePrevented('Space', ' '));
+    handler.cleanup();
+
+    const restored = createHandler(storage).handler.loadConflicts();
+    window.location.hostname = 'other.example';
+    const elsewhere = createHandler(storage).handler.loadConflicts();
+    window.location.hostname = 'example.com';
+
+    return restored.length === 1 && restored[0].action === 'stop' && elsewhere.length === 0;
+});
+
+suite.test('turning detection off keeps the recorded conflicts', () => {
+    const { handler, storage } = createHandler();
+    handler.setBinding('cycle-mode', 'S');
+    handler.handleConflictCheck(pagePrevented('Space', ' '));
+    handler.setConflictDetection(false);
+    handler.handleConflictCheck(pagePrevented('KeyS', 'S'));
+    return handler.getConflicts().length === 1 && storedConflicts(storage).stop !== undefined;
+});
+
+suite.test('rebinding or disabling a shortcut clears its conflict', () => {
+    const { handler, storage } = createHandler();
+    handler.setBinding('cycle-mode', 'S');
+    handler.handleConflictCheck(pagePrevented('Space', ' '));
+    handler.handleConflictCheck(pagePrevented('KeyS', 'S'));
+    const recorded = handler.getConflicts().length === 2;
+
+    handler.setBinding('stop', 'Escape');
+    const rebound = handler.getConflicts().map(conflict => conflict.action);
+    handler.setBinding('cycle-mode', '');
+
+    return (
+        recorded &&
+        rebound.join() === 'cycle-mode' &&
+        handler.getConflicts().length === 0 &&
+        storedConflicts(storage) === null
+    );
+});
+
+suite.run();
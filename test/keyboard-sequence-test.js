@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+/**
+ * Keyboard Sequence Test Suite
+ * Validates matching of multi-key shortcut sequences in KeyboardHandler
+ */
+
+const { createSuite, loadModule, createEventBus } = require('./test-helpers');
+
+const { KeyboardHandler } = loadModule('managers/KeyboardHandler.js', {
+    window: { location: { hostname: 'example.com' } },
+    document: { body: {} },
+    navigator: { platform: 'Win32' }
+});
+
+const NO_BINDINGS = {
+    toggle: '',
+    start: '',
+    'start-up': '',
+    'start-left': '',
+    'start-right': '',
+    stop: '',
+    faster: '',
+    slower: '',
+    'cycle-mode': '',
+    'toggle-panel': ''
+};
+
+function createHandler(bindings) {
+    const eventBus = createEventBus();
+    const handler = new KeyboardHandler(eventBus);
+    handler.setBindings({ ...NO_BINDINGS, ...bindings });
+    eventBus.emitted.length = 0;
+    return { handler, eventBus };
+}
+
+function press(handler, code, key, modifiers = {}) {
+    const event = {
+        code,
+        key,
+        ctrlKey: !!modifiers.ctrl,
+        altKey: false,
+        shiftKey: false,
+        metaKey: false,
+        defaultPrevented: false,
+        preventDefault() {
+            this.defaultPrevented = true;
+        },
+        stopPropagation() {}
+    };
+    const handled = handler.handleBindingKey(event);
+    return { handled, prevented: event.defaultPrevented };
+}
+
+function lastEvent(eventBus, name) {
+    const matches = eventBus.emitted.filter(item => item.event === name);
+    return matches.length > 0 ? matches[matches.length - 1].data : null;
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const suite = createSuite('Keyboard Sequence Tests');
+
+suite.test('findSequenceMatches separates exact matches from longer sequences', () => {
+    const { handler } = createHandler({ 'toggle-panel': 'G', 'cycle-mode': 'G S' });
+    const first = handler.findSequenceMatches(['G']);
+    const second = handler.findSequenceMatches(['G', 'S']);
+    const none = handler.findSequenceMatches(['S']);
+    return (
+        first.exact === 'toggle-panel' &&
+        first.prefixes.join() === 'cycle-mode' &&
+        second.exact === 'cycle-mode' &&
+        second.prefixes.length === 0 &&
+        none.exact === null &&
+        none.prefixes.length === 0
+    );
+});
+
+suite.test('a completed sequence runs its action', () => {
+    const { handler, eventBus } = createHandler({ 'cycle-mode': 'Ctrl+K Ctrl+A' });
+    const first = press(handler, 'KeyK', 'k', { ctrl: true });
+    const pending = lastEvent(eventBus, 'keyboard-handler:sequence-pending');
+    const second = press(handler, 'KeyA', 'a', { ctrl: true });
+    const ended = lastEvent(eventBus, 'keyboard-handler:sequence-ended');
+    return (
+        first.handled &&
+        first.prevented &&
+        pending.keys.join(' ') === 'Ctrl+K' &&
+        second.handled &&
+        eventBus.count('keyboard:cycle-mode') === 1 &&
+        ended.reason === 'matched' &&
+        ended.action === 'cycle-mode'
+    );
+});
+
+suite.test('a key outside the sequence abandons it and is matched on its own', () => {
+    const { handler, eventBus } = createHandler({ 'cycle-mode': 'G S', 'toggle-panel': 'P' });
+    press(handler, 'KeyG', 'g');
+    const result = press(handler, 'KeyP', 'p');
+    const ended = lastEvent(eventBus, 'keyboard-handler:sequence-ended');
+    return (
+        result.handled &&
+        ended.reason === 'mismatch' &&
+        eventBus.count('keyboard:toggle-panel') === 1 &&
+        eventBus.count('keyboard:cycle-mode') === 0 &&
+        handler.pendingSequence.length === 0
+    );
+});
+
+suite.test('unbound keys pass through to the page', () => {
+    const { handler } = createHandler({ 'cycle-mode': 'G S' });
+    const result = press(handler, 'KeyX', 'x');
+    return !result.handled && !result.prevented;
+});
+
+suite.test('a prefix that is also a shortcut runs after the timeout', async () => {
+    const { handler, eventBus } = createHandler({ 'toggle-panel': 'G', 'cycle-mode': 'G S' });
+    handler.setSequenceTimeout(10);
+    press(handler, 'KeyG', 'g');
+    const waiting = eventBus.count('keyboard:toggle-panel') === 0;
+    await wait(30);
+    const ended = lastEvent(eventBus, 'keyboard-handler:sequence-ended');
+    return (
+        waiting &&
+        eventBus.count('keyboard:toggle-panel') === 1 &&
+        ended.reason === 'timeout' &&
+        ended.action === 'toggle-panel'
+    );
+});
+
+suite.test('an unfinished sequence is dropped after the timeout', async () => {
+    const { handler, eventBus } = createHandler({ 'cycle-mode': 'G S' });
+    handler.setSequenceTimeout(10);
+    press(handler, 'KeyG', 'g');
+    await wait(30);
+    const ended = lastEvent(eventBus, 'keyboard-handler:sequence-ended');
+    return (
+        ended.reason === 'timeout' &&
+        ended.action === null &&
+        eventBus.count('keyboard:cycle-mode') === 0
+    );
+});
+
+suite.test('changing bindings cancels a pending sequence', () => {
+    const { handler, eventBus } = createHandler({ 'cycle-mode': 'G S' });
+    press(handler, 'KeyG', 'g');
+    handler.setBinding('cycle-mode', 'G D');
+    const ended = lastEvent(eventBus, 'keyboard-handler:sequence-ended');
+    return ended.reason === 'cancelled' && handler.pendingSequence.length === 0;
+});
+
+suite.run();
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+/**
+ * Keymap Test Suite
+ * Validates parsing, normalizing and recording of key bindings and key sequences
+ */
+
+const { createSuite, loadModule } = require('./test-helpers');
+
+const navigator = { platform: 'Win32' };
+const { Keymap } = loadModule('utils/keymap.js', { navigator });
+
+function keyEvent(code, key, modifiers = {}) {
+    return {
+        code,
+        key,
+        ctrlKey: !!modifiers.ctrl,
+        altKey: !!modifiers.alt,
+        shiftKey: !!modifiers.shift,
+        metaKey: !!modifiers.meta
+    };
+}
+
+function onPlatform(platform, fn) {
+    const previous = navigator.platform;
+    navigator.platform = platform;
+    try {
+        return fn();
+    } finally {
+        navigator.platform = previous;
+    }
+}
+
+const suite = createSuite('Keymap Tests');
+
+suite.test('normalize orders modifiers and canonicalizes keys', () => {
+    return (
+        Keymap.normalize('shift+ctrl+s') === 'Ctrl+Shift+S' &&
+        Keymap.normalize('alt+up') === 'Alt+ArrowUp' &&
+        Keymap.normalize('Meta+Shift+Alt+Ctrl+f5') === 'Ctrl+Alt+Shift+Meta+F5' &&
+        Keymap.normalize('esc') === 'Escape' &&
+        Keymap.normalize('') === ''
+    );
+});
+
+suite.test('Ctrl and Meta are separate modifiers', () => {
+    return (
+        Keymap.normalize('Cmd+ArrowLeft') === 'Meta+ArrowLeft' &&
+        Keymap.normalize('command+s') === 'Meta+S' &&
+        Keymap.normalize('control+s') === 'Ctrl+S' &&
+        Keymap.normalize('Ctrl+ArrowLeft') !== Keymap.normalize('Cmd+ArrowLeft')
+    );
+});
+
+suite.test('Mod resolves to Meta on Mac and Ctrl elsewhere', () => {
+    return (
+        onPlatform('MacIntel', () => Keymap.normalize('Mod+K')) === 'Meta+K' &&
+        onPlatform('iPad', () => Keymap.normalize('mod+shift+k')) === 'Shift+Meta+K' &&
+        onPlatform('Linux x86_64', () => Keymap.normalize('Mod+K')) === 'Ctrl+K' &&
+        Keymap.normalize('Mod+K') === 'Ctrl+K'
+    );
+});
+
+suite.test('invalid bindings are rejected', () => {
+    return (
+        Keymap.normalize('Ctrl+Bogus') === null &&
+        Keymap.normalize('Hyper+S') === null &&
+        Keymap.normalize('Ctrl+') === null &&
+        !Keymap.isValid('Ctrl+S Bogus') &&
+        Keymap.isValid('')
+    );
+});
+
+suite.test('parseSequence splits steps on whitespace', () => {
+    const steps = Keymap.parseSequence('  ctrl+k   ctrl+a ');
+    return (
+        steps.length === 2 &&
+        steps[0].ctrl &&
+        steps[1].key === 'A' &&
+        Keymap.normalize(' g   s ') === 'G S' &&
+        Keymap.parseSequence('   ') === null
+    );
+});
+
+suite.test('fromEvent records Ctrl and Cmd separately', () => {
+    return (
+        Keymap.fromEvent(keyEvent('ArrowLeft', 'ArrowLeft', { ctrl: true })) === 'Ctrl+ArrowLeft' &&
+        Keymap.fromEvent(keyEvent('ArrowLeft', 'ArrowLeft', { meta: true })) === 'Meta+ArrowLeft' &&
+        Keymap.fromEvent(keyEvent('KeyS', 'S', { ctrl: true, shift: true })) === 'Ctrl+Shift+S'
+    );
+});
+
+suite.test('fromEvent uses the physical key for letters and digits', () => {
+    return (
+        Keymap.fromEvent(keyEvent('KeyS', 'ß', { alt: true })) === 'Alt+S' &&
+        Keymap.fromEvent(keyEvent('Digit1', '!', { shift: true })) === 'Shift+1' &&
+        Keymap.fromEvent(keyEvent('Space', ' ')) === 'Space'
+    );
+});
+
+suite.test('fromEvent ignores lone modifier keys', () => {
+    return (
+        Keymap.fromEvent(keyEvent('ControlLeft', 'Control', { ctrl: true })) === null &&
+        Keymap.fromEvent(keyEvent('MetaLeft', 'Meta', { meta: true })) === null
+    );
+});
+
+suite.run();
@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+
+/**
+ * Proximity Detector Test Suite
+ * Validates when the pointer near a page or container edge reveals the semi-mode scrollbar
+ */
+
+const { createSuite, loadModule, createEventBus } = require('./test-helpers');
+
+// Elements with a rect stand for detected scroll containers
+class Element {
+    constructor(rect = null, parentElement = null) {
+        this.rect = rect;
+        this.parentElement = parentElement;
+    }
+
+    closest() {
+        let element = this;
+        while (element && !element.rect) {
+            element = element.parentElement;
+        }
+        return element;
+    }
+
+    getBoundingClientRect() {
+        return this.rect;
+    }
+}
+
+function createTarget() {
+    const listeners = new Map();
+    return {
+        listeners,
+        addEventListener: (type, handler) => listeners.set(type, handler),
+        removeEventListener: type => listeners.delete(type)
+    };
+}
+
+const document = {
+    ...createTarget(),
+    documentElement: createTarget()
+};
+
+const window = {
+    ...createTarget(),
+    innerWidth: 1000,
+    innerHeight: 800
+};
+
+const { ProximityDetector } = loadModule('detectors/ProximityDetector.js', {
+    document,
+    window,
+    Element
+});
+
+/**
+ * StyleManager stand-in that keeps the reveal reasons per target like the real one
+ */
+function createStyleManager() {
+    const reasons = new Map();
+    return {
+        reasons,
+        showScrollbarForSemi(target, reason) {
+            reasons.set(target, new Set([...(reasons.get(target) || []), reason]));
+        },
+        hideScrollbarForSemi(target, reason) {
+            const targetReasons = reasons.get(target);
+            if (targetReasons) {
+                targetReasons.delete(reason);
+                if (targetReasons.size === 0) {
+                    reasons.delete(target);
+                }
+            }
+        },
+        isRevealed: target => reasons.has(target)
+    };
+}
+
+function createDetector() {
+    const eventBus = createEventBus();
+    const styleManager = createStyleManager();
+    const detector = new ProximityDetector(eventBus, styleManager);
+    detector.setDistance(20);
+    return { detector, styleManager, eventBus };
+}
+
+function pointer(clientX, clientY, target = new Element()) {
+    return { clientX, clientY, target };
+}
+
+// A container on the left half of the page, inside an outer container filling the page
+const outer = new Element({ left: 0, top: 0, right: 1000, bottom: 800 });
+const inner = new Element({ left: 100, top: 100, right: 500, bottom: 400 }, outer);
+const insideInner = new Element(null, inner);
+
+const suite = createSuite('Proximity Detector Tests');
+
+suite.test('the pointer near the right or bottom page edge reveals the page scrollbar', () => {
+    const { detector } = createDetector();
+    return (
+        detector.findTarget(pointer(985, 300)) === document.documentElement &&
+        detector.findTarget(pointer(400, 790)) === document.documentElement &&
+        detector.findTarget(pointer(400, 300)) === null
+    );
+});
+
+suite.test('the innermost container whose edge is near wins over the page', () => {
+    const { detector } = createDetector();
+    return (
+        detector.findTarget(pointer(490, 200, insideInner)) === inner &&
+        detector.findTarget(pointer(300, 395, insideInner)) === inner &&
+        detector.findTarget(pointer(300, 200, insideInner)) === null &&
+        detector.findTarget(pointer(990, 200, outer)) === outer
+    );
+});
+
+suite.test('moving along the edge reveals once and moving away conceals', () => {
+    const { detector, styleManager } = createDetector();
+    detector.handlePointerMove(pointer(990, 100));
+    detector.handlePointerMove(pointer(995, 200));
+    const revealed = styleManager.isRevealed(document.documentElement);
+    detector.handlePointerMove(pointer(400, 300));
+    return (
+        revealed &&
+        !styleManager.isRevealed(document.documentElement) &&
+        detector.revealedTarget === null
+    );
+});
+
+suite.test('a drag that starts at the edge keeps the scrollbar visible until release', () => {
+    const { detector, styleManager } = createDetector();
+    detector.handlePointerMove(pointer(990, 100));
+    detector.handlePointerDown(pointer(990, 100));
+    detector.handlePointerMove(pointer(600, 100));
+    const visibleWhileDragging = styleManager.isRevealed(document.documentElement);
+    detector.handlePointerUp();
+    return visibleWhileDragging && !styleManager.isRevealed(document.documentElement);
+});
+
+suite.test('leaving the page conceals the revealed scrollbar', () => {
+    const { detector, styleManager } = createDetector();
+    detector.handlePointerMove(pointer(490, 200, insideInner));
+    const revealed = styleManager.isRevealed(inner);
+    detector.handlePointerLeave();
+    return revealed && !styleManager.isRevealed(inner);
+});
+
+suite.test('stopping detection removes the listeners and every reveal', () => {
+    const { detector, styleManager, eventBus } = createDetector();
+    detector.startDetection();
+    const listening = document.listeners.has('pointermove') && window.listeners.has('pointerup');
+    detector.handlePointerDown(pointer(990, 100));
+    detector.setEnabled(false);
+    return (
+        listening &&
+        !document.listeners.has('pointermove') &&
+        !window.listeners.has('pointerup') &&
+        styleManager.reasons.size === 0 &&
+        !detector.isActive() &&
+        eventBus.count('proximity-detector:stopped') === 1
+    );
+});
+
+suite.test('invalid edge distances are ignored', () => {
+    const { detector } = createDetector();
+    detector.setDistance(-5);
+    detector.setDistance(NaN);
+    detector.setDistance('30');
+    return detector.getDistance() === 20;
+});
+
+suite.run();
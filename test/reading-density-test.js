@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+
+/**
+ * Reading Density Test Suite
+ * Validates word counting and the viewport density estimate used by the WPM speed mode
+ */
+
+const { createSuite, loadModule } = require('./test-helpers');
+
+// ---------------------------------------------------------------------------
+// Minimal DOM fixtures: elements and text nodes with fixed layout rectangles
+// ---------------------------------------------------------------------------
+
+const NodeFilter = {
+    SHOW_ELEMENT: 0x1,
+    SHOW_TEXT: 0x4,
+    FILTER_ACCEPT: 1,
+    FILTER_REJECT: 2,
+    FILTER_SKIP: 3
+};
+
+const Node = { ELEMENT_NODE: 1, TEXT_NODE: 3 };
+
+// Number of nodes passed to the walker filter, to check which subtrees were visited
+let filtered = 0;
+
+function rect(top, height) {
+    return { top, bottom: top + height, height, width: height > 0 ? 800 : 0 };
+}
+
+function matchesSelector(element, selector) {
+    return selector
+        .split(',')
+        .map(part => part.trim())
+        .some(part => (part.startsWith('#') ? element.id === part.slice(1) : element.tag === part));
+}
+
+function el(tag, box, children = [], options = {}) {
+    const element = {
+        nodeType: Node.ELEMENT_NODE,
+        tag,
+        id: options.id || '',
+        lineHeight: options.lineHeight || 20,
+        parentElement: null,
+        childNodes: children,
+        getBoundingClientRect: () => box,
+        matches: selector => matchesSelector(element, selector),
+        closest(selector) {
+            for (let node = element; node; node = node.parentElement) {
+                if (node.matches(selector)) {
+                    return node;
+                }
+            }
+            return null;
+        }
+    };
+    children.forEach(child => {
+        child.parentElement = element;
+    });
+    return element;
+}
+
+function text(data, box) {
+    return { nodeType: Node.TEXT_NODE, data, rect: box, parentElement: null, childNodes: [] };
+}
+
+function createTreeWalker(root, whatToShow, filter) {
+    const nodes = [];
+    const visit = node => {
+        node.childNodes.forEach(child => {
+            filtered++;
+            const verdict = filter.acceptNode(child);
+            if (verdict === NodeFilter.FILTER_ACCEPT) {
+                nodes.push(child);
+            }
+            if (verdict !== NodeFilter.FILTER_REJECT) {
+                visit(child);
+            }
+        });
+    };
+    visit(root);
+    return { nextNode: () => nodes.shift() || null };
+}
+
+const document = {
+    createTreeWalker,
+    createRange: () => ({
+        selectNodeContents(node) {
+            this.node = node;
+        },
+        getBoundingClientRect() {
+            return this.node.rect;
+        }
+    })
+};
+
+const window = {
+    innerHeight: 1000,
+    getComputedStyle: element => ({ lineHeight: `${element.lineHeight}px`, fontSize: '16px' })
+};
+
+const { ReadingDensity } = loadModule('utils/readingDensity.js', {
+    document,
+    window,
+    Node,
+    NodeFilter
+});
+
+const VIEWPORT = { top: 0, bottom: 1000 };
+
+function estimate(children) {
+    filtered = 0;
+    return ReadingDensity.estimate(el('body', rect(-50000, 100000), children), VIEWPORT);
+}
+
+function near(actual, expected) {
+    return Math.abs(actual - expected) < 1e-6;
+}
+
+const suite = createSuite('Reading Density Tests');
+
+suite.test('countWords counts whitespace separated words', () => {
+    return (
+        ReadingDensity.countWords('The quick  brown\nfox') === 4 &&
+        ReadingDensity.countWords('') === 0 &&
+        ReadingDensity.countWords('   \n\t') === 0 &&
+        ReadingDensity.countWords(null) === 0
+    );
+});
+
+suite.test('countWords counts CJK characters individually', () => {
+    return (
+        ReadingDensity.countWords('阅读速度') === 4 &&
+        ReadingDensity.countWords('スクロール') === 5 &&
+        ReadingDensity.countWords('使用WPM模式 scroll') === 6
+    );
+});
+
+suite.test('estimate counts only the visible part of each text node', () => {
+    const result = estimate([
+        el('p', rect(-100, 200), [text('one two three four', rect(-100, 200))]),
+        el('p', rect(900, 200), [text('five six seven eight', rect(900, 200))])
+    ]);
+    return (
+        near(result.words, 4) &&
+        near(result.wordsPerPixel, 4 / 1000) &&
+        near(result.lineHeight, 20) &&
+        result.viewportHeight === 1000
+    );
+});
+
+suite.test('estimate weights code and skips the script UI', () => {
+    const result = estimate([
+        el('pre', rect(0, 100), [text('let a = 1', rect(0, 100))], { lineHeight: 10 }),
+        el('div', rect(100, 100), [text('hidden panel words', rect(100, 100))], {
+            id: 'scrollbar-control-panel'
+        }),
+        el('script', rect(200, 0), [text('var x = 1;', rect(200, 0))])
+    ]);
+    return near(result.words, 8) && near(result.lineHeight, 10);
+});
+
+suite.test('estimate skips subtrees outside the visible area', () => {
+    const offscreen = [];
+    for (let i = 0; i < 6000; i++) {
+        offscreen.push(text(`word ${i}`, rect(-40000 + i, 1)));
+    }
+    const result = estimate([
+        el('article', rect(-40000, 6000), offscreen),
+        el('p', rect(0, 100), [text('visible words here', rect(0, 100))])
+    ]);
+    return near(result.words, 3) && filtered < 10;
+});
+
+suite.test('whitespace-only text nodes do not use up the node limit', () => {
+    const blanks = [];
+    for (let i = 0; i < 6000; i++) {
+        blanks.push(text('\n    ', rect(0, 0)));
+    }
+    blanks.push(text('still counted', rect(10, 20)));
+    const result = estimate([el('div', rect(0, 1000), blanks)]);
+    return near(result.words, 2);
+});
+
+suite.test('estimate without visible text reports zero density', () => {
+    const result = estimate([el('img', rect(0, 1000))]);
+    return result.words === 0 && result.wordsPerPixel === 0 && result.wordsPerLine === 0;
+});
+
+suite.run();
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+
+/**
+ * Unit Test Runner
+ * Runs each unit test script in its own process and fails if any of them fails
+ */
+
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const UNIT_TESTS = [
+    'settings-manager-test.js',
+    'style-manager-test.js',
+    'container-detector-test.js',
+    'proximity-detector-test.js',
+    'auto-scroll-timing-test.js',
+    'auto-scroll-directions-test.js',
+    'element-picker-test.js',
+    'auto-scroll-target-test.js',
+    'infinite-scroll-test.js',
+    'auto-scroll-stepper-test.js',
+    'auto-scroll-pause-rules-test.js',
+    'auto-scroll-easing-test.js',
+    'auto-scroll-stop-conditions-test.js',
+    'auto-scroll-loop-test.js',
+    'auto-scroll-teleprompter-test.js',
+    'toast-test.js',
+    'editable-context-test.js',
+    'site-profile-manager-test.js',
+    'settings-schema-test.js',
+    'tab-sync-manager-test.js',
+    'reading-density-test.js',
+    'auto-scroll-watchdog-test.js',
+    'keymap-test.js',
+    'keyboard-sequence-test.js',
+    'keyboard-conflicts-test.js'
+];
+
+function main() {
+    const failed = UNIT_TESTS.filter(file => {
+        const result = spawnSync(process.execPath, [path.join(__dirname, file)], {
+            stdio: 'inherit'
+        });
+        return result.status !== 0;
+    });
+
+    if (failed.length > 0) {
+        console.log(`\n❌ Failed test scripts: ${failed.join(', ')}`);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { main, UNIT_TESTS };
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+/**
+ * Settings Manager Test Suite
+ * Validates persistence of settings changes through SettingsManager
+ */
+
+const { createSuite, loadModule, createEventBus } = require('./test-helpers');
+
+const { SettingsManager } = loadModule('managers/SettingsManager.js');
+const { SiteProfileManager } = loadModule('managers/SiteProfileManager.js');
+
+function createStorage(initial = {}) {
+    const values = { ...initial };
+    return {
+        values,
+        writes: 0,
+        getBackend: () => 'memory',
+        getValue(key, defaultValue) {
+            return Object.prototype.hasOwnProperty.call(values, key)
+                ? JSON.parse(JSON.stringify(values[key]))
+                : defaultValue;
+        },
+        setValue(key, value) {
+            this.writes++;
+            values[key] = JSON.parse(JSON.stringify(value));
+            return true;
+        }
+    };
+}
+
+function createManager(initial) {
+    const storage = createStorage(initial);
+    const manager = new SettingsManager(createEventBus(), storage);
+    manager.load();
+    return { manager, storage };
+}
+
+const suite = createSuite('Settings Manager Tests');
+
+suite.test('set writes nested paths and reads them back', () => {
+    const { manager, storage } = createManager();
+    manager.set('autoScroll.defaultSpeed', 5);
+    return (
+        manager.get('autoScroll.defaultSpeed') === 5 &&
+        storage.values['scrollbar-controller:settings'].autoScroll.defaultSpeed === 5 &&
+        storage.writes === 1
+    );
+});
+
+suite.test('set skips unchanged primitive values', () => {
+    const { manager, storage } = createManager();
+    manager.set('scrollbar.defaultMode', 'semi');
+    manager.set('scrollbar.defaultMode', 'semi');
+    return storage.writes === 1;
+});
+
+suite.test('mode and speed changes are saved only while persisting', () => {
+    const { manager, storage } = createManager();
+    const bus = manager.eventBus;
+    manager.startPersisting();
+    bus.emit('style-manager:mode-changed', { currentMode: 'hidden' });
+    bus.emit('auto-scroll:speed-changed', { newSpeed: 7 });
+    manager.stopPersisting();
+    bus.emit('auto-scroll:speed-changed', { newSpeed: 3 });
+    return (
+        storage.writes === 2 &&
+        manager.get('scrollbar.defaultMode') === 'hidden' &&
+        manager.get('autoScroll.defaultSpeed') === 7
+    );
+});
+
+suite.test('set skips structurally equal object values', () => {
+    const { manager, storage } = createManager();
+    manager.set('autoScroll.teleprompter', { enabled: true, guide: 'band' });
+    manager.set('autoScroll.teleprompter', { enabled: true, guide: 'band' });
+    manager.set('autoScroll.pauseRules', { hover: { enabled: false, selectors: ['a'] } });
+    manager.set('autoScroll.pauseRules', { hover: { enabled: false, selectors: ['a'] } });
+    return storage.writes === 2;
+});
+
+suite.test('set writes changed object values', () => {
+    const { manager, storage } = createManager();
+    manager.set('autoScroll.teleprompter', { enabled: true });
+    manager.set('autoScroll.teleprompter', { enabled: false });
+    return storage.writes === 2 && manager.get('autoScroll.teleprompter').enabled === false;
+});
+
+suite.test('persisted events with unchanged payloads do not rewrite storage', () => {
+    const { manager, storage } = createManager();
+    const bus = manager.eventBus;
+    manager.startPersisting();
+    const settings = { enabled: true, guide: 'line' };
+    bus.emit('auto-scroll:teleprompter-changed', { settings });
+    bus.emit('auto-scroll:teleprompter-changed', { settings: { ...settings } });
+    manager.stopPersisting();
+    bus.emit('auto-scroll:teleprompter-changed', { settings: { enabled: false } });
+    return storage.writes === 1 && manager.get('autoScroll.teleprompter.guide') === 'line';
+});
+
+suite.test('changes to settings the site profile overrides are saved to the profile', () => {
+    const { manager, storage } = createManager({
+        'scrollbar-controller:site-profiles': [
+            {
+                id: 'docs',
+                type: 'hostname',
+                pattern: 'docs.example.com',
+                config: { autoScroll: { defaultSpeed: 2, mode: 'step' } }
+            }
+        ]
+    });
+    const profiles = new SiteProfileManager(manager.eventBus, storage);
+    profiles.load();
+    profiles.matchLocation({ hostname: 'docs.example.com', href: 'https://docs.example.com/' });
+    manager.setSiteProfileManager(profiles);
+
+    const bus = manager.eventBus;
+    manager.startPersisting();
+    bus.emit('auto-scroll:speed-changed', { newSpeed: 6 });
+    bus.emit('auto-scroll:scroll-mode-changed', { mode: 'continuous' });
+    bus.emit('auto-scroll:wpm-changed', { newWpm: 300 });
+
+    const [profile] = storage.values['scrollbar-controller:site-profiles'];
+    return (
+        profile.config.autoScroll.defaultSpeed === 6 &&
+        profile.config.autoScroll.mode === 'continuous' &&
+        profiles.getActiveConfig().autoScroll.defaultSpeed === 6 &&
+        manager.get('autoScroll.defaultSpeed') === undefined &&
+        manager.get('autoScroll.mode') === undefined &&
+        manager.get('autoScroll.defaultWpm') === 300
+    );
+});
+
+suite.test('load ignores non-object stored values', () => {
+    const { manager } = createManager({ 'scrollbar-controller:settings': 'broken' });
+    return JSON.stringify(manager.getSettings()) === '{}';
+});
+
+suite.run();
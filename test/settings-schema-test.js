@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+
+/**
+ * Settings Schema Test Suite
+ * Validates parsing, migration and validation of exported settings documents
+ */
+
+const { createSuite, loadModule } = require('./test-helpers');
+
+// validateSelector only needs a fragment that rejects obviously broken selectors
+const document = {
+    createDocumentFragment: () => ({
+        querySelector(selector) {
+            if (/^\s*$|[[(]$|>>/.test(selector)) {
+                throw new Error(`'${selector}' is not a valid selector`);
+            }
+            return null;
+        }
+    })
+};
+
+const { SettingsSchema, SETTINGS_SCHEMA_VERSION } = loadModule('utils/settingsSchema.js', {
+    document
+});
+
+function parseSettings(settings) {
+    return SettingsSchema.parse({ schemaVersion: SETTINGS_SCHEMA_VERSION, settings });
+}
+
+const suite = createSuite('Settings Schema Tests');
+
+suite.test('createDocument round-trips through parse', () => {
+    const doc = SettingsSchema.createDocument({ autoScroll: { defaultSpeed: 4 } }, [
+        { type: 'hostname', pattern: 'example.com', config: { scrollbar: { defaultMode: 'semi' } } }
+    ]);
+    const { settingsDoc, errors } = SettingsSchema.parse(JSON.stringify(doc));
+    return (
+        errors.length === 0 &&
+        settingsDoc.settings.autoScroll.defaultSpeed === 4 &&
+        settingsDoc.siteProfiles[0].pattern === 'example.com'
+    );
+});
+
+suite.test('parse rejects malformed JSON and non-object documents', () => {
+    return (
+        SettingsSchema.parse('{').errors[0].startsWith('JSON解析失败') &&
+        SettingsSchema.parse('[]').errors.length === 1 &&
+        SettingsSchema.parse('null').settingsDoc === null
+    );
+});
+
+suite.test('migrate wraps bare version 0 settings', () => {
+    const { settingsDoc, errors } = SettingsSchema.migrate({ autoScroll: { defaultSpeed: 2 } });
+    return (
+        errors.length === 0 &&
+        settingsDoc.schemaVersion === SETTINGS_SCHEMA_VERSION &&
+        settingsDoc.settings.autoScroll.defaultSpeed === 2 &&
+        Array.isArray(settingsDoc.siteProfiles)
+    );
+});
+
+suite.test('migrate drops legacy keyboard keys from settings and profiles', () => {
+    const { settingsDoc } = SettingsSchema.migrate({
+        schemaVersion: 1,
+        settings: { keyboard: { toggleKey: 'KeyS', modifierKey: 'ctrlKey' } },
+        siteProfiles: [
+            { type: 'hostname', pattern: 'a.com', config: { keyboard: { speedUpKey: 'ArrowUp' } } }
+        ]
+    });
+    return (
+        settingsDoc.settings.keyboard === undefined &&
+        settingsDoc.siteProfiles[0].config.keyboard === undefined
+    );
+});
+
+suite.test('migrate rejects newer and invalid versions', () => {
+    return (
+        SettingsSchema.migrate({ schemaVersion: SETTINGS_SCHEMA_VERSION + 1 }).settingsDoc ===
+            null &&
+        SettingsSchema.migrate({ schemaVersion: 'two' }).settingsDoc === null &&
+        SettingsSchema.migrate({ schemaVersion: -1 }).settingsDoc === null
+    );
+});
+
+suite.test('validate reports unknown fields and wrong types', () => {
+    const { errors } = parseSettings({ autoScroll: { defaultSpeed: '4', bogus: true } });
+    return (
+        errors.length === 2 &&
+        errors.some(error => error.includes('bogus')) &&
+        errors.some(error => error.includes('defaultSpeed'))
+    );
+});
+
+suite.test('validate applies value validators', () => {
+    const { errors } = parseSettings({
+        scrollbar: { defaultMode: 'hidden' },
+        autoScroll: { defaultSpeed: 999, teleprompter: { position: 2 } }
+    });
+    return errors.length === 3;
+});
+
+suite.test('scrollbar.modes accepts a subset of the known modes', () => {
+    return parseSettings({ scrollbar: { modes: ['semi', 'styled'] } }).errors.length === 0;
+});
+
+suite.test('scrollbar.modes rejects unknown modes', () => {
+    const { errors } = parseSettings({ scrollbar: { modes: ['semi', 'hidden', 42] } });
+    return errors.length === 1 && errors[0].includes('hidden') && errors[0].includes('42');
+});
+
+suite.test('scrollbar.modes rejects an empty list', () => {
+    const { errors } = parseSettings({ scrollbar: { modes: [] } });
+    return errors.length === 1 && errors[0].startsWith('settings.scrollbar.modes');
+});
+
+suite.test('key bindings accept sequences and reject unknown keys', () => {
+    return (
+        parseSettings({ keyboard: { bindings: { stop: 'G S' } } }).errors.length === 0 &&
+        parseSettings({ keyboard: { bindings: { stop: 'Ctrl+Bogus+S' } } }).errors.length === 1
+    );
+});
+
+suite.test('selector settings are checked for syntax', () => {
+    return (
+        parseSettings({ autoScroll: { stopConditions: { selector: '' } } }).errors.length === 0 &&
+        parseSettings({ autoScroll: { stopConditions: { selector: 'div[' } } }).errors.length === 1
+    );
+});
+
+suite.test('site profiles are validated including their config', () => {
+    const { errors } = SettingsSchema.parse({
+        schemaVersion: SETTINGS_SCHEMA_VERSION,
+        siteProfiles: [
+            { type: 'regex', pattern: '' },
+            { type: 'glob', pattern: '*', disabled: 'yes', config: { scrollbar: { modes: [] } } }
+        ]
+    });
+    return errors.length === 4;
+});
+
+suite.run();
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+/**
+ * Site Profile Manager Test Suite
+ * Validates hostname and glob matching, profile priority and re-enabling disabled sites
+ */
+
+const { createSuite, loadModule, createEventBus } = require('./test-helpers');
+
+const { SiteProfileManager } = loadModule('managers/SiteProfileManager.js');
+const { Utils } = loadModule('utils/helpers.js');
+
+function createStorage(profiles = []) {
+    const values = { 'scrollbar-controller:site-profiles': profiles };
+    return {
+        values,
+        getBackend: () => 'memory',
+        getValue(key, defaultValue) {
+            return key in values ? JSON.parse(JSON.stringify(values[key])) : defaultValue;
+        },
+        setValue(key, value) {
+            values[key] = JSON.parse(JSON.stringify(value));
+            return true;
+        }
+    };
+}
+
+function createManager(profiles) {
+    const manager = new SiteProfileManager(createEventBus(), createStorage(profiles));
+    manager.load();
+    return manager;
+}
+
+function at(href) {
+    const url = new URL(href);
+    return { hostname: url.hostname, href: url.href };
+}
+
+const suite = createSuite('Site Profile Manager Tests');
+
+suite.test('globToRegExp matches wildcards and escapes regex characters', () => {
+    const pattern = Utils.globToRegExp('https://app.example.com/docs/*');
+    return (
+        pattern.test('https://app.example.com/docs/intro') &&
+        pattern.test('HTTPS://APP.EXAMPLE.COM/docs/') &&
+        !pattern.test('https://appxexample.com/docs/intro') &&
+        !pattern.test('https://app.example.com/blog') &&
+        Utils.globToRegExp('https://example.com/?id=?').test('https://example.com/?id=7')
+    );
+});
+
+suite.test('hostname profiles match exactly and case-insensitively', () => {
+    const manager = createManager();
+    const profile = { type: 'hostname', pattern: 'Docs.Example.com' };
+    return (
+        manager.matchesLocation(profile, at('https://docs.example.com/a')) &&
+        !manager.matchesLocation(profile, at('https://example.com/a')) &&
+        !manager.matchesLocation(profile, at('https://api.docs.example.com/a'))
+    );
+});
+
+suite.test('wildcard hostname profiles match the domain and its subdomains', () => {
+    const manager = createManager();
+    const profile = { type: 'hostname', pattern: '*.example.com' };
+    return (
+        manager.matchesLocation(profile, at('https://example.com/')) &&
+        manager.matchesLocation(profile, at('https://a.b.example.com/')) &&
+        !manager.matchesLocation(profile, at('https://badexample.com/'))
+    );
+});
+
+suite.test('glob profiles match against the full URL', () => {
+    const manager = createManager();
+    const profile = { type: 'glob', pattern: 'https://example.com/read/*' };
+    return (
+        manager.matchesLocation(profile, at('https://example.com/read/1')) &&
+        !manager.matchesLocation(profile, at('http://example.com/read/1'))
+    );
+});
+
+suite.test('earlier profiles take priority and expose their config', () => {
+    const manager = createManager([
+        { id: 'a', type: 'hostname', pattern: 'docs.example.com', config: { x: 1 } },
+        { id: 'b', type: 'hostname', pattern: '*.example.com', config: { x: 2 } }
+    ]);
+    manager.matchLocation(at('https://docs.example.com/'));
+    const first = manager.getActiveConfig().x;
+    manager.matchLocation(at('https://www.example.com/'));
+    return first === 1 && manager.getActiveConfig().x === 2;
+});
+
+suite.test('invalid stored profiles are dropped on load', () => {
+    const manager = createManager([
+        { type: 'hostname', pattern: 'ok.example.com' },
+        { type: 'regex', pattern: '.*' },
+        { type: 'glob', pattern: '' },
+        null
+    ]);
+    return manager.getProfiles().length === 1;
+});
+
+suite.test('enableForLocation clears a disabled hostname profile', () => {
+    const manager = createManager([
+        { id: 'a', type: 'hostname', pattern: 'example.com', disabled: true, config: { x: 1 } }
+    ]);
+    const location = at('https://example.com/');
+    manager.matchLocation(location);
+    const wasDisabled = manager.isDisabledForActiveSite();
+    const enabled = manager.enableForLocation(location);
+    const profiles = manager.getProfiles();
+    return (
+        wasDisabled &&
+        enabled &&
+        profiles.length === 1 &&
+        profiles[0].disabled === false &&
+        profiles[0].config.x === 1
+    );
+});
+
+suite.test('enableForLocation overrides a disabling wildcard profile for this host only', () => {
+    const manager = createManager([
+        { id: 'wild', type: 'hostname', pattern: '*.example.com', disabled: true },
+        { id: 'own', type: 'hostname', pattern: 'docs.example.com', disabled: true }
+    ]);
+    const enabled = manager.enableForLocation(at('https://docs.example.com/'));
+    const stillEnabled = !createManager(manager.getProfiles()).matchLocation(
+        at('https://docs.example.com/')
+    ).disabled;
+    manager.matchLocation(at('https://www.example.com/'));
+    return (
+        enabled &&
+        stillEnabled &&
+        manager.getProfiles()[0].id === 'own' &&
+        manager.isDisabledForActiveSite()
+    );
+});
+
+suite.run();
@@ -0,0 +1,337 @@
+#!/usr/bin/env node
+
+/**
+ * Style Manager Test Suite
+ * Validates the CSS each scrollbar mode injects for WebKit and Gecko browsers
+ */
+
+const { createSuite, loadModule, createEventBus } = require('./test-helpers');
+
+function createElement() {
+    const attributes = new Map();
+    const classes = new Set();
+
+    return {
+        style: {},
+        parentNode: null,
+        textContent: '',
+        setAttribute: (name, value) => attributes.set(name, value),
+        removeAttribute: name => attributes.delete(name),
+        hasAttribute: name => attributes.has(name),
+        classList: {
+            contains: name => classes.has(name),
+            remove: name => classes.delete(name),
+            toggle(name, force) {
+                const enabled = force === undefined ? !classes.has(name) : force;
+                if (enabled) {
+                    classes.add(name);
+                } else {
+                    classes.delete(name);
+                }
+                return enabled;
+            }
+        }
+    };
+}
+
+const document = {
+    documentElement: createElement(),
+    body: createElement(),
+    head: {
+        appendChild(element) {
+            element.parentNode = this;
+        },
+        removeChild(element) {
+            element.parentNode = null;
+        }
+    },
+    createElement,
+    querySelectorAll: () => []
+};
+
+const window = {
+    getComputedStyle: () => ({})
+};
+
+const { StyleManager } = loadModule('managers/StyleManager.js', { document, window });
+
+/**
+ * Browser detector stand-in reporting a WebKit or Gecko browser
+ */
+function createBrowserDetector(engine, features = {}) {
+    const isWebkit = engine === 'webkit';
+    const isGecko = engine === 'gecko';
+
+    return {
+        getCompatibilityReport: () => ({
+            browser: { name: engine, version: '1', engine, isWebkit, isGecko, isTrident: false },
+            features: {
+                webkitScrollbar: isWebkit,
+                scrollbarWidth: isGecko,
+                scrollbarColor: isGecko,
+                msOverflowStyle: false,
+                ...features
+            },
+            isModern: true,
+            prefixes: [],
+            apis: { addEventListener: true, getComputedStyle: true }
+        })
+    };
+}
+
+function createStyleManager(engine = 'webkit', features) {
+    const eventBus = createEventBus();
+    const styleManager = new StyleManager(eventBus, createBrowserDetector(engine, features));
+    eventBus.emitted.length = 0;
+    return { styleManager, eventBus, css: () => styleManager.styleElement.textContent };
+}
+
+/**
+ * Collect the declarations of every rule with the given selector
+ */
+function rulesFor(css, selector) {
+    return css
+        .split('}')
+        .filter(rule => rule.includes(`${selector} {`))
+        .map(rule => rule.slice(rule.indexOf('{') + 1))
+        .join(';');
+}
+
+const suite = createSuite('Style Manager Tests');
+
+suite.test('styled mode renders the theme as WebKit scrollbar rules', () => {
+    const { styleManager, css } = createStyleManager('webkit');
+    styleManager.setTheme({ width: 10, thumbColor: 'red', hoverColor: 'blue', radius: 3 });
+    styleManager.setMode('styled');
+    return (
+        css().includes('width: 10px') &&
+        css().includes('background: red') &&
+        css().includes('background: blue') &&
+        css().includes('border-radius: 3px') &&
+        !css().includes('scrollbar-color')
+    );
+});
+
+suite.test('styled mode uses scrollbar-width and scrollbar-color on Gecko', () => {
+    const { styleManager, css } = createStyleManager('gecko');
+    styleManager.setTheme({ width: 8, thumbColor: 'red', trackColor: 'white' });
+    styleManager.setMode('styled');
+    const narrow = css();
+    styleManager.setTheme({ width: 14 });
+    return (
+        narrow.includes('scrollbar-width: thin') &&
+        narrow.includes('scrollbar-color: red white') &&
+        !narrow.includes('::-webkit-scrollbar') &&
+        css().includes('scrollbar-width: auto')
+    );
+});
+
+suite.test('theme changes re-render styled mode and report the change', () => {
+    const { styleManager, eventBus, css } = createStyleManager('webkit');
+    styleManager.setMode('styled');
+    styleManager.setTheme({ thumbColor: 'green' });
+    styleManager.setTheme({ thumbColor: 'green' });
+    return (
+        css().includes('background: green') &&
+        eventBus.count('style-manager:theme-changed') === 1 &&
+        styleManager.getTheme().thumbColor === 'green'
+    );
+});
+
+suite.test('invalid themes are rejected and keep the current theme', () => {
+    const { styleManager } = createStyleManager('webkit');
+    const before = styleManager.getTheme();
+    const results = [
+        styleManager.setTheme({ width: 0 }),
+        styleManager.setTheme({ radius: -1 }),
+        styleManager.setTheme({ thumbColor: 'red; display: none' }),
+        styleManager.setTheme({ hoverColor: '' })
+    ];
+    return (
+        results.every(result => result === false) &&
+        JSON.stringify(styleManager.getTheme()) === JSON.stringify(before)
+    );
+});
+
+suite.test('leaving styled mode removes the theme', () => {
+    const { styleManager, css } = createStyleManager('webkit');
+    styleManager.setMode('styled');
+    const styled = css();
+    styleManager.setMode('default');
+    return styled !== '' && css() === '' && styleManager.getCurrentMode() === 'default';
+});
+
+suite.test('always mode hides the scrollbar instead of theming it', () => {
+    const { styleManager, css } = createStyleManager('gecko');
+    styleManager.setMode('always');
+    return css().includes('scrollbar-width: none') && !css().includes('scrollbar-color');
+});
+
+suite.test('semi mode reveals the page and each container independently', () => {
+    const { styleManager, eventBus, css } = createStyleManager('webkit');
+    const container = createElement();
+    styleManager.setMode('semi');
+    styleManager.showScrollbarForSemi(container);
+    const containerOnly =
+        container.hasAttribute('data-scrollbar-visible') &&
+        !document.documentElement.hasAttribute('data-scrollbar-visible');
+    styleManager.showScrollbarForSemi();
+    styleManager.hideScrollbarForSemi(container);
+    const pageOnly =
+        !container.hasAttribute('data-scrollbar-visible') &&
+        document.documentElement.hasAttribute('data-scrollbar-visible');
+    styleManager.hideScrollbarForSemi();
+    const shown = eventBus.emitted.filter(item => item.event === 'scrollbar:show');
+    return (
+        containerOnly &&
+        pageOnly &&
+        !document.documentElement.hasAttribute('data-scrollbar-visible') &&
+        shown[0].data.container === container &&
+        shown[1].data.container === null &&
+        css().includes(':not([data-scrollbar-visible])::-webkit-scrollbar')
+    );
+});
+
+suite.test('Gecko rules also apply to the detected scroll containers', () => {
+    const { styleManager, css } = createStyleManager('gecko');
+    styleManager.setMode('always');
+    const hidden = css();
+    styleManager.setMode('styled');
+    return (
+        hidden.includes('[data-scrollbar-container]') &&
+        css().includes('html, [data-scrollbar-container]')
+    );
+});
+
+suite.test('each axis can be set on its own', () => {
+    const { styleManager, eventBus, css } = createStyleManager('webkit');
+    styleManager.setMode('always', 'horizontal');
+    const change = eventBus.emitted.find(item => item.event === 'style-manager:mode-changed');
+    return (
+        styleManager.getAxisModes().vertical === 'default' &&
+        styleManager.getAxisModes().horizontal === 'always' &&
+        change.data.axis === 'horizontal' &&
+        change.data.modes.horizontal === 'always' &&
+        rulesFor(css(), '::-webkit-scrollbar:horizontal').includes('height: 0px') &&
+        !rulesFor(css(), '::-webkit-scrollbar:vertical').includes('width: 0px') &&
+        !css().includes('overflow-y: auto')
+    );
+});
+
+suite.test('a default axis next to a custom one keeps a native-like scrollbar', () => {
+    const { styleManager, css } = createStyleManager('webkit');
+    styleManager.setMode('styled', 'vertical');
+    const vertical = rulesFor(css(), '::-webkit-scrollbar:vertical');
+    const horizontal = rulesFor(css(), '::-webkit-scrollbar:horizontal');
+    return (
+        vertical.includes(`width: ${styleManager.getTheme().width}px`) &&
+        horizontal.includes('height: 12px')
+    );
+});
+
+suite.test('hiding the vertical axis keeps the page scrollable', () => {
+    const { styleManager, css } = createStyleManager('webkit');
+    styleManager.setMode('always', 'vertical');
+    return (
+        rulesFor(css(), '::-webkit-scrollbar:vertical').includes('width: 0px') &&
+        css().includes('overflow-y: auto')
+    );
+});
+
+suite.test('Gecko hides the scrollbars only when both axes are hidden', () => {
+    const { styleManager, css } = createStyleManager('gecko');
+    styleManager.setMode('always', 'vertical');
+    const oneAxis = css();
+    styleManager.setMode('always', 'horizontal');
+    return !oneAxis.includes('scrollbar-width: none') && css().includes('scrollbar-width: none');
+});
+
+suite.test('unknown axes and modes are rejected', () => {
+    const { styleManager, eventBus } = createStyleManager('webkit');
+    return (
+        styleManager.setMode('always', 'diagonal') === false &&
+        styleManager.setMode('invisible', 'vertical') === false &&
+        styleManager.getAxisModes().vertical === 'default' &&
+        eventBus.count('style-manager:mode-changed') === 0
+    );
+});
+
+suite.test('a semi-mode scrollbar stays visible until every reveal reason is withdrawn', () => {
+    const { styleManager, eventBus } = createStyleManager('webkit');
+    const container = createElement();
+    styleManager.setMode('semi');
+    styleManager.showScrollbarForSemi(container, 'scroll');
+    styleManager.showScrollbarForSemi(container, 'proximity');
+    styleManager.hideScrollbarForSemi(container, 'scroll');
+    const stillVisible =
+        styleManager.isSemiRevealed(container) && container.hasAttribute('data-scrollbar-visible');
+    styleManager.hideScrollbarForSemi(container, 'proximity');
+    return (
+        stillVisible &&
+        !styleManager.isSemiRevealed(container) &&
+        !container.hasAttribute('data-scrollbar-visible') &&
+        eventBus.count('scrollbar:show') === 1
+    );
+});
+
+suite.test('semi mode fades the thumb where the browser supports it', () => {
+    const { styleManager, css } = createStyleManager('webkit', { scrollbarFade: true });
+    styleManager.setMode('semi');
+    const fading =
+        css().includes('@property --scrollbar-controller-thumb') &&
+        css().includes('--scrollbar-controller-fade-in: 150ms') &&
+        css().includes('--scrollbar-controller-fade-out: 400ms') &&
+        rulesFor(css(), '::-webkit-scrollbar:vertical').includes('width: 12px') &&
+        document.documentElement.classList.contains('scrollbar-fade');
+    styleManager.setMode('default');
+    return fading && !document.documentElement.classList.contains('scrollbar-fade');
+});
+
+suite.test('browsers without fade support keep the instant semi mode', () => {
+    const { styleManager, css } = createStyleManager('webkit', { scrollbarFade: false });
+    styleManager.setMode('semi');
+    return (
+        !styleManager.isFadeEnabled() &&
+        !css().includes('@property') &&
+        rulesFor(css(), ':not([data-scrollbar-visible])::-webkit-scrollbar:vertical').includes(
+            'width: 0px'
+        ) &&
+        !document.documentElement.classList.contains('scrollbar-fade')
+    );
+});
+
+suite.test('fade changes are validated and re-render semi mode', () => {
+    const { styleManager, eventBus, css } = createStyleManager('webkit', { scrollbarFade: true });
+    styleManager.setMode('semi');
+    const changed = styleManager.setFade({ fadeInDuration: 300 });
+    const rejected = [
+        styleManager.setFade({ fadeOutDuration: -1 }),
+        styleManager.setFade({ fadeInDuration: '300' }),
+        styleManager.setFade({ enabled: 'yes' })
+    ];
+    const faded = css().includes('--scrollbar-controller-fade-in: 300ms');
+    styleManager.setFade({ enabled: false });
+    const instant = !css().includes('@property');
+    styleManager.setMode('default');
+    return (
+        changed &&
+        rejected.every(result => result === false) &&
+        faded &&
+        instant &&
+        eventBus.count('style-manager:fade-changed') === 2 &&
+        styleManager.getFade().fadeInDuration === 300
+    );
+});
+
+suite.test('cycling the mode steps through every mode and wraps around', () => {
+    const { styleManager } = createStyleManager('webkit');
+    const modes = [1, 2, 3, 4].map(() => styleManager.cycleMode());
+    const vertical = styleManager.cycleMode('vertical');
+    return (
+        modes.join() === 'always,semi,styled,default' &&
+        vertical === 'always' &&
+        styleManager.getAxisModes().horizontal === 'default'
+    );
+});
+
+suite.run();
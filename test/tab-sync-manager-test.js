@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+/**
+ * Tab Sync Manager Test Suite
+ * Validates which local state changes are broadcast to other tabs
+ */
+
+const { createSuite, loadModule, createEventBus } = require('./test-helpers');
+
+const posted = [];
+
+class FakeBroadcastChannel {
+    constructor(name) {
+        this.name = name;
+    }
+
+    postMessage(message) {
+        posted.push(message);
+    }
+
+    addEventListener() {}
+
+    removeEventListener() {}
+
+    close() {}
+}
+
+const { TabSyncManager, SyncMessageTypes } = loadModule('managers/TabSyncManager.js', {
+    BroadcastChannel: FakeBroadcastChannel
+});
+
+function createManager(options) {
+    posted.length = 0;
+    const eventBus = createEventBus();
+    const manager = new TabSyncManager(eventBus, options);
+    manager.start();
+    return { manager, eventBus };
+}
+
+function postedTypes() {
+    return posted.map(message => message.type);
+}
+
+const suite = createSuite('Tab Sync Manager Tests');
+
+suite.test('manual starts are broadcast', () => {
+    const { eventBus } = createManager();
+    eventBus.emit('auto-scroll:started', { reason: 'manual' });
+    return postedTypes().join() === SyncMessageTypes.AUTO_SCROLL_START;
+});
+
+suite.test('watchdog and synced starts are not broadcast', () => {
+    const { eventBus } = createManager();
+    eventBus.emit('auto-scroll:started', { reason: 'watchdog' });
+    eventBus.emit('auto-scroll:started', { reason: 'sync' });
+    eventBus.emit('auto-scroll:started', {});
+    return posted.length === 0;
+});
+
+suite.test('only manual stops are broadcast', () => {
+    const { eventBus } = createManager();
+    eventBus.emit('auto-scroll:stopped', { reason: 'reached-end' });
+    eventBus.emit('auto-scroll:stopped', { reason: 'stuck' });
+    eventBus.emit('auto-scroll:stopped', { reason: 'manual' });
+    return postedTypes().join() === SyncMessageTypes.AUTO_SCROLL_STOP;
+});
+
+suite.test('local auto scroll keeps start and stop in this tab', () => {
+    const { eventBus } = createManager({ localAutoScroll: true });
+    eventBus.emit('auto-scroll:started', { reason: 'manual' });
+    eventBus.emit('auto-scroll:stopped', { reason: 'manual' });
+    eventBus.emit('auto-scroll:speed-changed', { newSpeed: 4 });
+    return postedTypes().join() === SyncMessageTypes.SPEED;
+});
+
+suite.test('nothing is broadcast after stop', () => {
+    const { manager, eventBus } = createManager();
+    manager.stop();
+    eventBus.emit('auto-scroll:started', { reason: 'manual' });
+    return posted.length === 0;
+});
+
+suite.run();
@@ -0,0 +1,167 @@
+/**
+ * Test Helpers
+ * Shared by the unit test scripts: a small suite runner in the style of basic-test.js,
+ * a minimal event bus, and a module loader.
+ *
+ * The loader loads ES module sources from src/ into the CommonJS test scripts without a bundler:
+ * named imports are resolved recursively, `export const/class/function` declarations become
+ * locals and are returned as the module's exports. Browser globals (window, document, ...)
+ * can be injected per load so modules run against test fixtures.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const colors = {
+    reset: '\x1b[0m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m'
+};
+
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+/**
+ * Create a test suite; tests may return a boolean or a promise of one
+ * @param {string} title - Suite title
+ * @returns {{test: Function, run: Function}}
+ */
+function createSuite(title) {
+    const tests = [];
+
+    return {
+        test(name, fn) {
+            tests.push({ name, fn });
+        },
+
+        async run() {
+            log(`🧪 Running ${title}`, 'blue');
+            log('='.repeat(title.length + 11), 'blue');
+
+            let passed = 0;
+            for (const { name, fn } of tests) {
+                try {
+                    if (await fn()) {
+                        log(`✅ ${name}`, 'green');
+                        passed++;
+                    } else {
+                        log(`❌ ${name}`, 'red');
+                    }
+                } catch (error) {
+                    log(`❌ ${name}: ${error.message}`, 'red');
+                }
+            }
+
+            log('\n📊 Test Results', 'blue');
+            log('===============', 'blue');
+            log(`Passed: ${passed}/${tests.length}`, passed === tests.length ? 'green' : 'red');
+
+            if (passed === tests.length) {
+                log('\n🎉 All tests passed!', 'green');
+                process.exit(0);
+            } else {
+                log('\n❌ Some tests failed!', 'red');
+                process.exit(1);
+            }
+        }
+    };
+}
+
+// Console stand-in for loaded modules, keeps their logging out of the test output
+const quietConsole = { log() {}, info() {}, warn() {}, error() {}, debug() {} };
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+
+const IMPORT_PATTERN = /^import\s*\{([^}]*)\}\s*from\s*['"]([^'"]+)['"];?\s*$/gm;
+const EXPORT_PATTERN = /^export\s+(?:const|let|class|function|async\s+function)\s+([A-Za-z_$][\w$]*)/gm;
+
+/**
+ * Load a module from src/ with its dependencies
+ * @param {string} relativePath - Path relative to src/, e.g. 'utils/keymap.js'
+ * @param {Object} globals - Globals visible to every loaded module, e.g. { window, document }
+ * @returns {Object} The module's named exports
+ */
+function loadModule(relativePath, globals = {}) {
+    const moduleGlobals = { console: quietConsole, ...globals };
+    return loadFile(path.join(SRC_DIR, relativePath), moduleGlobals, new Map());
+}
+
+function loadFile(filePath, globals, cache) {
+    if (cache.has(filePath)) {
+        return cache.get(filePath);
+    }
+
+    const dependencies = [];
+    const exportNames = [];
+
+    let source = fs.readFileSync(filePath, 'utf8');
+
+    source = source.replace(IMPORT_PATTERN, (statement, names, specifier) => {
+        const dependencyPath = path.resolve(path.dirname(filePath), specifier);
+        dependencies.push(loadFile(dependencyPath, globals, cache));
+
+        const bindings = names
+            .split(',')
+            .map(name => name.trim())
+            .filter(Boolean)
+            .map(name => name.replace(/\s+as\s+/, ': '));
+        return `const { ${bindings.join(', ')} } = __dependencies[${dependencies.length - 1}];`;
+    });
+
+    source = source.replace(EXPORT_PATTERN, (declaration, name) => {
+        exportNames.push(name);
+        return declaration.replace(/^export\s+/, '');
+    });
+
+    // main.js style trailing re-exports are not needed by tests
+    source = source.replace(/^export\s+(default\s+[^;]+|\{[^}]*\});?\s*$/gm, '');
+
+    const globalNames = Object.keys(globals);
+    const factory = new Function(
+        '__dependencies',
+        ...globalNames,
+        `${source}\nreturn { ${exportNames.join(', ')} };`
+    );
+
+    const moduleExports = factory(dependencies, ...globalNames.map(name => globals[name]));
+    cache.set(filePath, moduleExports);
+    return moduleExports;
+}
+
+/**
+ * Create a minimal event bus with the same on/off/emit surface as core/EventBus
+ * and a record of emitted events
+ */
+function createEventBus() {
+    const listeners = new Map();
+    const emitted = [];
+
+    return {
+        emitted,
+        on(event, handler) {
+            if (!listeners.has(event)) {
+                listeners.set(event, []);
+            }
+            listeners.get(event).push(handler);
+        },
+        off(event, handler) {
+            const handlers = listeners.get(event) || [];
+            listeners.set(
+                event,
+                handlers.filter(item => item !== handler)
+            );
+        },
+        emit(event, data) {
+            emitted.push({ event, data });
+            (listeners.get(event) || []).slice().forEach(handler => handler(data));
+        },
+        count(event) {
+            return emitted.filter(item => item.event === event).length;
+        }
+    };
+}
+
+module.exports = { createSuite, loadModule, createEventBus, log };
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+/**
+ * Toast Test Suite
+ * Validates the toast shown after keyboard actions and the keyboard speed events behind it
+ */
+
+const { createSuite, loadModule, createEventBus } = require('./test-helpers');
+
+// Timers started by the toast, fired by hand
+let timers = [];
+
+function createElement() {
+    const attributes = new Map();
+    const properties = new Map();
+    return {
+        attributes,
+        parentNode: null,
+        textContent: '',
+        style: {
+            cssText: '',
+            setProperty: (name, value) => properties.set(name, value),
+            getPropertyValue: name => properties.get(name) || ''
+        },
+        setAttribute: (name, value) => attributes.set(name, value)
+    };
+}
+
+const document = {
+    body: {
+        children: [],
+        appendChild(element) {
+            element.parentNode = this;
+            this.children.push(element);
+        },
+        removeChild(element) {
+            element.parentNode = null;
+            this.children = this.children.filter(child => child !== element);
+        }
+    },
+    createElement
+};
+
+const globals = {
+    document,
+    window: {},
+    setTimeout: (callback, delay) => {
+        const timer = { callback, delay, cleared: false };
+        timers.push(timer);
+        return timer;
+    },
+    clearTimeout: timer => {
+        if (timer) {
+            timer.cleared = true;
+        }
+    }
+};
+
+const { Toast } = loadModule('ui/Toast.js', globals);
+const { KeyboardHandler } = loadModule('managers/KeyboardHandler.js', globals);
+
+function createToast() {
+    timers = [];
+    document.body.children = [];
+    return new Toast();
+}
+
+/**
+ * AutoScrollManager stand-in with the speed surface the keyboard handler uses
+ */
+function createManager(speedMode = 'level', speed = 5) {
+    return {
+        speedMode,
+        speed,
+        wpm: 250,
+        isAutoScrollEnabled: () => true,
+        getSpeedMode() {
+            return this.speedMode;
+        },
+        getSpeed() {
+            return this.speed;
+        },
+        getWpm() {
+            return this.wpm;
+        },
+        increaseSpeed() {
+            if (this.speedMode === 'wpm') {
+                this.wpm += 25;
+            } else {
+                this.speed = Math.min(this.speed + 1, 10);
+            }
+            return true;
+        },
+        decreaseSpeed() {
+            if (this.speedMode === 'wpm') {
+                this.wpm -= 25;
+            } else {
+                this.speed = Math.max(this.speed - 1, 1);
+            }
+            return true;
+        }
+    };
+}
+
+function keydown() {
+    return { preventDefault: () => {}, stopPropagation: () => {} };
+}
+
+const suite = createSuite('Toast Tests');
+
+suite.test('showing a message adds one status element and fades it in', () => {
+    const toast = createToast();
+    toast.show('滚动速度: 6');
+    toast.show('滚动速度: 7');
+    const element = toast.element;
+    return (
+        document.body.children.length === 1 &&
+        element.textContent === '滚动速度: 7' &&
+        element.attributes.get('role') === 'status' &&
+        element.attributes.get('aria-live') === 'polite' &&
+        element.style.getPropertyValue('opacity') === '1'
+    );
+});
+
+suite.test('a new message restarts the hide timer', () => {
+    const toast = createToast();
+    toast.show('first');
+    toast.show('second', 3000);
+    const [first, second] = timers;
+    const restarted = first.cleared && !second.cleared && second.delay === 3000;
+    second.callback();
+    return restarted && toast.element.style.getPropertyValue('opacity') === '0';
+});
+
+suite.test('destroying removes the element and the pending timer', () => {
+    const toast = createToast();
+    toast.show('message');
+    toast.destroy();
+    return document.body.children.length === 0 && toast.element === null && timers[0].cleared;
+});
+
+suite.test('keyboard speed changes report the new speed level', () => {
+    const eventBus = createEventBus();
+    const handler = new KeyboardHandler(eventBus, createManager('level', 5));
+    handler.runAction('faster', keydown());
+    handler.runAction('slower', keydown());
+    handler.runAction('slower', keydown());
+    const up = eventBus.emitted.find(item => item.event === 'keyboard:speed-up');
+    const downs = eventBus.emitted.filter(item => item.event === 'keyboard:speed-down');
+    return (
+        up.data.value === 6 &&
+        up.data.changed &&
+        up.data.speedMode === 'level' &&
+        downs.map(item => item.data.value).join() === '5,4'
+    );
+});
+
+suite.test('reading speed mode reports words per minute', () => {
+    const eventBus = createEventBus();
+    const handler = new KeyboardHandler(eventBus, createManager('wpm'));
+    handler.runAction('faster', keydown());
+    const up = eventBus.emitted.find(item => item.event === 'keyboard:speed-up');
+    return up.data.speedMode === 'wpm' && up.data.value === 275 && up.data.changed;
+});
+
+suite.test('a speed already at its limit is reported as unchanged', () => {
+    const eventBus = createEventBus();
+    const handler = new KeyboardHandler(eventBus, createManager('level', 10));
+    handler.runAction('faster', keydown());
+    const up = eventBus.emitted.find(item => item.event === 'keyboard:speed-up');
+    return up.data.value === 10 && up.data.changed === false;
+});
+
+suite.run();